@@ -1,22 +1,37 @@
+import { useState } from "react";
 import { View } from "react-native";
 import { useLocalSearchParams } from "expo-router";
+import { normalizeStickerId, parseStationFilter } from "@cuub/shared";
 import { MapScreen } from "@/features/map-view/MapScreen";
 import { ScanModal } from "@/features/scan/ScanModal";
+import { UnknownStickerScreen } from "@/features/scan/UnknownStickerScreen";
 
-const RESERVED = new Set(["map", "blank", "api", "_next"]);
+const RESERVED = new Set(["map", "blank", "station", "api", "_next"]);
 
 export default function StickerRoute() {
-  const { sticker_id } = useLocalSearchParams<{ sticker_id: string }>();
-  const stickerId = typeof sticker_id === "string" ? sticker_id : null;
+  const { sticker_id, filter } = useLocalSearchParams<{
+    sticker_id: string;
+    filter?: string;
+  }>();
+  const typedId = typeof sticker_id === "string" ? sticker_id : null;
+  const initialFilter = parseStationFilter(filter);
+  const [activeRental, setActiveRental] = useState(false);
 
-  if (!stickerId || RESERVED.has(stickerId) || stickerId.includes(".")) {
-    return <MapScreen variant="full" />;
+  if (!typedId || RESERVED.has(typedId) || typedId.includes(".")) {
+    return <MapScreen variant="full" initialFilter={initialFilter} />;
   }
+  const stickerId = normalizeStickerId(typedId);
+  if (!stickerId) return <UnknownStickerScreen typedId={typedId} />;
 
   return (
     <View style={{ flex: 1 }}>
-      <MapScreen variant="full" stickerId={stickerId} />
-      <ScanModal stickerId={stickerId} />
+      <MapScreen
+        variant="full"
+        stickerId={stickerId}
+        initialFilter={initialFilter}
+        activeRental={activeRental}
+      />
+      <ScanModal stickerId={stickerId} onRentalChange={setActiveRental} />
     </View>
   );
 }
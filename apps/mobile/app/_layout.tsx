@@ -1,7 +1,12 @@
+import { useEffect } from "react";
 import { Stack } from "expo-router";
 import { StatusBar } from "expo-status-bar";
+import { startScanOutbox } from "@/lib/scanOutbox";
 
 export default function RootLayout() {
+  // Sends scans queued while offline, including ones from earlier launches.
+  useEffect(() => startScanOutbox(), []);
+
   return (
     <>
       <StatusBar style="light" />
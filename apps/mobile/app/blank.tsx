@@ -1,5 +1,8 @@
+import { useLocalSearchParams } from "expo-router";
+import { parseStationFilter } from "@cuub/shared";
 import { MapScreen } from "@/features/map-view/MapScreen";
 
 export default function BlankRoute() {
-  return <MapScreen variant="blank" />;
+  const { filter } = useLocalSearchParams<{ filter?: string }>();
+  return <MapScreen variant="blank" initialFilter={parseStationFilter(filter)} />;
 }
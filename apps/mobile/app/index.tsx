@@ -1,5 +1,8 @@
+import { useLocalSearchParams } from "expo-router";
+import { parseStationFilter } from "@cuub/shared";
 import { MapScreen } from "@/features/map-view/MapScreen";
 
 export default function Home() {
-  return <MapScreen variant="full" />;
+  const { filter } = useLocalSearchParams<{ filter?: string }>();
+  return <MapScreen variant="full" initialFilter={parseStationFilter(filter)} />;
 }
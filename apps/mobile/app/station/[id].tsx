@@ -0,0 +1,15 @@
+import { useLocalSearchParams } from "expo-router";
+import { parseStationFilter } from "@cuub/shared";
+import { MapScreen } from "@/features/map-view/MapScreen";
+
+// cuub://station/<id>, and /station/<id> on universal links.
+export default function StationRoute() {
+  const { id, filter } = useLocalSearchParams<{ id: string; filter?: string }>();
+  return (
+    <MapScreen
+      variant="full"
+      focusStationId={typeof id === "string" ? id : null}
+      initialFilter={parseStationFilter(filter)}
+    />
+  );
+}
@@ -0,0 +1,34 @@
+import React from "react";
+import { StyleSheet, Text, View } from "react-native";
+import { DEGRADED_COPY } from "@cuub/shared";
+
+export interface DegradedBannerProps {
+  // Set when last known stations are on the map.
+  showingLastKnown?: boolean;
+}
+
+export function DegradedBanner({ showingLastKnown = false }: DegradedBannerProps) {
+  return (
+    <View style={styles.banner} accessibilityRole="alert">
+      <Text style={styles.text}>
+        {DEGRADED_COPY.banner}
+        {showingLastKnown ? `. ${DEGRADED_COPY.stationsDetail}` : ""}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  // Below the filter, list toggle and station-not-found notice.
+  banner: {
+    position: "absolute",
+    top: 216,
+    left: 20,
+    right: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: "#000",
+    borderRadius: 16,
+  },
+  text: { color: "#fff", fontSize: 14, textAlign: "center" },
+});
@@ -0,0 +1,12 @@
+import { useEffect, useState } from "react";
+import { cuubClient } from "@/lib/cuubClient";
+
+// Whether the API is currently answering without live upstream data.
+export function useDegraded(): boolean {
+  const [degraded, setDegraded] = useState(cuubClient.isDegraded);
+  useEffect(() => {
+    setDegraded(cuubClient.isDegraded);
+    return cuubClient.onDegradedChange(setDegraded);
+  }, []);
+  return degraded;
+}
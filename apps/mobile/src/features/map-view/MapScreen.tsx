@@ -1,10 +1,30 @@
-import React, { useCallback, useMemo, useRef, useState } from "react";
-import { StyleSheet, View } from "react-native";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Pressable, StyleSheet, Text, View } from "react-native";
 import Mapbox from "@rnmapbox/maps";
-import type { Station, Coords } from "@cuub/shared";
+import {
+  CLUSTER_CIRCLE_RADIUS,
+  CLUSTER_FILTER,
+  CLUSTER_TEXT_SIZE,
+  SELECTED_ICON_SIZE,
+  STATION_CLUSTER_MAX_ZOOM,
+  STATION_CLUSTER_PROPERTIES,
+  STATION_CLUSTER_RADIUS,
+  STATION_ICON_IMAGE,
+  filterStations,
+  findStation,
+  stationFilterExpression,
+  stationIntent,
+  stationsToGeoJSON,
+  type Coords,
+  type NormalizedStation,
+  type StationFilter,
+} from "@cuub/shared";
 import { MAPBOX_ACCESS_TOKEN } from "@/lib/config";
+import { DegradedBanner } from "@/features/degraded/DegradedBanner";
+import { useDegraded } from "@/features/degraded/useDegraded";
 import { useStations } from "@/features/stations/useStations";
-import { stationsToGeoJSON } from "./stationsToGeoJSON";
+import { StationFilterControl } from "./StationFilterControl";
+import { StationListSheet } from "./StationListSheet";
 import { StationModal } from "./StationModal";
 import { SupportButton } from "./SupportButton";
 import { NearestStationFeature } from "@/features/nearest/NearestStationFeature";
@@ -26,21 +46,76 @@ if (MAPBOX_ACCESS_TOKEN) {
 export interface MapScreenProps {
   variant?: "full" | "blank";
   stickerId?: string | null;
+  initialFilter?: StationFilter;
+  // Set by the sticker route once it knows the battery is out.
+  activeRental?: boolean;
+  // station/[id]: select and center this station once stations load.
+  focusStationId?: string | null;
 }
 
 export function MapScreen({
   variant = "full",
   stickerId = null,
+  initialFilter = "all",
+  activeRental = false,
+  focusStationId = null,
 }: MapScreenProps) {
-  const { stations } = useStations();
-  const [selected, setSelected] = useState<Station | null>(null);
+  const { stations, loading, error } = useStations();
+  const [focusMissing, setFocusMissing] = useState(false);
+  const degraded = useDegraded();
+  const focusHandledRef = useRef(false);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [filter, setFilter] = useState<StationFilter>(initialFilter);
+  const [userCoords, setUserCoords] = useState<Coords | null>(null);
   const cameraRef = useRef<Mapbox.Camera | null>(null);
 
+  // Looked up by id so the sheet shows the latest slot counts after updates.
+  const selected = useMemo(
+    () =>
+      selectedId === null
+        ? null
+        : stations.find((s) => s.id === selectedId) ?? null,
+    [stations, selectedId]
+  );
+
+  const visibleStations = useMemo(
+    () => filterStations(stations, filter),
+    [stations, filter]
+  );
+
+  // Filtering the shape (not just the layer) makes clusters recount.
   const geojson = useMemo(
-    () => stationsToGeoJSON(stations, selected?.id ?? null),
-    [stations, selected]
+    () => stationsToGeoJSON(visibleStations, selected?.id ?? null),
+    [visibleStations, selected]
   );
 
+  const selectFromList = useCallback((station: NormalizedStation) => {
+    setSelectedId(station.id);
+    cameraRef.current?.setCamera({
+      centerCoordinate: [station.longitude, station.latitude],
+      zoomLevel: 16,
+      animationDuration: 1000,
+    });
+  }, []);
+
+  // Wait for a successful load: a failed first poll says nothing about the id.
+  useEffect(() => {
+    if (!focusStationId || loading || focusHandledRef.current) return;
+    if (error && stations.length === 0) return;
+    focusHandledRef.current = true;
+    const station = findStation(stations, focusStationId);
+    if (!station) {
+      setFocusMissing(true);
+      return;
+    }
+    setSelectedId(station.id);
+    cameraRef.current?.setCamera({
+      centerCoordinate: [station.longitude, station.latitude],
+      zoomLevel: 16,
+      animationDuration: 0,
+    });
+  }, [focusStationId, loading, error, stations]);
+
   const onCameraTarget = useCallback(
     (user: Coords, station: { latitude: number; longitude: number }) => {
       cameraRef.current?.fitBounds(
@@ -59,8 +134,8 @@ export function MapScreen({
       const props = event.features?.[0]?.properties;
       if (!props) return;
       const id = props.id;
-      const station = stations.find((s) => String(s.id) === String(id));
-      if (station) setSelected(station);
+      const station = stations.find((s) => s.id === String(id));
+      if (station) setSelectedId(station.id);
     },
     [stations, variant]
   );
@@ -86,34 +161,27 @@ export function MapScreen({
           id="stations"
           shape={geojson as unknown as GeoJSON.FeatureCollection}
           cluster
-          clusterRadius={25}
-          clusterMaxZoomLevel={22}
+          clusterRadius={STATION_CLUSTER_RADIUS}
+          clusterMaxZoomLevel={STATION_CLUSTER_MAX_ZOOM}
+          clusterProperties={STATION_CLUSTER_PROPERTIES}
           onPress={handleFeaturePress}
         >
           <Mapbox.CircleLayer
             id="clusters"
-            filter={["has", "point_count"]}
+            filter={CLUSTER_FILTER}
             style={{
               circleColor: "#0198FD",
-              circleRadius: [
-                "step",
-                ["get", "point_count"],
-                15,
-                3,
-                20,
-                5,
-                25,
-              ],
+              circleRadius: CLUSTER_CIRCLE_RADIUS as unknown as number,
               circleStrokeWidth: 3,
               circleStrokeColor: "#ffffff",
             }}
           />
           <Mapbox.SymbolLayer
             id="cluster-count"
-            filter={["has", "point_count"]}
+            filter={CLUSTER_FILTER}
             style={{
               textField: ["to-string", ["get", "point_count"]],
-              textSize: ["step", ["get", "point_count"], 14, 10, 16, 30, 18],
+              textSize: CLUSTER_TEXT_SIZE as unknown as number,
               textColor: "#ffffff",
               textHaloColor: "#ffffff",
               textHaloWidth: 1,
@@ -123,31 +191,11 @@ export function MapScreen({
           />
           <Mapbox.SymbolLayer
             id="unclustered-point"
-            filter={["!", ["has", "point_count"]]}
+            filter={stationFilterExpression(filter)}
             style={{
-              iconImage: [
-                "match",
-                ["min", 6, ["to-number", ["coalesce", ["get", "filled_slots"], 6]]],
-                0,
-                "station-icon-0",
-                1,
-                "station-icon-1",
-                2,
-                "station-icon-2",
-                3,
-                "station-icon-3",
-                4,
-                "station-icon-4",
-                5,
-                "station-icon-5",
-                6,
-                "station-icon-6",
-                "station-icon-6",
-              ] as unknown as string,
+              iconImage: STATION_ICON_IMAGE as unknown as string,
               iconSize:
-                variant === "full"
-                  ? (["case", ["get", "selected"], 1.2, 1] as unknown as number)
-                  : 1,
+                variant === "full" ? (SELECTED_ICON_SIZE as unknown as number) : 1,
               iconAllowOverlap: true,
               iconIgnorePlacement: true,
               iconAnchor: "center",
@@ -157,9 +205,34 @@ export function MapScreen({
         <Mapbox.Images images={STATION_ICONS} />
       </Mapbox.MapView>
 
+      {focusMissing && (
+        <View style={styles.notFound} accessibilityRole="alert">
+          <Text style={styles.notFoundText}>
+            That station could not be found. Showing all stations.
+          </Text>
+          <Pressable
+            accessibilityRole="button"
+            accessibilityLabel="Dismiss"
+            hitSlop={8}
+            onPress={() => setFocusMissing(false)}
+          >
+            <Text style={styles.notFoundClose}>×</Text>
+          </Pressable>
+        </View>
+      )}
+
+      {/* Sticker screens show this in the scan modal, which covers the top. */}
+      {degraded && !stickerId && <DegradedBanner showingLastKnown={stations.length > 0} />}
+
       {variant === "full" && (
         <>
-          <StationModal station={selected} onClose={() => setSelected(null)} />
+          <StationFilterControl value={filter} onChange={setFilter} />
+          <StationListSheet
+            stations={visibleStations}
+            userCoords={userCoords}
+            onSelect={selectFromList}
+          />
+          <StationModal station={selected} onClose={() => setSelectedId(null)} />
           <SupportButton stickerId={stickerId} />
         </>
       )}
@@ -167,7 +240,9 @@ export function MapScreen({
       <NearestStationFeature
         stations={stations}
         isStickerPage={!!stickerId}
+        intent={stationIntent(!!stickerId && activeRental)}
         onCameraTarget={onCameraTarget}
+        onUserCoords={setUserCoords}
       />
     </View>
   );
@@ -176,4 +251,19 @@ export function MapScreen({
 const styles = StyleSheet.create({
   root: { flex: 1, backgroundColor: "#000" },
   map: { flex: 1 },
+  notFound: {
+    position: "absolute",
+    top: 164,
+    left: 20,
+    right: 20,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: "#000",
+    borderRadius: 16,
+  },
+  notFoundText: { flex: 1, color: "#fff", fontSize: 14 },
+  notFoundClose: { color: "#fff", fontSize: 20 },
 });
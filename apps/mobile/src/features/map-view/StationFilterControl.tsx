@@ -0,0 +1,56 @@
+import React from "react";
+import { Pressable, StyleSheet, Text, View, ViewStyle } from "react-native";
+import { STATION_FILTERS, type StationFilter } from "@cuub/shared";
+
+export interface StationFilterControlProps {
+  value: StationFilter;
+  onChange: (filter: StationFilter) => void;
+  top?: number;
+}
+
+export function StationFilterControl({ value, onChange, top = 60 }: StationFilterControlProps) {
+  return (
+    <View style={[styles.wrap, { top }]} pointerEvents="box-none">
+      <View style={styles.group} accessibilityRole="radiogroup">
+        {STATION_FILTERS.map((option) => {
+          const active = value === option.value;
+          return (
+            <Pressable
+              key={option.value}
+              style={[styles.option, active && styles.optionActive]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: active }}
+              onPress={() => onChange(option.value)}
+            >
+              <Text style={styles.text}>{option.label}</Text>
+            </Pressable>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrap: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    alignItems: "center",
+  } as ViewStyle,
+  group: {
+    flexDirection: "row",
+    gap: 4,
+    padding: 4,
+    backgroundColor: "#000",
+    borderRadius: 24,
+    shadowColor: "#000",
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 6,
+  },
+  option: { borderRadius: 20, paddingHorizontal: 14, paddingVertical: 8 },
+  optionActive: { backgroundColor: "#0198FD" },
+  text: { color: "#fff", fontSize: 13, fontWeight: "600" },
+});
@@ -0,0 +1,206 @@
+import React, { useMemo, useState } from "react";
+import {
+  FlatList,
+  Modal,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+  ViewStyle,
+} from "react-native";
+import {
+  STATION_SORTS,
+  searchStations,
+  type Coords,
+  type NormalizedStation,
+  type StationListItem,
+  type StationSort,
+} from "@cuub/shared";
+
+export interface StationListSheetProps {
+  stations: NormalizedStation[];
+  userCoords: Coords | null;
+  onSelect: (station: NormalizedStation) => void;
+  top?: number;
+}
+
+function describe(item: StationListItem): string {
+  const parts = [item.title];
+  if (item.distanceText) parts.push(item.distanceText);
+  const { filled_slots, open_slots } = item.station;
+  parts.push(filled_slots === null ? "batteries unknown" : `${filled_slots} batteries`);
+  parts.push(open_slots === null ? "open slots unknown" : `${open_slots} open slots`);
+  return parts.join(", ");
+}
+
+export function StationListSheet({
+  stations,
+  userCoords,
+  onSelect,
+  top = 112,
+}: StationListSheetProps) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState<StationSort>("distance");
+
+  const items = useMemo(
+    () => searchStations(stations, { query, sort, user: userCoords }),
+    [stations, query, sort, userCoords]
+  );
+  const sortOptions = STATION_SORTS.filter((o) => o.value !== "distance" || userCoords);
+  const activeSort = userCoords || sort !== "distance" ? sort : "name";
+
+  const choose = (station: NormalizedStation) => {
+    setOpen(false);
+    onSelect(station);
+  };
+
+  return (
+    <>
+      <View style={[styles.toggleWrap, { top }]} pointerEvents="box-none">
+        <Pressable
+          style={styles.toggle}
+          accessibilityRole="button"
+          accessibilityLabel="Open station list"
+          onPress={() => setOpen(true)}
+        >
+          <Text style={styles.toggleText}>Stations</Text>
+        </Pressable>
+      </View>
+
+      <Modal
+        visible={open}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setOpen(false)}
+      >
+        <View style={styles.sheet} accessibilityViewIsModal>
+          <View style={styles.header}>
+            <Text style={styles.title} accessibilityRole="header">
+              Stations
+            </Text>
+            <Pressable
+              accessibilityRole="button"
+              accessibilityLabel="Close station list"
+              onPress={() => setOpen(false)}
+            >
+              <Text style={styles.close}>×</Text>
+            </Pressable>
+          </View>
+          <TextInput
+            style={styles.search}
+            placeholder="Search stations"
+            placeholderTextColor="#888"
+            accessibilityLabel="Search stations by name"
+            value={query}
+            onChangeText={setQuery}
+            autoCorrect={false}
+            returnKeyType="search"
+            onSubmitEditing={() => items[0] && choose(items[0].station)}
+          />
+          <View style={styles.sorts} accessibilityRole="radiogroup" accessibilityLabel="Sort by">
+            {sortOptions.map((option) => {
+              const active = activeSort === option.value;
+              return (
+                <Pressable
+                  key={option.value}
+                  style={[styles.sort, active && styles.sortActive]}
+                  accessibilityRole="radio"
+                  accessibilityState={{ checked: active }}
+                  onPress={() => setSort(option.value)}
+                >
+                  <Text style={styles.sortText}>{option.label}</Text>
+                </Pressable>
+              );
+            })}
+          </View>
+          <Text style={styles.count} accessibilityLiveRegion="polite">
+            {items.length === 1 ? "1 station" : `${items.length} stations`}
+          </Text>
+          <FlatList
+            data={items}
+            keyExtractor={(item) => item.station.id}
+            keyboardShouldPersistTaps="handled"
+            renderItem={({ item }) => (
+              <Pressable
+                style={styles.row}
+                accessibilityRole="button"
+                accessibilityLabel={describe(item)}
+                accessibilityHint="Shows this station on the map"
+                onPress={() => choose(item.station)}
+              >
+                <Text style={styles.rowTitle}>{item.title}</Text>
+                <View style={styles.rowMeta}>
+                  {item.distanceText && <Text style={styles.rowText}>{item.distanceText}</Text>}
+                  <View style={styles.slot}>
+                    <View style={[styles.dot, styles.dotFilled]} />
+                    <Text style={styles.rowText}>{item.station.filled_slots ?? "?"} filled</Text>
+                  </View>
+                  <View style={styles.slot}>
+                    <View style={[styles.dot, styles.dotOpen]} />
+                    <Text style={styles.rowText}>{item.station.open_slots ?? "?"} open</Text>
+                  </View>
+                </View>
+              </Pressable>
+            )}
+          />
+        </View>
+      </Modal>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  toggleWrap: {
+    position: "absolute",
+    left: 20,
+  } as ViewStyle,
+  toggle: {
+    backgroundColor: "#000",
+    borderRadius: 24,
+    paddingHorizontal: 18,
+    paddingVertical: 12,
+    shadowColor: "#000",
+    shadowOpacity: 0.3,
+    shadowRadius: 12,
+    shadowOffset: { width: 0, height: 4 },
+    elevation: 6,
+  },
+  toggleText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  sheet: {
+    flex: 1,
+    marginTop: 80,
+    backgroundColor: "#000",
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    gap: 12,
+  },
+  header: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
+  title: { color: "#fff", fontSize: 18, fontWeight: "600" },
+  close: { color: "#fff", fontSize: 28, lineHeight: 28 },
+  search: {
+    backgroundColor: "#111",
+    borderColor: "#333",
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    color: "#fff",
+    fontSize: 15,
+  },
+  sorts: { flexDirection: "row", flexWrap: "wrap", gap: 6 },
+  sort: { borderRadius: 16, paddingHorizontal: 12, paddingVertical: 6, backgroundColor: "#111" },
+  sortActive: { backgroundColor: "#0198FD" },
+  sortText: { color: "#fff", fontSize: 12, fontWeight: "600" },
+  count: { color: "#aaa", fontSize: 12 },
+  row: { paddingVertical: 12, borderBottomColor: "#222", borderBottomWidth: 1 },
+  rowTitle: { color: "#fff", fontSize: 15, fontWeight: "600" },
+  rowMeta: { flexDirection: "row", gap: 12, marginTop: 4 },
+  rowText: { color: "#ccc", fontSize: 12 },
+  slot: { flexDirection: "row", alignItems: "center", gap: 4 },
+  dot: { width: 10, height: 10, borderRadius: 5 },
+  dotFilled: { backgroundColor: "#0198FD" },
+  dotOpen: { backgroundColor: "#808080" },
+});
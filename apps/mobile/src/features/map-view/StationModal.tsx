@@ -1,21 +1,17 @@
 import React from "react";
 import { Modal, Pressable, StyleSheet, Text, View } from "react-native";
-import type { Station } from "@cuub/shared";
+import type { NormalizedStation } from "@cuub/shared";
 import { openDirectionsTo } from "@/lib/directions";
 
 export interface StationModalProps {
-  station: Station | null;
+  station: NormalizedStation | null;
   onClose: () => void;
 }
 
-function hasValue(value: unknown): boolean {
-  return value !== null && value !== undefined && value !== "";
-}
-
 export function StationModal({ station, onClose }: StationModalProps) {
   const visible = !!station;
   const showSlots =
-    !!station && (hasValue(station.filled_slots) || hasValue(station.open_slots));
+    !!station && (station.filled_slots !== null || station.open_slots !== null);
 
   return (
     <Modal
@@ -34,9 +30,7 @@ export function StationModal({ station, onClose }: StationModalProps) {
                   <View style={[styles.slotIcon, styles.slotIconFilled]} />
                   <Text style={styles.slotText}>
                     <Text style={styles.slotNumber}>
-                      {hasValue(station?.filled_slots)
-                        ? String(station?.filled_slots)
-                        : 0}
+                      {station?.filled_slots ?? 0}
                     </Text>
                     {"  "}Filled Slots
                   </Text>
@@ -45,9 +39,7 @@ export function StationModal({ station, onClose }: StationModalProps) {
                   <View style={[styles.slotIcon, styles.slotIconOpen]} />
                   <Text style={styles.slotText}>
                     <Text style={styles.slotNumber}>
-                      {hasValue(station?.open_slots)
-                        ? String(station?.open_slots)
-                        : 0}
+                      {station?.open_slots ?? 0}
                     </Text>
                     {"  "}Open Slots
                   </Text>
@@ -8,32 +8,50 @@ import {
   ViewStyle,
 } from "react-native";
 import {
-  pickNearestStation,
+  rankNearestStations,
   type Coords,
-  type NearestStationView,
-  type Station,
+  type NormalizedStation,
+  type RankedNearest,
+  type StationIntent,
 } from "@cuub/shared";
 import { openDirectionsTo } from "@/lib/directions";
 import { useUserLocation } from "./useUserLocation";
 
+const INTENT_COPY: Record<StationIntent, { label: string; fallback: string }> = {
+  rent: {
+    label: "NEAREST STATION TO RENT FROM",
+    fallback: "No nearby station is known to have batteries",
+  },
+  return: {
+    label: "NEAREST STATION TO RETURN TO",
+    fallback: "No nearby station is known to have open slots",
+  },
+};
+
 export interface NearestStationFeatureProps {
-  stations: Station[];
+  stations: NormalizedStation[];
   isStickerPage?: boolean;
+  // "return" while the user has a battery out, otherwise "rent".
+  intent?: StationIntent;
   onCameraTarget?: (
     user: Coords,
     station: { latitude: number; longitude: number }
   ) => void;
   bottom?: number;
+  onUserCoords?: (coords: Coords) => void;
 }
 
 export function NearestStationFeature({
   stations,
   isStickerPage = false,
+  intent = "rent",
   onCameraTarget,
   bottom = 20,
+  onUserCoords,
 }: NearestStationFeatureProps) {
   const [promptOpen, setPromptOpen] = useState(false);
-  const [card, setCard] = useState<NearestStationView | null>(null);
+  const [ranking, setRanking] = useState<RankedNearest | null>(null);
+  const card = ranking?.ranked[0] ?? null;
   const { coords, status, request } = useUserLocation();
 
   useEffect(() => {
@@ -44,18 +62,21 @@ export function NearestStationFeature({
     return () => clearTimeout(t);
   }, [isStickerPage]);
 
+  useEffect(() => {
+    if (coords) onUserCoords?.(coords);
+  }, [coords, onUserCoords]);
+
   useEffect(() => {
     if (!coords || stations.length === 0) return;
-    const result = pickNearestStation(coords, stations);
+    const result = rankNearestStations(coords, stations, intent);
     if (result) {
-      setCard(result);
-      const stationLng = parseFloat(String(result.station.longitude));
-      const stationLat = parseFloat(String(result.station.latitude));
-      if (Number.isFinite(stationLng) && Number.isFinite(stationLat)) {
-        onCameraTarget?.(coords, { latitude: stationLat, longitude: stationLng });
-      }
+      setRanking(result);
+      onCameraTarget?.(coords, {
+        latitude: result.ranked[0].station.latitude,
+        longitude: result.ranked[0].station.longitude,
+      });
     }
-  }, [coords, stations, onCameraTarget]);
+  }, [coords, stations, intent, onCameraTarget]);
 
   const handleAccept = async () => {
     setPromptOpen(false);
@@ -100,11 +121,11 @@ export function NearestStationFeature({
         </Pressable>
       </Modal>
 
-      {card && (
+      {ranking && card && (
         <View style={[styles.card, isStickerPage && styles.cardSticker]}>
           <View style={styles.cardHeader}>
-            <Text style={styles.cardLabel}>NEAREST STATION</Text>
-            <Pressable onPress={() => setCard(null)}>
+            <Text style={styles.cardLabel}>{INTENT_COPY[ranking.intent].label}</Text>
+            <Pressable onPress={() => setRanking(null)}>
               <Text style={styles.cardClose}>×</Text>
             </Pressable>
           </View>
@@ -130,6 +151,9 @@ export function NearestStationFeature({
               </View>
             </View>
           </View>
+          {ranking.fallback && (
+            <Text style={styles.cardNote}>{INTENT_COPY[ranking.intent].fallback}</Text>
+          )}
           {card.isFar && (
             <Text style={styles.cardNote}>Nearest station is far from you</Text>
           )}
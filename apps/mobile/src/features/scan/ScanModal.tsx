@@ -1,81 +1,156 @@
-import React, { useEffect, useState } from "react";
-import { StyleSheet, Text, View, ViewStyle } from "react-native";
-import type { BatteryData } from "@cuub/shared";
+import React, { useEffect, useReducer, useState } from "react";
+import { Pressable, StyleSheet, Text, View, ViewStyle } from "react-native";
+import {
+  DEGRADED_COPY,
+  INITIAL_SCAN_VIEW,
+  SCAN_VIEW_COPY,
+  formatAmountPaid,
+  isScanRentalActive,
+  parseDurationSeconds,
+  rentalCostLines,
+  scanViewDuration,
+  scanViewHasEstimate,
+  scanViewReducer,
+} from "@cuub/shared";
+import { useDegraded } from "@/features/degraded/useDegraded";
 import { cuubClient } from "@/lib/cuubClient";
+import { scanOutbox } from "@/lib/scanOutbox";
+import { scanSessionKey } from "./scanSession";
+import { SizlOffer } from "./SizlOffer";
 import { useDurationTimer } from "./useDurationTimer";
+import { usePricing } from "./usePricing";
+import { useRentalSync } from "./useRentalSync";
 
 export interface ScanModalProps {
   stickerId: string;
+  onRentalChange?: (active: boolean) => void;
 }
 
-export function ScanModal({ stickerId }: ScanModalProps) {
-  const [battery, setBattery] = useState<BatteryData | null>(null);
-  const [returned, setReturned] = useState(false);
-  const [loaded, setLoaded] = useState(false);
+export function ScanModal({ stickerId, onRentalChange }: ScanModalProps) {
+  const [state, dispatch] = useReducer(scanViewReducer, INITIAL_SCAN_VIEW);
+  const [attempt, setAttempt] = useState(0);
+  const degraded = useDegraded();
 
   useEffect(() => {
     let cancelled = false;
+    dispatch({ type: "load" });
     (async () => {
       try {
-        const result = await cuubClient.getBattery(stickerId);
+        const data = await cuubClient.getBattery(stickerId);
         if (cancelled) return;
-        if (result.success && result.data) {
-          setBattery(result.data);
-          const isReturned =
-            result.data.duration &&
-            String(result.data.duration).toLowerCase() === "battery returned";
-          setReturned(!!isReturned);
-          if (result.data.manufacture_id) {
-            cuubClient
-              .createScanRecord(
-                stickerId,
-                String(result.data.manufacture_id),
-                String(result.data.type ?? "type one")
-              )
-              .catch((err) =>
-                console.error("Error creating scan record:", err)
-              );
-          }
-        } else {
-          setBattery(null);
+        dispatch({ type: "loaded", battery: data });
+        // Queued first, so a scan made offline is sent once we're back.
+        if (data.manufacture_id) {
+          scanOutbox
+            .submit({
+              id: scanSessionKey(stickerId),
+              stickerId,
+              manufactureId: String(data.manufacture_id),
+              stickerType: String(data.type ?? "type one"),
+            })
+            .catch((err) => console.error("Error queueing scan record:", err));
         }
       } catch (err) {
         console.error("Error fetching battery data:", err);
-        setBattery(null);
-      } finally {
-        if (!cancelled) setLoaded(true);
+        if (!cancelled) dispatch({ type: "failed", error: err });
       }
     })();
     return () => {
       cancelled = true;
     };
-  }, [stickerId]);
+  }, [stickerId, attempt]);
 
-  const initialDuration =
-    battery && !returned ? String(battery.duration ?? "00:00:00") : null;
-  const duration = useDurationTimer(initialDuration, !returned && !!battery);
+  const rentalActive = isScanRentalActive(state);
+  useRentalSync(stickerId, rentalActive, (battery) =>
+    dispatch({ type: "synced", battery })
+  );
 
-  if (!loaded) return null;
+  useEffect(() => {
+    if (state.status !== "loading") onRentalChange?.(rentalActive);
+  }, [state.status, rentalActive]);
 
-  const showDurationBlock = !!battery;
-  const paid = battery ? `$${battery.amountPaid ?? 0}` : "$4";
+  const initialDuration = scanViewDuration(state);
+  const duration = useDurationTimer(initialDuration, !!initialDuration);
+  const pricing = usePricing();
+  const elapsed = initialDuration ? parseDurationSeconds(duration) : null;
+  const estimate =
+    scanViewHasEstimate(state) && elapsed !== null ? rentalCostLines(elapsed, pricing) : null;
 
   return (
-    <View style={styles.modal}>
-      <View style={styles.content}>
-        {showDurationBlock && (
+    <View
+      style={styles.modal}
+      accessibilityLiveRegion="polite"
+      accessibilityState={{ busy: state.status === "loading" }}
+    >
+      {degraded && <Text style={styles.degraded}>{DEGRADED_COPY.banner}</Text>}
+
+      {state.status === "loading" && (
+        <Text style={styles.message}>{SCAN_VIEW_COPY.loading}</Text>
+      )}
+
+      {state.status === "unknown-sticker" && (
+        <View style={styles.messageBlock}>
+          <Text style={styles.messageTitle}>{SCAN_VIEW_COPY.unknownStickerTitle}</Text>
+          <Text style={styles.messageDetail}>{SCAN_VIEW_COPY.unknownStickerDetail}</Text>
+        </View>
+      )}
+
+      {state.status === "error" && (
+        <View style={styles.messageBlock}>
+          <Text style={styles.messageTitle}>{SCAN_VIEW_COPY.errorTitle}</Text>
+          <Text style={styles.messageDetail}>{SCAN_VIEW_COPY.errorDetail}</Text>
+          <Pressable
+            style={styles.retry}
+            accessibilityRole="button"
+            onPress={() => setAttempt((n) => n + 1)}
+          >
+            <Text style={styles.retryText}>{SCAN_VIEW_COPY.retry}</Text>
+          </Pressable>
+        </View>
+      )}
+
+      {(state.status === "active" ||
+        state.status === "returned" ||
+        state.status === "zero-charge") && (
+        <View style={styles.content}>
           <View style={[styles.info, styles.duration]}>
             <Text style={styles.label}>Duration</Text>
             <Text style={styles.value}>
-              {returned ? "Battery returned" : duration}
+              {initialDuration ? duration : SCAN_VIEW_COPY.returned}
             </Text>
           </View>
-        )}
-        <View style={[styles.info, styles.paid]}>
-          <Text style={styles.label}>Paid</Text>
-          <Text style={styles.value}>{paid}</Text>
+          <View style={[styles.info, styles.paid]}>
+            <Text style={styles.label}>Paid</Text>
+            {state.status === "zero-charge" ? (
+              <Text style={[styles.value, styles.valueMuted]}>{SCAN_VIEW_COPY.zeroCharge}</Text>
+            ) : (
+              <Text style={styles.value}>{formatAmountPaid(state.amountPaid)}</Text>
+            )}
+          </View>
+        </View>
+      )}
+
+      {estimate && (
+        <View style={styles.estimate} accessibilityLabel="Cost estimate">
+          <View style={styles.estimateRow}>
+            <Text style={styles.label}>So far</Text>
+            <Text style={styles.estimateValue}>{estimate.soFar}</Text>
+          </View>
+          {estimate.nextCharge && (
+            <View style={styles.estimateRow}>
+              <Text style={styles.label}>Next charge</Text>
+              <Text style={styles.estimateValue}>{estimate.nextCharge}</Text>
+            </View>
+          )}
+          {estimate.note && <Text style={styles.estimateNote}>{estimate.note}</Text>}
         </View>
-      </View>
+      )}
+
+      {(state.status === "active" ||
+        state.status === "returned" ||
+        state.status === "zero-charge") && (
+        <SizlOffer stickerId={stickerId} battery={state.battery} />
+      )}
     </View>
   );
 }
@@ -93,6 +168,7 @@ const styles = StyleSheet.create({
     borderBottomLeftRadius: 20,
     borderBottomRightRadius: 20,
   } as ViewStyle,
+  degraded: { color: "#fbbf24", fontSize: 14, textAlign: "center", marginBottom: 12 },
   content: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -104,4 +180,28 @@ const styles = StyleSheet.create({
   paid: { alignItems: "flex-end" },
   label: { color: "#808080", fontSize: 14, fontWeight: "500" },
   value: { color: "#fff", fontSize: 24, fontWeight: "600" },
+  valueMuted: { color: "#808080", fontSize: 16 },
+  estimate: {
+    marginTop: 14,
+    paddingTop: 12,
+    borderTopColor: "#222",
+    borderTopWidth: 1,
+    gap: 4,
+  },
+  estimateRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "baseline" },
+  estimateValue: { color: "#fff", fontSize: 15, fontWeight: "600" },
+  estimateNote: { color: "#ccc", fontSize: 13 },
+  message: { color: "#fff", fontSize: 15 },
+  messageBlock: { gap: 6 },
+  messageTitle: { color: "#fff", fontSize: 17, fontWeight: "600" },
+  messageDetail: { color: "#ccc", fontSize: 14 },
+  retry: {
+    alignSelf: "flex-start",
+    marginTop: 6,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: "#0198FD",
+  },
+  retryText: { color: "#fff", fontSize: 14, fontWeight: "600" },
 });
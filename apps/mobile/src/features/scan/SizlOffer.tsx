@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from "react";
+import { Linking, Pressable, StyleSheet, Text, View } from "react-native";
+import {
+  SIZL_COPY,
+  buildSizlUrl,
+  recordSizlRedirect,
+  sizlOfferStatus,
+  type BatteryData,
+} from "@cuub/shared";
+import { cuubClient } from "@/lib/cuubClient";
+import { scanSessionKey } from "./scanSession";
+
+export interface SizlOfferProps {
+  stickerId: string;
+  battery: BatteryData;
+}
+
+// Partner offer on sizl campaign stickers. Accepting records `sizl: true`
+// once (the client and the API route both drop repeats), then opens the
+// partner URL.
+export function SizlOffer({ stickerId, battery }: SizlOfferProps) {
+  const [url, setUrl] = useState<string | null>(null);
+  const [status, setStatus] = useState<"idle" | "accepting" | "dismissed">("idle");
+  const offered = sizlOfferStatus(battery) === "offer";
+
+  useEffect(() => {
+    if (!offered) return;
+    let cancelled = false;
+    cuubClient
+      .getSizlConfig()
+      .then((config) => {
+        if (!cancelled) setUrl(buildSizlUrl(config.url, stickerId));
+      })
+      .catch(() => {
+        /* no offer without a partner URL */
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [offered, stickerId]);
+
+  if (!offered || !url || status === "dismissed") return null;
+
+  const accept = async () => {
+    if (status !== "idle") return;
+    setStatus("accepting");
+    try {
+      await recordSizlRedirect(cuubClient, stickerId, battery, scanSessionKey(stickerId));
+    } catch (err) {
+      // The user asked to go; failing to record it shouldn't keep them here.
+      console.error("Error updating sizl status:", err);
+    }
+    try {
+      await Linking.openURL(url);
+    } catch (err) {
+      console.error("Error opening sizl:", err);
+    }
+    setStatus("dismissed");
+  };
+
+  const accepting = status === "accepting";
+  return (
+    <View style={styles.offer}>
+      <Text style={styles.title}>{SIZL_COPY.title}</Text>
+      <Text style={styles.detail}>{SIZL_COPY.detail}</Text>
+      <View style={styles.actions}>
+        <Pressable
+          style={[styles.accept, accepting && styles.disabled]}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: accepting }}
+          disabled={accepting}
+          onPress={accept}
+        >
+          <Text style={styles.acceptText}>
+            {accepting ? SIZL_COPY.accepting : SIZL_COPY.accept}
+          </Text>
+        </Pressable>
+        <Pressable
+          style={accepting && styles.disabled}
+          accessibilityRole="button"
+          accessibilityState={{ disabled: accepting }}
+          disabled={accepting}
+          onPress={() => setStatus("dismissed")}
+        >
+          <Text style={styles.dismissText}>{SIZL_COPY.dismiss}</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  offer: {
+    marginTop: 14,
+    paddingTop: 12,
+    borderTopColor: "#222",
+    borderTopWidth: 1,
+    gap: 6,
+  },
+  title: { color: "#fff", fontSize: 17, fontWeight: "600" },
+  detail: { color: "#ccc", fontSize: 14 },
+  actions: { flexDirection: "row", alignItems: "center", gap: 16, marginTop: 6 },
+  accept: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: "#0198FD",
+  },
+  acceptText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+  dismissText: { color: "#ccc", fontSize: 14 },
+  disabled: { opacity: 0.6 },
+});
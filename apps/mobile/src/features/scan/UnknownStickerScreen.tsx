@@ -0,0 +1,64 @@
+import React from "react";
+import { Pressable, StyleSheet, Text, View } from "react-native";
+import { useRouter } from "expo-router";
+import { UNKNOWN_STICKER_COPY } from "@cuub/shared";
+import { openSupportSms } from "@/lib/support";
+
+export interface UnknownStickerScreenProps {
+  // What was scanned or typed, passed along to support as-is.
+  typedId: string;
+}
+
+export function UnknownStickerScreen({ typedId }: UnknownStickerScreenProps) {
+  const router = useRouter();
+  return (
+    <View style={styles.screen} accessibilityRole="alert">
+      <Text style={styles.title} accessibilityRole="header">
+        {UNKNOWN_STICKER_COPY.title}
+      </Text>
+      <Text style={styles.detail}>{UNKNOWN_STICKER_COPY.detail}</Text>
+      <Pressable
+        style={styles.primary}
+        accessibilityRole="button"
+        onPress={() => router.replace("/")}
+      >
+        <Text style={styles.buttonText}>{UNKNOWN_STICKER_COPY.map}</Text>
+      </Pressable>
+      <Pressable
+        style={styles.secondary}
+        accessibilityRole="button"
+        onPress={() => openSupportSms(typedId)}
+      >
+        <Text style={styles.buttonText}>{UNKNOWN_STICKER_COPY.support}</Text>
+      </Pressable>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 12,
+    padding: 24,
+    backgroundColor: "#000",
+  },
+  title: { color: "#fff", fontSize: 22, fontWeight: "600", textAlign: "center" },
+  detail: { color: "#ccc", fontSize: 15, textAlign: "center", maxWidth: 360 },
+  primary: {
+    marginTop: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 24,
+    backgroundColor: "#0198FD",
+  },
+  secondary: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 24,
+    borderColor: "#333",
+    borderWidth: 1,
+  },
+  buttonText: { color: "#fff", fontSize: 14, fontWeight: "600" },
+});
@@ -0,0 +1,14 @@
+import { createIdempotencyKey } from "@cuub/shared";
+
+const keys = new Map<string, string>();
+
+// One Idempotency-Key per sticker while the app runs, so reopening the same
+// sticker screen counts as the same scan.
+export function scanSessionKey(stickerId: string): string {
+  let key = keys.get(stickerId);
+  if (!key) {
+    key = createIdempotencyKey();
+    keys.set(stickerId, key);
+  }
+  return key;
+}
@@ -1,44 +1,33 @@
-import { useEffect, useRef, useState } from "react";
-
-function parseDurationToSeconds(durationString: string): number {
-  const parts = durationString.split(":");
-  if (parts.length !== 3) return 0;
-  const hours = parseInt(parts[0], 10) || 0;
-  const minutes = parseInt(parts[1], 10) || 0;
-  const seconds = parseInt(parts[2], 10) || 0;
-  return hours * 3600 + minutes * 60 + seconds;
-}
-
-function formatSecondsToDuration(totalSeconds: number): string {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(
-    2,
-    "0"
-  )}:${String(seconds).padStart(2, "0")}`;
-}
+import { useEffect, useState } from "react";
+import { AppState } from "react-native";
+import { rentalElapsedText, rentalStartedAt } from "@cuub/shared";
 
+// Counts up from `initialDuration`, anchored to when that value arrived: each
+// tick recomputes from the clock, so the time spent with the app in the
+// background shows up as soon as it is active again. A new duration (e.g.
+// from a resync) re-anchors it.
 export function useDurationTimer(
   initialDuration: string | null,
   active: boolean
 ): string {
   const [display, setDisplay] = useState<string>("00:00:00");
-  const totalRef = useRef<number>(0);
 
   useEffect(() => {
     if (!active || !initialDuration) {
-      totalRef.current = 0;
       setDisplay("00:00:00");
       return;
     }
-    totalRef.current = parseDurationToSeconds(initialDuration);
-    setDisplay(formatSecondsToDuration(totalRef.current));
-    const id = setInterval(() => {
-      totalRef.current += 1;
-      setDisplay(formatSecondsToDuration(totalRef.current));
-    }, 1000);
-    return () => clearInterval(id);
+    const startedAt = rentalStartedAt(initialDuration, Date.now());
+    const update = () => setDisplay(rentalElapsedText(startedAt, Date.now()));
+    update();
+    const id = setInterval(update, 1000);
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state === "active") update();
+    });
+    return () => {
+      clearInterval(id);
+      subscription.remove();
+    };
   }, [initialDuration, active]);
 
   return display;
@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+import { DEFAULT_PRICING, type PricingModel } from "@cuub/shared";
+import { cuubClient } from "@/lib/cuubClient";
+
+// Server-configured pricing (CUUB_PRICING), defaults until it loads.
+export function usePricing(): PricingModel {
+  const [pricing, setPricing] = useState<PricingModel>(DEFAULT_PRICING);
+
+  useEffect(() => {
+    let cancelled = false;
+    cuubClient
+      .getPricing()
+      .then((next) => {
+        if (!cancelled) setPricing(next);
+      })
+      .catch(() => {
+        /* keep default */
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return pricing;
+}
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from "react";
+import { AppState } from "react-native";
+import { RentalSync, type BatteryData } from "@cuub/shared";
+import { cuubClient } from "@/lib/cuubClient";
+
+// While `enabled`, re-reads the sticker's battery every RENTAL_RESYNC_MS and
+// whenever the app returns to the foreground.
+export function useRentalSync(
+  stickerId: string,
+  enabled: boolean,
+  onBattery: (battery: BatteryData) => void
+): void {
+  const onBatteryRef = useRef(onBattery);
+  onBatteryRef.current = onBattery;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const sync = new RentalSync({
+      fetchBattery: () => cuubClient.getBattery(stickerId),
+      onBattery: (battery) => onBatteryRef.current(battery),
+      onError: (err) => console.warn("Battery resync failed:", err),
+    });
+    const stop = sync.start();
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state === "active") void sync.resync();
+    });
+    return () => {
+      subscription.remove();
+      stop();
+    };
+  }, [stickerId, enabled]);
+}
@@ -1,32 +1,40 @@
 import { useEffect, useState } from "react";
-import type { Station } from "@cuub/shared";
+import type { NormalizedStation } from "@cuub/shared";
 import { cuubClient } from "@/lib/cuubClient";
 
 export function useStations() {
-  const [stations, setStations] = useState<Station[]>([]);
+  const [stations, setStations] = useState<NormalizedStation[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
   useEffect(() => {
     let cancelled = false;
-    (async () => {
-      try {
-        const result = await cuubClient.getStations();
+    // React Native has no EventSource, so the client polls /api/stations:
+    // the first result is the full list, later ones only fire on changes.
+    const unsubscribe = cuubClient.subscribeStations(
+      (next) => {
         if (cancelled) return;
-        if (result.success && result.data) {
-          setStations(result.data);
-        } else {
-          setError(result.error ?? "Failed to fetch stations");
-        }
-      } catch (err) {
-        if (cancelled) return;
-        setError(err instanceof Error ? err.message : "Failed to fetch stations");
-      } finally {
-        if (!cancelled) setLoading(false);
+        setStations(next);
+        setError(null);
+        setLoading(false);
+      },
+      {
+        onError: (err) => {
+          if (cancelled) return;
+          setError(
+            typeof err === "string"
+              ? err
+              : err instanceof Error
+              ? err.message
+              : "Failed to fetch stations"
+          );
+          setLoading(false);
+        },
       }
-    })();
+    );
     return () => {
       cancelled = true;
+      unsubscribe();
     };
   }, []);
 
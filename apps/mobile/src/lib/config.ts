@@ -6,3 +6,4 @@ export const MAPBOX_ACCESS_TOKEN =
 
 export const SUPPORT_PHONE =
   process.env.EXPO_PUBLIC_SUPPORT_PHONE ?? "+14642377449";
+
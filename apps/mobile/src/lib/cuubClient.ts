@@ -1,4 +1,12 @@
 import { CuubClient } from "@cuub/shared";
 import { CUUB_API_BASE } from "./config";
 
-export const cuubClient = new CuubClient({ baseUrl: CUUB_API_BASE });
+export const cuubClient = new CuubClient({
+  baseUrl: CUUB_API_BASE,
+  onStationsReport: (report) =>
+    console.warn(
+      `Dropped ${report.dropped.length} of ${report.received} stations, ` +
+        `${report.invalidFields.length} invalid fields`,
+      report
+    ),
+});
@@ -0,0 +1,51 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { AppState } from "react-native";
+import { ScanOutbox, type OutboxStorage, type QueuedScan } from "@cuub/shared";
+import { cuubClient } from "./cuubClient";
+
+const STORAGE_KEY = "cuub:scan-outbox";
+
+export const asyncStorageOutbox: OutboxStorage = {
+  async load(): Promise<QueuedScan[]> {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed: unknown = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  },
+  async save(scans: QueuedScan[]): Promise<void> {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(scans));
+  },
+};
+
+export const scanOutbox = new ScanOutbox({
+  storage: asyncStorageOutbox,
+  send: (scan) =>
+    cuubClient.createScanRecord(scan.stickerId, scan.manufactureId, scan.stickerType, {
+      idempotencyKey: scan.id,
+    }),
+});
+
+// Replays queued scans on the backoff schedule, whenever the device gets a
+// connection back (like the web app's "online" listener) and whenever the app
+// comes back to the foreground. Returns a cleanup function.
+export function startScanOutbox(): () => void {
+  const stop = scanOutbox.start();
+  const flush = () => {
+    scanOutbox.flush().catch((err) => console.error("Error flushing scan outbox:", err));
+  };
+  let connected: boolean | null = null;
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    // NetInfo reports the current state on subscribe and on every change;
+    // only going from offline to online is worth a flush.
+    if (state.isConnected && connected === false) flush();
+    connected = state.isConnected;
+  });
+  const subscription = AppState.addEventListener("change", (state) => {
+    if (state === "active") flush();
+  });
+  return () => {
+    unsubscribeNetInfo();
+    subscription.remove();
+    stop();
+  };
+}
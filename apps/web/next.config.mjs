@@ -2,25 +2,7 @@
 const nextConfig = {
   reactStrictMode: true,
   transpilePackages: ["@cuub/shared"],
-  async headers() {
-    return [
-      {
-        source: "/:path*",
-        headers: [
-          { key: "Content-Security-Policy", value: "frame-ancestors *" },
-          { key: "Permissions-Policy", value: "geolocation=*" },
-        ],
-      },
-      {
-        source: "/api/:path*",
-        headers: [
-          { key: "Access-Control-Allow-Origin", value: "*" },
-          { key: "Access-Control-Allow-Methods", value: "GET, POST, PATCH, OPTIONS" },
-          { key: "Access-Control-Allow-Headers", value: "Content-Type, manufacture_id, sticker_type" },
-        ],
-      },
-    ];
-  },
+  // Security and CORS headers are set per request in src/middleware.ts.
   async rewrites() {
     return [
       { source: "/map", destination: "/" },
@@ -0,0 +1,200 @@
+// CUUB map embed client, for pages that put the map in an iframe.
+// Standalone: no build step, include it with a <script> tag.
+//
+// Usage:
+//   <iframe id="cuub" src="https://map.cuub.tech/?embed=1"
+//           allow="geolocation"></iframe>
+//   <script src="https://map.cuub.tech/cuub-embed.js"></script>
+//   const cuub = window.CuubEmbed.connect(document.getElementById('cuub'));
+//   cuub.on('stationSelected', function (e) { console.log(e.station); });
+//   cuub.ready.then(function () { cuub.setFilter('batteries'); });
+//   cuub.getStations().then(function (stations) { ... });
+//
+// Messages are only sent to, and only accepted from, the iframe's origin
+// (or `options.origin`). The page must be on the map's CUUB_FRAME_ANCESTORS
+// allowlist or the map ignores it.
+//
+// Mirrors @cuub/shared/embed (protocol version 1).
+
+(function (global) {
+    'use strict';
+
+    var SOURCE = 'cuub';
+    var VERSION = 1;
+    var PING_INTERVAL_MS = 500;
+    var READY_TIMEOUT_MS = 10000;
+    var REQUEST_TIMEOUT_MS = 10000;
+
+    function iframeOrigin(iframe) {
+        try {
+            return new URL(iframe.src, global.location.href).origin;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function connect(iframe, options) {
+        var opts = options || {};
+        var origin = opts.origin || iframeOrigin(iframe);
+        if (!iframe || !origin) {
+            throw new Error('CuubEmbed.connect needs an iframe with a src (or options.origin)');
+        }
+
+        var listeners = {};
+        var pending = {};
+        var nextRequestId = 1;
+        var destroyed = false;
+        var isReady = false;
+        var pingTimer = null;
+        var readyTimer = null;
+        var resolveReady;
+        var rejectReady;
+        var ready = new Promise(function (resolve, reject) {
+            resolveReady = resolve;
+            rejectReady = reject;
+        });
+        // Don't surface an unhandled rejection if nobody waits on `ready`.
+        ready.catch(function () {});
+
+        function send(type, fields, requestId) {
+            if (destroyed || !iframe.contentWindow) return;
+            var message = { source: SOURCE, version: VERSION, type: type };
+            for (var key in fields) {
+                if (Object.prototype.hasOwnProperty.call(fields, key)) message[key] = fields[key];
+            }
+            if (requestId) message.requestId = requestId;
+            iframe.contentWindow.postMessage(message, origin);
+        }
+
+        // Sends a command whose reply (or error) echoes its requestId.
+        function request(type, fields, replyType) {
+            var requestId = 'cuub-' + nextRequestId++;
+            return new Promise(function (resolve, reject) {
+                var timer = setTimeout(function () {
+                    delete pending[requestId];
+                    reject(new Error('CuubEmbed: ' + type + ' timed out'));
+                }, REQUEST_TIMEOUT_MS);
+                pending[requestId] = { replyType: replyType, resolve: resolve, reject: reject, timer: timer };
+                send(type, fields, requestId);
+            });
+        }
+
+        function emit(type, data) {
+            var handlers = (listeners[type] || []).slice();
+            for (var i = 0; i < handlers.length; i++) {
+                try {
+                    handlers[i](data);
+                } catch (err) {
+                    console.error('[CuubEmbed] listener failed:', err);
+                }
+            }
+        }
+
+        function markReady(data) {
+            if (isReady) return;
+            isReady = true;
+            clearInterval(pingTimer);
+            clearTimeout(readyTimer);
+            resolveReady(data);
+        }
+
+        function onMessage(event) {
+            if (event.source !== iframe.contentWindow || event.origin !== origin) return;
+            var data = event.data;
+            if (!data || typeof data !== 'object' || data.source !== SOURCE) return;
+            if (typeof data.type !== 'string') return;
+
+            // The map may have loaded before this script; a pong means it's up.
+            if (data.type === 'ready' || data.type === 'pong') markReady(data);
+
+            var entry = data.requestId ? pending[data.requestId] : null;
+            if (entry && (data.type === entry.replyType || data.type === 'error')) {
+                clearTimeout(entry.timer);
+                delete pending[data.requestId];
+                if (data.type === 'error') {
+                    var err = new Error(data.message || 'CuubEmbed: request failed');
+                    err.code = data.code;
+                    entry.reject(err);
+                } else {
+                    entry.resolve(data);
+                }
+            }
+            emit(data.type, data);
+        }
+
+        global.addEventListener('message', onMessage);
+
+        pingTimer = setInterval(function () {
+            send('ping', {});
+        }, PING_INTERVAL_MS);
+        send('ping', {});
+        readyTimer = setTimeout(function () {
+            clearInterval(pingTimer);
+            if (!isReady) rejectReady(new Error('CuubEmbed: the map did not answer'));
+        }, READY_TIMEOUT_MS);
+
+        return {
+            ready: ready,
+            on: function (type, handler) {
+                (listeners[type] = listeners[type] || []).push(handler);
+                return this;
+            },
+            off: function (type, handler) {
+                var handlers = listeners[type] || [];
+                var index = handlers.indexOf(handler);
+                if (index !== -1) handlers.splice(index, 1);
+                return this;
+            },
+            // Opens the map's "CUUB near you?" prompt.
+            findNearest: function () {
+                send('findNearest', {});
+            },
+            // Asks for the location without the prompt.
+            requestLocation: function () {
+                send('requestLocation', {});
+            },
+            // Null clears the selection. Rejects for unknown ids.
+            selectStation: function (stationId) {
+                return request('selectStation', { stationId: stationId }, 'stationSelected').then(
+                    function (data) {
+                        return data.station;
+                    }
+                );
+            },
+            // 'all', 'batteries' or 'open'.
+            setFilter: function (filter) {
+                send('setFilter', { filter: filter });
+            },
+            // center: { latitude, longitude }; either may be left out.
+            setView: function (view) {
+                var fields = {};
+                if (view && view.center) fields.center = view.center;
+                if (view && view.zoom !== undefined) fields.zoom = view.zoom;
+                send('setView', fields);
+            },
+            // The stations that pass the map's current filter.
+            getStations: function () {
+                return request('getStations', {}, 'stations').then(function (data) {
+                    return data.stations;
+                });
+            },
+            ping: function () {
+                return request('ping', {}, 'pong').then(function () {});
+            },
+            destroy: function () {
+                destroyed = true;
+                clearInterval(pingTimer);
+                clearTimeout(readyTimer);
+                global.removeEventListener('message', onMessage);
+                for (var id in pending) {
+                    clearTimeout(pending[id].timer);
+                    pending[id].reject(new Error('CuubEmbed: destroyed'));
+                }
+                pending = {};
+                listeners = {};
+            }
+        };
+    }
+
+    global.CuubEmbed = { connect: connect, version: VERSION };
+})(typeof window !== 'undefined' ? window : this);
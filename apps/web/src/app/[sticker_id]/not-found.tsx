@@ -0,0 +1,35 @@
+"use client";
+
+import Link from "next/link";
+import { usePathname } from "next/navigation";
+import { UNKNOWN_STICKER_COPY, buildSupportSmsUrl } from "@cuub/shared";
+import { useSupportPhone } from "@/features/map-view/useSupportPhone";
+
+function typedId(pathname: string | null): string | null {
+  const segment = pathname?.replace(/^\//, "");
+  if (!segment) return null;
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Malformed sticker ids land here instead of the scan page, so junk paths
+// never reach the battery API.
+export default function StickerNotFound() {
+  const phone = useSupportPhone();
+  const smsUrl = buildSupportSmsUrl(phone, typedId(usePathname()));
+  return (
+    <main className="cuub-not-found">
+      <h1>{UNKNOWN_STICKER_COPY.title}</h1>
+      <p>{UNKNOWN_STICKER_COPY.detail}</p>
+      <Link href="/" className="cuub-not-found-link">
+        {UNKNOWN_STICKER_COPY.map}
+      </Link>
+      <a href={smsUrl} className="cuub-not-found-link cuub-not-found-secondary">
+        {UNKNOWN_STICKER_COPY.support}
+      </a>
+    </main>
+  );
+}
@@ -1,19 +1,34 @@
 "use client";
 
-import { Suspense } from "react";
+import { Suspense, useState } from "react";
 import { notFound, useSearchParams } from "next/navigation";
+import { normalizeStickerId, parseStationFilter } from "@cuub/shared";
 import { MapView } from "@/features/map-view/MapView";
 import { ScanModal } from "@/features/scan/ScanModal";
 
-const RESERVED = new Set(["map", "blank", "api", "_next", "favicon.ico"]);
+function decodeSegment(segment: string): string {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
 
 function StickerInner({ stickerId }: { stickerId: string }) {
   const search = useSearchParams();
   const embedMode = search?.get("embed") === "1";
+  const filter = parseStationFilter(search?.get("filter"));
+  const [activeRental, setActiveRental] = useState(false);
   return (
     <>
-      <MapView variant="full" stickerId={stickerId} embedMode={embedMode} />
-      <ScanModal stickerId={stickerId} />
+      <MapView
+        variant="full"
+        stickerId={stickerId}
+        embedMode={embedMode}
+        initialFilter={filter}
+        activeRental={activeRental}
+      />
+      <ScanModal stickerId={stickerId} onRentalChange={setActiveRental} />
     </>
   );
 }
@@ -23,11 +38,10 @@ export default function StickerPage({
 }: {
   params: { sticker_id: string };
 }) {
-  const stickerId = params.sticker_id;
-
-  if (!stickerId || RESERVED.has(stickerId) || stickerId.includes(".")) {
-    notFound();
-  }
+  // Also covers reserved names (api, _next, favicon.ico, ...): none of them
+  // are sticker ids.
+  const stickerId = normalizeStickerId(decodeSegment(params.sticker_id));
+  if (!stickerId) notFound();
 
   return (
     <Suspense fallback={null}>
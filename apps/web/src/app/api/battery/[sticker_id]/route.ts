@@ -1,5 +1,14 @@
 import { NextRequest, NextResponse } from "next/server";
-import { proxyCuub } from "@/lib/cuubApi";
+import {
+  IDEMPOTENCY_HEADER,
+  isValidIdempotencyKey,
+  normalizeStickerId,
+} from "@cuub/shared";
+import { degradedHeaders, lookupManufactureId, proxyCuub } from "@/lib/cuubApi";
+import { scanRecordStore, sizlPatchStore } from "@/lib/idempotencyStore";
+import { instrumentRoute } from "@/lib/instrumentRoute";
+import { logger } from "@/lib/logger";
+import { limitBatteryRequest } from "@/lib/rateLimit";
 
 export const dynamic = "force-dynamic";
 
@@ -7,15 +16,31 @@ interface RouteContext {
   params: { sticker_id: string };
 }
 
-export async function GET(_req: NextRequest, { params }: RouteContext) {
+// Malformed ids never reach upstream.
+function invalidStickerId() {
+  return NextResponse.json(
+    { success: false, error: "Invalid sticker id" },
+    { status: 400 }
+  );
+}
+
+async function getBattery(req: NextRequest, { params }: RouteContext) {
+  const stickerId = normalizeStickerId(params.sticker_id);
+  if (!stickerId) return invalidStickerId();
+  const limited = await limitBatteryRequest(req, stickerId);
+  if (limited) return limited;
+
   try {
-    const { status, payload } = await proxyCuub({
-      path: `/battery/${encodeURIComponent(params.sticker_id)}`,
+    const result = await proxyCuub({
+      path: `/battery/${encodeURIComponent(stickerId)}`,
       method: "GET",
     });
-    return NextResponse.json(payload, { status });
+    return NextResponse.json(result.payload, {
+      status: result.status,
+      headers: degradedHeaders(result),
+    });
   } catch (err) {
-    console.error("Error fetching battery data:", err);
+    logger.error("Error fetching battery data", { err });
     return NextResponse.json(
       { success: false, error: "Failed to fetch battery data" },
       { status: 500 }
@@ -23,24 +48,58 @@ export async function GET(_req: NextRequest, { params }: RouteContext) {
   }
 }
 
-export async function POST(req: NextRequest, { params }: RouteContext) {
+// With an Idempotency-Key, repeats of the same key for the same sticker
+// within CUUB_SCAN_DEDUPE_WINDOW_MS get the first response back instead of
+// creating another scan record. manufacture_id comes from the battery lookup,
+// never from the caller.
+async function createScanRecord(req: NextRequest, { params }: RouteContext) {
+  const stickerId = normalizeStickerId(params.sticker_id);
+  if (!stickerId) return invalidStickerId();
+  const limited = await limitBatteryRequest(req, stickerId);
+  if (limited) return limited;
+
+  const idempotencyKey = req.headers.get(IDEMPOTENCY_HEADER);
+  if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+    return NextResponse.json(
+      { success: false, error: `Invalid ${IDEMPOTENCY_HEADER} header` },
+      { status: 400 }
+    );
+  }
+
   try {
-    const manufactureId = req.headers.get("manufacture_id") || "";
     const stickerType = req.headers.get("sticker_type") || "type one";
 
-    const { status, payload } = await proxyCuub({
-      path: `/battery/${encodeURIComponent(params.sticker_id)}`,
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        manufacture_id: manufactureId,
-        sticker_type: stickerType,
-      },
-      body: JSON.stringify({}),
+    const create = async () => {
+      const lookup = await lookupManufactureId(stickerId);
+      if (!("manufactureId" in lookup)) return lookup;
+      return proxyCuub({
+        path: `/battery/${encodeURIComponent(stickerId)}`,
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          manufacture_id: lookup.manufactureId,
+          sticker_type: stickerType,
+          ...(idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {}),
+        },
+        body: JSON.stringify({}),
+      });
+    };
+
+    if (!idempotencyKey) {
+      const result = await create();
+      return NextResponse.json(result.payload, {
+        status: result.status,
+        headers: degradedHeaders(result),
+      });
+    }
+
+    const result = await scanRecordStore.run(`${stickerId}\n${idempotencyKey}`, create);
+    return NextResponse.json(result.payload, {
+      status: result.status,
+      headers: { "Idempotent-Replayed": String(result.replayed), ...degradedHeaders(result) },
     });
-    return NextResponse.json(payload, { status });
   } catch (err) {
-    console.error("Error creating scan record:", err);
+    logger.error("Error creating scan record", { err });
     return NextResponse.json(
       { success: false, error: "Failed to create scan record" },
       { status: 500 }
@@ -48,25 +107,63 @@ export async function POST(req: NextRequest, { params }: RouteContext) {
   }
 }
 
-export async function PATCH(req: NextRequest, { params }: RouteContext) {
+// With an Idempotency-Key (one per scan session), repeats of the same key for
+// the same sticker within the dedupe window get the first response back, so a
+// double-tapped sizl offer is recorded once.
+async function updateSizl(req: NextRequest, { params }: RouteContext) {
+  const stickerId = normalizeStickerId(params.sticker_id);
+  if (!stickerId) return invalidStickerId();
+  const limited = await limitBatteryRequest(req, stickerId);
+  if (limited) return limited;
+
+  const idempotencyKey = req.headers.get(IDEMPOTENCY_HEADER);
+  if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+    return NextResponse.json(
+      { success: false, error: `Invalid ${IDEMPOTENCY_HEADER} header` },
+      { status: 400 }
+    );
+  }
+
   try {
-    const manufactureId = req.headers.get("manufacture_id") || "";
-
-    const { status, payload } = await proxyCuub({
-      path: `/battery/${encodeURIComponent(params.sticker_id)}`,
-      method: "PATCH",
-      headers: {
-        "Content-Type": "application/json",
-        manufacture_id: manufactureId,
-      },
-      body: JSON.stringify({ sizl: true }),
+    const update = async () => {
+      const lookup = await lookupManufactureId(stickerId);
+      if (!("manufactureId" in lookup)) return lookup;
+      return proxyCuub({
+        path: `/battery/${encodeURIComponent(stickerId)}`,
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          manufacture_id: lookup.manufactureId,
+          ...(idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {}),
+        },
+        body: JSON.stringify({ sizl: true }),
+      });
+    };
+
+    if (!idempotencyKey) {
+      const result = await update();
+      return NextResponse.json(result.payload, {
+        status: result.status,
+        headers: degradedHeaders(result),
+      });
+    }
+
+    const result = await sizlPatchStore.run(`${stickerId}\n${idempotencyKey}`, update);
+    return NextResponse.json(result.payload, {
+      status: result.status,
+      headers: { "Idempotent-Replayed": String(result.replayed), ...degradedHeaders(result) },
     });
-    return NextResponse.json(payload, { status });
   } catch (err) {
-    console.error("Error updating sizl status:", err);
+    logger.error("Error updating sizl status", { err });
     return NextResponse.json(
       { success: false, error: "Failed to update sizl status" },
       { status: 500 }
     );
   }
 }
+
+const ROUTE = "/api/battery/:sticker_id";
+
+export const GET = instrumentRoute(ROUTE, getBattery);
+export const POST = instrumentRoute(ROUTE, createScanRecord);
+export const PATCH = instrumentRoute(ROUTE, updateSizl);
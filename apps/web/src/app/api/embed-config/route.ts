@@ -0,0 +1,13 @@
+import { NextResponse } from "next/server";
+import { parseOriginAllowlist } from "@cuub/shared";
+import { instrumentRoute } from "@/lib/instrumentRoute";
+
+export const dynamic = "force-dynamic";
+
+// Parent origins the embed bridge will talk to: the same allowlist that
+// frame-ancestors enforces.
+export const GET = instrumentRoute("/api/embed-config", async () => {
+  return NextResponse.json({
+    frameAncestors: parseOriginAllowlist(process.env.CUUB_FRAME_ANCESTORS),
+  });
+});
@@ -0,0 +1,10 @@
+import { NextResponse } from "next/server";
+import { livenessReport } from "@/lib/health";
+
+export const dynamic = "force-dynamic";
+
+// Liveness: the process is up and answering. It checks no dependencies, so a
+// failing upstream never gets an instance restarted.
+export async function GET() {
+  return NextResponse.json(livenessReport(), { headers: { "Cache-Control": "no-store" } });
+}
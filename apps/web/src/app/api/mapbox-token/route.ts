@@ -1,8 +1,9 @@
 import { NextResponse } from "next/server";
+import { instrumentRoute } from "@/lib/instrumentRoute";
 
 export const dynamic = "force-dynamic";
 
-export async function GET() {
+export const GET = instrumentRoute("/api/mapbox-token", async () => {
   const token = process.env.MAPBOX_ACCESS_TOKEN;
   if (!token) {
     return NextResponse.json(
@@ -11,4 +12,4 @@ export async function GET() {
     );
   }
   return NextResponse.json({ token });
-}
+});
@@ -0,0 +1,19 @@
+import { NextRequest, NextResponse } from "next/server";
+import { metrics } from "@/lib/metrics";
+
+export const dynamic = "force-dynamic";
+
+// Prometheus scrape target. With CUUB_METRICS_TOKEN set, scrapers must send
+// it as a bearer token.
+export async function GET(req: NextRequest) {
+  const token = process.env.CUUB_METRICS_TOKEN;
+  if (token && req.headers.get("authorization") !== `Bearer ${token}`) {
+    return NextResponse.json({ success: false, error: "Unauthorized" }, { status: 401 });
+  }
+  return new NextResponse(metrics.render(), {
+    headers: {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Cache-Control": "no-store",
+    },
+  });
+}
@@ -0,0 +1,9 @@
+import { NextResponse } from "next/server";
+import { parsePricing } from "@cuub/shared";
+import { instrumentRoute } from "@/lib/instrumentRoute";
+
+export const dynamic = "force-dynamic";
+
+export const GET = instrumentRoute("/api/pricing", async () => {
+  return NextResponse.json(parsePricing(process.env.CUUB_PRICING));
+});
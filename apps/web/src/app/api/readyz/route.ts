@@ -0,0 +1,16 @@
+import { NextRequest, NextResponse } from "next/server";
+import { readinessReport } from "@/lib/health";
+
+export const dynamic = "force-dynamic";
+
+// Readiness: required env is in place, and with ?probe=upstream the CUUB API
+// answers too. 503 when any check fails.
+export async function GET(req: NextRequest) {
+  const report = await readinessReport({
+    probeUpstream: req.nextUrl.searchParams.get("probe") === "upstream",
+  });
+  return NextResponse.json(report, {
+    status: report.status === "ok" ? 200 : 503,
+    headers: { "Cache-Control": "no-store" },
+  });
+}
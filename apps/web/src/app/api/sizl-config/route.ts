@@ -0,0 +1,9 @@
+import { NextResponse } from "next/server";
+import { instrumentRoute } from "@/lib/instrumentRoute";
+
+export const dynamic = "force-dynamic";
+
+// The sizl partner URL; null leaves the offer off.
+export const GET = instrumentRoute("/api/sizl-config", async () => {
+  return NextResponse.json({ url: process.env.CUUB_SIZL_URL || null });
+});
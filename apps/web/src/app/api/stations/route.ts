@@ -1,20 +1,35 @@
-import { NextResponse } from "next/server";
-import { proxyCuub } from "@/lib/cuubApi";
+import { NextRequest, NextResponse } from "next/server";
+import { instrumentRoute } from "@/lib/instrumentRoute";
+import { logger } from "@/lib/logger";
+import { degradedHeaders } from "@/lib/cuubApi";
+import { etagMatches, stationsCache, type CachedStations } from "@/lib/stationsCache";
 
 export const dynamic = "force-dynamic";
 
-export async function GET() {
+function cacheHeaders(result: CachedStations): Record<string, string> {
+  const headers: Record<string, string> = {
+    "Cache-Control": "no-cache",
+    "X-Cuub-Cache": result.cacheStatus,
+    Age: String(result.ageSeconds),
+    ...degradedHeaders(result),
+  };
+  if (result.etag) headers.ETag = result.etag;
+  return headers;
+}
+
+export const GET = instrumentRoute("/api/stations", async (req: NextRequest) => {
   try {
-    const { status, payload } = await proxyCuub({
-      path: "/stations",
-      method: "GET",
-    });
-    return NextResponse.json(payload, { status });
+    const result = await stationsCache.get();
+    const headers = cacheHeaders(result);
+    if (etagMatches(req.headers.get("if-none-match"), result.etag)) {
+      return new NextResponse(null, { status: 304, headers });
+    }
+    return NextResponse.json(result.payload, { status: result.status, headers });
   } catch (err) {
-    console.error("Error fetching stations:", err);
+    logger.error("Error fetching stations", { err });
     return NextResponse.json(
       { success: false, error: "Failed to fetch stations" },
       { status: 500 }
     );
   }
-}
+});
@@ -0,0 +1,59 @@
+import { NextRequest } from "next/server";
+import type { StationsStreamEvent } from "@cuub/shared";
+import { instrumentRoute } from "@/lib/instrumentRoute";
+import { stationsStream } from "@/lib/stationsStream";
+
+export const dynamic = "force-dynamic";
+
+const KEEP_ALIVE_MS = 25000;
+
+// Counted and logged when the stream opens; its duration is time to the
+// first byte, not how long the client stayed connected.
+export const GET = instrumentRoute("/api/stations/stream", async (req: NextRequest) => {
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      const write = (chunk: string) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          cleanup();
+        }
+      };
+      const send = (event: StationsStreamEvent) =>
+        write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+      write("retry: 5000\n\n");
+      const unsubscribe = stationsStream.subscribe(send);
+      const keepAlive = setInterval(() => write(": keep-alive\n\n"), KEEP_ALIVE_MS);
+
+      let closed = false;
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(keepAlive);
+        unsubscribe();
+        try {
+          controller.close();
+        } catch {
+          /* already closed */
+        }
+      };
+      req.signal.addEventListener("abort", () => cleanup());
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+});
@@ -1,8 +1,9 @@
 import { NextResponse } from "next/server";
+import { instrumentRoute } from "@/lib/instrumentRoute";
 
 export const dynamic = "force-dynamic";
 
-export async function GET() {
+export const GET = instrumentRoute("/api/support-phone", async () => {
   const phone = process.env.CUUB_SUPPORT_PHONE || "+14642377449";
   return NextResponse.json({ phone });
-}
+});
@@ -1,8 +1,12 @@
 import type { Metadata, Viewport } from "next";
 import "mapbox-gl/dist/mapbox-gl.css";
 import "./globals.css";
+import { ScanOutboxRunner } from "@/features/scan/ScanOutboxRunner";
 
 export const metadata: Metadata = {
+  metadataBase: process.env.CUUB_PUBLIC_URL
+    ? new URL(process.env.CUUB_PUBLIC_URL)
+    : undefined,
   title: "CUUB Map Service",
   description: "CUUB battery station map and scan service",
   referrer: "strict-origin-when-cross-origin",
@@ -32,7 +36,10 @@ export default function RootLayout({
           rel="stylesheet"
         />
       </head>
-      <body>{children}</body>
+      <body>
+        {children}
+        <ScanOutboxRunner />
+      </body>
     </html>
   );
 }
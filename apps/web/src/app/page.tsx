@@ -2,12 +2,14 @@
 
 import { Suspense } from "react";
 import { useSearchParams } from "next/navigation";
+import { parseStationFilter } from "@cuub/shared";
 import { MapView } from "@/features/map-view/MapView";
 
 function HomeInner() {
   const search = useSearchParams();
   const embedMode = search?.get("embed") === "1";
-  return <MapView variant="full" embedMode={embedMode} />;
+  const filter = parseStationFilter(search?.get("filter"));
+  return <MapView variant="full" embedMode={embedMode} initialFilter={filter} />;
 }
 
 export default function Home() {
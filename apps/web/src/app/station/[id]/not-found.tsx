@@ -0,0 +1,13 @@
+import Link from "next/link";
+
+export default function StationNotFound() {
+  return (
+    <main className="cuub-not-found">
+      <h1>Station not found</h1>
+      <p>This CUUB station link is out of date or the station has been removed.</p>
+      <Link href="/" className="cuub-not-found-link">
+        Find a station on the map
+      </Link>
+    </main>
+  );
+}
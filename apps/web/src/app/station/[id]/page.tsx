@@ -0,0 +1,54 @@
+import type { Metadata } from "next";
+import { notFound } from "next/navigation";
+import {
+  parseStationFilter,
+  stationAvailabilityText,
+  stationPath,
+  stationShareTitle,
+} from "@cuub/shared";
+import { MapView } from "@/features/map-view/MapView";
+import { lookupStation } from "@/lib/stationLookup";
+
+export const dynamic = "force-dynamic";
+
+interface StationPageProps {
+  params: { id: string };
+  searchParams: { embed?: string; filter?: string };
+}
+
+export async function generateMetadata({ params }: StationPageProps): Promise<Metadata> {
+  const lookup = await lookupStation(params.id);
+  if (lookup.status === "not-found") return { title: "Station not found · CUUB" };
+  if (lookup.status === "unavailable") return { title: "CUUB Map" };
+
+  const title = stationShareTitle(lookup.station);
+  const description = stationAvailabilityText(lookup.station);
+  return {
+    title,
+    description,
+    openGraph: {
+      type: "website",
+      siteName: "CUUB",
+      title,
+      description,
+      url: stationPath(lookup.station.id),
+    },
+    twitter: { card: "summary", title, description },
+  };
+}
+
+// The station is checked on the server so unknown ids get a real 404. When
+// upstream is down the map still renders and MapView does the check itself.
+export default async function StationPage({ params, searchParams }: StationPageProps) {
+  const lookup = await lookupStation(params.id);
+  if (lookup.status === "not-found") notFound();
+
+  return (
+    <MapView
+      variant="full"
+      focusStationId={params.id}
+      embedMode={searchParams.embed === "1"}
+      initialFilter={parseStationFilter(searchParams.filter)}
+    />
+  );
+}
@@ -0,0 +1,19 @@
+"use client";
+
+import { DEGRADED_COPY } from "@cuub/shared";
+
+export interface DegradedBannerProps {
+  // Set when last known stations are on the map.
+  showingLastKnown?: boolean;
+}
+
+export function DegradedBanner({ showingLastKnown = false }: DegradedBannerProps) {
+  return (
+    <div className="degraded-banner" role="status">
+      <span>
+        {DEGRADED_COPY.banner}
+        {showingLastKnown && `. ${DEGRADED_COPY.stationsDetail}`}
+      </span>
+    </div>
+  );
+}
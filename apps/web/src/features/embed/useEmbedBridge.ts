@@ -0,0 +1,107 @@
+"use client";
+
+import { useCallback, useEffect, useRef } from "react";
+import {
+  DEFAULT_ALLOWED_ORIGINS,
+  createEmbedMessage,
+  isOriginAllowed,
+  parseEmbedCommand,
+  type EmbedCommand,
+  type EmbedEvent,
+} from "@cuub/shared";
+
+export type EmbedCommandHandler = (command: EmbedCommand, requestId?: string) => void;
+
+function isFramed(): boolean {
+  try {
+    return window.parent !== window;
+  } catch {
+    return true;
+  }
+}
+
+// Where the embedding page says it is, before it has sent anything.
+function claimedParentOrigin(): string | null {
+  const ancestor = window.location.ancestorOrigins?.[0];
+  if (ancestor) return ancestor;
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch {
+    return null;
+  }
+}
+
+// The map's side of the embed protocol (@cuub/shared/embed). Only the parent
+// window is listened to, and only while its origin is on the frame-ancestors
+// allowlist; events are posted to that origin alone, never "*". Pings are
+// answered here; everything else goes to `onCommand`.
+export function useEmbedBridge(
+  onCommand: EmbedCommandHandler,
+  options: { geolocation: boolean }
+): (event: EmbedEvent, requestId?: string) => void {
+  const onCommandRef = useRef(onCommand);
+  onCommandRef.current = onCommand;
+  const parentOriginRef = useRef<string | null>(null);
+
+  const post = useCallback((event: EmbedEvent, requestId?: string) => {
+    const origin = parentOriginRef.current;
+    if (!origin) return;
+    try {
+      window.parent.postMessage(createEmbedMessage(event, requestId), origin);
+    } catch {
+      /* parent went away */
+    }
+  }, []);
+
+  const { geolocation } = options;
+  useEffect(() => {
+    if (!isFramed()) return;
+    let cancelled = false;
+    let allowlist: readonly string[] | null = null;
+    const trusted = (origin: string) =>
+      origin === window.location.origin || (!!allowlist && isOriginAllowed(origin, allowlist));
+    const adopt = (origin: string) => {
+      if (parentOriginRef.current) return;
+      parentOriginRef.current = origin;
+      post({ type: "ready", geolocation });
+    };
+
+    fetch("/api/embed-config")
+      .then((res) => res.json())
+      .then((data: { frameAncestors?: string[] }) => data.frameAncestors ?? DEFAULT_ALLOWED_ORIGINS)
+      .catch(() => DEFAULT_ALLOWED_ORIGINS)
+      .then((list) => {
+        if (cancelled) return;
+        allowlist = list;
+        const claimed = claimedParentOrigin();
+        if (claimed && trusted(claimed)) adopt(claimed);
+      });
+
+    function onMessage(event: MessageEvent) {
+      if (event.source !== window.parent || !allowlist) return;
+      const parsed = parseEmbedCommand(event.data);
+      if (!parsed.ok && parsed.ignore) return;
+      if (!trusted(event.origin)) {
+        console.warn("[CuubEmbed] Ignoring message from", event.origin);
+        return;
+      }
+      if (parentOriginRef.current && parentOriginRef.current !== event.origin) return;
+      adopt(event.origin);
+
+      if (!parsed.ok) {
+        post({ type: "error", code: parsed.code, message: parsed.message }, parsed.requestId);
+      } else if (parsed.command.type === "ping") {
+        post({ type: "pong" }, parsed.requestId);
+      } else {
+        onCommandRef.current(parsed.command, parsed.requestId);
+      }
+    }
+    window.addEventListener("message", onMessage);
+    return () => {
+      cancelled = true;
+      window.removeEventListener("message", onMessage);
+    };
+  }, [geolocation, post]);
+
+  return post;
+}
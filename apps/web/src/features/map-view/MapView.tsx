@@ -1,14 +1,42 @@
 "use client";
 
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import type mapboxgl from "mapbox-gl";
-import type { Station } from "@cuub/shared";
+import {
+  CLUSTER_CIRCLE_RADIUS,
+  CLUSTER_FILTER,
+  CLUSTER_TEXT_SIZE,
+  SELECTED_ICON_SIZE,
+  STATION_CLUSTER_MAX_ZOOM,
+  STATION_CLUSTER_PROPERTIES,
+  STATION_CLUSTER_RADIUS,
+  STATION_ICON_IMAGE,
+  applyStationsDiffToGeoJSON,
+  filterStations,
+  findStation,
+  stationFilterExpression,
+  stationIntent,
+  stationsToGeoJSON,
+  type Coords,
+  type EmbedCommand,
+  type NormalizedStation,
+  type StationFilter,
+  type StationsGeoJSON,
+} from "@cuub/shared";
 import { cuubClient } from "@/lib/cuubClient";
-import { stationsToGeoJSON } from "./stationsToGeoJSON";
 import { loadStationIcons } from "./loadStationIcons";
+import { StationFilterControl } from "./StationFilterControl";
+import { StationListPanel } from "./StationListPanel";
 import { StationModal } from "./StationModal";
 import { SupportButton } from "./SupportButton";
-import { NearestStationFeature } from "@/features/nearest/NearestStationFeature";
+import { DegradedBanner } from "@/features/degraded/DegradedBanner";
+import { useDegraded } from "@/features/degraded/useDegraded";
+import { useEmbedBridge } from "@/features/embed/useEmbedBridge";
+import {
+  NearestStationFeature,
+  type LocationResult,
+  type NearestStationHandle,
+} from "@/features/nearest/NearestStationFeature";
 
 type MapboxModule = typeof mapboxgl;
 
@@ -16,21 +44,35 @@ export interface MapViewProps {
   variant?: "full" | "blank";
   stickerId?: string | null;
   embedMode?: boolean;
+  initialFilter?: StationFilter;
+  // Set by the sticker page once it knows the battery is out.
+  activeRental?: boolean;
+  // /station/:id: select and center this station once stations load.
+  focusStationId?: string | null;
 }
 
 export function MapView({
   variant = "full",
   stickerId = null,
   embedMode = false,
+  initialFilter = "all",
+  activeRental = false,
+  focusStationId = null,
 }: MapViewProps) {
   const containerRef = useRef<HTMLDivElement | null>(null);
   const mapRef = useRef<mapboxgl.Map | null>(null);
   const [map, setMap] = useState<mapboxgl.Map | null>(null);
   const [mapboxgl, setMapboxgl] = useState<MapboxModule | null>(null);
 
-  const [stations, setStations] = useState<Station[]>([]);
-  const [selectedStation, setSelectedStation] = useState<Station | null>(null);
+  const [stations, setStations] = useState<NormalizedStation[]>([]);
+  const [stationsLoaded, setStationsLoaded] = useState(false);
+  const [focusMissing, setFocusMissing] = useState(false);
+  const focusHandledRef = useRef(false);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [filter, setFilter] = useState<StationFilter>(initialFilter);
+  const [userCoords, setUserCoords] = useState<Coords | null>(null);
   const [modalHeight, setModalHeight] = useState<number>(0);
+  const degraded = useDegraded();
 
   useEffect(() => {
     let cancelled = false;
@@ -71,24 +113,76 @@ export function MapView({
     };
   }, []);
 
+  // What the "stations" source shows. Kept here so a stream diff can patch
+  // it, and so the source starts from it once the layers are added.
+  const geojsonRef = useRef<StationsGeoJSON>(stationsToGeoJSON([]));
+  const stationsRef = useRef<NormalizedStation[]>([]);
+  const filterRef = useRef(filter);
+  filterRef.current = filter;
+  const selectedIdRef = useRef(selectedId);
+  selectedIdRef.current = selectedId;
+
+  const showStations = useCallback(
+    (geojson: StationsGeoJSON) => {
+      geojsonRef.current = geojson;
+      const source = map?.getSource("stations") as mapboxgl.GeoJSONSource | undefined;
+      source?.setData(geojson as unknown as GeoJSON.FeatureCollection);
+    },
+    [map]
+  );
+
   useEffect(() => {
     if (!map) return;
     let cancelled = false;
-    (async () => {
-      const result = await cuubClient.getStations();
-      if (cancelled) return;
-      if (result.success && result.data) {
-        setStations(result.data);
-      } else {
-        console.error("Failed to fetch stations:", result);
-      }
-    })();
+    // Live slot counts: the stream sends a snapshot (the initial load, built
+    // in full), then diffs, which replace only the features of the stations
+    // they name.
+    const unsubscribe = cuubClient.subscribeStations(
+      (next, diff) => {
+        if (cancelled) return;
+        stationsRef.current = next;
+        setStations(next);
+        setStationsLoaded(true);
+        showStations(
+          diff
+            ? applyStationsDiffToGeoJSON(
+                geojsonRef.current,
+                diff,
+                filterRef.current,
+                selectedIdRef.current
+              )
+            : stationsToGeoJSON(filterStations(next, filterRef.current), selectedIdRef.current)
+        );
+      },
+      { onError: (err) => console.warn("Stations stream error:", err) }
+    );
     return () => {
       cancelled = true;
+      unsubscribe();
     };
-  }, [map]);
+  }, [map, showStations]);
 
-  const selectedId = selectedStation?.id ?? null;
+  // A new filter or selection can touch any feature, so it rebuilds them all.
+  // Slot count updates don't come through here.
+  useEffect(() => {
+    showStations(
+      stationsToGeoJSON(filterStations(stationsRef.current, filter), selectedId)
+    );
+  }, [showStations, filter, selectedId]);
+
+  const visibleStations = useMemo(
+    () => filterStations(stations, filter),
+    [stations, filter]
+  );
+
+  // Looked up by id so the modal shows the latest slot counts after updates.
+  const selectedStation = useMemo(
+    () =>
+      selectedId === null
+        ? null
+        : stations.find((s) => s.id === selectedId) ?? null,
+    [stations, selectedId]
+  );
 
   useEffect(() => {
     if (!map || !mapboxgl) return;
@@ -98,28 +192,29 @@ export function MapView({
       await loadStationIcons(map);
       if (removed) return;
 
-      const geojson = stationsToGeoJSON(stations, selectedId);
+      const geojson = geojsonRef.current as unknown as GeoJSON.FeatureCollection;
       const existingSource = map.getSource("stations") as
         | mapboxgl.GeoJSONSource
         | undefined;
       if (existingSource) {
-        existingSource.setData(geojson as unknown as GeoJSON.FeatureCollection);
+        existingSource.setData(geojson);
         return;
       }
 
       map.addSource("stations", {
         type: "geojson",
-        data: geojson as unknown as GeoJSON.FeatureCollection,
+        data: geojson,
         cluster: true,
-        clusterMaxZoom: 22,
-        clusterRadius: 25,
+        clusterMaxZoom: STATION_CLUSTER_MAX_ZOOM,
+        clusterRadius: STATION_CLUSTER_RADIUS,
+        clusterProperties: STATION_CLUSTER_PROPERTIES,
       });
 
       map.addLayer({
         id: "clusters",
         type: "circle",
         source: "stations",
-        filter: ["has", "point_count"],
+        filter: CLUSTER_FILTER as mapboxgl.Expression,
         paint: {
           "circle-color": [
             "step",
@@ -130,15 +225,7 @@ export function MapView({
             30,
             "#0198FD",
           ],
-          "circle-radius": [
-            "step",
-            ["get", "point_count"],
-            15,
-            3,
-            20,
-            5,
-            25,
-          ],
+          "circle-radius": CLUSTER_CIRCLE_RADIUS as mapboxgl.Expression,
           "circle-stroke-width": 3,
           "circle-stroke-color": "#ffffff",
           "circle-stroke-opacity": 1,
@@ -151,10 +238,10 @@ export function MapView({
         id: "cluster-count",
         type: "symbol",
         source: "stations",
-        filter: ["has", "point_count"],
+        filter: CLUSTER_FILTER as mapboxgl.Expression,
         layout: {
           "text-field": ["to-string", ["get", "point_count"]],
-          "text-size": ["step", ["get", "point_count"], 14, 10, 16, 30, 18],
+          "text-size": CLUSTER_TEXT_SIZE as mapboxgl.Expression,
           "text-allow-overlap": true,
           "text-ignore-placement": true,
         },
@@ -169,31 +256,11 @@ export function MapView({
         id: "unclustered-point",
         type: "symbol",
         source: "stations",
-        filter: ["!", ["has", "point_count"]],
+        filter: stationFilterExpression(filter) as mapboxgl.Expression,
         layout: {
-          "icon-image": [
-            "match",
-            ["min", 6, ["to-number", ["coalesce", ["get", "filled_slots"], 6]]],
-            0,
-            "station-icon-0",
-            1,
-            "station-icon-1",
-            2,
-            "station-icon-2",
-            3,
-            "station-icon-3",
-            4,
-            "station-icon-4",
-            5,
-            "station-icon-5",
-            6,
-            "station-icon-6",
-            "station-icon-6",
-          ],
+          "icon-image": STATION_ICON_IMAGE as mapboxgl.Expression,
           "icon-size":
-            variant === "full"
-              ? (["case", ["get", "selected"], 1.2, 1] as unknown as number)
-              : 1,
+            variant === "full" ? (SELECTED_ICON_SIZE as mapboxgl.Expression) : 1,
           "icon-allow-overlap": true,
           "icon-ignore-placement": true,
         },
@@ -219,9 +286,9 @@ export function MapView({
         if (variant !== "full") return;
         const props = e.features?.[0]?.properties ?? {};
         const station = stationsRef.current.find(
-          (s) => String(s.id) === String(props.id)
+          (s) => s.id === String(props.id)
         );
-        if (station) setSelectedStation(station);
+        if (station) setSelectedId(station.id);
       };
 
       const onBackgroundClick = (e: mapboxgl.MapMouseEvent) => {
@@ -229,7 +296,7 @@ export function MapView({
         const features = map.queryRenderedFeatures(e.point, {
           layers: ["clusters", "unclustered-point"],
         });
-        if (features.length === 0) setSelectedStation(null);
+        if (features.length === 0) setSelectedId(null);
       };
 
       const cursorOn = () => (map.getCanvas().style.cursor = "pointer");
@@ -253,18 +320,124 @@ export function MapView({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [map, mapboxgl, variant]);
 
-  const stationsRef = useRef<Station[]>([]);
+  // The source data above is already filtered (so clusters recount); the
+  // layer filter keeps unclustered points in step while setData catches up.
+  useEffect(() => {
+    if (!map || !map.getLayer("unclustered-point")) return;
+    map.setFilter("unclustered-point", stationFilterExpression(filter) as mapboxgl.Expression);
+  }, [map, filter]);
+
+  // Only the first successful load counts, so a station that later drops out
+  // of the feed doesn't bounce the camera or flag the link as broken.
+  useEffect(() => {
+    if (!map || !focusStationId || !stationsLoaded || focusHandledRef.current) return;
+    focusHandledRef.current = true;
+    const station = findStation(stations, focusStationId);
+    if (!station) {
+      setFocusMissing(true);
+      return;
+    }
+    setSelectedId(station.id);
+    map.jumpTo({ center: [station.longitude, station.latitude], zoom: 16 });
+  }, [map, focusStationId, stationsLoaded, stations]);
+
+  const selectFromList = (station: NormalizedStation) => {
+    setSelectedId(station.id);
+    map?.flyTo({
+      center: [station.longitude, station.latitude],
+      zoom: Math.max(map.getZoom(), 16),
+      essential: true,
+    });
+  };
+
+  const nearestRef = useRef<NearestStationHandle | null>(null);
+  const reportedSelectionRef = useRef<string | null>(null);
+  const visibleStationsRef = useRef(visibleStations);
+  visibleStationsRef.current = visibleStations;
+
+  const postEmbed = useEmbedBridge(
+    (command: EmbedCommand, requestId?: string) => {
+      switch (command.type) {
+        case "findNearest":
+          nearestRef.current?.openPrompt();
+          break;
+        case "requestLocation":
+          nearestRef.current?.requestLocation();
+          break;
+        case "selectStation": {
+          const station =
+            command.stationId === null ? null : findStation(stationsRef.current, command.stationId);
+          if (command.stationId !== null && !station) {
+            postEmbed(
+              {
+                type: "error",
+                code: "unknownStation",
+                message: `No station with id ${command.stationId}`,
+              },
+              requestId
+            );
+            break;
+          }
+          // Answered here so the reply carries the requestId; the effect
+          // below then has nothing new to report.
+          reportedSelectionRef.current = station?.id ?? null;
+          if (station) selectFromList(station);
+          else setSelectedId(null);
+          postEmbed({ type: "stationSelected", station }, requestId);
+          break;
+        }
+        case "setFilter":
+          setFilter(command.filter);
+          break;
+        case "setView":
+          map?.easeTo({
+            ...(command.center && {
+              center: [command.center.longitude, command.center.latitude],
+            }),
+            ...(command.zoom !== undefined && { zoom: command.zoom }),
+          });
+          break;
+        case "getStations":
+          postEmbed({ type: "stations", stations: visibleStationsRef.current }, requestId);
+          break;
+      }
+    },
+    { geolocation: typeof navigator !== "undefined" && "geolocation" in navigator }
+  );
+
+  // Only changes are reported, not the empty selection the map starts with.
+  useEffect(() => {
+    if (selectedId === reportedSelectionRef.current) return;
+    reportedSelectionRef.current = selectedId;
+    postEmbed({
+      type: "stationSelected",
+      station: selectedId === null ? null : findStation(stationsRef.current, selectedId),
+    });
+  }, [selectedId, postEmbed]);
+
   useEffect(() => {
-    stationsRef.current = stations;
     if (!map) return;
-    const source = map.getSource("stations") as
-      | mapboxgl.GeoJSONSource
-      | undefined;
-    if (!source) return;
-    source.setData(
-      stationsToGeoJSON(stations, selectedId) as unknown as GeoJSON.FeatureCollection
-    );
-  }, [stations, selectedId, map]);
+    const onMoveEnd = () => {
+      const center = map.getCenter();
+      postEmbed({
+        type: "mapMoved",
+        center: { latitude: center.lat, longitude: center.lng },
+        zoom: Math.round(map.getZoom() * 100) / 100,
+      });
+    };
+    map.on("moveend", onMoveEnd);
+    return () => {
+      map.off("moveend", onMoveEnd);
+    };
+  }, [map, postEmbed]);
+
+  const onLocationResult = useCallback(
+    (result: LocationResult) => {
+      if ("coords" in result) postEmbed({ type: "locationGranted", coords: result.coords });
+      else postEmbed({ type: "locationDenied", reason: result.denied });
+    },
+    [postEmbed]
+  );
 
   const triggerBottomPx = useMemo(() => {
     if (variant !== "full") return 20;
@@ -274,11 +447,35 @@ export function MapView({
   return (
     <>
       <div ref={containerRef} className="cuub-map" id="map" />
+      {focusMissing && (
+        <div className="station-not-found-banner" role="alert">
+          <span>That station could not be found. Showing all stations.</span>
+          <button
+            type="button"
+            aria-label="Dismiss"
+            onClick={() => setFocusMissing(false)}
+          >
+            ×
+          </button>
+        </div>
+      )}
+      {/* Sticker pages show this in the scan modal, which covers the top. */}
+      {degraded && !stickerId && <DegradedBanner showingLastKnown={stations.length > 0} />}
+      {variant === "full" && !embedMode && (
+        <>
+          <StationFilterControl value={filter} onChange={setFilter} />
+          <StationListPanel
+            stations={visibleStations}
+            userCoords={userCoords}
+            onSelect={selectFromList}
+          />
+        </>
+      )}
       {variant === "full" && (
         <>
           <StationModal
             station={selectedStation}
-            onClose={() => setSelectedStation(null)}
+            onClose={() => setSelectedId(null)}
             onHeightChange={setModalHeight}
           />
           <SupportButton
@@ -288,13 +485,17 @@ export function MapView({
         </>
       )}
       <NearestStationFeature
+        ref={nearestRef}
         map={map}
         mapboxgl={mapboxgl}
         stations={stations}
         isStickerPage={!!stickerId}
+        intent={stationIntent(!!stickerId && activeRental)}
         hideTriggerButton={embedMode}
         disableAutoPrompt={embedMode}
         triggerBottomPx={triggerBottomPx}
+        onUserCoords={setUserCoords}
+        onLocationResult={onLocationResult}
       />
     </>
   );
@@ -0,0 +1,27 @@
+"use client";
+
+import { STATION_FILTERS, type StationFilter } from "@cuub/shared";
+
+export interface StationFilterControlProps {
+  value: StationFilter;
+  onChange: (filter: StationFilter) => void;
+}
+
+export function StationFilterControl({ value, onChange }: StationFilterControlProps) {
+  return (
+    <div className="station-filter" role="radiogroup" aria-label="Filter stations">
+      {STATION_FILTERS.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          role="radio"
+          aria-checked={value === option.value}
+          className={`station-filter-option ${value === option.value ? "active" : ""}`}
+          onClick={() => onChange(option.value)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+"use client";
+
+import { useEffect, useId, useMemo, useRef, useState, type KeyboardEvent } from "react";
+import {
+  STATION_SORTS,
+  searchStations,
+  type Coords,
+  type NormalizedStation,
+  type StationSort,
+} from "@cuub/shared";
+
+export interface StationListPanelProps {
+  stations: NormalizedStation[];
+  userCoords: Coords | null;
+  onSelect: (station: NormalizedStation) => void;
+}
+
+// Search box + listbox using the combobox pattern: focus stays in the input
+// and the arrow keys move aria-activedescendant through the results.
+export function StationListPanel({ stations, userCoords, onSelect }: StationListPanelProps) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState<StationSort>("distance");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef<HTMLInputElement | null>(null);
+  const toggleRef = useRef<HTMLButtonElement | null>(null);
+  const baseId = useId();
+  const listId = `${baseId}-list`;
+  const optionId = (index: number) => `${baseId}-option-${index}`;
+
+  const items = useMemo(
+    () => searchStations(stations, { query, sort, user: userCoords }),
+    [stations, query, sort, userCoords]
+  );
+  const sortOptions = STATION_SORTS.filter((o) => o.value !== "distance" || userCoords);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query, sort]);
+
+  useEffect(() => {
+    if (open) inputRef.current?.focus();
+  }, [open]);
+
+  useEffect(() => {
+    document.getElementById(optionId(activeIndex))?.scrollIntoView({ block: "nearest" });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeIndex]);
+
+  const close = () => {
+    setOpen(false);
+    toggleRef.current?.focus();
+  };
+
+  const choose = (index: number) => {
+    const item = items[index];
+    if (!item) return;
+    setOpen(false);
+    onSelect(item.station);
+  };
+
+  const onKeyDown = (e: KeyboardEvent<HTMLInputElement>) => {
+    const last = items.length - 1;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.min(last, i + 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(0, i - 1));
+    } else if (e.key === "Home" && e.ctrlKey) {
+      e.preventDefault();
+      setActiveIndex(0);
+    } else if (e.key === "End" && e.ctrlKey) {
+      e.preventDefault();
+      setActiveIndex(Math.max(0, last));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      choose(activeIndex);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  return (
+    <>
+      <button
+        ref={toggleRef}
+        type="button"
+        className="station-list-toggle"
+        aria-expanded={open}
+        aria-controls={`${baseId}-panel`}
+        onClick={() => setOpen((v) => !v)}
+      >
+        Stations
+      </button>
+      <section
+        id={`${baseId}-panel`}
+        className="station-list-panel"
+        aria-label="Station list"
+        hidden={!open}
+      >
+        <div className="station-list-header">
+          <h2 className="station-list-title">Stations</h2>
+          <button
+            type="button"
+            className="station-list-close"
+            aria-label="Close station list"
+            onClick={close}
+          >
+            ×
+          </button>
+        </div>
+        <input
+          ref={inputRef}
+          type="search"
+          className="station-list-search"
+          placeholder="Search stations"
+          aria-label="Search stations by name"
+          role="combobox"
+          aria-expanded={items.length > 0}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={items.length > 0 ? optionId(activeIndex) : undefined}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+        />
+        <label className="station-list-sort">
+          <span>Sort by</span>
+          <select
+            value={userCoords || sort !== "distance" ? sort : "name"}
+            onChange={(e) => setSort(e.target.value as StationSort)}
+          >
+            {sortOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="station-list-count" aria-live="polite">
+          {items.length === 1 ? "1 station" : `${items.length} stations`}
+        </div>
+        <ul id={listId} className="station-list" role="listbox" aria-label="Stations">
+          {items.map((item, index) => (
+            <li
+              key={item.station.id}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`station-list-item ${index === activeIndex ? "active" : ""}`}
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => choose(index)}
+            >
+              <div className="station-list-item-title">{item.title}</div>
+              <div className="station-list-item-meta">
+                {item.distanceText && <span>{item.distanceText}</span>}
+                <span>
+                  <span className="cuub-nearest-slot-dot filled" aria-hidden="true" />
+                  {item.station.filled_slots ?? "?"} filled
+                </span>
+                <span>
+                  <span className="cuub-nearest-slot-dot open" aria-hidden="true" />
+                  {item.station.open_slots ?? "?"} open
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </>
+  );
+}
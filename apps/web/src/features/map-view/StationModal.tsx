@@ -1,19 +1,15 @@
 "use client";
 
 import { useEffect, useRef } from "react";
-import type { Station } from "@cuub/shared";
+import type { NormalizedStation } from "@cuub/shared";
 import { buildDirectionsUrl, detectWebPlatform } from "@cuub/shared";
 
 export interface StationModalProps {
-  station: Station | null;
+  station: NormalizedStation | null;
   onClose: () => void;
   onHeightChange?: (px: number) => void;
 }
 
-function hasValue(value: unknown): boolean {
-  return value !== null && value !== undefined && value !== "";
-}
-
 export function StationModal({
   station,
   onClose,
@@ -48,7 +44,7 @@ export function StationModal({
     }, 0);
   };
 
-  const showSlots = !!station && (hasValue(station.filled_slots) || hasValue(station.open_slots));
+  const showSlots = !!station && (station.filled_slots !== null || station.open_slots !== null);
 
   return (
     <div ref={ref} className={`station-modal ${station ? "active" : ""}`}>
@@ -61,7 +57,7 @@ export function StationModal({
                 <div className="slot-icon filled" />
                 <div className="slot-text">
                   <span className="slot-number">
-                    {hasValue(station?.filled_slots) ? String(station?.filled_slots) : 0}
+                    {station?.filled_slots ?? 0}
                   </span>
                   <span>Filled Slots</span>
                 </div>
@@ -70,7 +66,7 @@ export function StationModal({
                 <div className="slot-icon open" />
                 <div className="slot-text">
                   <span className="slot-number">
-                    {hasValue(station?.open_slots) ? String(station?.open_slots) : 0}
+                    {station?.open_slots ?? 0}
                   </span>
                   <span>Open Slots</span>
                 </div>
@@ -1,7 +1,7 @@
 "use client";
 
-import { useEffect, useState } from "react";
 import { buildSupportSmsUrl } from "@cuub/shared";
+import { useSupportPhone } from "./useSupportPhone";
 
 export interface SupportButtonProps {
   stickerId?: string | null;
@@ -9,22 +9,7 @@ export interface SupportButtonProps {
 }
 
 export function SupportButton({ stickerId, liftedBottomPx }: SupportButtonProps) {
-  const [phone, setPhone] = useState<string>("+14642377449");
-
-  useEffect(() => {
-    let cancelled = false;
-    fetch("/api/support-phone")
-      .then((res) => res.json())
-      .then((data: { phone?: string }) => {
-        if (!cancelled && data.phone) setPhone(data.phone);
-      })
-      .catch(() => {
-        /* keep default */
-      });
-    return () => {
-      cancelled = true;
-    };
-  }, []);
+  const phone = useSupportPhone();
 
   const onClick = () => {
     const url = buildSupportSmsUrl(phone, stickerId ?? null);
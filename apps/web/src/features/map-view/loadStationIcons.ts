@@ -1,6 +1,6 @@
 import type mapboxgl from "mapbox-gl";
+import { STATION_ICON_IDS } from "@cuub/shared";
 
-const STATION_ICON_COUNT = 7;
 const cache = new WeakMap<mapboxgl.Map, Promise<void>>();
 
 export function loadStationIcons(map: mapboxgl.Map): Promise<void> {
@@ -9,7 +9,7 @@ export function loadStationIcons(map: mapboxgl.Map): Promise<void> {
 
   const scale = 2;
   const loaders: Promise<void>[] = [];
-  for (let i = 0; i < STATION_ICON_COUNT; i++) {
+  STATION_ICON_IDS.forEach((id, i) => {
     loaders.push(
       new Promise<void>((resolve, reject) => {
         const img = new Image();
@@ -26,7 +26,6 @@ export function loadStationIcons(map: mapboxgl.Map): Promise<void> {
           }
           ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
           const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const id = `station-icon-${i}`;
           if (!map.hasImage(id)) {
             map.addImage(id, data, { pixelRatio: scale });
           }
@@ -36,7 +35,7 @@ export function loadStationIcons(map: mapboxgl.Map): Promise<void> {
         img.src = `/Icon${i}.svg`;
       })
     );
-  }
+  });
 
   const all = Promise.all(loaders).then(() => undefined);
   cache.set(map, all);
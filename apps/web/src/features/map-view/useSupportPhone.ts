@@ -0,0 +1,27 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const DEFAULT_SUPPORT_PHONE = "+14642377449";
+
+// CUUB_SUPPORT_PHONE from the server, the default number until it loads.
+export function useSupportPhone(): string {
+  const [phone, setPhone] = useState<string>(DEFAULT_SUPPORT_PHONE);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/support-phone")
+      .then((res) => res.json())
+      .then((data: { phone?: string }) => {
+        if (!cancelled && data.phone) setPhone(data.phone);
+      })
+      .catch(() => {
+        /* keep default */
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return phone;
+}
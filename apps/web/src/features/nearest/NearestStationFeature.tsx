@@ -1,14 +1,24 @@
 "use client";
 
-import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import type mapboxgl from "mapbox-gl";
 import {
   buildDirectionsUrl,
   detectWebPlatform,
-  pickNearestStation,
+  rankNearestStations,
   type Coords,
-  type NearestStationView,
-  type Station,
+  type LocationDeniedReason,
+  type NormalizedStation,
+  type RankedNearest,
+  type StationIntent,
 } from "@cuub/shared";
 
 const LOC_SESSION_KEY = "cuub:locationPrompt";
@@ -17,14 +27,38 @@ const HALO_LAYER_ID = "cuub-nearest-halo";
 
 type MapboxModule = typeof mapboxgl;
 
+const INTENT_COPY: Record<StationIntent, { label: string; fallback: string }> = {
+  rent: {
+    label: "Nearest station to rent from",
+    fallback: "No nearby station is known to have batteries",
+  },
+  return: {
+    label: "Nearest station to return to",
+    fallback: "No nearby station is known to have open slots",
+  },
+};
+
 export interface NearestStationFeatureProps {
   map: mapboxgl.Map | null;
   mapboxgl: MapboxModule | null;
-  stations: Station[];
+  stations: NormalizedStation[];
   isStickerPage?: boolean;
+  // "return" while the user has a battery out, otherwise "rent".
+  intent?: StationIntent;
   hideTriggerButton?: boolean;
   disableAutoPrompt?: boolean;
   triggerBottomPx?: number;
+  onUserCoords?: (coords: Coords) => void;
+  // Every outcome of asking for the location, for the embed bridge.
+  onLocationResult?: (result: LocationResult) => void;
+}
+
+export type LocationResult = { coords: Coords } | { denied: LocationDeniedReason };
+
+// For embed commands: findNearest opens the prompt, requestLocation skips it.
+export interface NearestStationHandle {
+  openPrompt(): void;
+  requestLocation(): void;
 }
 
 function safeSessionGet(key: string): string | null {
@@ -47,19 +81,29 @@ function hasGeolocation(): boolean {
   return typeof navigator !== "undefined" && "geolocation" in navigator;
 }
 
-export function NearestStationFeature({
-  map,
-  mapboxgl: mb,
-  stations,
-  isStickerPage = false,
-  hideTriggerButton = false,
-  disableAutoPrompt = false,
-  triggerBottomPx = 20,
-}: NearestStationFeatureProps) {
+export const NearestStationFeature = forwardRef<
+  NearestStationHandle,
+  NearestStationFeatureProps
+>(function NearestStationFeature(
+  {
+    map,
+    mapboxgl: mb,
+    stations,
+    isStickerPage = false,
+    intent = "rent",
+    hideTriggerButton = false,
+    disableAutoPrompt = false,
+    triggerBottomPx = 20,
+    onUserCoords,
+    onLocationResult,
+  },
+  ref
+) {
   const [modalOpen, setModalOpen] = useState(false);
   const [toast, setToast] = useState<string | null>(null);
   const [userCoords, setUserCoords] = useState<Coords | null>(null);
-  const [nearest, setNearest] = useState<NearestStationView | null>(null);
+  const [ranking, setRanking] = useState<RankedNearest | null>(null);
+  const nearest = ranking?.ranked[0] ?? null;
   const [cardVisible, setCardVisible] = useState(false);
 
   const userMarkerRef = useRef<mapboxgl.Marker | null>(null);
@@ -74,18 +118,15 @@ export function NearestStationFeature({
   }, []);
 
   const setHaloStation = useCallback(
-    (station: Station | null) => {
+    (station: NormalizedStation | null) => {
       if (!map) return;
-      const lng = station ? parseFloat(String(station.longitude)) : NaN;
-      const lat = station ? parseFloat(String(station.latitude)) : NaN;
-      const data =
-        station && Number.isFinite(lng) && Number.isFinite(lat)
+      const data = station
           ? {
               type: "FeatureCollection" as const,
               features: [
                 {
                   type: "Feature" as const,
-                  geometry: { type: "Point" as const, coordinates: [lng, lat] },
+                  geometry: { type: "Point" as const, coordinates: [station.longitude, station.latitude] },
                   properties: {},
                 },
               ],
@@ -195,7 +236,8 @@ export function NearestStationFeature({
       setUserCoords(coords);
       ensureUserMarker(coords);
 
-      const result = stations.length > 0 ? pickNearestStation(coords, stations) : null;
+      const result =
+        stations.length > 0 ? rankNearestStations(coords, stations, intent) : null;
       if (!result) {
         pendingLocateRef.current = true;
         map.flyTo({
@@ -208,15 +250,12 @@ export function NearestStationFeature({
         return;
       }
 
-      setNearest(result);
+      const best = result.ranked[0];
+      setRanking(result);
       setCardVisible(true);
-      setHaloStation(result.station);
+      setHaloStation(best.station);
       startPulse();
 
-      const stationLng = parseFloat(String(result.station.longitude));
-      const stationLat = parseFloat(String(result.station.latitude));
-      const stationOk = Number.isFinite(stationLng) && Number.isFinite(stationLat);
-
       const container = map.getContainer();
       const containerWidth = container.clientWidth || window.innerWidth || 1024;
       const containerHeight = container.clientHeight || window.innerHeight || 768;
@@ -252,26 +291,24 @@ export function NearestStationFeature({
       }
 
       let fitted = false;
-      if (stationOk) {
-        try {
-          const bounds = new mb.LngLatBounds();
-          bounds.extend([coords.longitude, coords.latitude]);
-          bounds.extend([stationLng, stationLat]);
-          map.fitBounds(bounds, {
-            padding: {
-              top: desiredTop,
-              bottom: desiredBottom,
-              left: desiredLeft,
-              right: desiredRight,
-            },
-            maxZoom: 16,
-            duration: 1200,
-            essential: true,
-          });
-          fitted = true;
-        } catch (err) {
-          console.warn("[CuubNearest] fitBounds failed:", err);
-        }
+      try {
+        const bounds = new mb.LngLatBounds();
+        bounds.extend([coords.longitude, coords.latitude]);
+        bounds.extend([best.station.longitude, best.station.latitude]);
+        map.fitBounds(bounds, {
+          padding: {
+            top: desiredTop,
+            bottom: desiredBottom,
+            left: desiredLeft,
+            right: desiredRight,
+          },
+          maxZoom: 16,
+          duration: 1200,
+          essential: true,
+        });
+        fitted = true;
+      } catch (err) {
+        console.warn("[CuubNearest] fitBounds failed:", err);
       }
 
       if (!fitted) {
@@ -284,7 +321,7 @@ export function NearestStationFeature({
         });
       }
     },
-    [map, mb, stations, ensureUserMarker, setHaloStation, startPulse, isStickerPage]
+    [map, mb, stations, intent, ensureUserMarker, setHaloStation, startPulse, isStickerPage]
   );
 
   useEffect(() => {
@@ -294,22 +331,46 @@ export function NearestStationFeature({
     }
   }, [stations, userCoords, applyUserCoords]);
 
+  useEffect(() => {
+    if (userCoords) onUserCoords?.(userCoords);
+  }, [userCoords, onUserCoords]);
+
+  // Once the card is showing, keep it current as slot counts change or the
+  // intent flips (e.g. the rental loads after the user was located), without
+  // moving the camera again.
+  const hasRanking = ranking !== null;
+  useEffect(() => {
+    if (!hasRanking || !userCoords) return;
+    const next = rankNearestStations(userCoords, stations, intent);
+    if (!next) return;
+    setRanking(next);
+    setHaloStation(next.ranked[0].station);
+  }, [hasRanking, userCoords, stations, intent, setHaloStation]);
+
+  const onLocationResultRef = useRef(onLocationResult);
+  onLocationResultRef.current = onLocationResult;
+
   const requestLocation = useCallback(() => {
+    const report = (result: LocationResult) => onLocationResultRef.current?.(result);
     if (!hasGeolocation()) {
       showToast("Location unavailable — showing all stations.");
       safeSessionSet(LOC_SESSION_KEY, "unavailable");
+      report({ denied: "unavailable" });
       return;
     }
     navigator.geolocation.getCurrentPosition(
       (position) => {
         if (!position?.coords) {
           showToast("Location unavailable — showing all stations.");
+          report({ denied: "unavailable" });
           return;
         }
-        applyUserCoords({
+        const coords = {
           latitude: position.coords.latitude,
           longitude: position.coords.longitude,
-        });
+        };
+        applyUserCoords(coords);
+        report({ coords });
       },
       (error) => {
         if (error)
@@ -319,11 +380,21 @@ export function NearestStationFeature({
             error.message
           );
         showToast("Location unavailable — showing all stations.");
+        report({ denied: error?.code === 1 ? "denied" : "error" });
       },
       { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
     );
   }, [applyUserCoords, showToast]);
 
+  useImperativeHandle(
+    ref,
+    () => ({
+      openPrompt: () => setModalOpen(true),
+      requestLocation,
+    }),
+    [requestLocation]
+  );
+
   useEffect(() => {
     if (!map) return;
     if (disableAutoPrompt) return;
@@ -344,45 +415,6 @@ export function NearestStationFeature({
     }
   }, [map, disableAutoPrompt, isStickerPage, showToast]);
 
-  useEffect(() => {
-    function onMessage(event: MessageEvent) {
-      const data = event?.data;
-      if (!data || typeof data !== "object") return;
-      const typed = data as { source?: string; type?: string };
-      if (typed.source !== "cuub" || typeof typed.type !== "string") return;
-      switch (typed.type) {
-        case "findNearest":
-          setModalOpen(true);
-          break;
-        case "requestLocation":
-          requestLocation();
-          break;
-        case "ping":
-          try {
-            window.parent?.postMessage({ source: "cuub", type: "pong" }, "*");
-          } catch {
-            /* noop */
-          }
-          break;
-        default:
-          break;
-      }
-    }
-    window.addEventListener("message", onMessage);
-    return () => window.removeEventListener("message", onMessage);
-  }, [requestLocation]);
-
-  useEffect(() => {
-    try {
-      window.parent?.postMessage(
-        { source: "cuub", type: "ready", geolocation: hasGeolocation() },
-        "*"
-      );
-    } catch {
-      /* noop */
-    }
-  }, []);
-
   const handleYes = () => {
     safeSessionSet(LOC_SESSION_KEY, "yes");
     setModalOpen(false);
@@ -391,10 +423,12 @@ export function NearestStationFeature({
   const handleNo = () => {
     safeSessionSet(LOC_SESSION_KEY, "no");
     setModalOpen(false);
+    onLocationResult?.({ denied: "declined" });
   };
   const dismissModal = () => {
     safeSessionSet(LOC_SESSION_KEY, "dismissed");
     setModalOpen(false);
+    onLocationResult?.({ denied: "declined" });
   };
 
   const onDirections = () => {
@@ -478,7 +512,7 @@ export function NearestStationFeature({
         </div>
       </div>
 
-      {nearest && (
+      {ranking && nearest && (
         <div
           className={`cuub-nearest-card ${cardVisible ? "active" : ""}`}
           role="status"
@@ -486,7 +520,9 @@ export function NearestStationFeature({
           aria-atomic="true"
         >
           <div className="cuub-nearest-card-header">
-            <div className="cuub-nearest-card-label">Nearest station</div>
+            <div className="cuub-nearest-card-label">
+              {INTENT_COPY[ranking.intent].label}
+            </div>
             <button
               type="button"
               className="cuub-nearest-card-close"
@@ -520,6 +556,11 @@ export function NearestStationFeature({
               </div>
             </div>
           </div>
+          {ranking.fallback && (
+            <div className="cuub-nearest-card-note">
+              {INTENT_COPY[ranking.intent].fallback}
+            </div>
+          )}
           {nearest.isFar && (
             <div className="cuub-nearest-card-note">
               Nearest station is far from you
@@ -538,4 +579,4 @@ export function NearestStationFeature({
       {toast && <div className="cuub-toast active">{toast}</div>}
     </>
   );
-}
+});
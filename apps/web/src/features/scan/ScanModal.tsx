@@ -1,88 +1,160 @@
 "use client";
 
-import { useEffect, useState } from "react";
-import type { BatteryData } from "@cuub/shared";
+import { useEffect, useReducer, useState } from "react";
+import {
+  DEGRADED_COPY,
+  INITIAL_SCAN_VIEW,
+  SCAN_VIEW_COPY,
+  formatAmountPaid,
+  isScanRentalActive,
+  parseDurationSeconds,
+  rentalCostLines,
+  scanViewDuration,
+  scanViewHasEstimate,
+  scanViewReducer,
+} from "@cuub/shared";
+import { useDegraded } from "@/features/degraded/useDegraded";
 import { cuubClient } from "@/lib/cuubClient";
+import { getScanOutbox } from "@/lib/scanOutbox";
+import { scanSessionKey } from "./scanSession";
+import { SizlOffer } from "./SizlOffer";
 import { useDurationTimer } from "./useDurationTimer";
+import { usePricing } from "./usePricing";
+import { useRentalSync } from "./useRentalSync";
 
 export interface ScanModalProps {
   stickerId: string;
+  onRentalChange?: (active: boolean) => void;
 }
 
-export function ScanModal({ stickerId }: ScanModalProps) {
-  const [open, setOpen] = useState(false);
-  const [battery, setBattery] = useState<BatteryData | null>(null);
-  const [loaded, setLoaded] = useState(false);
-  const [returned, setReturned] = useState(false);
+export function ScanModal({ stickerId, onRentalChange }: ScanModalProps) {
+  const [state, dispatch] = useReducer(scanViewReducer, INITIAL_SCAN_VIEW);
+  const [attempt, setAttempt] = useState(0);
+  const degraded = useDegraded();
 
   useEffect(() => {
     let cancelled = false;
+    dispatch({ type: "load" });
     (async () => {
       try {
-        const result = await cuubClient.getBattery(stickerId);
+        const data = await cuubClient.getBattery(stickerId);
         if (cancelled) return;
-        if (result.success && result.data) {
-          setBattery(result.data);
-          const isReturned =
-            result.data.duration &&
-            String(result.data.duration).toLowerCase() === "battery returned";
-          setReturned(!!isReturned);
-          setOpen(true);
-          if (result.data.manufacture_id) {
-            cuubClient
-              .createScanRecord(
-                stickerId,
-                String(result.data.manufacture_id),
-                String(result.data.type ?? "type one")
-              )
-              .catch((err) =>
-                console.error("Error creating scan record:", err)
-              );
-          }
-        } else {
-          setBattery(null);
-          setOpen(true);
+        dispatch({ type: "loaded", battery: data });
+        // Queued first, so a scan made offline is sent once we're back.
+        if (data.manufacture_id) {
+          getScanOutbox()
+            .submit({
+              id: scanSessionKey(stickerId),
+              stickerId,
+              manufactureId: String(data.manufacture_id),
+              stickerType: String(data.type ?? "type one"),
+            })
+            .catch((err) => console.error("Error queueing scan record:", err));
         }
       } catch (err) {
         console.error("Error fetching battery data:", err);
-        setBattery(null);
-        setOpen(true);
-      } finally {
-        if (!cancelled) setLoaded(true);
+        if (!cancelled) dispatch({ type: "failed", error: err });
       }
     })();
     return () => {
       cancelled = true;
     };
-  }, [stickerId]);
+  }, [stickerId, attempt]);
 
-  const initialDuration =
-    battery && !returned ? String(battery.duration ?? "00:00:00") : null;
-  const duration = useDurationTimer(initialDuration, !returned && !!battery);
+  const rentalActive = isScanRentalActive(state);
+  useRentalSync(stickerId, rentalActive, (battery) =>
+    dispatch({ type: "synced", battery })
+  );
 
-  if (!loaded) return null;
+  useEffect(() => {
+    if (state.status !== "loading") onRentalChange?.(rentalActive);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.status, rentalActive]);
 
-  const showDurationBlock = !!battery;
-  const paid = battery
-    ? `$${battery.amountPaid ?? 0}`
-    : "$4";
+  const initialDuration = scanViewDuration(state);
+  const duration = useDurationTimer(initialDuration, !!initialDuration);
+  const pricing = usePricing();
+  const elapsed = initialDuration ? parseDurationSeconds(duration) : null;
+  const estimate =
+    scanViewHasEstimate(state) && elapsed !== null ? rentalCostLines(elapsed, pricing) : null;
 
   return (
-    <div className={`battery-modal ${open ? "active" : ""}`}>
-      <div className="battery-content">
-        {showDurationBlock && (
+    <div
+      className="battery-modal active"
+      role="status"
+      aria-busy={state.status === "loading"}
+    >
+      {degraded && <div className="battery-degraded">{DEGRADED_COPY.banner}</div>}
+
+      {state.status === "loading" && (
+        <div className="battery-message">{SCAN_VIEW_COPY.loading}</div>
+      )}
+
+      {state.status === "unknown-sticker" && (
+        <div className="battery-message">
+          <div className="battery-message-title">{SCAN_VIEW_COPY.unknownStickerTitle}</div>
+          <div className="battery-message-detail">{SCAN_VIEW_COPY.unknownStickerDetail}</div>
+        </div>
+      )}
+
+      {state.status === "error" && (
+        <div className="battery-message">
+          <div className="battery-message-title">{SCAN_VIEW_COPY.errorTitle}</div>
+          <div className="battery-message-detail">{SCAN_VIEW_COPY.errorDetail}</div>
+          <button
+            type="button"
+            className="battery-retry"
+            onClick={() => setAttempt((n) => n + 1)}
+          >
+            {SCAN_VIEW_COPY.retry}
+          </button>
+        </div>
+      )}
+
+      {(state.status === "active" ||
+        state.status === "returned" ||
+        state.status === "zero-charge") && (
+        <div className="battery-content">
           <div className="battery-info battery-duration">
             <div className="battery-label">Duration</div>
             <div className="battery-value">
-              {returned ? "Battery returned" : duration}
+              {initialDuration ? duration : SCAN_VIEW_COPY.returned}
             </div>
           </div>
-        )}
-        <div className="battery-info battery-paid">
-          <div className="battery-label">Paid</div>
-          <div className="battery-value">{paid}</div>
+          <div className="battery-info battery-paid">
+            <div className="battery-label">Paid</div>
+            {state.status === "zero-charge" ? (
+              <div className="battery-value battery-value-muted">
+                {SCAN_VIEW_COPY.zeroCharge}
+              </div>
+            ) : (
+              <div className="battery-value">{formatAmountPaid(state.amountPaid)}</div>
+            )}
+          </div>
         </div>
-      </div>
+      )}
+
+      {estimate && (
+        <div className="battery-estimate" aria-label="Cost estimate">
+          <div className="battery-estimate-row">
+            <span className="battery-label">So far</span>
+            <span className="battery-estimate-value">{estimate.soFar}</span>
+          </div>
+          {estimate.nextCharge && (
+            <div className="battery-estimate-row">
+              <span className="battery-label">Next charge</span>
+              <span className="battery-estimate-value">{estimate.nextCharge}</span>
+            </div>
+          )}
+          {estimate.note && <div className="battery-estimate-note">{estimate.note}</div>}
+        </div>
+      )}
+
+      {(state.status === "active" ||
+        state.status === "returned" ||
+        state.status === "zero-charge") && (
+        <SizlOffer stickerId={stickerId} battery={state.battery} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,11 @@
+"use client";
+
+import { useEffect } from "react";
+import { startScanOutbox } from "@/lib/scanOutbox";
+
+// Mounted once in the root layout so scans queued on an earlier visit are
+// sent from any page, not just the sticker page that queued them.
+export function ScanOutboxRunner() {
+  useEffect(() => startScanOutbox(), []);
+  return null;
+}
@@ -0,0 +1,80 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  SIZL_COPY,
+  buildSizlUrl,
+  recordSizlRedirect,
+  sizlOfferStatus,
+  type BatteryData,
+} from "@cuub/shared";
+import { cuubClient } from "@/lib/cuubClient";
+import { scanSessionKey } from "./scanSession";
+
+export interface SizlOfferProps {
+  stickerId: string;
+  battery: BatteryData;
+}
+
+// Partner offer on sizl campaign stickers. Accepting records `sizl: true`
+// once (the client and the API route both drop repeats), then redirects.
+export function SizlOffer({ stickerId, battery }: SizlOfferProps) {
+  const [url, setUrl] = useState<string | null>(null);
+  const [status, setStatus] = useState<"idle" | "accepting" | "dismissed">("idle");
+  const offered = sizlOfferStatus(battery) === "offer";
+
+  useEffect(() => {
+    if (!offered) return;
+    let cancelled = false;
+    cuubClient
+      .getSizlConfig()
+      .then((config) => {
+        if (!cancelled) setUrl(buildSizlUrl(config.url, stickerId));
+      })
+      .catch(() => {
+        /* no offer without a partner URL */
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [offered, stickerId]);
+
+  if (!offered || !url || status === "dismissed") return null;
+
+  const accept = async () => {
+    if (status !== "idle") return;
+    setStatus("accepting");
+    try {
+      await recordSizlRedirect(cuubClient, stickerId, battery, scanSessionKey(stickerId));
+    } catch (err) {
+      // The user asked to go; failing to record it shouldn't keep them here.
+      console.error("Error updating sizl status:", err);
+    }
+    window.location.assign(url);
+  };
+
+  return (
+    <div className="sizl-offer">
+      <div className="battery-message-title">{SIZL_COPY.title}</div>
+      <div className="battery-message-detail">{SIZL_COPY.detail}</div>
+      <div className="sizl-offer-actions">
+        <button
+          type="button"
+          className="battery-retry"
+          disabled={status === "accepting"}
+          onClick={accept}
+        >
+          {status === "accepting" ? SIZL_COPY.accepting : SIZL_COPY.accept}
+        </button>
+        <button
+          type="button"
+          className="sizl-offer-dismiss"
+          disabled={status === "accepting"}
+          onClick={() => setStatus("dismissed")}
+        >
+          {SIZL_COPY.dismiss}
+        </button>
+      </div>
+    </div>
+  );
+}
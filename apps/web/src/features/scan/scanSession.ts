@@ -0,0 +1,17 @@
+import { createIdempotencyKey } from "@cuub/shared";
+
+// One Idempotency-Key per sticker per tab. sessionStorage survives refreshes
+// and back/forward, so the server treats those as the same scan.
+export function scanSessionKey(stickerId: string): string {
+  const storageKey = `cuub:scan-key:${stickerId}`;
+  try {
+    let key = sessionStorage.getItem(storageKey);
+    if (!key) {
+      key = createIdempotencyKey();
+      sessionStorage.setItem(storageKey, key);
+    }
+    return key;
+  } catch {
+    return createIdempotencyKey();
+  }
+}
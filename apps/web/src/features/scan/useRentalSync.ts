@@ -0,0 +1,34 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { RentalSync, type BatteryData } from "@cuub/shared";
+import { cuubClient } from "@/lib/cuubClient";
+
+// While `enabled`, re-reads the sticker's battery every RENTAL_RESYNC_MS and
+// whenever the tab becomes visible again.
+export function useRentalSync(
+  stickerId: string,
+  enabled: boolean,
+  onBattery: (battery: BatteryData) => void
+): void {
+  const onBatteryRef = useRef(onBattery);
+  onBatteryRef.current = onBattery;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const sync = new RentalSync({
+      fetchBattery: () => cuubClient.getBattery(stickerId),
+      onBattery: (battery) => onBatteryRef.current(battery),
+      onError: (err) => console.warn("Battery resync failed:", err),
+    });
+    const stop = sync.start();
+    const onVisible = () => {
+      if (document.visibilityState === "visible") void sync.resync();
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisible);
+      stop();
+    };
+  }, [stickerId, enabled]);
+}
@@ -0,0 +1,85 @@
+// closed: calls go through, consecutive failures are counted. open: calls are
+// refused without trying, until openMs has passed. half-open: one trial call
+// goes through; success closes the circuit, failure opens it again.
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface CircuitBreakerOptions {
+  // Consecutive failures that open the circuit. Default 5.
+  failureThreshold?: number;
+  // How long the circuit stays open before a trial call. Default 30s.
+  openMs?: number;
+  now?: () => number;
+  onStateChange?: (state: CircuitState, previous: CircuitState) => void;
+}
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_OPEN_MS = 30_000;
+
+export class CircuitBreaker {
+  private current: CircuitState = "closed";
+  private failures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+  private readonly failureThreshold: number;
+  private readonly openMs: number;
+  private readonly now: () => number;
+  private readonly onStateChange?: (state: CircuitState, previous: CircuitState) => void;
+
+  constructor(options: CircuitBreakerOptions = {}) {
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    this.openMs = options.openMs ?? DEFAULT_OPEN_MS;
+    this.now = options.now ?? Date.now;
+    this.onStateChange = options.onStateChange;
+  }
+
+  get state(): CircuitState {
+    if (this.current === "open" && this.now() - this.openedAt >= this.openMs) {
+      this.transition("half-open");
+    }
+    return this.current;
+  }
+
+  // Whether a call may go ahead now. In half-open only the first caller gets
+  // a yes; it must report back with recordSuccess/recordFailure.
+  tryAcquire(): boolean {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "open" || this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.trialInFlight = false;
+    if (this.current !== "closed") this.transition("closed");
+  }
+
+  recordFailure(): void {
+    this.trialInFlight = false;
+    this.failures += 1;
+    if (this.current === "half-open" || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      if (this.current !== "open") this.transition("open");
+    }
+  }
+
+  // Seconds until the next trial call, for Retry-After.
+  retryAfterSeconds(): number {
+    if (this.state !== "open") return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.openMs - this.now()) / 1000));
+  }
+
+  reset(): void {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.openedAt = 0;
+    if (this.current !== "closed") this.transition("closed");
+  }
+
+  private transition(next: CircuitState): void {
+    const previous = this.current;
+    this.current = next;
+    this.onStateChange?.(next, previous);
+  }
+}
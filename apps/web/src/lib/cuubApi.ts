@@ -1,4 +1,25 @@
-const CUUB_API_BASE = process.env.CUUB_API_BASE || "https://api.cuub.tech";
+import { randomUUID } from "crypto";
+import { DEGRADED_COPY, DEGRADED_HEADER } from "@cuub/shared";
+import { CircuitBreaker } from "./circuitBreaker";
+import { logger, redactStickerIds } from "./logger";
+import {
+  upstreamCircuitOpen,
+  upstreamDuration,
+  upstreamErrors,
+  upstreamRequests,
+} from "./metrics";
+import { REQUEST_ID_HEADER, currentRequestContext } from "./requestContext";
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+export function cuubApiBase(): string {
+  return process.env.CUUB_API_BASE || "https://api.cuub.tech";
+}
+
+function readCount(value: string | undefined, fallback: number): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
 
 interface ProxyOptions {
   path: string;
@@ -7,27 +28,139 @@ interface ProxyOptions {
   body?: string;
 }
 
-export async function proxyCuub({ path, method, headers, body }: ProxyOptions) {
-  const url = `${CUUB_API_BASE}${path}`;
-  const res = await fetch(url, {
-    method,
-    headers: {
-      Accept: "application/json",
-      ...(headers ?? {}),
-    },
-    body,
-    cache: "no-store",
+// `degraded`: upstream is failing, and this is a stand-in (or its 5xx)
+// rather than live data. Routes pass it on as the X-Cuub-Degraded header.
+export interface ProxyResult {
+  status: number;
+  payload: unknown;
+  degraded?: boolean;
+}
+
+// One breaker for the whole upstream: network errors, timeouts, 5xx and
+// unparseable bodies count as failures. While it is open, calls fail fast
+// with a 503 instead of each waiting out the timeout.
+export const upstreamBreaker = new CircuitBreaker({
+  failureThreshold: readCount(process.env.CUUB_BREAKER_FAILURE_THRESHOLD, 5),
+  openMs: readCount(process.env.CUUB_BREAKER_OPEN_MS, 30_000),
+  onStateChange: (state, previous) => {
+    upstreamCircuitOpen.set({}, state === "open" ? 1 : 0);
+    (state === "open" ? logger.error : logger.info)("CUUB API circuit breaker", {
+      state,
+      previous,
+    });
+  },
+});
+
+function unavailable(): ProxyResult {
+  return {
+    status: 503,
+    payload: { success: false, error: DEGRADED_COPY.banner },
+    degraded: true,
+  };
+}
+
+export function degradedHeaders(result: { degraded?: boolean }): Record<string, string> {
+  return result.degraded ? { [DEGRADED_HEADER]: "1" } : {};
+}
+
+// The metrics label for an upstream path: its template, without ids.
+export function upstreamRoute(path: string): string {
+  return path.split("?")[0].replace(/^\/battery\/[^/]+/, "/battery/:sticker_id");
+}
+
+// Every upstream call is timed, logged (sticker ids hashed) and counted, and
+// carries the current request's id so both sides' logs line up. Calls made
+// outside a request (the stations poller) get an id of their own.
+export async function proxyCuub({ path, method, headers, body }: ProxyOptions): Promise<ProxyResult> {
+  const url = `${cuubApiBase()}${path}`;
+  const requestId = currentRequestContext()?.requestId ?? randomUUID();
+  const labels = { route: upstreamRoute(path), method };
+  const upstream = { method, path: redactStickerIds(path) };
+
+  if (!upstreamBreaker.tryAcquire()) {
+    upstreamRequests.inc({ ...labels, status: "circuit-open" });
+    return unavailable();
+  }
+
+  const started = performance.now();
+  const elapsed = () => (performance.now() - started) / 1000;
+  let res: Response;
+  let text: string;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: {
+        Accept: "application/json",
+        [REQUEST_ID_HEADER]: requestId,
+        ...(headers ?? {}),
+      },
+      body,
+      cache: "no-store",
+      signal: AbortSignal.timeout(readCount(process.env.CUUB_UPSTREAM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)),
+    });
+    text = await res.text();
+  } catch (err) {
+    const seconds = elapsed();
+    upstreamBreaker.recordFailure();
+    upstreamRequests.inc({ ...labels, status: "error" });
+    upstreamErrors.inc(labels);
+    upstreamDuration.observe(labels, seconds);
+    logger.error("CUUB API request failed", {
+      upstream: { ...upstream, durationMs: Math.round(seconds * 1000) },
+      requestId,
+      err,
+    });
+    return unavailable();
+  }
+
+  const seconds = elapsed();
+  upstreamRequests.inc({ ...labels, status: String(res.status) });
+  upstreamDuration.observe(labels, seconds);
+  if (res.status >= 500) upstreamErrors.inc(labels);
+  (res.status >= 500 ? logger.warn : logger.info)("CUUB API response", {
+    upstream: { ...upstream, status: res.status, durationMs: Math.round(seconds * 1000) },
+    requestId,
   });
 
-  const text = await res.text();
   let json: unknown;
   try {
     json = text ? JSON.parse(text) : null;
   } catch (err) {
+    upstreamBreaker.recordFailure();
+    logger.error("Failed to parse CUUB API response", {
+      upstream: { ...upstream, status: res.status },
+      err,
+    });
     return {
       status: 500,
       payload: { success: false, error: "Failed to parse API response" },
+      degraded: true,
     };
   }
+  if (res.status >= 500) {
+    upstreamBreaker.recordFailure();
+    return { status: res.status, payload: json, degraded: true };
+  }
+  upstreamBreaker.recordSuccess();
   return { status: res.status, payload: json };
 }
+
+export type ManufactureLookup = { manufactureId: string } | ProxyResult;
+
+// The battery's manufacture_id from upstream, so scan records and sizl
+// updates don't forward whatever the caller put in the header. Anything but
+// a found battery comes back as the response to send instead.
+export async function lookupManufactureId(stickerId: string): Promise<ManufactureLookup> {
+  const result = await proxyCuub({
+    path: `/battery/${encodeURIComponent(stickerId)}`,
+    method: "GET",
+  });
+  const { status, payload } = result;
+  if (status >= 500) return result;
+  const envelope = payload as { success?: unknown; data?: { manufacture_id?: unknown } } | null;
+  const manufactureId = envelope?.data?.manufacture_id;
+  if (status >= 400 || envelope?.success === false || !manufactureId) {
+    return { status: 404, payload: { success: false, error: "Unknown sticker" } };
+  }
+  return { manufactureId: String(manufactureId) };
+}
@@ -1,3 +1,11 @@
 import { CuubClient } from "@cuub/shared";
 
-export const cuubClient = new CuubClient({ baseUrl: "" });
+export const cuubClient = new CuubClient({
+  baseUrl: "",
+  onStationsReport: (report) =>
+    console.warn(
+      `Dropped ${report.dropped.length} of ${report.received} stations, ` +
+        `${report.invalidFields.length} invalid fields`,
+      report
+    ),
+});
@@ -0,0 +1,104 @@
+import pkg from "../../package.json";
+import { cuubApiBase } from "./cuubApi";
+
+const DEFAULT_PROBE_TIMEOUT_MS = 2000;
+
+// "skipped": the check wasn't asked for (the upstream probe is opt-in).
+export type CheckStatus = "ok" | "fail" | "skipped";
+
+export interface HealthCheck {
+  status: CheckStatus;
+  detail?: string;
+  durationMs?: number;
+}
+
+export interface HealthReport {
+  status: "ok" | "fail";
+  version: string;
+  commit: string | null;
+  uptimeSeconds: number;
+  checks: Record<string, HealthCheck>;
+}
+
+// CUUB_BUILD_VERSION and CUUB_BUILD_SHA are baked into the image by the
+// Dockerfile; local runs fall back to the package version and no commit.
+export function buildInfo(): { version: string; commit: string | null } {
+  return {
+    version: process.env.CUUB_BUILD_VERSION || pkg.version,
+    commit: process.env.CUUB_BUILD_SHA || null,
+  };
+}
+
+function report(checks: Record<string, HealthCheck>): HealthReport {
+  const failed = Object.values(checks).some((check) => check.status === "fail");
+  return {
+    status: failed ? "fail" : "ok",
+    ...buildInfo(),
+    uptimeSeconds: Math.floor(process.uptime()),
+    checks,
+  };
+}
+
+export function livenessReport(): HealthReport {
+  return report({ process: { status: "ok" } });
+}
+
+function checkMapboxToken(): HealthCheck {
+  return process.env.MAPBOX_ACCESS_TOKEN
+    ? { status: "ok" }
+    : { status: "fail", detail: "MAPBOX_ACCESS_TOKEN is not set" };
+}
+
+// Unset is fine (the default is used); a value that isn't an http(s) URL
+// would fail every proxied call.
+function checkCuubApiBase(): HealthCheck {
+  try {
+    const { protocol } = new URL(cuubApiBase());
+    if (protocol === "http:" || protocol === "https:") return { status: "ok" };
+  } catch {
+    // reported below
+  }
+  return { status: "fail", detail: "CUUB_API_BASE is not an http(s) URL" };
+}
+
+function readTimeout(value: string | undefined): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isInteger(n) && n > 0 ? n : DEFAULT_PROBE_TIMEOUT_MS;
+}
+
+// Straight to upstream, past the circuit breaker and the metrics, so a probe
+// neither trips the breaker nor shows up as traffic. Any answer below 500
+// means upstream is reachable.
+async function probeUpstream(): Promise<HealthCheck> {
+  const timeoutMs = readTimeout(process.env.CUUB_READY_PROBE_TIMEOUT_MS);
+  const started = performance.now();
+  const durationMs = () => Math.round(performance.now() - started);
+  try {
+    const res = await fetch(`${cuubApiBase()}/stations`, {
+      headers: { Accept: "application/json" },
+      cache: "no-store",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    await res.body?.cancel();
+    return res.status < 500
+      ? { status: "ok", durationMs: durationMs() }
+      : { status: "fail", detail: `HTTP ${res.status}`, durationMs: durationMs() };
+  } catch (err) {
+    const timedOut = err instanceof Error && err.name === "TimeoutError";
+    return {
+      status: "fail",
+      detail: timedOut ? `No answer within ${timeoutMs}ms` : "Unreachable",
+      durationMs: durationMs(),
+    };
+  }
+}
+
+export async function readinessReport({
+  probeUpstream: probe = false,
+}: { probeUpstream?: boolean } = {}): Promise<HealthReport> {
+  return report({
+    MAPBOX_ACCESS_TOKEN: checkMapboxToken(),
+    CUUB_API_BASE: checkCuubApiBase(),
+    upstream: probe ? await probeUpstream() : { status: "skipped" },
+  });
+}
@@ -0,0 +1,78 @@
+import type { UpstreamResult } from "./stationsCache";
+
+const DEFAULT_WINDOW_MS = 10 * 60 * 1000;
+
+export interface IdempotencyStoreOptions {
+  windowMs?: number;
+  now?: () => number;
+}
+
+export interface IdempotentResult extends UpstreamResult {
+  replayed: boolean;
+}
+
+interface Entry {
+  result: Promise<UpstreamResult>;
+  storedAt: number;
+}
+
+function readMs(value: string | undefined, fallback: number): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Remembers upstream results by key for `windowMs`, so a repeated request
+// gets the first response instead of reaching upstream again. Concurrent
+// repeats share the in-flight call. 5xx results and thrown errors are not
+// kept, so a retry after a failure goes through.
+export class IdempotencyStore {
+  private entries = new Map<string, Entry>();
+  private readonly windowMs: number;
+  private readonly now: () => number;
+
+  constructor(options: IdempotencyStoreOptions = {}) {
+    this.windowMs = options.windowMs ?? DEFAULT_WINDOW_MS;
+    this.now = options.now ?? Date.now;
+  }
+
+  async run(key: string, fn: () => Promise<UpstreamResult>): Promise<IdempotentResult> {
+    this.prune();
+    const existing = this.entries.get(key);
+    if (existing) return { ...(await existing.result), replayed: true };
+
+    const entry: Entry = { result: fn(), storedAt: this.now() };
+    this.entries.set(key, entry);
+    const forget = () => {
+      if (this.entries.get(key) === entry) this.entries.delete(key);
+    };
+    try {
+      const result = await entry.result;
+      if (result.status >= 500) forget();
+      return { ...result, replayed: false };
+    } catch (err) {
+      forget();
+      throw err;
+    }
+  }
+
+  private prune(): void {
+    const cutoff = this.now() - this.windowMs;
+    for (const [key, entry] of this.entries) {
+      if (entry.storedAt <= cutoff) this.entries.delete(key);
+    }
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+}
+
+export const scanRecordStore = new IdempotencyStore({
+  windowMs: readMs(process.env.CUUB_SCAN_DEDUPE_WINDOW_MS, DEFAULT_WINDOW_MS),
+});
+
+// PATCH /api/battery/:sticker_id, keyed like scan records. Kept apart from
+// them because clients send the same scan-session key with both.
+export const sizlPatchStore = new IdempotencyStore({
+  windowMs: readMs(process.env.CUUB_SCAN_DEDUPE_WINDOW_MS, DEFAULT_WINDOW_MS),
+});
@@ -0,0 +1,59 @@
+import { randomUUID } from "crypto";
+import { NextResponse, type NextRequest } from "next/server";
+import { hashStickerId, logger } from "./logger";
+import { httpDuration, httpErrors, httpRequests } from "./metrics";
+import { REQUEST_ID_HEADER, runWithRequestContext } from "./requestContext";
+
+// Caller-supplied ids are kept (so a trace can start at the load balancer or
+// the client) as long as they look like ids and not like log injection.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+function requestIdFor(req: NextRequest): string {
+  const incoming = req.headers.get(REQUEST_ID_HEADER);
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+}
+
+function stickerParam(ctx: unknown): string | undefined {
+  const params = (ctx as { params?: { sticker_id?: unknown } } | undefined)?.params;
+  return typeof params?.sticker_id === "string" ? params.sticker_id : undefined;
+}
+
+// Wraps an API route handler: gives the request an id (echoed in
+// X-Request-Id and forwarded upstream by proxyCuub), logs one line per
+// request with its status and latency, and records the request metrics under
+// `route`, the route's template.
+export function instrumentRoute<C = unknown>(
+  route: string,
+  handler: (req: NextRequest, ctx: C) => Response | Promise<Response>
+): (req: NextRequest, ctx: C) => Promise<Response> {
+  return async (req, ctx) => {
+    const requestId = requestIdFor(req);
+    const sticker = stickerParam(ctx);
+    const context = { requestId, route, ...(sticker ? { sticker: hashStickerId(sticker) } : {}) };
+    const started = performance.now();
+
+    let res: Response;
+    try {
+      res = await runWithRequestContext(context, () => handler(req, ctx));
+    } catch (err) {
+      runWithRequestContext(context, () => logger.error("Unhandled error in API route", { err }));
+      res = NextResponse.json({ success: false, error: "Internal error" }, { status: 500 });
+    }
+
+    const seconds = (performance.now() - started) / 1000;
+    const labels = { route, method: req.method };
+    httpRequests.inc({ ...labels, status: String(res.status) });
+    httpDuration.observe(labels, seconds);
+    if (res.status >= 500) httpErrors.inc(labels);
+    runWithRequestContext(context, () =>
+      (res.status >= 500 ? logger.error : logger.info)("API request", {
+        method: req.method,
+        status: res.status,
+        durationMs: Math.round(seconds * 1000),
+      })
+    );
+
+    res.headers.set(REQUEST_ID_HEADER, requestId);
+    return res;
+  };
+}
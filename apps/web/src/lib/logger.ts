@@ -0,0 +1,49 @@
+import { createHmac } from "crypto";
+import { currentRequestContext } from "./requestContext";
+
+export type LogSeverity = "INFO" | "WARNING" | "ERROR";
+
+export type LogFields = Record<string, unknown>;
+
+// Keyed so the hashes can't be reversed by hashing every possible id (there
+// are only 10^12). Set CUUB_LOG_HASH_KEY in production; the same key on every
+// instance keeps one sticker's lines joinable.
+export function hashStickerId(stickerId: string): string {
+  const key = process.env.CUUB_LOG_HASH_KEY || "cuub-log";
+  return createHmac("sha256", key).update(stickerId.trim().toUpperCase()).digest("hex").slice(0, 16);
+}
+
+const STICKER_ID_IN_TEXT = /CUBT\d{12}/gi;
+
+export function redactStickerIds(text: string): string {
+  return text.replace(STICKER_ID_IN_TEXT, (id) => `sticker:${hashStickerId(id)}`);
+}
+
+function serializeError(err: unknown): unknown {
+  if (!(err instanceof Error)) return err;
+  return { name: err.name, message: redactStickerIds(err.message), stack: err.stack };
+}
+
+// One JSON object per line, which Cloud Logging (and most collectors) parse
+// into fields; `severity` and `message` are the names it looks for. The
+// current request's id, route and hashed sticker are added to every line.
+export function log(severity: LogSeverity, message: string, fields: LogFields = {}): void {
+  const entry: LogFields = {
+    severity,
+    message,
+    time: new Date().toISOString(),
+    ...currentRequestContext(),
+    ...fields,
+  };
+  if ("err" in entry) entry.err = serializeError(entry.err);
+  const line = JSON.stringify(entry);
+  if (severity === "ERROR") console.error(line);
+  else if (severity === "WARNING") console.warn(line);
+  else console.log(line);
+}
+
+export const logger = {
+  info: (message: string, fields?: LogFields) => log("INFO", message, fields),
+  warn: (message: string, fields?: LogFields) => log("WARNING", message, fields),
+  error: (message: string, fields?: LogFields) => log("ERROR", message, fields),
+};
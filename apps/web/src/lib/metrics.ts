@@ -0,0 +1,234 @@
+// A small in-process Prometheus registry: counters, gauges and histograms
+// with labels, rendered in the text exposition format for GET /api/metrics.
+// Each instance keeps its own numbers; Prometheus sums across instances.
+
+export type Labels = Record<string, string>;
+
+interface Metric {
+  render(): string[];
+  reset(): void;
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels: Labels): string {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return "+Inf";
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order, so the same
+// labels passed in a different order land on the same series.
+function seriesKey(labelNames: readonly string[], labels: Labels): string {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+}
+
+function pickLabels(labelNames: readonly string[], labels: Labels): Labels {
+  const picked: Labels = {};
+  for (const name of labelNames) picked[name] = labels[name] ?? "";
+  return picked;
+}
+
+export class Counter implements Metric {
+  private series = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly labelNames: readonly string[] = []
+  ) {}
+
+  inc(labels: Labels = {}, amount = 1): void {
+    const key = seriesKey(this.labelNames, labels);
+    const entry = this.series.get(key);
+    if (entry) entry.value += amount;
+    else this.series.set(key, { labels: pickLabels(this.labelNames, labels), value: amount });
+  }
+
+  get(labels: Labels = {}): number {
+    return this.series.get(seriesKey(this.labelNames, labels))?.value ?? 0;
+  }
+
+  render(): string[] {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+
+  reset(): void {
+    this.series.clear();
+  }
+}
+
+export class Gauge implements Metric {
+  private series = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly labelNames: readonly string[] = []
+  ) {}
+
+  set(labels: Labels, value: number): void {
+    this.series.set(seriesKey(this.labelNames, labels), {
+      labels: pickLabels(this.labelNames, labels),
+      value,
+    });
+  }
+
+  get(labels: Labels = {}): number {
+    return this.series.get(seriesKey(this.labelNames, labels))?.value ?? 0;
+  }
+
+  render(): string[] {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+
+  reset(): void {
+    this.series.clear();
+  }
+}
+
+// Seconds; spans a fast cache hit to an upstream call close to its timeout.
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+interface HistogramSeries {
+  labels: Labels;
+  counts: number[];
+  sum: number;
+  count: number;
+}
+
+export class Histogram implements Metric {
+  private series = new Map<string, HistogramSeries>();
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly labelNames: readonly string[] = [],
+    readonly buckets: readonly number[] = DEFAULT_LATENCY_BUCKETS
+  ) {}
+
+  observe(labels: Labels, value: number): void {
+    const key = seriesKey(this.labelNames, labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = {
+        labels: pickLabels(this.labelNames, labels),
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  render(): string[] {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+
+  reset(): void {
+    this.series.clear();
+  }
+}
+
+export class MetricsRegistry {
+  private metrics: Metric[] = [];
+
+  counter(name: string, help: string, labelNames: readonly string[] = []): Counter {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name: string, help: string, labelNames: readonly string[] = []): Gauge {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(
+    name: string,
+    help: string,
+    labelNames: readonly string[] = [],
+    buckets?: readonly number[]
+  ): Histogram {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  private register<T extends Metric>(metric: T): T {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render(): string {
+    return this.metrics.map((metric) => metric.render().join("\n")).join("\n\n") + "\n";
+  }
+
+  reset(): void {
+    this.metrics.forEach((metric) => metric.reset());
+  }
+}
+
+export const metrics = new MetricsRegistry();
+
+// `route` is the route template (e.g. /api/battery/:sticker_id), never the
+// raw path, so sticker ids stay out of the labels.
+export const httpRequests = metrics.counter(
+  "cuub_http_requests_total",
+  "API requests handled, by route, method and response status.",
+  ["route", "method", "status"]
+);
+export const httpErrors = metrics.counter(
+  "cuub_http_request_errors_total",
+  "API requests answered with a 5xx.",
+  ["route", "method"]
+);
+export const httpDuration = metrics.histogram(
+  "cuub_http_request_duration_seconds",
+  "Time until the API response starts, by route and method.",
+  ["route", "method"]
+);
+
+// status is "error" when the upstream couldn't be reached at all.
+export const upstreamRequests = metrics.counter(
+  "cuub_upstream_requests_total",
+  "Calls to the CUUB API, by upstream route, method and status.",
+  ["route", "method", "status"]
+);
+export const upstreamErrors = metrics.counter(
+  "cuub_upstream_errors_total",
+  "Calls to the CUUB API that failed or got a 5xx.",
+  ["route", "method"]
+);
+export const upstreamDuration = metrics.histogram(
+  "cuub_upstream_request_duration_seconds",
+  "CUUB API latency, by upstream route and method.",
+  ["route", "method"]
+);
+export const upstreamCircuitOpen = metrics.gauge(
+  "cuub_upstream_circuit_open",
+  "1 while the CUUB API circuit breaker refuses calls (open), else 0."
+);
@@ -0,0 +1,221 @@
+import Redis from "ioredis";
+import { NextResponse, type NextRequest } from "next/server";
+import { logger } from "./logger";
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+const DEFAULT_PER_IP = 60;
+const DEFAULT_PER_STICKER = 120;
+const REDIS_COMMAND_TIMEOUT_MS = 1000;
+
+export interface RateLimitHit {
+  // Requests seen for the key in the current window, this one included.
+  count: number;
+  // Until the window resets.
+  ttlMs: number;
+}
+
+// Fixed-window counters. increment() is the whole contract, so any shared
+// store (e.g. Redis INCR + PEXPIRE) can back the limiter across instances.
+export interface RateLimitStore {
+  increment(key: string, windowMs: number): Promise<RateLimitHit>;
+  // Forget every counter. Only the in-memory store can, for tests.
+  clear?(): void;
+}
+
+// Windows sit in the map in the order they started, which (for one window
+// length) is the order they end. An expired window is replaced at the back
+// when its key comes round again, and prune() only drops expired ones from
+// the front, so each request costs O(1) amortized however many keys an
+// enumeration leaves behind.
+export class MemoryRateLimitStore implements RateLimitStore {
+  private windows = new Map<string, { count: number; resetAt: number }>();
+
+  constructor(private readonly now: () => number = Date.now) {}
+
+  async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+    const now = this.now();
+    this.prune(now);
+    let entry = this.windows.get(key);
+    if (entry && entry.resetAt <= now) {
+      this.windows.delete(key);
+      entry = undefined;
+    }
+    if (!entry) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, ttlMs: entry.resetAt - now };
+  }
+
+  get size(): number {
+    return this.windows.size;
+  }
+
+  private prune(now: number): void {
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt > now) return;
+      this.windows.delete(key);
+    }
+  }
+
+  clear(): void {
+    this.windows.clear();
+  }
+}
+
+// The subset of a Redis client the limiter needs. ioredis fits as-is;
+// node-redis needs its pExpire/pTTL mapped to these names.
+export interface RedisLike {
+  incr(key: string): Promise<number>;
+  pexpire(key: string, ms: number): Promise<unknown>;
+  pttl(key: string): Promise<number>;
+}
+
+export class RedisRateLimitStore implements RateLimitStore {
+  constructor(private readonly redis: RedisLike, private readonly prefix = "cuub:rl:") {}
+
+  async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+    const redisKey = `${this.prefix}${key}`;
+    const count = await this.redis.incr(redisKey);
+    // The first hit starts the window. A key left without an expiry (e.g.
+    // the process died between the two calls) gets one on the next hit.
+    let ttlMs = count === 1 ? -1 : await this.redis.pttl(redisKey);
+    if (ttlMs < 0) {
+      await this.redis.pexpire(redisKey, windowMs);
+      ttlMs = windowMs;
+    }
+    return { count, ttlMs };
+  }
+}
+
+export interface RateLimitRule {
+  name: string;
+  limit: number;
+  windowMs: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  // The rule that refused the request, if any.
+  rule: RateLimitRule | null;
+  retryAfterMs: number;
+}
+
+export class RateLimiter {
+  constructor(private readonly store: RateLimitStore) {}
+
+  // Every rule's counter moves, so a refused request still counts against
+  // the others. Store errors let the request through rather than turning an
+  // outage of the store into an outage of the API.
+  async check(checks: Array<{ rule: RateLimitRule; key: string }>): Promise<RateLimitResult> {
+    let refused: RateLimitResult = { allowed: true, rule: null, retryAfterMs: 0 };
+    for (const { rule, key } of checks) {
+      let hit: RateLimitHit;
+      try {
+        hit = await this.store.increment(`${rule.name}:${key}`, rule.windowMs);
+      } catch (err) {
+        logger.error("Rate limit store failed", { err });
+        continue;
+      }
+      if (hit.count > rule.limit && hit.ttlMs > refused.retryAfterMs) {
+        refused = { allowed: false, rule, retryAfterMs: hit.ttlMs };
+      }
+    }
+    return refused;
+  }
+}
+
+function readCount(value: string | undefined, fallback: number): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+const windowMs = readCount(process.env.CUUB_RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS);
+
+export const BATTERY_RATE_LIMITS = {
+  // Enumerating sticker ids from one address.
+  ip: {
+    name: "battery-ip",
+    limit: readCount(process.env.CUUB_RATE_LIMIT_PER_IP, DEFAULT_PER_IP),
+    windowMs,
+  },
+  // One sticker hammered from anywhere, e.g. spread over many addresses.
+  // Above the per-address limit, so a single address runs out of its own
+  // allowance before it can use up a renter's access to their scan page.
+  sticker: {
+    name: "battery-sticker",
+    limit: readCount(process.env.CUUB_RATE_LIMIT_PER_STICKER, DEFAULT_PER_STICKER),
+    windowMs,
+  },
+} satisfies Record<string, RateLimitRule>;
+
+// The limiter's Redis connection, opened on first use. A command that gets
+// no answer within a second fails (and the request goes through) instead of
+// holding the request up. A rejected password or database index won't fix
+// itself, and carrying on would count in the wrong database or not at all:
+// the connection is closed for good and every check after it fails, logged.
+export function connectRateLimitRedis(redisUrl: string): Redis {
+  const redis = new Redis(redisUrl, {
+    lazyConnect: true,
+    commandTimeout: REDIS_COMMAND_TIMEOUT_MS,
+    maxRetriesPerRequest: 1,
+  });
+  redis.on("error", (err: Error & { command?: { name?: string } }) => {
+    const command = err.command?.name?.toLowerCase();
+    if (command === "auth" || command === "select") {
+      logger.error("Rate limit Redis rejected the connection settings", { err, command });
+      redis.disconnect();
+      return;
+    }
+    logger.error("Rate limit Redis connection failed", { err });
+  });
+  return redis;
+}
+
+// CUUB_RATE_LIMIT_REDIS_URL shares the counters across instances through
+// Redis; unset, each instance counts on its own in memory.
+export function createRateLimitStore(
+  redisUrl = process.env.CUUB_RATE_LIMIT_REDIS_URL
+): RateLimitStore {
+  return redisUrl
+    ? new RedisRateLimitStore(connectRateLimitRedis(redisUrl))
+    : new MemoryRateLimitStore();
+}
+
+export const rateLimitStore = createRateLimitStore();
+export const batteryRateLimiter = new RateLimiter(rateLimitStore);
+
+// X-Forwarded-For entries appended by our own proxies. Cloud Run's front end
+// appends the caller's address, so counting from the right skips whatever
+// the caller put in the header themselves.
+const TRUSTED_PROXY_HOPS = readCount(process.env.CUUB_TRUSTED_PROXY_HOPS, 1);
+
+export function clientIp(req: NextRequest, hops: number = TRUSTED_PROXY_HOPS): string {
+  const forwarded = (req.headers.get("x-forwarded-for") ?? "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const fromProxy = forwarded[Math.max(0, forwarded.length - hops)];
+  return fromProxy || req.headers.get("x-real-ip") || req.ip || "unknown";
+}
+
+// A 429 in the usual envelope, or null when the request may go ahead.
+export async function limitBatteryRequest(
+  req: NextRequest,
+  stickerId: string
+): Promise<NextResponse | null> {
+  const ip = clientIp(req);
+  const result = await batteryRateLimiter.check([
+    { rule: BATTERY_RATE_LIMITS.ip, key: ip },
+    { rule: BATTERY_RATE_LIMITS.sticker, key: stickerId },
+  ]);
+  if (result.allowed) return null;
+  return NextResponse.json(
+    { success: false, error: "Too many requests" },
+    {
+      status: 429,
+      headers: { "Retry-After": String(Math.max(1, Math.ceil(result.retryAfterMs / 1000))) },
+    }
+  );
+}
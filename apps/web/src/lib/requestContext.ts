@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// What every log line and upstream call made while handling one API request
+// should carry. `sticker` is the hashed sticker id, never the raw one.
+export interface RequestContext {
+  requestId: string;
+  route: string;
+  sticker?: string;
+}
+
+const storage = new AsyncLocalStorage<RequestContext>();
+
+export function runWithRequestContext<T>(context: RequestContext, fn: () => T): T {
+  return storage.run(context, fn);
+}
+
+export function currentRequestContext(): RequestContext | undefined {
+  return storage.getStore();
+}
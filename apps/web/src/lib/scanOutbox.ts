@@ -0,0 +1,107 @@
+import {
+  MemoryOutboxStorage,
+  ScanOutbox,
+  type OutboxStorage,
+  type QueuedScan,
+} from "@cuub/shared";
+import { cuubClient } from "./cuubClient";
+
+const DB_NAME = "cuub";
+const STORE = "outbox";
+const KEY = "scans";
+
+function request<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function complete(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export class IndexedDbOutboxStorage implements OutboxStorage {
+  private db: Promise<IDBDatabase> | null = null;
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      this.db = request(req);
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  async load(): Promise<QueuedScan[]> {
+    const db = await this.open();
+    const stored = await request(db.transaction(STORE).objectStore(STORE).get(KEY));
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  async save(scans: QueuedScan[]): Promise<void> {
+    const db = await this.open();
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).put(scans, KEY);
+    await complete(tx);
+  }
+
+  // Every tab's outbox shares this store. Readwrite transactions on it run
+  // one at a time, so reading and writing in one keeps another tab's scans.
+  async update(fn: (scans: QueuedScan[]) => QueuedScan[]): Promise<QueuedScan[]> {
+    const db = await this.open();
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    let next: QueuedScan[] = [];
+    const get = store.get(KEY);
+    get.onsuccess = () => {
+      next = fn(Array.isArray(get.result) ? get.result : []);
+      store.put(next, KEY);
+    };
+    await complete(tx);
+    return next;
+  }
+}
+
+let outbox: ScanOutbox | null = null;
+
+// Created on first use so nothing touches indexedDB during server rendering.
+// Without IndexedDB (some private modes) scans are still retried for the
+// lifetime of the page.
+export function getScanOutbox(): ScanOutbox {
+  if (!outbox) {
+    outbox = new ScanOutbox({
+      storage:
+        typeof indexedDB === "undefined"
+          ? new MemoryOutboxStorage()
+          : new IndexedDbOutboxStorage(),
+      send: (scan) =>
+        cuubClient.createScanRecord(scan.stickerId, scan.manufactureId, scan.stickerType, {
+          idempotencyKey: scan.id,
+        }),
+    });
+  }
+  return outbox;
+}
+
+// Replays queued scans on the backoff schedule and as soon as the browser
+// reports it is back online. Returns a cleanup function.
+export function startScanOutbox(): () => void {
+  const box = getScanOutbox();
+  const stop = box.start();
+  const onOnline = () => {
+    box.flush().catch((err) => console.error("Error flushing scan outbox:", err));
+  };
+  window.addEventListener("online", onOnline);
+  return () => {
+    window.removeEventListener("online", onOnline);
+    stop();
+  };
+}
@@ -0,0 +1,34 @@
+import {
+  findStation,
+  normalizeStations,
+  parseEnvelope,
+  parseStationList,
+  type NormalizedStation,
+} from "@cuub/shared";
+import { logger } from "./logger";
+import { stationsCache, type StationsCache } from "./stationsCache";
+
+// "unavailable" means upstream could not be read, so the id may still be
+// valid; only "not-found" should turn into a 404.
+export type StationLookup =
+  | { status: "found"; station: NormalizedStation }
+  | { status: "not-found" }
+  | { status: "unavailable" };
+
+export async function lookupStation(
+  id: string,
+  cache: Pick<StationsCache, "get"> = stationsCache
+): Promise<StationLookup> {
+  try {
+    const result = await cache.get();
+    if (result.status !== 200) return { status: "unavailable" };
+    const envelope = parseEnvelope(result.payload);
+    if (!envelope.success) return { status: "unavailable" };
+    const { stations } = normalizeStations(parseStationList(envelope.data));
+    const station = findStation(stations, id);
+    return station ? { status: "found", station } : { status: "not-found" };
+  } catch (err) {
+    logger.error("Error looking up station", { err });
+    return { status: "unavailable" };
+  }
+}
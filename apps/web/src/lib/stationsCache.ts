@@ -0,0 +1,167 @@
+import { createHash } from "crypto";
+import { proxyCuub, type ProxyResult } from "./cuubApi";
+import { logger } from "./logger";
+
+const DEFAULT_TTL_MS = 30_000;
+const DEFAULT_STALE_MS = 60 * 60 * 1000;
+
+// HIT: served from cache within the TTL. MISS: fetched from upstream for this
+// request. STALE: past the TTL (being revalidated) or upstream failed.
+export type CacheStatus = "HIT" | "MISS" | "STALE";
+
+export type UpstreamResult = ProxyResult;
+
+export interface CachedStations extends UpstreamResult {
+  etag: string | null;
+  cacheStatus: CacheStatus;
+  ageSeconds: number;
+  // The last upstream fetch failed: this is the last known list (or the
+  // failure itself), not live data.
+  degraded: boolean;
+}
+
+export interface StationsCacheOptions {
+  ttlMs?: number;
+  staleMs?: number;
+  fetchUpstream?: () => Promise<UpstreamResult>;
+  now?: () => number;
+}
+
+interface Entry {
+  payload: unknown;
+  etag: string;
+  fetchedAt: number;
+}
+
+function readMs(value: string | undefined, fallback: number): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function isCacheable({ status, payload }: UpstreamResult): boolean {
+  if (status !== 200 || !payload || typeof payload !== "object") return false;
+  return (payload as { success?: unknown }).success !== false;
+}
+
+export function computeEtag(payload: unknown): string {
+  const hash = createHash("sha1")
+    .update(JSON.stringify(payload))
+    .digest("base64url");
+  return `W/"${hash}"`;
+}
+
+export function etagMatches(ifNoneMatch: string | null, etag: string | null): boolean {
+  if (!ifNoneMatch || !etag) return false;
+  const bare = (tag: string) => tag.trim().replace(/^W\//, "");
+  return ifNoneMatch
+    .split(",")
+    .some((tag) => tag.trim() === "*" || bare(tag) === bare(etag));
+}
+
+export class StationsCache {
+  private entry: Entry | null = null;
+  private inflight: Promise<UpstreamResult> | null = null;
+  private upstreamFailing = false;
+  private readonly ttlMs: number;
+  private readonly staleMs: number;
+  private readonly fetchUpstream: () => Promise<UpstreamResult>;
+  private readonly now: () => number;
+
+  constructor(options: StationsCacheOptions = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+    this.fetchUpstream =
+      options.fetchUpstream ??
+      (() => proxyCuub({ path: "/stations", method: "GET" }));
+    this.now = options.now ?? Date.now;
+  }
+
+  async get(): Promise<CachedStations> {
+    const entry = this.usableEntry();
+    if (entry) {
+      const age = this.now() - entry.fetchedAt;
+      if (age < this.ttlMs) return this.fromEntry(entry, "HIT");
+      this.revalidate().catch((err) =>
+        logger.error("Error revalidating stations cache", { err })
+      );
+      return this.fromEntry(entry, "STALE");
+    }
+
+    const result = await this.revalidate();
+    if (isCacheable(result) && this.entry) {
+      return this.fromEntry(this.entry, "MISS");
+    }
+    return {
+      ...result,
+      etag: null,
+      cacheStatus: "MISS",
+      ageSeconds: 0,
+      degraded: this.upstreamFailing,
+    };
+  }
+
+  // Whether the last upstream fetch failed, so what's served is stand-in data.
+  get degraded(): boolean {
+    return this.upstreamFailing;
+  }
+
+  // Bypasses the TTL and goes to upstream, updating the cache on success.
+  refresh(): Promise<UpstreamResult> {
+    return this.revalidate();
+  }
+
+  // The upstream response for the request that triggered it, or the last good
+  // copy when upstream failed and that copy is still within the stale window.
+  private revalidate(): Promise<UpstreamResult> {
+    if (this.inflight) return this.inflight;
+    this.inflight = this.fetchUpstream()
+      .then((result) => {
+        this.upstreamFailing = !isCacheable(result);
+        if (!this.upstreamFailing) {
+          this.entry = {
+            payload: result.payload,
+            etag: computeEtag(result.payload),
+            fetchedAt: this.now(),
+          };
+          return result;
+        }
+        const stale = this.usableEntry();
+        return stale
+          ? { status: 200, payload: stale.payload, degraded: true }
+          : { ...result, degraded: true };
+      })
+      .finally(() => {
+        this.inflight = null;
+      });
+    return this.inflight;
+  }
+
+  private usableEntry(): Entry | null {
+    if (!this.entry) return null;
+    if (this.now() - this.entry.fetchedAt >= this.ttlMs + this.staleMs) {
+      return null;
+    }
+    return this.entry;
+  }
+
+  private fromEntry(entry: Entry, cacheStatus: CacheStatus): CachedStations {
+    return {
+      status: 200,
+      payload: entry.payload,
+      etag: entry.etag,
+      cacheStatus,
+      ageSeconds: Math.max(0, Math.floor((this.now() - entry.fetchedAt) / 1000)),
+      degraded: this.upstreamFailing,
+    };
+  }
+
+  clear(): void {
+    this.entry = null;
+    this.upstreamFailing = false;
+  }
+}
+
+export const stationsCache = new StationsCache({
+  ttlMs: readMs(process.env.CUUB_STATIONS_TTL_MS, DEFAULT_TTL_MS),
+  staleMs: readMs(process.env.CUUB_STATIONS_STALE_MS, DEFAULT_STALE_MS),
+});
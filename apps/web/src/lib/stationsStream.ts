@@ -0,0 +1,121 @@
+import {
+  diffStations,
+  isEmptyDiff,
+  normalizeStations,
+  type NormalizedStation,
+  type StationsStreamEvent,
+} from "@cuub/shared";
+import { logger } from "./logger";
+import { stationsCache } from "./stationsCache";
+
+const DEFAULT_INTERVAL_MS = 15000;
+
+export type StreamListener = (event: StationsStreamEvent) => void;
+
+export interface StationsStreamOptions {
+  intervalMs?: number;
+  load?: () => Promise<NormalizedStation[] | null>;
+  // Whether the last load came from a failing upstream. A load that throws
+  // always counts as degraded.
+  degraded?: () => boolean;
+}
+
+async function loadFromCache(): Promise<NormalizedStation[] | null> {
+  const { payload } = await stationsCache.refresh();
+  const envelope = payload as { success?: boolean; data?: unknown } | null;
+  if (!envelope?.success || !Array.isArray(envelope.data)) return null;
+  return normalizeStations(envelope.data).stations;
+}
+
+// One upstream poller shared by every open /api/stations/stream connection.
+// It only runs while someone is listening, and only pushes the stations that
+// changed since the previous poll. A `status` event goes out whenever upstream
+// starts or stops failing.
+export class StationsStream {
+  private listeners = new Set<StreamListener>();
+  private current: NormalizedStation[] | null = null;
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private polling = false;
+  private isDegraded = false;
+  private readonly intervalMs: number;
+  private readonly load: () => Promise<NormalizedStation[] | null>;
+  private readonly degraded: () => boolean;
+
+  constructor(options: StationsStreamOptions = {}) {
+    this.intervalMs = options.intervalMs ?? DEFAULT_INTERVAL_MS;
+    this.load = options.load ?? loadFromCache;
+    this.degraded = options.degraded ?? (() => stationsCache.degraded);
+  }
+
+  subscribe(listener: StreamListener): () => void {
+    this.listeners.add(listener);
+    if (this.current) listener({ type: "snapshot", stations: this.current });
+    if (this.isDegraded) listener({ type: "status", degraded: true });
+    if (this.listeners.size === 1) this.poll();
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) this.stop();
+    };
+  }
+
+  private async poll(): Promise<void> {
+    this.timer = null;
+    if (this.polling) return;
+    this.polling = true;
+    let failed = false;
+    try {
+      const next = await this.load();
+      if (next) this.publish(next);
+    } catch (err) {
+      failed = true;
+      logger.error("Error polling stations for stream", { err });
+    } finally {
+      this.setDegraded(failed || this.degraded());
+      this.polling = false;
+    }
+    if (this.listeners.size > 0 && !this.timer) {
+      this.timer = setTimeout(() => this.poll(), this.intervalMs);
+    }
+  }
+
+  private publish(next: NormalizedStation[]): void {
+    if (!this.current) {
+      this.current = next;
+      this.broadcast({ type: "snapshot", stations: next });
+      return;
+    }
+    const diff = diffStations(this.current, next);
+    this.current = next;
+    if (!isEmptyDiff(diff)) this.broadcast({ type: "diff", ...diff });
+  }
+
+  private setDegraded(degraded: boolean): void {
+    if (degraded === this.isDegraded) return;
+    this.isDegraded = degraded;
+    this.broadcast({ type: "status", degraded });
+  }
+
+  private broadcast(event: StationsStreamEvent): void {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (err) {
+        logger.error("Error delivering stations event", { err });
+      }
+    });
+  }
+
+  private stop(): void {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+function readMs(value: string | undefined, fallback: number): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export const stationsStream = new StationsStream({
+  intervalMs: readMs(process.env.CUUB_STATIONS_STREAM_INTERVAL_MS, DEFAULT_INTERVAL_MS),
+});
@@ -0,0 +1,65 @@
+import { NextResponse, type NextRequest } from "next/server";
+import {
+  IDEMPOTENCY_HEADER,
+  frameAncestorsDirective,
+  isOriginAllowed,
+  parseOriginAllowlist,
+} from "@cuub/shared";
+
+const CORS_ALLOW_METHODS = "GET, POST, PATCH, OPTIONS";
+const CORS_ALLOW_HEADERS = `Content-Type, manufacture_id, sticker_type, ${IDEMPOTENCY_HEADER}`;
+const CORS_EXPOSE_HEADERS =
+  "Idempotent-Replayed, Retry-After, ETag, X-Cuub-Cache, X-Cuub-Degraded, X-Request-Id";
+const CORS_MAX_AGE_SECONDS = "600";
+
+// Read at request time; next.config.mjs headers are fixed at build time.
+function frameAncestors(): string[] {
+  return parseOriginAllowlist(process.env.CUUB_FRAME_ANCESTORS);
+}
+
+function corsOrigins(): string[] {
+  return parseOriginAllowlist(process.env.CUUB_CORS_ORIGINS);
+}
+
+function setCorsHeaders(headers: Headers, origin: string): void {
+  headers.set("Access-Control-Allow-Origin", origin);
+  headers.set("Access-Control-Expose-Headers", CORS_EXPOSE_HEADERS);
+}
+
+// API: CORS for allowlisted origins only, including the OPTIONS preflight
+// (route handlers don't implement OPTIONS). Pages: frame-ancestors from the
+// embedding allowlist.
+export function middleware(req: NextRequest) {
+  const origin = req.headers.get("origin");
+
+  if (req.nextUrl.pathname.startsWith("/api/")) {
+    const allowed = isOriginAllowed(origin, corsOrigins());
+
+    if (req.method === "OPTIONS" && origin && req.headers.has("access-control-request-method")) {
+      if (!allowed) {
+        return new NextResponse(null, { status: 403, headers: { Vary: "Origin" } });
+      }
+      const res = new NextResponse(null, { status: 204 });
+      setCorsHeaders(res.headers, origin);
+      res.headers.set("Access-Control-Allow-Methods", CORS_ALLOW_METHODS);
+      res.headers.set("Access-Control-Allow-Headers", CORS_ALLOW_HEADERS);
+      res.headers.set("Access-Control-Max-Age", CORS_MAX_AGE_SECONDS);
+      res.headers.set("Vary", "Origin, Access-Control-Request-Method, Access-Control-Request-Headers");
+      return res;
+    }
+
+    const res = NextResponse.next();
+    res.headers.set("Vary", "Origin");
+    if (origin && allowed) setCorsHeaders(res.headers, origin);
+    return res;
+  }
+
+  const res = NextResponse.next();
+  res.headers.set("Content-Security-Policy", frameAncestorsDirective(frameAncestors()));
+  res.headers.set("Permissions-Policy", "geolocation=*");
+  return res;
+}
+
+export const config = {
+  matcher: ["/((?!_next/static|_next/image|favicon.ico).*)"],
+};
@@ -0,0 +1,421 @@
+// Contract tests for the API parity table in ROLLOUT.md: every route and
+// method both servers serve is called on the legacy Express app and on the
+// Next route handlers, against one fake CUUB upstream, and the two answers
+// must match in status, the headers clients read, and JSON body.
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { NextRequest } from "next/server";
+import { quietly } from "./quietly";
+
+type UpstreamMode = "ok" | "notFound" | "error" | "malformed" | "hang";
+
+const STICKER = "CUBT062510000001";
+const STATIONS = { success: true, data: [{ id: 1, latitude: 41.9, longitude: -87.6 }] };
+const BATTERY = { success: true, data: { sticker_id: STICKER, manufacture_id: "m1", duration: "1h" } };
+const WRITE = { success: true, data: { ok: true } };
+
+// The headers clients act on. X-Request-Id is random per request.
+const COMPARED_HEADERS = [
+  "content-type",
+  "cache-control",
+  "etag",
+  "age",
+  "x-cuub-cache",
+  "x-cuub-degraded",
+  "idempotent-replayed",
+  "retry-after",
+];
+// Legacy's counters can't be reset, and most calls here are for STICKER, so
+// only the per-address limit is low enough to reach.
+const IP_RATE_LIMIT = 3;
+
+let upstream: http.Server;
+let upstreamMode: UpstreamMode = "ok";
+let legacy: http.Server;
+let legacyUrl = "";
+let resetNext: () => void = () => {};
+let clients = 0;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    if (upstreamMode === "hang") return;
+    if (upstreamMode === "malformed") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end("{not json");
+      return;
+    }
+    const [status, body] =
+      upstreamMode === "notFound"
+        ? [404, { success: false, error: "Not found" }]
+        : upstreamMode === "error"
+          ? [502, { success: false, error: "bad gateway" }]
+          : req.url === "/stations"
+            ? [200, STATIONS]
+            : [200, req.method === "GET" ? BATTERY : WRITE];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+
+  // Both servers read these at startup. No cache window, so every stations
+  // request reaches upstream and sees the scenario under test.
+  Object.assign(process.env, {
+    CUUB_API_BASE: `http://127.0.0.1:${port}`,
+    CUUB_STATIONS_TTL_MS: "0",
+    CUUB_STATIONS_STALE_MS: "0",
+    CUUB_UPSTREAM_TIMEOUT_MS: "100",
+    CUUB_READY_PROBE_TIMEOUT_MS: "100",
+    CUUB_BUILD_VERSION: "contract",
+    CUUB_BUILD_SHA: "abc1234",
+    CUUB_RATE_LIMIT_PER_IP: String(IP_RATE_LIMIT),
+    CUUB_RATE_LIMIT_PER_STICKER: "100000",
+  });
+  const app = require("../../../server.js");
+  legacy = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => legacy.once("listening", resolve));
+  legacyUrl = `http://127.0.0.1:${(legacy.address() as AddressInfo).port}`;
+
+  const { upstreamBreaker } = await import("../src/lib/cuubApi");
+  const { scanRecordStore, sizlPatchStore } = await import("../src/lib/idempotencyStore");
+  const { rateLimitStore } = await import("../src/lib/rateLimit");
+  resetNext = () => {
+    upstreamBreaker.reset();
+    scanRecordStore.clear();
+    sizlPatchStore.clear();
+    rateLimitStore.clear?.();
+  };
+});
+
+after(() => {
+  legacy.close();
+  upstream.closeAllConnections();
+  upstream.close();
+});
+
+beforeEach(() => {
+  upstreamMode = "ok";
+  process.env.MAPBOX_ACCESS_TOKEN = "pk.contract";
+  delete process.env.CUUB_METRICS_TOKEN;
+});
+
+interface Call {
+  method?: "GET" | "POST" | "PATCH";
+  path: string;
+  headers?: Record<string, string>;
+}
+
+interface Answer {
+  status: number;
+  headers: Record<string, string | null>;
+  body: unknown;
+}
+
+const NEXT_ROUTES: Array<{ pattern: RegExp; load: () => Promise<any> }> = [
+  { pattern: /^\/api\/mapbox-token$/, load: () => import("../src/app/api/mapbox-token/route") },
+  { pattern: /^\/api\/stations$/, load: () => import("../src/app/api/stations/route") },
+  { pattern: /^\/api\/battery\/([^/]+)$/, load: () => import("../src/app/api/battery/[sticker_id]/route") },
+  { pattern: /^\/api\/metrics$/, load: () => import("../src/app/api/metrics/route") },
+  { pattern: /^\/api\/healthz$/, load: () => import("../src/app/api/healthz/route") },
+  { pattern: /^\/api\/readyz$/, load: () => import("../src/app/api/readyz/route") },
+  // Next only.
+  { pattern: /^\/api\/pricing$/, load: () => import("../src/app/api/pricing/route") },
+  { pattern: /^\/api\/sizl-config$/, load: () => import("../src/app/api/sizl-config/route") },
+  { pattern: /^\/api\/embed-config$/, load: () => import("../src/app/api/embed-config/route") },
+  { pattern: /^\/api\/support-phone$/, load: () => import("../src/app/api/support-phone/route") },
+];
+
+// Timings and uptime differ between any two calls; only their type is part
+// of the contract.
+function normalizeBody(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(normalizeBody);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      (key === "durationMs" || key === "uptimeSeconds") && typeof v === "number"
+        ? "<number>"
+        : normalizeBody(v),
+    ])
+  );
+}
+
+async function answer(res: Response): Promise<Answer> {
+  const headers: Record<string, string | null> = {};
+  for (const name of COMPARED_HEADERS) headers[name] = res.headers.get(name);
+  // Express adds a charset parameter; the media type is what matters.
+  headers["content-type"] = headers["content-type"]?.split(";")[0] ?? null;
+  const text = await res.text();
+  const type = headers["content-type"];
+  const body = type === "application/json" && text ? JSON.parse(text) : text;
+  return { status: res.status, headers, body: normalizeBody(body) };
+}
+
+function fetchLegacy({ method = "GET", path, headers }: Call): Promise<Response> {
+  return quietly(() => fetch(`${legacyUrl}${path}`, { method, headers }));
+}
+
+async function fetchNext({ method = "GET", path, headers }: Call): Promise<Response> {
+  const url = new URL(path, "http://localhost");
+  for (const { pattern, load } of NEXT_ROUTES) {
+    const match = pattern.exec(url.pathname);
+    if (!match) continue;
+    const handler = (await load())[method];
+    const params = match[1] ? { sticker_id: decodeURIComponent(match[1]) } : {};
+    const req = new NextRequest(url, { method, headers });
+    return quietly(() => handler(req, { params }));
+  }
+  throw new Error(`No Next route for ${path}`);
+}
+
+async function callLegacy(call: Call): Promise<Answer> {
+  return answer(await fetchLegacy(call));
+}
+
+async function callNext(call: Call): Promise<Answer> {
+  return answer(await fetchNext(call));
+}
+
+// Calls both servers with the same request and upstream behaviour and
+// returns the (identical) answer for scenario-specific assertions. Each call
+// comes from a new client address, so the rate limits (which legacy can't
+// reset) stay out of the way unless a test picks the address.
+async function assertParity(
+  call: Call,
+  {
+    ignoreHeaders = [],
+    ignoreBody = false,
+    reset = true,
+  }: { ignoreHeaders?: string[]; ignoreBody?: boolean; reset?: boolean } = {}
+): Promise<Answer> {
+  if (reset) resetNext();
+  clients += 1;
+  call = { ...call, headers: { "X-Forwarded-For": `198.51.100.${clients}`, ...call.headers } };
+  const [fromLegacy, fromNext] = [await callLegacy(call), await callNext(call)];
+  for (const result of [fromLegacy, fromNext]) {
+    for (const name of ignoreHeaders) delete result.headers[name];
+    if (ignoreBody) result.body = null;
+  }
+  const label = `${call.method ?? "GET"} ${call.path} (upstream ${upstreamMode})`;
+  assert.deepEqual(fromNext, fromLegacy, label);
+  return fromNext;
+}
+
+const UNAVAILABLE = { success: false, error: "Live data temporarily unavailable" };
+const UNPARSEABLE = { success: false, error: "Failed to parse API response" };
+
+test("GET /api/mapbox-token: the token, or 503 without one", async () => {
+  assert.equal((await assertParity({ path: "/api/mapbox-token" })).status, 200);
+  delete process.env.MAPBOX_ACCESS_TOKEN;
+  assert.equal((await quietly(() => assertParity({ path: "/api/mapbox-token" }))).status, 503);
+});
+
+test("GET /api/stations: every upstream outcome", async () => {
+  const ok = await assertParity({ path: "/api/stations" });
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.body, STATIONS);
+  assert.ok(ok.headers.etag);
+
+  const notModified = await assertParity({
+    path: "/api/stations",
+    headers: { "If-None-Match": ok.headers.etag! },
+  });
+  assert.equal(notModified.status, 304);
+
+  await quietly(async () => {
+    upstreamMode = "notFound";
+    assert.equal((await assertParity({ path: "/api/stations" })).status, 404);
+
+    upstreamMode = "error";
+    const failed = await assertParity({ path: "/api/stations" });
+    assert.equal(failed.status, 502);
+    assert.equal(failed.headers["x-cuub-degraded"], "1");
+
+    upstreamMode = "malformed";
+    const malformed = await assertParity({ path: "/api/stations" });
+    assert.equal(malformed.status, 500);
+    assert.deepEqual(malformed.body, UNPARSEABLE);
+
+    upstreamMode = "hang";
+    const timedOut = await assertParity({ path: "/api/stations" });
+    assert.equal(timedOut.status, 503);
+    assert.deepEqual(timedOut.body, UNAVAILABLE);
+  });
+});
+
+test("GET /api/battery/:sticker_id: every upstream outcome", async () => {
+  const path = `/api/battery/${STICKER}`;
+  assert.deepEqual((await assertParity({ path })).body, BATTERY);
+  assert.equal((await assertParity({ path: "/api/battery/not-a-sticker" })).status, 400);
+
+  await quietly(async () => {
+    upstreamMode = "notFound";
+    assert.equal((await assertParity({ path })).status, 404);
+
+    upstreamMode = "error";
+    const failed = await assertParity({ path });
+    assert.equal(failed.status, 502);
+    assert.equal(failed.headers["x-cuub-degraded"], "1");
+
+    upstreamMode = "malformed";
+    assert.deepEqual((await assertParity({ path })).body, UNPARSEABLE);
+
+    upstreamMode = "hang";
+    assert.deepEqual((await assertParity({ path })).body, UNAVAILABLE);
+  });
+});
+
+// Both servers look manufacture_id up with a GET before writing, so an
+// unknown sticker is a 404 "Unknown sticker" from either.
+for (const method of ["POST", "PATCH"] as const) {
+  test(`${method} /api/battery/:sticker_id: every upstream outcome`, async () => {
+    const call = { method, path: `/api/battery/${STICKER}` };
+    const results: Record<string, number> = { ok: (await assertParity(call)).status };
+    await quietly(async () => {
+      for (const mode of ["notFound", "error", "malformed", "hang"] as const) {
+        upstreamMode = mode;
+        results[mode] = (await assertParity(call)).status;
+      }
+    });
+    assert.deepEqual(results, { ok: 200, notFound: 404, error: 502, malformed: 500, hang: 503 });
+
+    upstreamMode = "notFound";
+    const unknown = await assertParity(call);
+    assert.deepEqual(unknown.body, { success: false, error: "Unknown sticker" });
+  });
+}
+
+test("/api/battery/:sticker_id: 429 once a client address is over its limit", async () => {
+  resetNext();
+  const call = { path: `/api/battery/${STICKER}`, headers: { "X-Forwarded-For": "203.0.113.9" } };
+  for (let i = 0; i < IP_RATE_LIMIT; i++) {
+    await callLegacy(call);
+    await callNext(call);
+  }
+  const limited = await assertParity(call, { reset: false });
+  assert.equal(limited.status, 429);
+  assert.deepEqual(limited.body, { success: false, error: "Too many requests" });
+  assert.equal(limited.headers["retry-after"], "60");
+});
+
+for (const method of ["POST", "PATCH"] as const) {
+  test(`${method} /api/battery/:sticker_id: with an Idempotency-Key`, async () => {
+    const call = (key: string) => ({
+      method,
+      path: `/api/battery/${STICKER}`,
+      headers: { "Idempotency-Key": key },
+    });
+    const first = await assertParity(call("contract-key-0001"));
+    assert.equal(first.headers["idempotent-replayed"], "false");
+    const replayed = await assertParity(call("contract-key-0001"), { reset: false });
+    assert.equal(replayed.headers["idempotent-replayed"], "true");
+    assert.equal((await assertParity(call("bad key"))).status, 400);
+
+    upstreamMode = "hang";
+    const timedOut = await quietly(() => assertParity(call("contract-key-0002")));
+    assert.equal(timedOut.status, 503);
+  });
+}
+
+test("GET /api/metrics: Prometheus text, behind the token when set", async () => {
+  // The numbers differ between servers; the format and access don't.
+  const open = await assertParity({ path: "/api/metrics" }, { ignoreBody: true });
+  assert.equal(open.headers["content-type"], "text/plain");
+
+  process.env.CUUB_METRICS_TOKEN = "scrape-secret";
+  assert.equal((await assertParity({ path: "/api/metrics" })).status, 401);
+  const authed = await assertParity(
+    { path: "/api/metrics", headers: { Authorization: "Bearer scrape-secret" } },
+    { ignoreBody: true }
+  );
+  assert.equal(authed.status, 200);
+});
+
+// Next answers CORS in middleware, ahead of the route handlers called above.
+test("CORS: the same headers for allowlisted origins and preflights", async () => {
+  const { middleware } = await import("../src/middleware");
+  process.env.CUUB_CORS_ORIGINS = "https://shop.partner.example";
+  const CORS_HEADERS = [
+    "access-control-allow-origin",
+    "access-control-expose-headers",
+    "access-control-allow-methods",
+    "access-control-allow-headers",
+    "access-control-max-age",
+  ];
+  const cors = (res: Response) =>
+    Object.fromEntries(CORS_HEADERS.map((name) => [name, res.headers.get(name)]));
+  try {
+    for (const call of [
+      { method: "GET", headers: { Origin: "https://shop.partner.example" } },
+      {
+        method: "OPTIONS",
+        headers: {
+          Origin: "https://shop.partner.example",
+          "Access-Control-Request-Method": "PATCH",
+        },
+      },
+    ]) {
+      const path = `/api/battery/${STICKER}`;
+      const fromLegacy = await quietly(() => fetch(`${legacyUrl}${path}`, call));
+      const fromNext = middleware(new NextRequest(new URL(path, "http://localhost"), call));
+      assert.deepEqual(cors(fromNext), cors(fromLegacy), call.method);
+    }
+  } finally {
+    delete process.env.CUUB_CORS_ORIGINS;
+  }
+});
+
+// The route labels each server has counted requests under.
+function countedRoutes(metricsText: string): Set<string> {
+  const routes = new Set<string>();
+  for (const match of metricsText.matchAll(/^cuub_http_requests_total\{[^}]*route="([^"]+)"/gm)) {
+    routes.add(match[1]);
+  }
+  return routes;
+}
+
+test("every API route but metrics and the probes is instrumented, on both servers", async () => {
+  const shared = ["/api/mapbox-token", "/api/stations", `/api/battery/${STICKER}`];
+  const nextOnly = ["/api/pricing", "/api/sizl-config", "/api/embed-config", "/api/support-phone"];
+  const unlogged = ["/api/metrics", "/api/healthz", "/api/readyz"];
+  resetNext();
+  for (const path of [...shared, ...unlogged]) {
+    assert.ok((await fetchLegacy({ path })).headers.get("x-request-id"), `legacy ${path}`);
+  }
+  for (const path of [...shared, ...nextOnly]) {
+    assert.ok((await fetchNext({ path })).headers.get("x-request-id"), `next ${path}`);
+  }
+  for (const path of unlogged) await fetchNext({ path });
+
+  const legacyRoutes = countedRoutes(await (await fetchLegacy({ path: "/api/metrics" })).text());
+  const nextRoutes = countedRoutes(await (await fetchNext({ path: "/api/metrics" })).text());
+  const sharedRoutes = ["/api/mapbox-token", "/api/stations", "/api/battery/:sticker_id"];
+  for (const route of sharedRoutes) {
+    assert.ok(legacyRoutes.has(route), `legacy counts ${route}`);
+    assert.ok(nextRoutes.has(route), `next counts ${route}`);
+  }
+  for (const route of nextOnly) assert.ok(nextRoutes.has(route), `next counts ${route}`);
+  for (const route of unlogged) {
+    assert.ok(!legacyRoutes.has(route), `legacy skips ${route}`);
+    assert.ok(!nextRoutes.has(route), `next skips ${route}`);
+  }
+});
+
+test("GET /api/healthz and /api/readyz: same reports", async () => {
+  const health = await assertParity({ path: "/api/healthz" });
+  assert.equal((health.body as { commit: string }).commit, "abc1234");
+  assert.equal((await assertParity({ path: "/api/readyz" })).status, 200);
+
+  const probed: Record<string, number> = {};
+  for (const mode of ["ok", "error", "hang"] as const) {
+    upstreamMode = mode;
+    probed[mode] = (await quietly(() => assertParity({ path: "/api/readyz?probe=upstream" }))).status;
+  }
+  assert.deepEqual(probed, { ok: 200, error: 503, hang: 503 });
+
+  upstreamMode = "ok";
+  delete process.env.MAPBOX_ACCESS_TOKEN;
+  assert.equal((await assertParity({ path: "/api/readyz" })).status, 503);
+});
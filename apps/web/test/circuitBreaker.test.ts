@@ -0,0 +1,87 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { CircuitBreaker, type CircuitState } from "../src/lib/circuitBreaker";
+import { degradedHeaders, proxyCuub, upstreamBreaker } from "../src/lib/cuubApi";
+import { upstreamCircuitOpen } from "../src/lib/metrics";
+import { quietly } from "./quietly";
+
+let upstream: http.Server;
+let upstreamHits = 0;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    upstreamHits += 1;
+    res.writeHead(503, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: false, error: "unavailable" }));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+  process.env.CUUB_API_BASE = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  upstream.close();
+});
+
+beforeEach(() => {
+  upstreamHits = 0;
+  upstreamBreaker.reset();
+});
+
+test("CircuitBreaker: opens after the threshold, then lets one trial through", () => {
+  const clock = { t: 0 };
+  const changes: CircuitState[] = [];
+  const breaker = new CircuitBreaker({
+    failureThreshold: 2,
+    openMs: 1000,
+    now: () => clock.t,
+    onStateChange: (state) => changes.push(state),
+  });
+
+  breaker.recordFailure();
+  assert.equal(breaker.tryAcquire(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, "open");
+  assert.equal(breaker.tryAcquire(), false);
+  clock.t = 400;
+  assert.equal(breaker.retryAfterSeconds(), 1);
+
+  clock.t = 1000;
+  assert.equal(breaker.state, "half-open");
+  assert.equal(breaker.tryAcquire(), true);
+  assert.equal(breaker.tryAcquire(), false);
+  breaker.recordFailure();
+  assert.equal(breaker.state, "open");
+
+  clock.t = 2000;
+  assert.equal(breaker.tryAcquire(), true);
+  breaker.recordSuccess();
+  assert.equal(breaker.state, "closed");
+  assert.deepEqual(changes, ["open", "half-open", "open", "half-open", "closed"]);
+});
+
+test("CircuitBreaker: a success resets the failure count", () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2 });
+  breaker.recordFailure();
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  assert.equal(breaker.state, "closed");
+});
+
+test("proxyCuub: fails fast with a degraded 503 while the circuit is open", async () => {
+  const call = () => proxyCuub({ path: "/stations", method: "GET" });
+  for (let i = 0; i < 5; i += 1) {
+    const result = await quietly(call);
+    assert.equal(result.status, 503);
+    assert.equal(result.degraded, true);
+  }
+  assert.equal(upstreamBreaker.state, "open");
+  assert.equal(upstreamCircuitOpen.get(), 1);
+
+  const refused = await quietly(call);
+  assert.equal(upstreamHits, 5);
+  assert.equal(refused.status, 503);
+  assert.deepEqual(degradedHeaders(refused), { "X-Cuub-Degraded": "1" });
+});
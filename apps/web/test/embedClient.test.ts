@@ -0,0 +1,133 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { parseEmbedCommand } from "@cuub/shared";
+
+const SCRIPT = readFileSync(path.join(__dirname, "../public/cuub-embed.js"), "utf8");
+const MAP_ORIGIN = "https://map.cuub.tech";
+
+// The script against a fake page: one iframe whose posts are recorded, and a
+// `deliver` that plays the map's side of the conversation.
+function loadClient() {
+  const posted: Array<{ message: Record<string, unknown>; targetOrigin: string }> = [];
+  const contentWindow = {
+    postMessage: (message: Record<string, unknown>, targetOrigin: string) =>
+      posted.push({ message, targetOrigin }),
+  };
+  const listeners = new Set<(event: unknown) => void>();
+  const window = {
+    location: { href: "https://shop.example/page" },
+    addEventListener: (_type: string, fn: (event: unknown) => void) => listeners.add(fn),
+    removeEventListener: (_type: string, fn: (event: unknown) => void) => listeners.delete(fn),
+    CuubEmbed: undefined as unknown as {
+      connect: (iframe: unknown, options?: { origin?: string }) => any;
+    },
+  };
+  vm.runInNewContext(SCRIPT, {
+    window,
+    URL,
+    Promise,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    console,
+  });
+  const iframe = { src: `${MAP_ORIGIN}/?embed=1`, contentWindow };
+  const deliver = (data: unknown, init: { origin?: string; source?: unknown } = {}) => {
+    for (const fn of listeners) {
+      fn({ data, origin: init.origin ?? MAP_ORIGIN, source: init.source ?? contentWindow });
+    }
+  };
+  return { client: window.CuubEmbed.connect(iframe), posted, deliver, listeners };
+}
+
+test("pings the iframe's origin until the map answers", async () => {
+  const { client, posted, deliver } = loadClient();
+  try {
+    assert.equal(posted[0].targetOrigin, MAP_ORIGIN);
+    assert.equal(JSON.stringify(posted[0].message), '{"source":"cuub","version":1,"type":"ping"}');
+    deliver({ source: "cuub", version: 1, type: "pong" });
+    await client.ready;
+  } finally {
+    client.destroy();
+  }
+});
+
+test("every command it sends is one the map accepts", () => {
+  const { client, posted } = loadClient();
+  try {
+    client.findNearest();
+    client.requestLocation();
+    client.setFilter("batteries");
+    client.setView({ center: { latitude: 41.88, longitude: -87.63 }, zoom: 14 });
+    client.selectStation("st-1").catch(() => {});
+    client.getStations().catch(() => {});
+    for (const { message } of posted) {
+      const parsed = parseEmbedCommand(message);
+      assert.equal(parsed.ok, true, JSON.stringify(message));
+    }
+    assert.deepEqual(
+      posted.map(({ message }) => message.type).filter((type) => type !== "ping"),
+      ["findNearest", "requestLocation", "setFilter", "setView", "selectStation", "getStations"]
+    );
+  } finally {
+    client.destroy();
+  }
+});
+
+test("getStations resolves with the reply carrying its requestId", async () => {
+  const { client, posted, deliver } = loadClient();
+  try {
+    const stations = client.getStations();
+    const { requestId } = posted.at(-1)!.message;
+    deliver({ source: "cuub", version: 1, type: "stations", stations: [{ id: "x" }], requestId: "other" });
+    deliver({ source: "cuub", version: 1, type: "stations", stations: [{ id: "st-1" }], requestId });
+    assert.deepEqual(JSON.parse(JSON.stringify(await stations)), [{ id: "st-1" }]);
+  } finally {
+    client.destroy();
+  }
+});
+
+test("error replies reject with the map's code", async () => {
+  const { client, posted, deliver } = loadClient();
+  try {
+    const selected = client.selectStation("nope");
+    const { requestId } = posted.at(-1)!.message;
+    deliver({
+      source: "cuub",
+      version: 1,
+      type: "error",
+      code: "unknownStation",
+      message: "No station with id nope",
+      requestId,
+    });
+    await assert.rejects(selected, (err: Error & { code?: string }) => err.code === "unknownStation");
+  } finally {
+    client.destroy();
+  }
+});
+
+test("events reach listeners only from the iframe at its origin", () => {
+  const { client, deliver } = loadClient();
+  try {
+    const seen: unknown[] = [];
+    client.on("stationSelected", (event: { station: unknown }) => seen.push(event.station));
+    const event = { source: "cuub", version: 1, type: "stationSelected", station: { id: "st-1" } };
+    deliver(event, { origin: "https://evil.example" });
+    deliver(event, { source: {} });
+    deliver({ ...event, source: "other" });
+    deliver(event);
+    assert.deepEqual(seen, [{ id: "st-1" }]);
+  } finally {
+    client.destroy();
+  }
+});
+
+test("destroy stops listening", () => {
+  const { client, listeners } = loadClient();
+  client.destroy();
+  assert.equal(listeners.size, 0);
+});
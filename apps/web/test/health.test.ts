@@ -0,0 +1,81 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { NextRequest } from "next/server";
+
+let upstream: http.Server;
+let upstreamStatus = 200;
+let upstreamUrl = "";
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    res.writeHead(upstreamStatus, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: upstreamStatus === 200, data: [] }));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+  upstreamUrl = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  upstream.close();
+});
+
+beforeEach(() => {
+  upstreamStatus = 200;
+  process.env.CUUB_API_BASE = upstreamUrl;
+  process.env.MAPBOX_ACCESS_TOKEN = "pk.test";
+  process.env.CUUB_BUILD_VERSION = "2024.06.1";
+  process.env.CUUB_BUILD_SHA = "abc1234";
+});
+
+async function readyz(query = "") {
+  const { GET } = await import("../src/app/api/readyz/route");
+  const res = await GET(new NextRequest(`http://localhost/api/readyz${query}`));
+  return { status: res.status, body: await res.json() };
+}
+
+test("GET /api/healthz: reports liveness with the build info", async () => {
+  const { GET } = await import("../src/app/api/healthz/route");
+  const res = await GET();
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  const body = await res.json();
+  assert.equal(body.status, "ok");
+  assert.equal(body.version, "2024.06.1");
+  assert.equal(body.commit, "abc1234");
+  assert.equal(typeof body.uptimeSeconds, "number");
+  assert.deepEqual(body.checks, { process: { status: "ok" } });
+});
+
+test("GET /api/readyz: checks env and skips upstream unless asked", async () => {
+  const { status, body } = await readyz();
+  assert.equal(status, 200);
+  assert.deepEqual(body.checks, {
+    MAPBOX_ACCESS_TOKEN: { status: "ok" },
+    CUUB_API_BASE: { status: "ok" },
+    upstream: { status: "skipped" },
+  });
+
+  delete process.env.MAPBOX_ACCESS_TOKEN;
+  process.env.CUUB_API_BASE = "api.cuub.tech";
+  const missing = await readyz();
+  assert.equal(missing.status, 503);
+  assert.equal(missing.body.status, "fail");
+  assert.equal(missing.body.checks.MAPBOX_ACCESS_TOKEN.status, "fail");
+  assert.equal(missing.body.checks.CUUB_API_BASE.status, "fail");
+});
+
+test("GET /api/readyz?probe=upstream: fails when upstream answers 5xx", async () => {
+  const up = await readyz("?probe=upstream");
+  assert.equal(up.status, 200);
+  assert.equal(up.body.checks.upstream.status, "ok");
+  assert.equal(typeof up.body.checks.upstream.durationMs, "number");
+
+  upstreamStatus = 503;
+  const down = await readyz("?probe=upstream");
+  assert.equal(down.status, 503);
+  assert.equal(down.body.checks.upstream.status, "fail");
+  assert.equal(down.body.checks.upstream.detail, "HTTP 503");
+});
@@ -0,0 +1,156 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { NextRequest } from "next/server";
+import { IdempotencyStore } from "../src/lib/idempotencyStore";
+import { quietly } from "./quietly";
+
+let upstream: http.Server;
+let scanPosts: Array<{ path: string; key: string | undefined; manufactureId: string }> = [];
+let sizlPatches: Array<string | undefined> = [];
+let upstreamStatus = 200;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    if (req.method === "GET") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: true, data: { manufacture_id: "m-upstream" } }));
+      return;
+    }
+    if (req.method === "POST") {
+      scanPosts.push({
+        path: req.url ?? "",
+        key: req.headers["idempotency-key"] as string,
+        manufactureId: req.headers["manufacture_id"] as string,
+      });
+    }
+    if (req.method === "PATCH") sizlPatches.push(req.headers["idempotency-key"] as string);
+    res.writeHead(upstreamStatus, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: upstreamStatus === 200, data: { scan: scanPosts.length } }));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+  process.env.CUUB_API_BASE = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  upstream.close();
+});
+
+beforeEach(async () => {
+  scanPosts = [];
+  sizlPatches = [];
+  upstreamStatus = 200;
+  const { scanRecordStore, sizlPatchStore } = await import("../src/lib/idempotencyStore");
+  const { rateLimitStore } = await import("../src/lib/rateLimit");
+  scanRecordStore.clear();
+  sizlPatchStore.clear();
+  rateLimitStore.clear?.();
+});
+
+async function postScan(stickerId: string, key?: string) {
+  const { POST } = await import("../src/app/api/battery/[sticker_id]/route");
+  const headers: Record<string, string> = { manufacture_id: "m1", sticker_type: "type one" };
+  if (key !== undefined) headers["Idempotency-Key"] = key;
+  const req = new NextRequest(`http://localhost/api/battery/${stickerId}`, {
+    method: "POST",
+    headers,
+  });
+  return quietly(() => POST(req, { params: { sticker_id: stickerId } }));
+}
+
+test("POST /api/battery: duplicate submissions collapse into one upstream call", async () => {
+  const responses = await Promise.all([
+    postScan("CUBT062510000001", "session-key-1"),
+    postScan("CUBT062510000001", "session-key-1"),
+  ]);
+  const again = await postScan("CUBT062510000001", "session-key-1");
+
+  assert.equal(scanPosts.length, 1);
+  assert.equal(scanPosts[0].key, "session-key-1");
+  // The caller's manufacture_id header is ignored in favour of the lookup.
+  assert.equal(scanPosts[0].manufactureId, "m-upstream");
+  const bodies = await Promise.all([...responses, again].map((r) => r.json()));
+  assert.deepEqual(bodies, Array(3).fill({ success: true, data: { scan: 1 } }));
+  assert.deepEqual(
+    [...responses, again].map((r) => r.headers.get("idempotent-replayed")),
+    ["false", "true", "true"]
+  );
+});
+
+test("POST /api/battery: keys are scoped per sticker, and unkeyed calls pass through", async () => {
+  await postScan("CUBT062510000001", "session-key-1");
+  await postScan("CUBT062510000002", "session-key-1");
+  await postScan("CUBT062510000001");
+  await postScan("CUBT062510000001");
+  assert.equal(scanPosts.length, 4);
+});
+
+test("POST /api/battery: rejects malformed keys without calling upstream", async () => {
+  const res = await postScan("CUBT062510000001", "not a key!");
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).success, false);
+  assert.equal(scanPosts.length, 0);
+});
+
+test("POST /api/battery: rejects malformed sticker ids without calling upstream", async () => {
+  for (const stickerId of ["CUBT1", "favicon.ico", "CUBT0625100000011"]) {
+    const res = await postScan(stickerId, "session-key-1");
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { success: false, error: "Invalid sticker id" });
+  }
+  assert.equal(scanPosts.length, 0);
+});
+
+test("POST /api/battery: upstream failures are not remembered", async () => {
+  upstreamStatus = 502;
+  assert.equal((await postScan("CUBT062510000001", "session-key-1")).status, 502);
+  upstreamStatus = 200;
+  assert.equal((await postScan("CUBT062510000001", "session-key-1")).status, 200);
+  assert.equal(scanPosts.length, 2);
+});
+
+async function patchSizl(stickerId: string, key?: string) {
+  const { PATCH } = await import("../src/app/api/battery/[sticker_id]/route");
+  const headers: Record<string, string> = { "Content-Type": "application/json" };
+  if (key !== undefined) headers["Idempotency-Key"] = key;
+  const req = new NextRequest(`http://localhost/api/battery/${stickerId}`, {
+    method: "PATCH",
+    headers,
+    body: JSON.stringify({ sizl: true }),
+  });
+  return quietly(() => PATCH(req, { params: { sticker_id: stickerId } }));
+}
+
+test("PATCH /api/battery: repeats are replayed per scan session, not per sticker", async () => {
+  const first = await patchSizl("CUBT062510000001", "session-key-1");
+  const again = await patchSizl("CUBT062510000001", "session-key-1");
+  assert.deepEqual(
+    [first, again].map((r) => r.headers.get("idempotent-replayed")),
+    ["false", "true"]
+  );
+  // Another renter's session on the same sticker still reaches upstream.
+  const other = await patchSizl("CUBT062510000001", "session-key-2");
+  assert.equal(other.headers.get("idempotent-replayed"), "false");
+  await patchSizl("CUBT062510000001");
+  assert.deepEqual(sizlPatches, ["session-key-1", "session-key-2", undefined]);
+
+  // A scan record with the same key is a different request.
+  await postScan("CUBT062510000001", "session-key-1");
+  assert.equal(scanPosts.length, 1);
+  assert.equal((await patchSizl("CUBT062510000001", "not a key!")).status, 400);
+});
+
+test("IdempotencyStore: forgets keys after the window", async () => {
+  const clock = { t: 0 };
+  const store = new IdempotencyStore({ windowMs: 1000, now: () => clock.t });
+  let calls = 0;
+  const fn = async () => ({ status: 200, payload: ++calls });
+
+  assert.deepEqual(await store.run("k", fn), { status: 200, payload: 1, replayed: false });
+  clock.t = 999;
+  assert.deepEqual(await store.run("k", fn), { status: 200, payload: 1, replayed: true });
+  clock.t = 1000;
+  assert.deepEqual(await store.run("k", fn), { status: 200, payload: 2, replayed: false });
+});
@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { NextRequest } from "next/server";
+import { MetricsRegistry, httpRequests, metrics, upstreamErrors } from "../src/lib/metrics";
+import { hashStickerId, redactStickerIds } from "../src/lib/logger";
+import { rateLimitStore } from "../src/lib/rateLimit";
+
+const STICKER = "CUBT062510000001";
+
+let upstream: http.Server;
+let upstreamRequestIds: Array<string | undefined> = [];
+let upstreamStatus = 200;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    upstreamRequestIds.push(req.headers["x-request-id"] as string | undefined);
+    res.writeHead(upstreamStatus, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: upstreamStatus === 200, data: { manufacture_id: "m1" } }));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+  process.env.CUUB_API_BASE = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  upstream.close();
+});
+
+beforeEach(() => {
+  upstreamRequestIds = [];
+  upstreamStatus = 200;
+  metrics.reset();
+  rateLimitStore.clear?.();
+  delete process.env.CUUB_METRICS_TOKEN;
+});
+
+// Runs fn with console output captured as parsed JSON log lines.
+async function captureLogs<T>(fn: () => Promise<T>): Promise<{ result: T; lines: any[] }> {
+  const lines: any[] = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  const capture = (line: unknown) => lines.push(JSON.parse(String(line)));
+  console.log = console.warn = console.error = capture;
+  try {
+    return { result: await fn(), lines };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+async function getBattery(headers: Record<string, string> = {}) {
+  const { GET } = await import("../src/app/api/battery/[sticker_id]/route");
+  const req = new NextRequest(`http://localhost/api/battery/${STICKER}`, { headers });
+  return GET(req, { params: { sticker_id: STICKER } });
+}
+
+test("sticker ids are hashed, not logged", () => {
+  const hash = hashStickerId(STICKER);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.equal(hashStickerId(` ${STICKER.toLowerCase()} `), hash);
+  assert.notEqual(hashStickerId("CUBT062510000002"), hash);
+  assert.equal(redactStickerIds(`/battery/${STICKER}`), `/battery/sticker:${hash}`);
+});
+
+test("metrics render in the Prometheus text format", () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter("t_total", "Things.", ["route", "status"]);
+  const histogram = registry.histogram("t_seconds", "Time.", ["route"], [0.1, 1]);
+  counter.inc({ status: "200", route: "/a" });
+  counter.inc({ route: "/a", status: "200" });
+  counter.inc({ route: 'q"x', status: "500" });
+  histogram.observe({ route: "/a" }, 0.05);
+  histogram.observe({ route: "/a" }, 0.5);
+  histogram.observe({ route: "/a" }, 3);
+
+  assert.equal(
+    registry.render(),
+    [
+      "# HELP t_total Things.",
+      "# TYPE t_total counter",
+      't_total{route="/a",status="200"} 2',
+      't_total{route="q\\"x",status="500"} 1',
+      "",
+      "# HELP t_seconds Time.",
+      "# TYPE t_seconds histogram",
+      't_seconds_bucket{route="/a",le="0.1"} 1',
+      't_seconds_bucket{route="/a",le="1"} 2',
+      't_seconds_bucket{route="/a",le="+Inf"} 3',
+      't_seconds_sum{route="/a"} 3.55',
+      't_seconds_count{route="/a"} 3',
+      "",
+    ].join("\n")
+  );
+});
+
+test("the request id is echoed and forwarded upstream", async () => {
+  const { result: res, lines } = await captureLogs(() => getBattery());
+  const requestId = res.headers.get("x-request-id");
+  assert.ok(requestId);
+  assert.deepEqual(upstreamRequestIds, [requestId]);
+
+  const access = lines.find((line) => line.message === "API request");
+  assert.equal(access.severity, "INFO");
+  assert.equal(access.requestId, requestId);
+  assert.equal(access.route, "/api/battery/:sticker_id");
+  assert.equal(access.sticker, hashStickerId(STICKER));
+  assert.equal(access.status, 200);
+  assert.equal(typeof access.durationMs, "number");
+
+  const call = lines.find((line) => line.message === "CUUB API response");
+  assert.equal(call.requestId, requestId);
+  assert.equal(call.upstream.status, 200);
+  assert.equal(call.upstream.path, `/battery/sticker:${hashStickerId(STICKER)}`);
+
+  for (const line of lines) assert.ok(!JSON.stringify(line).includes(STICKER));
+});
+
+test("a well-formed incoming request id is kept; anything else is replaced", async () => {
+  const kept = await captureLogs(() => getBattery({ "X-Request-Id": "trace-abc-123" }));
+  assert.equal(kept.result.headers.get("x-request-id"), "trace-abc-123");
+  const replaced = await captureLogs(() => getBattery({ "X-Request-Id": "bad id {\"x\":1}" }));
+  assert.notEqual(replaced.result.headers.get("x-request-id"), "bad id {\"x\":1}");
+  assert.deepEqual(upstreamRequestIds, [
+    "trace-abc-123",
+    replaced.result.headers.get("x-request-id") ?? "",
+  ]);
+});
+
+test("requests and upstream failures are counted per route template", async () => {
+  await captureLogs(() => getBattery());
+  upstreamStatus = 503;
+  const { lines } = await captureLogs(() => getBattery());
+
+  const route = { route: "/api/battery/:sticker_id", method: "GET" };
+  assert.equal(httpRequests.get({ ...route, status: "200" }), 1);
+  assert.equal(httpRequests.get({ ...route, status: "503" }), 1);
+  assert.equal(upstreamErrors.get({ route: "/battery/:sticker_id", method: "GET" }), 1);
+  assert.equal(lines.find((line) => line.message === "CUUB API response").severity, "WARNING");
+  assert.equal(lines.find((line) => line.message === "API request").severity, "ERROR");
+});
+
+test("GET /api/metrics serves the registry, behind a token when one is set", async () => {
+  const { GET } = await import("../src/app/api/metrics/route");
+  await captureLogs(() => getBattery());
+
+  const res = await GET(new NextRequest("http://localhost/api/metrics"));
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type") ?? "", /^text\/plain; version=0\.0\.4/);
+  const body = await res.text();
+  assert.match(body, /cuub_http_requests_total\{route="\/api\/battery\/:sticker_id",method="GET",status="200"\} 1/);
+  assert.match(body, /cuub_upstream_request_duration_seconds_count\{route="\/battery\/:sticker_id",method="GET"\} 1/);
+  assert.ok(!body.includes(STICKER));
+
+  process.env.CUUB_METRICS_TOKEN = "scrape-secret";
+  assert.equal((await GET(new NextRequest("http://localhost/api/metrics"))).status, 401);
+  const authed = await GET(
+    new NextRequest("http://localhost/api/metrics", {
+      headers: { Authorization: "Bearer scrape-secret" },
+    })
+  );
+  assert.equal(authed.status, 200);
+});
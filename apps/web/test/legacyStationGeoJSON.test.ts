@@ -0,0 +1,74 @@
+// lib/station_geojson.js is a hand-written mirror of @cuub/shared's normalize,
+// geojson and filter modules for the legacy pages. Both run on the same raw
+// upstream fixtures here and must produce identical output.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import {
+  STATION_ICON_COUNT,
+  STATION_ICON_IDS,
+  filterStations,
+  normalizeStations,
+  parseStationFilter,
+  stationFilterExpression,
+  stationIconId,
+  stationsToGeoJSON,
+  type StationFilter,
+} from "@cuub/shared";
+
+vm.runInThisContext(
+  fs.readFileSync(path.join(__dirname, "../../../lib/station_geojson.js"), "utf8")
+);
+const legacy = (globalThis as any).CuubStationGeoJSON;
+
+// The loose shapes upstream really sends, and the garbage it sometimes does.
+const RAW_STATIONS: unknown[] = [
+  { id: 1, title: "Union Station", latitude: 41.8786, longitude: -87.6403, filled_slots: 4, open_slots: 2 },
+  { id: "2", title: " Navy Pier ", latitude: "41.8917", longitude: "-87.6086", filled_slots: "2", open_slots: "0" },
+  { id: 3, title: "", latitude: 41.9, longitude: -87.6, filled_slots: null, open_slots: undefined },
+  { id: 4, title: 42, latitude: 41.9, longitude: -87.6, filled_slots: "9", open_slots: "" },
+  { id: 5, title: "Fractional", latitude: 41.9, longitude: -87.6, filled_slots: 2.7, open_slots: -1 },
+  { id: 6, title: "Partly numeric", latitude: "41.9abc", longitude: -87.6, filled_slots: 1, open_slots: 1 },
+  { id: 7, title: "Trailing junk", latitude: 41.9, longitude: -87.6, filled_slots: "3 slots", open_slots: "1e1" },
+  { id: 8, title: "Out of range", latitude: 91, longitude: -87.6, filled_slots: 1, open_slots: 1 },
+  { id: 1, title: "Duplicate", latitude: 41.9, longitude: -87.6, filled_slots: 1, open_slots: 1 },
+  { title: "No id", latitude: 41.9, longitude: -87.6 },
+  { id: "  ", latitude: 41.9, longitude: -87.6 },
+  null,
+  "not a station",
+  [1, 2],
+];
+
+const FILTERS: Array<StationFilter | string> = ["all", "batteries", "open", "", "BATTERIES ", "bogus"];
+
+test("normalizeStations: the legacy mirror keeps and drops the same stations", () => {
+  assert.deepEqual(legacy.normalizeStations(RAW_STATIONS), normalizeStations(RAW_STATIONS).stations);
+});
+
+test("stationsToGeoJSON and filterStations: identical features for every filter and selection", () => {
+  const legacyStations = legacy.normalizeStations(RAW_STATIONS);
+  const stations = normalizeStations(RAW_STATIONS).stations;
+  for (const value of FILTERS) {
+    const filter = parseStationFilter(value);
+    assert.equal(legacy.parseStationFilter(value), filter);
+    assert.deepEqual(legacy.stationFilterExpression(filter), stationFilterExpression(filter));
+    for (const selectedId of [null, "1", "2", "99"]) {
+      assert.deepEqual(
+        legacy.stationsToGeoJSON(legacy.filterStations(legacyStations, filter), selectedId),
+        stationsToGeoJSON(filterStations(stations, filter), selectedId),
+        `filter ${filter}, selected ${selectedId}`
+      );
+    }
+  }
+  assert.deepEqual(legacy.stationsToGeoJSON(legacyStations), stationsToGeoJSON(stations));
+});
+
+test("stationIconId: the same icon for every count", () => {
+  assert.equal(legacy.STATION_ICON_COUNT, STATION_ICON_COUNT);
+  assert.deepEqual(legacy.STATION_ICON_IDS, STATION_ICON_IDS);
+  for (const n of [null, NaN, Infinity, -3, 0, 1, 2.5, 5, 6, 40]) {
+    assert.equal(legacy.stationIconId(n), stationIconId(n));
+  }
+});
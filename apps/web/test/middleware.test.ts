@@ -0,0 +1,80 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { NextRequest } from "next/server";
+import { middleware } from "../src/middleware";
+
+beforeEach(() => {
+  process.env.CUUB_CORS_ORIGINS = "https://map.cuub.tech https://*.partner.example";
+  process.env.CUUB_FRAME_ANCESTORS = "https://*.framer.app";
+});
+
+function request(path: string, init: { method?: string; headers?: Record<string, string> } = {}) {
+  return new NextRequest(`http://localhost${path}`, init);
+}
+
+function preflight(origin: string) {
+  return middleware(
+    request("/api/battery/CUBT062510000001", {
+      method: "OPTIONS",
+      headers: {
+        Origin: origin,
+        "Access-Control-Request-Method": "POST",
+        "Access-Control-Request-Headers": "content-type, idempotency-key",
+      },
+    })
+  );
+}
+
+test("API: allowlisted origins get CORS headers", () => {
+  const res = middleware(
+    request("/api/stations", { headers: { Origin: "https://shop.partner.example" } })
+  );
+  assert.equal(res.headers.get("access-control-allow-origin"), "https://shop.partner.example");
+  assert.equal(res.headers.get("vary"), "Origin");
+});
+
+test("API: other origins get none", () => {
+  for (const origin of ["https://evil.example", "https://partner.example", "http://map.cuub.tech"]) {
+    const res = middleware(request("/api/stations", { headers: { Origin: origin } }));
+    assert.equal(res.headers.get("access-control-allow-origin"), null, origin);
+    assert.equal(res.headers.get("vary"), "Origin");
+  }
+});
+
+test("API: preflight from an allowlisted origin", () => {
+  const res = preflight("https://map.cuub.tech");
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get("access-control-allow-origin"), "https://map.cuub.tech");
+  assert.match(res.headers.get("access-control-allow-methods") ?? "", /\bPATCH\b/);
+  assert.match(res.headers.get("access-control-allow-headers") ?? "", /Idempotency-Key/);
+  assert.equal(res.headers.get("access-control-max-age"), "600");
+});
+
+test("API: preflight from anywhere else is refused", () => {
+  const res = preflight("https://evil.example");
+  assert.equal(res.status, 403);
+  assert.equal(res.headers.get("access-control-allow-origin"), null);
+});
+
+test("API: a wildcard allowlist allows any origin", () => {
+  process.env.CUUB_CORS_ORIGINS = "*";
+  const res = preflight("https://anyone.example");
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get("access-control-allow-origin"), "https://anyone.example");
+});
+
+test("pages: frame-ancestors comes from the embedding allowlist", () => {
+  const res = middleware(request("/CUBT062510000001"));
+  assert.equal(
+    res.headers.get("content-security-policy"),
+    "frame-ancestors 'self' https://*.framer.app"
+  );
+  assert.equal(res.headers.get("permissions-policy"), "geolocation=*");
+  assert.equal(res.headers.get("access-control-allow-origin"), null);
+
+  delete process.env.CUUB_FRAME_ANCESTORS;
+  assert.match(
+    middleware(request("/")).headers.get("content-security-policy") ?? "",
+    /^frame-ancestors 'self' https:\/\/cuub\.tech /
+  );
+});
@@ -0,0 +1,18 @@
+// The routes log a JSON line for every request and upstream call, and a
+// warning or error for every failure. Tests run the calls that log through
+// here so a passing run prints only the test report. Calls can overlap
+// (Promise.all); the console is put back when the last one settles.
+let depth = 0;
+let original = { log: console.log, warn: console.warn, error: console.error };
+
+export async function quietly<T>(fn: () => Promise<T>): Promise<T> {
+  if (depth++ === 0) {
+    original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+  }
+  try {
+    return await fn();
+  } finally {
+    if (--depth === 0) Object.assign(console, original);
+  }
+}
@@ -0,0 +1,264 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import net, { type AddressInfo } from "node:net";
+import { NextRequest } from "next/server";
+import {
+  BATTERY_RATE_LIMITS,
+  MemoryRateLimitStore,
+  RateLimiter,
+  RedisRateLimitStore,
+  clientIp,
+  connectRateLimitRedis,
+  createRateLimitStore,
+  rateLimitStore,
+  type RedisLike,
+} from "../src/lib/rateLimit";
+import { quietly } from "./quietly";
+
+const STICKER = "CUBT062510000001";
+let upstream: http.Server;
+let upstreamHits = 0;
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    upstreamHits += 1;
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ success: true, data: { manufacture_id: "m1" } }));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+  process.env.CUUB_API_BASE = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  upstream.close();
+});
+
+beforeEach(() => {
+  upstreamHits = 0;
+  rateLimitStore.clear?.();
+});
+
+async function getBattery(stickerId: string, ip: string) {
+  const { GET } = await import("../src/app/api/battery/[sticker_id]/route");
+  const req = new NextRequest(`http://localhost/api/battery/${stickerId}`, {
+    headers: { "x-forwarded-for": ip },
+  });
+  return quietly(() => GET(req, { params: { sticker_id: stickerId } }));
+}
+
+test("MemoryRateLimitStore: counts per key and resets after the window", async () => {
+  const clock = { t: 0 };
+  const store = new MemoryRateLimitStore(() => clock.t);
+  assert.deepEqual(await store.increment("a", 1000), { count: 1, ttlMs: 1000 });
+  clock.t = 400;
+  assert.deepEqual(await store.increment("a", 1000), { count: 2, ttlMs: 600 });
+  assert.deepEqual(await store.increment("b", 1000), { count: 1, ttlMs: 1000 });
+  clock.t = 1000;
+  assert.deepEqual(await store.increment("a", 1000), { count: 1, ttlMs: 1000 });
+});
+
+test("MemoryRateLimitStore: drops ended windows without walking the live ones", async () => {
+  const clock = { t: 0 };
+  const store = new MemoryRateLimitStore(() => clock.t);
+  for (let i = 0; i < 100; i++) await store.increment(`ip:${i}`, 1000);
+  clock.t = 500;
+  await store.increment("late", 1000);
+  assert.equal(store.size, 101);
+  clock.t = 1000;
+  await store.increment("late", 1000);
+  assert.equal(store.size, 1);
+
+  // A shorter window behind a longer one still restarts when its key returns.
+  await store.increment("long", 60000);
+  await store.increment("short", 100);
+  clock.t = 1200;
+  assert.deepEqual(await store.increment("short", 100), { count: 1, ttlMs: 100 });
+});
+
+test("RedisRateLimitStore: starts the window on the first hit and repairs lost expiries", async () => {
+  const counts = new Map<string, number>();
+  const ttls = new Map<string, number>();
+  const redis: RedisLike = {
+    async incr(key) {
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+      return counts.get(key)!;
+    },
+    async pexpire(key, ms) {
+      ttls.set(key, ms);
+      return 1;
+    },
+    async pttl(key) {
+      return ttls.get(key) ?? -1;
+    },
+  };
+  const store = new RedisRateLimitStore(redis);
+  assert.deepEqual(await store.increment("ip:1", 60000), { count: 1, ttlMs: 60000 });
+  ttls.set("cuub:rl:ip:1", 25000);
+  assert.deepEqual(await store.increment("ip:1", 60000), { count: 2, ttlMs: 25000 });
+  ttls.delete("cuub:rl:ip:1");
+  assert.deepEqual(await store.increment("ip:1", 60000), { count: 3, ttlMs: 60000 });
+});
+
+// A Redis stand-in that speaks enough RESP for ioredis and the limiter:
+// AUTH, SELECT, INFO (its ready check), INCR, PEXPIRE and PTTL, with expiries
+// never running out.
+async function startFakeRedis(password: string) {
+  const counts = new Map<string, number>();
+  const ttls = new Map<string, number>();
+  const commands: string[][] = [];
+  const sockets = new Set<net.Socket>();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let authed = false;
+    let buffered = "";
+    socket.on("data", (chunk) => {
+      buffered += chunk.toString();
+      for (;;) {
+        const parts = buffered.split("\r\n");
+        const argc = Number(parts[0].slice(1));
+        if (parts.length < argc * 2 + 2) return;
+        const args = Array.from({ length: argc }, (_, i) => parts[i * 2 + 2]);
+        buffered = parts.slice(argc * 2 + 1).join("\r\n");
+        commands.push(args);
+        const [name, key] = [args[0].toUpperCase(), args[1]];
+        if (name === "AUTH") {
+          authed = args[args.length - 1] === password;
+          socket.write(authed ? "+OK\r\n" : "-WRONGPASS invalid password\r\n");
+        } else if (!authed) {
+          socket.write("-NOAUTH Authentication required.\r\n");
+        } else if (name === "SELECT") {
+          socket.write(key === "0" || key === "1" ? "+OK\r\n" : "-ERR DB index is out of range\r\n");
+        } else if (name === "INFO") {
+          const info = "# Server\r\nloading:0\r\n";
+          socket.write(`$${info.length}\r\n${info}\r\n`);
+        } else if (name === "INCR") {
+          counts.set(key, (counts.get(key) ?? 0) + 1);
+          socket.write(`:${counts.get(key)}\r\n`);
+        } else if (name === "PEXPIRE") {
+          ttls.set(key, Number(args[2]));
+          socket.write(":1\r\n");
+        } else if (name === "PTTL") {
+          socket.write(`:${ttls.get(key) ?? -1}\r\n`);
+        } else {
+          socket.write("+OK\r\n");
+        }
+      }
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const close = () => {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  };
+  return { close, commands, port: (server.address() as AddressInfo).port };
+}
+
+test("RedisRateLimitStore over ioredis: instances share counters", async () => {
+  const redis = await startFakeRedis("s3cret");
+  const url = `redis://:s3cret@127.0.0.1:${redis.port}/1`;
+  const clients = [connectRateLimitRedis(url), connectRateLimitRedis(url)];
+  try {
+    const [a, b] = clients.map((client) => new RedisRateLimitStore(client));
+    assert.deepEqual(await a.increment("battery-ip:1.1.1.1", 60000), { count: 1, ttlMs: 60000 });
+    assert.deepEqual(await b.increment("battery-ip:1.1.1.1", 60000), { count: 2, ttlMs: 60000 });
+    assert.ok(redis.commands.some((args) => args[0] === "auth" && args[1] === "s3cret"));
+    assert.ok(redis.commands.some((args) => args.join(" ") === "incr cuub:rl:battery-ip:1.1.1.1"));
+  } finally {
+    clients.forEach((client) => client.disconnect());
+    redis.close();
+  }
+  assert.ok(createRateLimitStore(`redis://127.0.0.1:${redis.port}`) instanceof RedisRateLimitStore);
+  assert.ok(createRateLimitStore("") instanceof MemoryRateLimitStore);
+});
+
+for (const [what, path] of [
+  ["a wrong password", "redis://:nope@127.0.0.1:PORT"],
+  ["a bad database index", "redis://:s3cret@127.0.0.1:PORT/99"],
+] as const) {
+  test(`RedisRateLimitStore over ioredis: ${what} closes the connection, logged`, async (t) => {
+    const logged = t.mock.method(console, "error", () => {});
+    const redis = await startFakeRedis("s3cret");
+    const client = connectRateLimitRedis(path.replace("PORT", String(redis.port)));
+    try {
+      const limiter = new RateLimiter(new RedisRateLimitStore(client));
+      const rule = { name: "r", limit: 0, windowMs: 1000 };
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await limiter.check([{ rule, key: "k" }])).allowed, true);
+      }
+      // Nothing was counted, in any database.
+      assert.ok(!redis.commands.some(([name]) => name === "incr"));
+      assert.equal(client.status, "end");
+      const messages = logged.mock.calls.map((call) => JSON.parse(String(call.arguments[0])).message);
+      assert.ok(messages.includes("Rate limit Redis rejected the connection settings"));
+      assert.ok(messages.includes("Rate limit store failed"));
+    } finally {
+      client.disconnect();
+      redis.close();
+    }
+  });
+}
+
+test("RateLimiter: refuses once any rule is over its limit", async () => {
+  const limiter = new RateLimiter(new MemoryRateLimitStore(() => 0));
+  const rule = { name: "r", limit: 2, windowMs: 1000 };
+  const other = { name: "o", limit: 10, windowMs: 5000 };
+  const check = () => limiter.check([{ rule, key: "k" }, { rule: other, key: "k" }]);
+  assert.equal((await check()).allowed, true);
+  assert.equal((await check()).allowed, true);
+  assert.deepEqual(await check(), { allowed: false, rule, retryAfterMs: 1000 });
+});
+
+test("RateLimiter: a failing store lets requests through", async () => {
+  const limiter = new RateLimiter({
+    increment: async () => {
+      throw new Error("store down");
+    },
+  });
+  const rule = { name: "r", limit: 0, windowMs: 1000 };
+  assert.equal((await quietly(() => limiter.check([{ rule, key: "k" }]))).allowed, true);
+});
+
+test("clientIp: trusts only the hops our proxies append", () => {
+  const req = (xff?: string) =>
+    new NextRequest("http://localhost/", { headers: xff ? { "x-forwarded-for": xff } : {} });
+  assert.equal(clientIp(req("1.1.1.1")), "1.1.1.1");
+  assert.equal(clientIp(req("6.6.6.6, 1.1.1.1")), "1.1.1.1");
+  assert.equal(clientIp(req("6.6.6.6, 1.1.1.1, 10.0.0.1"), 2), "1.1.1.1");
+  assert.equal(clientIp(req()), "unknown");
+});
+
+test("GET /api/battery: 429s in the envelope once an address is over its limit", async () => {
+  const limit = BATTERY_RATE_LIMITS.ip.limit;
+  for (let i = 0; i < limit; i++) {
+    const stickerId = `CUBT0625${String(i).padStart(8, "0")}`;
+    assert.equal((await getBattery(stickerId, "1.1.1.1")).status, 200);
+  }
+  const res = await getBattery(STICKER, "1.1.1.1");
+  assert.equal(res.status, 429);
+  assert.deepEqual(await res.json(), { success: false, error: "Too many requests" });
+  assert.equal(res.headers.get("retry-after"), "60");
+  assert.equal(upstreamHits, limit);
+
+  assert.equal((await getBattery(STICKER, "2.2.2.2")).status, 200);
+});
+
+test("GET /api/battery: one address can't use up a sticker for everyone else", async () => {
+  const limit = BATTERY_RATE_LIMITS.ip.limit;
+  assert.ok(limit < BATTERY_RATE_LIMITS.sticker.limit);
+  for (let i = 0; i < limit; i++) {
+    assert.equal((await getBattery(STICKER, "6.6.6.6")).status, 200);
+  }
+  assert.equal((await getBattery(STICKER, "6.6.6.6")).status, 429);
+  assert.equal((await getBattery(STICKER, "1.1.1.1")).status, 200);
+});
+
+test("GET /api/battery: a sticker is limited however many addresses ask for it", async () => {
+  const limit = BATTERY_RATE_LIMITS.sticker.limit;
+  for (let i = 0; i < limit; i++) {
+    assert.equal((await getBattery(STICKER, `10.0.${i >> 8}.${i & 255}`)).status, 200);
+  }
+  assert.equal((await getBattery(STICKER, "1.1.1.1")).status, 429);
+  assert.equal((await getBattery("CUBT062510000002", "1.1.1.1")).status, 200);
+});
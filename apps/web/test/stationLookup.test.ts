@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { lookupStation } from "../src/lib/stationLookup";
+import type { CachedStations } from "../src/lib/stationsCache";
+import { quietly } from "./quietly";
+
+const cacheOf = (status: number, payload: unknown) => ({
+  get: async (): Promise<CachedStations> => ({
+    status,
+    payload,
+    etag: null,
+    cacheStatus: "MISS",
+    ageSeconds: 0,
+  }),
+});
+
+const STATIONS = {
+  success: true,
+  data: [{ id: 7, title: "Wrigley Field", latitude: "41.948", longitude: "-87.655", filled_slots: "3", open_slots: 2 }],
+};
+
+test("lookupStation: finds a station by its normalized id", async () => {
+  const result = await lookupStation("7", cacheOf(200, STATIONS));
+  assert.equal(result.status, "found");
+  assert.deepEqual(result.status === "found" && result.station, {
+    id: "7",
+    title: "Wrigley Field",
+    latitude: 41.948,
+    longitude: -87.655,
+    filled_slots: 3,
+    open_slots: 2,
+  });
+});
+
+test("lookupStation: unknown ids are not-found", async () => {
+  assert.deepEqual(await lookupStation("8", cacheOf(200, STATIONS)), { status: "not-found" });
+});
+
+test("lookupStation: upstream failures are unavailable, not not-found", async () => {
+  await quietly(async () => {
+    assert.deepEqual(await lookupStation("7", cacheOf(502, { success: false })), {
+      status: "unavailable",
+    });
+    assert.deepEqual(await lookupStation("7", cacheOf(200, { success: false, error: "down" })), {
+      status: "unavailable",
+    });
+    assert.deepEqual(await lookupStation("7", cacheOf(200, "<html>")), { status: "unavailable" });
+  });
+});
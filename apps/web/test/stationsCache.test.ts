@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import { NextRequest } from "next/server";
+import { proxyCuub, upstreamBreaker } from "../src/lib/cuubApi";
+import { StationsCache, computeEtag, etagMatches } from "../src/lib/stationsCache";
+import { quietly } from "./quietly";
+
+const STATIONS = { success: true, data: [{ id: 1, latitude: 41.9, longitude: -87.6 }] };
+
+let upstream: http.Server;
+let upstreamHits = 0;
+let upstreamMode: "ok" | "error" = "ok";
+
+before(async () => {
+  upstream = http.createServer((req, res) => {
+    upstreamHits += 1;
+    if (upstreamMode === "error") {
+      res.writeHead(502, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: false, error: "bad gateway" }));
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(STATIONS));
+  });
+  await new Promise<void>((resolve) => upstream.listen(0, "127.0.0.1", resolve));
+  const { port } = upstream.address() as AddressInfo;
+  process.env.CUUB_API_BASE = `http://127.0.0.1:${port}`;
+});
+
+after(() => {
+  upstream.close();
+});
+
+beforeEach(() => {
+  upstreamHits = 0;
+  upstreamMode = "ok";
+  upstreamBreaker.reset();
+});
+
+async function loadRoute() {
+  const route = await import("../src/app/api/stations/route");
+  const { stationsCache } = await import("../src/lib/stationsCache");
+  stationsCache.clear();
+  return route;
+}
+
+function makeCache(clock: { t: number }) {
+  return new StationsCache({
+    ttlMs: 1000,
+    staleMs: 5000,
+    now: () => clock.t,
+    // Background revalidations log too, after get() has returned.
+    fetchUpstream: () => quietly(() => proxyCuub({ path: "/stations", method: "GET" })),
+  });
+}
+
+test("StationsCache: serves from memory within the TTL", async () => {
+  const clock = { t: 0 };
+  const cache = makeCache(clock);
+  const first = await cache.get();
+  clock.t = 500;
+  const second = await cache.get();
+  assert.equal(first.cacheStatus, "MISS");
+  assert.equal(second.cacheStatus, "HIT");
+  assert.deepEqual(second.payload, STATIONS);
+  assert.equal(upstreamHits, 1);
+});
+
+test("StationsCache: serves stale past the TTL and revalidates in the background", async () => {
+  const clock = { t: 0 };
+  const cache = makeCache(clock);
+  await cache.get();
+  clock.t = 2000;
+  const stale = await cache.get();
+  assert.equal(stale.cacheStatus, "STALE");
+  assert.equal(stale.ageSeconds, 2);
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(upstreamHits, 2);
+  assert.equal((await cache.get()).cacheStatus, "HIT");
+});
+
+test("StationsCache: keeps serving the last good copy while upstream fails", async () => {
+  const clock = { t: 0 };
+  const cache = makeCache(clock);
+  await cache.get();
+  upstreamMode = "error";
+  clock.t = 3000;
+  const result = await cache.get();
+  assert.equal(result.status, 200);
+  assert.equal(result.cacheStatus, "STALE");
+  assert.deepEqual(result.payload, STATIONS);
+  await new Promise((r) => setTimeout(r, 50));
+  assert.equal(cache.degraded, true);
+  assert.equal((await cache.get()).degraded, true);
+});
+
+test("StationsCache: passes upstream errors through once the stale window is over", async () => {
+  const clock = { t: 0 };
+  const cache = makeCache(clock);
+  await cache.get();
+  upstreamMode = "error";
+  clock.t = 10000;
+  const result = await cache.get();
+  assert.equal(result.status, 502);
+  assert.equal(result.etag, null);
+});
+
+test("etagMatches: handles lists, weak tags and wildcards", () => {
+  const etag = computeEtag(STATIONS);
+  assert.equal(etagMatches(etag, etag), true);
+  assert.equal(etagMatches(`"other", ${etag.replace(/^W\//, "")}`, etag), true);
+  assert.equal(etagMatches("*", etag), true);
+  assert.equal(etagMatches('"other"', etag), false);
+  assert.equal(etagMatches(null, etag), false);
+});
+
+test("GET /api/stations: sets cache headers and answers If-None-Match with 304", async () => {
+  const { GET } = await loadRoute();
+  const first = await quietly(() => GET(new NextRequest("http://localhost/api/stations")));
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-cuub-cache"), "MISS");
+  const etag = first.headers.get("etag");
+  assert.ok(etag);
+  assert.deepEqual(await first.json(), STATIONS);
+
+  const second = await quietly(() =>
+    GET(
+      new NextRequest("http://localhost/api/stations", {
+        headers: { "If-None-Match": etag! },
+      })
+    )
+  );
+  assert.equal(second.status, 304);
+  assert.equal(second.headers.get("x-cuub-cache"), "HIT");
+  assert.equal(upstreamHits, 1);
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type { Station, StationsStreamEvent } from "@cuub/shared";
+import { StationsStream } from "../src/lib/stationsStream";
+
+const A: Station = { id: 1, latitude: 41.9, longitude: -87.6, filled_slots: 3, open_slots: 3 };
+const B: Station = { id: 2, latitude: 41.8, longitude: -87.7, filled_slots: 0, open_slots: 6 };
+
+function tick(ms = 20) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+test("StationsStream: sends a snapshot, then only the stations that changed", async () => {
+  const polls = [[A, B], [A, B], [A, { ...B, filled_slots: 1 }]];
+  const stream = new StationsStream({
+    intervalMs: 5,
+    load: async () => polls.shift() ?? null,
+  });
+  const events: StationsStreamEvent[] = [];
+  const unsubscribe = stream.subscribe((e) => events.push(e));
+  await tick(60);
+  unsubscribe();
+
+  assert.deepEqual(
+    events.map((e) => e.type),
+    ["snapshot", "diff"]
+  );
+  const diff = events[1] as Extract<StationsStreamEvent, { type: "diff" }>;
+  assert.deepEqual(diff.updated, [{ ...B, filled_slots: 1 }]);
+  assert.deepEqual(diff.removed, []);
+});
+
+test("StationsStream: late subscribers get the current snapshot immediately", async () => {
+  const stream = new StationsStream({ intervalMs: 1000, load: async () => [A] });
+  const first = stream.subscribe(() => {});
+  await tick();
+  const events: StationsStreamEvent[] = [];
+  const second = stream.subscribe((e) => events.push(e));
+  assert.deepEqual(events, [{ type: "snapshot", stations: [A] }]);
+  first();
+  second();
+});
+
+test("StationsStream: stops polling when the last listener leaves", async () => {
+  let loads = 0;
+  const stream = new StationsStream({
+    intervalMs: 5,
+    load: async () => {
+      loads += 1;
+      return [A];
+    },
+  });
+  const unsubscribe = stream.subscribe(() => {});
+  await tick(30);
+  unsubscribe();
+  const after = loads;
+  await tick(30);
+  assert.equal(loads, after);
+});
+
+test("StationsStream: sends status events when upstream starts and stops failing", async () => {
+  const failing = [false, true, true, false];
+  let degraded = false;
+  const stream = new StationsStream({
+    intervalMs: 5,
+    load: async () => {
+      degraded = failing.shift() ?? false;
+      return [A];
+    },
+    degraded: () => degraded,
+  });
+  const events: StationsStreamEvent[] = [];
+  const unsubscribe = stream.subscribe((e) => events.push(e));
+  await tick(60);
+  unsubscribe();
+
+  assert.deepEqual(
+    events.filter((e) => e.type === "status"),
+    [
+      { type: "status", degraded: true },
+      { type: "status", degraded: false },
+    ]
+  );
+});
@@ -8,19 +8,15 @@
         return (degrees * Math.PI) / 180;
     }
 
-    function toNumber(value) {
-        var n = typeof value === 'number' ? value : parseFloat(value);
-        return Number.isFinite(n) ? n : null;
-    }
-
-    // a, b: { latitude, longitude }
+    // a, b: { latitude, longitude } as numbers (stations come through
+    // CuubStationGeoJSON.normalizeStations); anything non-finite gives NaN.
     function haversineMeters(a, b) {
         if (!a || !b) return NaN;
-        var lat1 = toNumber(a.latitude);
-        var lon1 = toNumber(a.longitude);
-        var lat2 = toNumber(b.latitude);
-        var lon2 = toNumber(b.longitude);
-        if (lat1 === null || lon1 === null || lat2 === null || lon2 === null) return NaN;
+        var lat1 = a.latitude;
+        var lon1 = a.longitude;
+        var lat2 = b.latitude;
+        var lon2 = b.longitude;
+        if (![lat1, lon1, lat2, lon2].every(Number.isFinite)) return NaN;
 
         var dLat = toRadians(lat2 - lat1);
         var dLon = toRadians(lon2 - lon1);
@@ -32,7 +28,7 @@
     }
 
     // userCoords: { latitude, longitude }
-    // stations: Array of objects with `latitude` and `longitude` (strings or numbers).
+    // stations: normalized stations, with numeric `latitude` and `longitude`.
     // Returns { station, distanceMeters } or null when no usable stations.
     function nearestStation(userCoords, stations) {
         if (!userCoords || !Array.isArray(stations) || stations.length === 0) return null;
@@ -42,11 +38,8 @@
         for (var i = 0; i < stations.length; i++) {
             var s = stations[i];
             if (!s) continue;
-            var lat = toNumber(s.latitude);
-            var lon = toNumber(s.longitude);
-            if (lat === null || lon === null) continue;
 
-            var d = haversineMeters(userCoords, { latitude: lat, longitude: lon });
+            var d = haversineMeters(userCoords, s);
             if (!Number.isFinite(d)) continue;
             if (d < bestDist) {
                 bestDist = d;
@@ -333,8 +333,8 @@
         function setHaloStation(station) {
             var data;
             if (station) {
-                var lng = parseFloat(station.longitude);
-                var lat = parseFloat(station.latitude);
+                var lng = station.longitude;
+                var lat = station.latitude;
                 if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
                     data = { type: 'FeatureCollection', features: [] };
                 } else {
@@ -455,8 +455,8 @@
             startPulse();
             showCard(result.station, result.distanceMeters);
 
-            var stationLng = parseFloat(result.station.longitude);
-            var stationLat = parseFloat(result.station.latitude);
+            var stationLng = result.station.longitude;
+            var stationLat = result.station.latitude;
             var stationOk = Number.isFinite(stationLng) && Number.isFinite(stationLat);
 
             // Measure the actual map container so padding can't exceed it
@@ -0,0 +1,130 @@
+// Station normalization, GeoJSON, marker icon selection and availability
+// filters for the legacy map pages. Exposes window.CuubStationGeoJSON. Mirrors
+// packages/shared/src/normalize, src/geojson and src/filter so the legacy pages
+// pick the same station-icon-N and filter the same way as the web and mobile
+// apps; apps/web/test/legacyStationGeoJSON.test.ts holds them to identical
+// output.
+(function (global) {
+    var STATION_ICON_COUNT = 7; // Icon0.svg ... Icon6.svg
+
+    var STATION_ICON_IDS = [];
+    for (var i = 0; i < STATION_ICON_COUNT; i++) {
+        STATION_ICON_IDS.push('station-icon-' + i);
+    }
+
+    function toFiniteNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || value.trim() === '') return null;
+        var n = Number(value);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    function toId(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+        if (typeof value === 'string' && value.trim() !== '') return value.trim();
+        return null;
+    }
+
+    // Missing or unusable slot counts are null ("unknown"); the rest are whole,
+    // non-negative numbers.
+    function toSlotCount(value) {
+        var n = toFiniteNumber(value);
+        return n === null || n < 0 ? null : Math.floor(n);
+    }
+
+    // The loosely typed upstream station list as the apps see it: string ids,
+    // numeric coordinates and counts. Records without a usable id or
+    // coordinates, and repeats of an id, are dropped.
+    function normalizeStations(raw) {
+        var stations = [];
+        var seen = {};
+        (Array.isArray(raw) ? raw : []).forEach(function (item) {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) return;
+            var id = toId(item.id);
+            if (id === null || Object.prototype.hasOwnProperty.call(seen, id)) return;
+            var latitude = toFiniteNumber(item.latitude);
+            var longitude = toFiniteNumber(item.longitude);
+            if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return;
+            seen[id] = true;
+            stations.push({
+                id: id,
+                title: typeof item.title === 'string' ? item.title.trim() || null : null,
+                latitude: latitude,
+                longitude: longitude,
+                filled_slots: toSlotCount(item.filled_slots),
+                open_slots: toSlotCount(item.open_slots)
+            });
+        });
+        return stations;
+    }
+
+    // One icon per filled slot; six or more, or an unknown count, is the full icon.
+    function stationIconId(filledSlots) {
+        var max = STATION_ICON_COUNT - 1;
+        if (typeof filledSlots !== 'number' || !Number.isFinite(filledSlots)) return STATION_ICON_IDS[max];
+        return STATION_ICON_IDS[Math.min(max, Math.max(0, Math.floor(filledSlots)))];
+    }
+
+    // stations: normalized (see normalizeStations).
+    function stationsToGeoJSON(stations, selectedId) {
+        var selected = selectedId === undefined ? null : selectedId;
+        return {
+            type: 'FeatureCollection',
+            features: stations.map(function (station) {
+                return {
+                    type: 'Feature',
+                    id: station.id,
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [station.longitude, station.latitude]
+                    },
+                    properties: {
+                        id: station.id,
+                        title: station.title,
+                        filled_slots: station.filled_slots,
+                        open_slots: station.open_slots,
+                        latitude: station.latitude,
+                        longitude: station.longitude,
+                        selected: station.id === selected,
+                        icon: stationIconId(station.filled_slots)
+                    }
+                };
+            })
+        };
+    }
+
+    // 'batteries': something to rent. 'open': somewhere to return. Anything
+    // else (including a missing ?filter=) shows every station.
+    function parseStationFilter(value) {
+        var v = String(value || '').trim().toLowerCase();
+        return v === 'batteries' || v === 'open' ? v : 'all';
+    }
+
+    function filterStations(stations, filter) {
+        if (filter !== 'batteries' && filter !== 'open') return stations;
+        var field = filter === 'batteries' ? 'filled_slots' : 'open_slots';
+        return stations.filter(function (station) {
+            return (station[field] === null ? 0 : station[field]) > 0;
+        });
+    }
+
+    // Filter for the unclustered-point layer. Clusters only recount when the
+    // source data itself is filtered, so use filterStations for that.
+    function stationFilterExpression(filter) {
+        var unclustered = ['!', ['has', 'point_count']];
+        if (filter !== 'batteries' && filter !== 'open') return unclustered;
+        var field = filter === 'batteries' ? 'filled_slots' : 'open_slots';
+        return ['all', unclustered, ['>', ['coalesce', ['get', field], 0], 0]];
+    }
+
+    global.CuubStationGeoJSON = {
+        STATION_ICON_COUNT: STATION_ICON_COUNT,
+        STATION_ICON_IDS: STATION_ICON_IDS,
+        normalizeStations: normalizeStations,
+        stationIconId: stationIconId,
+        stationsToGeoJSON: stationsToGeoJSON,
+        parseStationFilter: parseStationFilter,
+        filterStations: filterStations,
+        stationFilterExpression: stationFilterExpression
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
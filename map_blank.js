@@ -18,26 +18,9 @@ function getQueryFlag(name) {
     }
 }
 
-function stationsToGeoJSON(stationList) {
-    return {
-        type: 'FeatureCollection',
-        features: stationList.map(station => ({
-            type: 'Feature',
-            geometry: {
-                type: 'Point',
-                coordinates: [parseFloat(station.longitude), parseFloat(station.latitude)]
-            },
-            properties: {
-                id: station.id,
-                title: station.title,
-                filled_slots: station.filled_slots,
-                open_slots: station.open_slots,
-                latitude: station.latitude,
-                longitude: station.longitude
-            }
-        }))
-    };
-}
+// Normalization, GeoJSON conversion and icon ids come from
+// lib/station_geojson.js.
+const { STATION_ICON_COUNT, STATION_ICON_IDS, normalizeStations, stationsToGeoJSON } = window.CuubStationGeoJSON;
 
 async function fetchStations() {
     try {
@@ -45,7 +28,7 @@ async function fetchStations() {
         const result = await response.json();
 
         if (result.success && result.data) {
-            stations = result.data;
+            stations = normalizeStations(result.data);
             addMarkersToMap(stations);
             if (nearestFeature) nearestFeature.setStations(stations);
         } else {
@@ -59,7 +42,6 @@ async function fetchStations() {
 // Preload Icon0.svg ... Icon6.svg and register one Mapbox image per filled-slot
 // count. Each SVG is rasterized at 2x for retina sharpness. Cached as a Promise
 // so repeated calls are cheap.
-const STATION_ICON_COUNT = 7; // Icon0.svg ... Icon6.svg
 let stationIconsPromise = null;
 function loadStationIcons() {
     if (stationIconsPromise) return stationIconsPromise;
@@ -77,7 +59,7 @@ function loadStationIcons() {
                 const ctx = canvas.getContext('2d');
                 ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
                 const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                const id = `station-icon-${i}`;
+                const id = STATION_ICON_IDS[i];
                 if (!map.hasImage(id)) {
                     map.addImage(id, data, { pixelRatio: scale });
                 }
@@ -168,18 +150,7 @@ async function addMarkersToMap(stationList) {
         source: 'stations',
         filter: ['!', ['has', 'point_count']],
         layout: {
-            'icon-image': [
-                'match',
-                ['min', 6, ['to-number', ['coalesce', ['get', 'filled_slots'], 6]]],
-                0, 'station-icon-0',
-                1, 'station-icon-1',
-                2, 'station-icon-2',
-                3, 'station-icon-3',
-                4, 'station-icon-4',
-                5, 'station-icon-5',
-                6, 'station-icon-6',
-                'station-icon-6'
-            ],
+            'icon-image': ['get', 'icon'],
             'icon-size': 1,
             'icon-allow-overlap': true,
             'icon-ignore-placement': true
@@ -19,44 +19,57 @@ const filledSlots = document.getElementById('filledSlots');
 const openSlots = document.getElementById('openSlots');
 const directionsButton = document.getElementById('directionsButton');
 
-// Convert stations to GeoJSON format
-function stationsToGeoJSON(stations, selectedId = null) {
-    return {
-        type: 'FeatureCollection',
-        features: stations.map(station => ({
-            type: 'Feature',
-            geometry: {
-                type: 'Point',
-                coordinates: [parseFloat(station.longitude), parseFloat(station.latitude)]
-            },
-            properties: {
-                id: station.id,
-                title: station.title,
-                filled_slots: station.filled_slots,
-                open_slots: station.open_slots,
-                latitude: station.latitude,
-                longitude: station.longitude,
-                selected: station.id === selectedId
-            }
-        }))
-    };
-}
+// Normalization, GeoJSON conversion, icon ids and filters come from
+// lib/station_geojson.js.
+const {
+    STATION_ICON_COUNT,
+    STATION_ICON_IDS,
+    normalizeStations,
+    stationsToGeoJSON,
+    parseStationFilter,
+    filterStations,
+    stationFilterExpression
+} = window.CuubStationGeoJSON;
+
+// 'all' | 'batteries' | 'open'. Starts from ?filter= so embeds can preset it.
+let stationFilter = parseStationFilter(getQueryFlag('filter'));
 
 // Push current state into the stations source. Safe to call before map/source exist.
 function refreshStationsSource() {
     if (!map) return;
     const source = map.getSource('stations');
     if (!source) return;
-    source.setData(stationsToGeoJSON(stations, selectedStationId));
+    source.setData(stationsToGeoJSON(filterStations(stations, stationFilter), selectedStationId));
+}
+
+// Filtering the source data is what makes cluster counts follow the filter;
+// the layer filter keeps single points in step.
+function setStationFilter(filter) {
+    stationFilter = parseStationFilter(filter);
+    renderStationFilterControl();
+    refreshStationsSource();
+    if (map && map.getLayer('unclustered-point')) {
+        map.setFilter('unclustered-point', stationFilterExpression(stationFilter));
+    }
 }
 
-// Fetch stations from CUUB API. Returns the stations array (or [] on failure)
-// so callers can run this in parallel with other startup work.
+function renderStationFilterControl() {
+    const control = document.getElementById('stationFilter');
+    if (!control) return;
+    control.querySelectorAll('[data-filter]').forEach((button) => {
+        const active = button.dataset.filter === stationFilter;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-checked', active ? 'true' : 'false');
+    });
+}
+
+// Fetch stations from CUUB API. Returns the normalized stations (or [] on
+// failure) so callers can run this in parallel with other startup work.
 async function fetchStationsData() {
     try {
         const response = await fetch(STATIONS_API);
         const result = await response.json();
-        if (result && result.success && result.data) return result.data;
+        if (result && result.success && result.data) return normalizeStations(result.data);
         console.error('Failed to fetch stations:', result);
     } catch (error) {
         console.error('Error fetching stations:', error);
@@ -72,7 +85,6 @@ async function fetchStationsData() {
 //      it via map.addImage(). Must run after the map's style is loaded.
 // A single failed icon no longer blocks the rest — we resolve to null for that
 // slot and fall back to whichever icon is available at render time.
-const STATION_ICON_COUNT = 7; // Icon0.svg ... Icon6.svg
 let stationIconImagesPromise = null;
 function preloadStationIconImages() {
     if (stationIconImagesPromise) return stationIconImagesPromise;
@@ -97,7 +109,7 @@ function registerStationIcons(images) {
     for (let i = 0; i < images.length; i++) {
         const img = images[i];
         if (!img) continue;
-        const id = `station-icon-${i}`;
+        const id = STATION_ICON_IDS[i];
         if (map.hasImage(id)) continue;
         try {
             const w = img.naturalWidth || 54;
@@ -110,7 +122,7 @@ function registerStationIcons(images) {
             const data = ctx.getImageData(0, 0, canvas.width, canvas.height);
             map.addImage(id, data, { pixelRatio: scale });
         } catch (err) {
-            console.error(`Failed to register station-icon-${i}:`, err);
+            console.error(`Failed to register ${id}:`, err);
         }
     }
 }
@@ -118,7 +130,7 @@ function registerStationIcons(images) {
 // Add markers to the map with clustering. Assumes icons have already been
 // registered via registerStationIcons() — caller is responsible for ordering.
 function addMarkersToMap(stations) {
-    const geojson = stationsToGeoJSON(stations, selectedStationId);
+    const geojson = stationsToGeoJSON(filterStations(stations, stationFilter), selectedStationId);
 
     map.addSource('stations', {
         type: 'geojson',
@@ -187,27 +199,25 @@ function addMarkersToMap(stations) {
     // unclustered-point layer.
     let fallbackIconId = null;
     for (let i = STATION_ICON_COUNT - 1; i >= 0; i--) {
-        const id = `station-icon-${i}`;
+        const id = STATION_ICON_IDS[i];
         if (map.hasImage(id)) { fallbackIconId = id; break; }
     }
+    const iconCases = [];
+    STATION_ICON_IDS.forEach((id) => {
+        iconCases.push(id, map.hasImage(id) ? id : (fallbackIconId || id));
+    });
 
     map.addLayer({
         id: 'unclustered-point',
         type: 'symbol',
         source: 'stations',
-        filter: ['!', ['has', 'point_count']],
+        filter: stationFilterExpression(stationFilter),
         layout: {
             'icon-image': [
                 'match',
-                ['min', 6, ['to-number', ['coalesce', ['get', 'filled_slots'], 6]]],
-                0, map.hasImage('station-icon-0') ? 'station-icon-0' : (fallbackIconId || 'station-icon-0'),
-                1, map.hasImage('station-icon-1') ? 'station-icon-1' : (fallbackIconId || 'station-icon-1'),
-                2, map.hasImage('station-icon-2') ? 'station-icon-2' : (fallbackIconId || 'station-icon-2'),
-                3, map.hasImage('station-icon-3') ? 'station-icon-3' : (fallbackIconId || 'station-icon-3'),
-                4, map.hasImage('station-icon-4') ? 'station-icon-4' : (fallbackIconId || 'station-icon-4'),
-                5, map.hasImage('station-icon-5') ? 'station-icon-5' : (fallbackIconId || 'station-icon-5'),
-                6, map.hasImage('station-icon-6') ? 'station-icon-6' : (fallbackIconId || 'station-icon-6'),
-                fallbackIconId || 'station-icon-6'
+                ['get', 'icon'],
+                ...iconCases,
+                fallbackIconId || STATION_ICON_IDS[STATION_ICON_COUNT - 1]
             ],
             'icon-size': [
                 'case',
@@ -339,6 +349,18 @@ async function startMapApp() {
     // Attach the shared nearest-station feature (works on both /, /map, and /{sticker_id}).
     // ?embed=1 in the URL hides the built-in trigger button and disables the
     // auto-prompt so a parent page (e.g. Framer) can own the trigger via postMessage.
+    const stationFilterControl = document.getElementById('stationFilter');
+    if (stationFilterControl) {
+        if (getQueryFlag('embed') === '1') {
+            stationFilterControl.style.display = 'none';
+        }
+        renderStationFilterControl();
+        stationFilterControl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-filter]');
+            if (button) setStationFilter(button.dataset.filter);
+        });
+    }
+
     if (window.CuubNearest && window.CuubNearest.attach) {
         const embedMode = getQueryFlag('embed') === '1';
         nearestFeature = window.CuubNearest.attach({
@@ -0,0 +1,24 @@
+import { MockCuubApi } from "./server";
+import { SCENARIOS, isScenario } from "./scenarios";
+
+function readCount(value: string | undefined, fallback: number): number {
+  const n = value ? Number(value) : NaN;
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+const port = readCount(process.env.CUUB_MOCK_PORT, 4010);
+const scenario = process.env.CUUB_MOCK_SCENARIO || "default";
+if (!isScenario(scenario)) {
+  console.error(`Unknown CUUB_MOCK_SCENARIO "${scenario}". One of: ${SCENARIOS.join(", ")}`);
+  process.exit(1);
+}
+
+const mock = new MockCuubApi({
+  scenario,
+  slowMs: readCount(process.env.CUUB_MOCK_SLOW_MS, 3000),
+});
+// 0.0.0.0 so a phone or emulator on the LAN can reach it too.
+mock.listen(port, "0.0.0.0").then(() => {
+  console.log(`Mock CUUB API on http://localhost:${port} (scenario: ${scenario})`);
+  console.log(`Switch with: curl -X PUT localhost:${port}/__mock/scenario -d '{"scenario":"slow"}'`);
+});
@@ -0,0 +1,40 @@
+import type { Station } from "@cuub/shared";
+
+// Downtown Chicago, with the loose typing upstream really sends: some ids,
+// coordinates and slot counts arrive as strings.
+export const STATIONS: Station[] = [
+  { id: 1, title: "Union Station", latitude: 41.8786, longitude: -87.6403, filled_slots: 4, open_slots: 2 },
+  { id: 2, title: "Millennium Park", latitude: 41.8826, longitude: -87.6226, filled_slots: 6, open_slots: 0 },
+  { id: 3, title: "Navy Pier", latitude: "41.8917", longitude: "-87.6086", filled_slots: "2", open_slots: "4" },
+  { id: "4", title: "Wicker Park", latitude: 41.9088, longitude: -87.6796, filled_slots: 0, open_slots: 6 },
+  { id: 5, title: "Lincoln Park Zoo", latitude: 41.9211, longitude: -87.6340, filled_slots: 1, open_slots: 5 },
+  { id: 6, title: "Fulton Market", latitude: 41.8868, longitude: -87.6520, filled_slots: 3, open_slots: null },
+];
+
+export interface BatteryFixture {
+  manufactureId: string;
+  type: string;
+  // When the current rental started, as an offset from server start; null
+  // once the battery is back.
+  rentedMsAgo: number | null;
+  amountPaid: number;
+  // On the sizl partner campaign, so the scan page offers it until a PATCH
+  // with { sizl: true }.
+  sizlCampaign?: boolean;
+}
+
+// Open /CUBT062510000001 for a running rental, /CUBT062510000002 for a
+// returned battery and /CUBT062510000004 for a rental with the sizl offer;
+// any other well-formed sticker is unknown (404).
+export const BATTERIES: Record<string, BatteryFixture> = {
+  CUBT062510000001: { manufactureId: "DTA10001", type: "type one", rentedMsAgo: 12 * 60_000, amountPaid: 3 },
+  CUBT062510000002: { manufactureId: "DTA10002", type: "type one", rentedMsAgo: null, amountPaid: 6 },
+  CUBT062510000003: { manufactureId: "DTA10003", type: "type two", rentedMsAgo: 26 * 3600_000, amountPaid: 20 },
+  CUBT062510000004: {
+    manufactureId: "DTA10004",
+    type: "type one",
+    rentedMsAgo: 5 * 60_000,
+    amountPaid: 3,
+    sizlCampaign: true,
+  },
+};
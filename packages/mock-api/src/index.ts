@@ -0,0 +1,3 @@
+export * from "./fixtures";
+export * from "./scenarios";
+export * from "./server";
@@ -0,0 +1,28 @@
+// What the mock answers with. Set at startup with CUUB_MOCK_SCENARIO, or
+// while running with PUT /__mock/scenario.
+export const SCENARIOS = [
+  // Seeded stations and batteries, as below.
+  "default",
+  // GET /stations returns an empty list.
+  "empty-stations",
+  // Every station full: no open slots to return a battery to.
+  "all-full",
+  // Every well-formed sticker has a running rental.
+  "active-rental",
+  // Every well-formed sticker's battery is back.
+  "returned-battery",
+  // Every seeded battery is on the sizl partner campaign.
+  "sizl-campaign",
+  // Every call answers 500.
+  "server-error",
+  // Every call answers normally after CUUB_MOCK_SLOW_MS.
+  "slow",
+  // Every call answers 200 with a body that isn't JSON.
+  "malformed-json",
+] as const;
+
+export type Scenario = (typeof SCENARIOS)[number];
+
+export function isScenario(value: unknown): value is Scenario {
+  return typeof value === "string" && (SCENARIOS as readonly string[]).includes(value);
+}
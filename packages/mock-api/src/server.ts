@@ -0,0 +1,240 @@
+import http from "node:http";
+import { formatDurationSeconds, type BatteryData, type Station } from "@cuub/shared";
+import { BATTERIES, STATIONS, type BatteryFixture } from "./fixtures";
+import { SCENARIOS, isScenario, type Scenario } from "./scenarios";
+
+const DEFAULT_SLOW_MS = 3000;
+const STICKER_PATH = /^\/battery\/(CUBT\d{12})$/;
+const ACTIVE_RENTAL: BatteryFixture = {
+  manufactureId: "DTA19999",
+  type: "type one",
+  rentedMsAgo: 12 * 60_000,
+  amountPaid: 3,
+};
+
+export interface MockCuubApiOptions {
+  scenario?: Scenario;
+  // How long the "slow" scenario waits before answering. Default 3s.
+  slowMs?: number;
+  now?: () => number;
+}
+
+// What upstream was asked to record, for tests and for checking a flow by
+// hand (GET /__mock/writes).
+export interface RecordedWrite {
+  method: "POST" | "PATCH";
+  stickerId: string;
+  manufactureId: string | null;
+  stickerType?: string | null;
+  body: unknown;
+}
+
+interface BatteryState extends BatteryFixture {
+  rentedAt: number | null;
+  // Start of the rental the active-rental scenario shows for a returned
+  // battery, fixed on first view so its timer runs on.
+  scenarioRentedAt?: number;
+  sizl: boolean;
+}
+
+function sendJson(res: http.ServerResponse, status: number, body: unknown): void {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req: http.IncomingMessage): Promise<unknown> {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function header(req: http.IncomingMessage, name: string): string | null {
+  const value = req.headers[name];
+  return typeof value === "string" ? value : null;
+}
+
+// A stand-in for api.cuub.tech: GET /stations and GET/POST/PATCH
+// /battery/:sticker_id over seeded fixtures, with the scenario deciding how
+// it answers. Point CUUB_API_BASE at it to run the apps without the real API.
+export class MockCuubApi {
+  private current: Scenario;
+  private batteries = new Map<string, BatteryState>();
+  private writes: RecordedWrite[] = [];
+  private readonly initialScenario: Scenario;
+  private readonly slowMs: number;
+  private readonly now: () => number;
+
+  constructor(options: MockCuubApiOptions = {}) {
+    this.initialScenario = options.scenario ?? "default";
+    this.current = this.initialScenario;
+    this.slowMs = options.slowMs ?? DEFAULT_SLOW_MS;
+    this.now = options.now ?? Date.now;
+    this.reset();
+  }
+
+  get scenario(): Scenario {
+    return this.current;
+  }
+
+  setScenario(scenario: Scenario): void {
+    this.current = scenario;
+  }
+
+  get recordedWrites(): readonly RecordedWrite[] {
+    return this.writes;
+  }
+
+  // Back to the seeded fixtures and the scenario the mock started with.
+  reset(): void {
+    this.current = this.initialScenario;
+    this.writes = [];
+    this.batteries.clear();
+    for (const [stickerId, fixture] of Object.entries(BATTERIES)) {
+      this.batteries.set(stickerId, this.seed(fixture));
+    }
+  }
+
+  listen(port = 0, host = "127.0.0.1"): Promise<http.Server> {
+    const server = http.createServer((req, res) => {
+      this.handle(req, res).catch((err) => {
+        console.error("Mock CUUB API error:", err);
+        if (!res.headersSent) sendJson(res, 500, { success: false, error: "Mock error" });
+      });
+    });
+    return new Promise((resolve) => server.listen(port, host, () => resolve(server)));
+  }
+
+  async handle(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const url = new URL(req.url ?? "/", "http://mock.cuub");
+    if (url.pathname.startsWith("/__mock/")) return this.control(req, res, url.pathname);
+
+    if (this.current === "slow") await new Promise((r) => setTimeout(r, this.slowMs));
+    if (this.current === "server-error") {
+      return sendJson(res, 500, { success: false, error: "Internal server error" });
+    }
+    if (this.current === "malformed-json") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end('{"success":true,"data":[');
+      return;
+    }
+
+    if (url.pathname === "/stations" && req.method === "GET") {
+      return sendJson(res, 200, { success: true, data: this.stations() });
+    }
+    const match = STICKER_PATH.exec(url.pathname);
+    if (!match) return sendJson(res, 404, { success: false, error: "Not found" });
+
+    const stickerId = match[1];
+    const battery = this.battery(stickerId);
+    if (!battery) return sendJson(res, 404, { success: false, error: "Battery not found" });
+
+    if (req.method === "GET") {
+      return sendJson(res, 200, { success: true, data: this.batteryData(stickerId, battery) });
+    }
+    if (req.method === "POST" || req.method === "PATCH") {
+      const body = await readJson(req);
+      if (body === undefined) return sendJson(res, 400, { success: false, error: "Invalid JSON" });
+      const write: RecordedWrite = {
+        method: req.method,
+        stickerId,
+        manufactureId: header(req, "manufacture_id"),
+        body,
+      };
+      if (req.method === "POST") write.stickerType = header(req, "sticker_type");
+      else if ((body as { sizl?: unknown } | null)?.sizl === true) battery.sizl = true;
+      this.writes.push(write);
+      return sendJson(res, 200, { success: true, data: this.batteryData(stickerId, battery) });
+    }
+    sendJson(res, 405, { success: false, error: "Method not allowed" });
+  }
+
+  // GET /__mock/scenario, PUT /__mock/scenario {"scenario": "..."},
+  // POST /__mock/reset and GET /__mock/writes. Never slowed or broken by the
+  // scenario.
+  private async control(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    path: string
+  ): Promise<void> {
+    if (path === "/__mock/scenario" && req.method === "GET") {
+      return sendJson(res, 200, { scenario: this.current, scenarios: SCENARIOS });
+    }
+    if (path === "/__mock/scenario" && (req.method === "PUT" || req.method === "POST")) {
+      const scenario = ((await readJson(req)) as { scenario?: unknown } | null)?.scenario;
+      if (!isScenario(scenario)) {
+        return sendJson(res, 400, { error: "Unknown scenario", scenarios: SCENARIOS });
+      }
+      this.setScenario(scenario);
+      return sendJson(res, 200, { scenario, scenarios: SCENARIOS });
+    }
+    if (path === "/__mock/reset" && req.method === "POST") {
+      this.reset();
+      return sendJson(res, 200, { scenario: this.current, scenarios: SCENARIOS });
+    }
+    if (path === "/__mock/writes" && req.method === "GET") {
+      return sendJson(res, 200, { writes: this.writes });
+    }
+    sendJson(res, 404, { error: "Not found" });
+  }
+
+  private seed(fixture: BatteryFixture): BatteryState {
+    return {
+      ...fixture,
+      rentedAt: fixture.rentedMsAgo === null ? null : this.now() - fixture.rentedMsAgo,
+      sizl: false,
+    };
+  }
+
+  private stations(): Station[] {
+    if (this.current === "empty-stations") return [];
+    if (this.current === "all-full") {
+      return STATIONS.map((station) => ({
+        ...station,
+        filled_slots: Number(station.filled_slots ?? 0) + Number(station.open_slots ?? 0),
+        open_slots: 0,
+      }));
+    }
+    return STATIONS;
+  }
+
+  // The active-rental and returned-battery scenarios answer for any
+  // well-formed sticker, seeded or not.
+  private battery(stickerId: string): BatteryState | null {
+    let battery = this.batteries.get(stickerId);
+    if (!battery && (this.current === "active-rental" || this.current === "returned-battery")) {
+      battery = this.seed(ACTIVE_RENTAL);
+      this.batteries.set(stickerId, battery);
+    }
+    return battery ?? null;
+  }
+
+  private rentedAt(battery: BatteryState): number | null {
+    if (this.current === "returned-battery") return null;
+    if (this.current === "active-rental" && battery.rentedAt === null) {
+      battery.scenarioRentedAt ??= this.now() - ACTIVE_RENTAL.rentedMsAgo!;
+      return battery.scenarioRentedAt;
+    }
+    return battery.rentedAt;
+  }
+
+  private batteryData(stickerId: string, battery: BatteryState): BatteryData {
+    const rentedAt = this.rentedAt(battery);
+    return {
+      sticker_id: stickerId,
+      manufacture_id: battery.manufactureId,
+      type: battery.type,
+      duration:
+        rentedAt === null
+          ? "battery returned"
+          : formatDurationSeconds((this.now() - rentedAt) / 1000),
+      amountPaid: battery.amountPaid,
+      sizl_campaign: Boolean(battery.sizlCampaign) || this.current === "sizl-campaign",
+      sizl: battery.sizl,
+    };
+  }
+}
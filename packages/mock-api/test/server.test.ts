@@ -0,0 +1,146 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import type http from "node:http";
+import type { AddressInfo } from "node:net";
+import {
+  isBatteryReturned,
+  isRentalActive,
+  normalizeStations,
+  sizlOfferStatus,
+} from "@cuub/shared";
+import { MockCuubApi, STATIONS } from "../src";
+
+const clock = { t: 1_000_000_000 };
+const mock = new MockCuubApi({ slowMs: 50, now: () => clock.t });
+let server: http.Server;
+let base = "";
+
+before(async () => {
+  server = await mock.listen();
+  base = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+async function get(path: string) {
+  const res = await fetch(`${base}${path}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test("GET /stations: seeded stations that normalize cleanly", async () => {
+  const { status, body } = await get("/stations");
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  const { stations, report } = normalizeStations(body.data);
+  assert.equal(stations.length, STATIONS.length);
+  assert.equal(report.dropped.length, 0);
+});
+
+test("GET /battery/:id: a running rental, a returned battery and an unknown sticker", async () => {
+  const active = await get("/battery/CUBT062510000001");
+  assert.equal(active.body.data.duration, "00:12:00");
+  assert.equal(isRentalActive(active.body.data), true);
+  clock.t += 90_000;
+  assert.equal((await get("/battery/CUBT062510000001")).body.data.duration, "00:13:30");
+
+  assert.equal(isBatteryReturned((await get("/battery/CUBT062510000002")).body.data), true);
+  assert.equal((await get("/battery/CUBT099999999999")).status, 404);
+});
+
+test("POST and PATCH /battery/:id: recorded, and sizl is remembered", async () => {
+  const post = await fetch(`${base}/battery/CUBT062510000001`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", manufacture_id: "DTA10001", sticker_type: "type one" },
+    body: "{}",
+  });
+  assert.equal(post.status, 200);
+  const patch = await fetch(`${base}/battery/CUBT062510000001`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", manufacture_id: "DTA10001" },
+    body: JSON.stringify({ sizl: true }),
+  });
+  assert.equal((await patch.json()).data.sizl, true);
+
+  const { body } = await get("/__mock/writes");
+  assert.deepEqual(
+    body.writes.map((w: { method: string; manufactureId: string }) => [w.method, w.manufactureId]),
+    [
+      ["POST", "DTA10001"],
+      ["PATCH", "DTA10001"],
+    ]
+  );
+});
+
+test("sizl campaign: offered until a PATCH records the redirect", async () => {
+  const battery = async (stickerId: string) => (await get(`/battery/${stickerId}`)).body.data;
+  assert.equal(sizlOfferStatus(await battery("CUBT062510000004")), "offer");
+  assert.equal(sizlOfferStatus(await battery("CUBT062510000001")), "none");
+
+  await fetch(`${base}/battery/CUBT062510000004`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", manufacture_id: "DTA10004" },
+    body: JSON.stringify({ sizl: true }),
+  });
+  assert.equal(sizlOfferStatus(await battery("CUBT062510000004")), "redirected");
+
+  mock.setScenario("sizl-campaign");
+  assert.equal(sizlOfferStatus(await battery("CUBT062510000001")), "offer");
+});
+
+test("scenarios: stations and batteries", async () => {
+  mock.setScenario("empty-stations");
+  assert.deepEqual((await get("/stations")).body.data, []);
+
+  mock.setScenario("all-full");
+  const full = (await get("/stations")).body.data;
+  assert.ok(full.every((s: { open_slots: number }) => s.open_slots === 0));
+
+  mock.setScenario("active-rental");
+  assert.equal(isRentalActive((await get("/battery/CUBT062510000002")).body.data), true);
+  assert.equal(isRentalActive((await get("/battery/CUBT099999999999")).body.data), true);
+
+  mock.setScenario("returned-battery");
+  assert.equal(isBatteryReturned((await get("/battery/CUBT062510000001")).body.data), true);
+
+  // Scenarios don't change the fixtures underneath.
+  mock.setScenario("default");
+  assert.equal(isRentalActive((await get("/battery/CUBT062510000001")).body.data), true);
+});
+
+test("scenarios: failures", async () => {
+  mock.setScenario("server-error");
+  assert.equal((await fetch(`${base}/stations`)).status, 500);
+
+  mock.setScenario("malformed-json");
+  const malformed = await fetch(`${base}/battery/CUBT062510000001`);
+  assert.equal(malformed.status, 200);
+  await assert.rejects(malformed.json());
+
+  mock.setScenario("slow");
+  const started = Date.now();
+  assert.equal((await fetch(`${base}/stations`)).status, 200);
+  assert.ok(Date.now() - started >= 45);
+});
+
+test("/__mock/scenario switches scenarios at runtime; /__mock/reset restores", async () => {
+  const put = (scenario: string) =>
+    fetch(`${base}/__mock/scenario`, { method: "PUT", body: JSON.stringify({ scenario }) });
+
+  assert.equal((await put("server-error")).status, 200);
+  assert.equal((await get("/__mock/scenario")).body.scenario, "server-error");
+  assert.equal((await fetch(`${base}/stations`)).status, 500);
+
+  const unknown = await put("nope");
+  assert.equal(unknown.status, 400);
+  assert.ok((await unknown.json()).scenarios.includes("slow"));
+
+  await fetch(`${base}/__mock/reset`, { method: "POST" });
+  assert.equal(mock.scenario, "default");
+  assert.equal((await fetch(`${base}/stations`)).status, 200);
+});
@@ -0,0 +1,77 @@
+// Compares StationIndex with the haversine scan it replaces.
+// Run with `npm run bench --workspace=@cuub/shared`.
+import { performance } from "node:perf_hooks";
+import { haversineMeters, nearestStation } from "../src/geo";
+import { StationIndex } from "../src/spatial";
+import type { Coords } from "../src/types";
+
+const QUERIES = 2000;
+
+function random(seed: number): () => number {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Stations spread over a handful of metro areas, like a multi-city rollout.
+function stations(rand: () => number, n: number): Coords[] {
+  const cities = [
+    [41.88, -87.63],
+    [40.71, -74.0],
+    [34.05, -118.24],
+    [51.51, -0.13],
+    [35.68, 139.69],
+  ];
+  return Array.from({ length: n }, () => {
+    const [lat, lng] = cities[Math.floor(rand() * cities.length)];
+    return { latitude: lat + (rand() - 0.5) * 0.5, longitude: lng + (rand() - 0.5) * 0.5 };
+  });
+}
+
+function time(label: string, fn: () => void): number {
+  const start = performance.now();
+  fn();
+  const ms = performance.now() - start;
+  console.log(`  ${label.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms`);
+  return ms;
+}
+
+for (const n of [1_000, 10_000, 50_000]) {
+  const rand = random(n);
+  const data = stations(rand, n);
+  const queries = stations(rand, QUERIES);
+  console.log(`${n} stations, ${QUERIES} queries`);
+
+  let index = new StationIndex(data);
+  time("build index", () => {
+    index = new StationIndex(data);
+  });
+  const scan = time("nearest (scan)", () => queries.forEach((q) => nearestStation(q, data)));
+  const tree = time("nearest (index)", () => queries.forEach((q) => index.nearest(q)));
+  console.log(`  ${"speedup".padEnd(28)} ${(scan / tree).toFixed(1).padStart(9)} x`);
+  time("nearestK k=10 (scan, 200 q)", () =>
+    queries.slice(0, 200).forEach((q) =>
+      data
+        .map((s) => haversineMeters(q, s))
+        .sort((a, b) => a - b)
+        .slice(0, 10)
+    )
+  );
+  time("nearestK k=10 (index, 200 q)", () =>
+    queries.slice(0, 200).forEach((q) => index.nearestK(q, 10))
+  );
+  time("withinRadius 2km (index)", () => queries.forEach((q) => index.withinRadius(q, 2000)));
+  time("withinBounds ~city (index)", () =>
+    queries.forEach((q) =>
+      index.withinBounds({
+        west: q.longitude - 0.05,
+        east: q.longitude + 0.05,
+        south: q.latitude - 0.05,
+        north: q.latitude + 0.05,
+      })
+    )
+  );
+}
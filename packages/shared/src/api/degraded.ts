@@ -0,0 +1,9 @@
+// Set (to "1") on API responses served while api.cuub.tech is failing: a
+// fast 503 from the open circuit breaker, an upstream 5xx, or stations from
+// the stale cache instead of live data.
+export const DEGRADED_HEADER = "X-Cuub-Degraded";
+
+export const DEGRADED_COPY = {
+  banner: "Live data temporarily unavailable",
+  stationsDetail: "Showing the last known stations.",
+} as const;
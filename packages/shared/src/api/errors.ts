@@ -0,0 +1,60 @@
+// Every failure CuubClient throws is a CuubError subclass, so callers can
+// branch on the kind of failure instead of inspecting envelopes by hand.
+export class CuubError extends Error {
+  constructor(message: string, options?: { cause?: unknown }) {
+    super(message);
+    this.name = new.target.name;
+    if (options && "cause" in options) {
+      (this as { cause?: unknown }).cause = options.cause;
+    }
+  }
+}
+
+// The request never got a response (DNS, offline, connection reset, CORS).
+export class CuubNetworkError extends CuubError {}
+
+export class CuubTimeoutError extends CuubError {
+  constructor(public readonly timeoutMs: number) {
+    super(`Request timed out after ${timeoutMs}ms`);
+  }
+}
+
+// The caller's AbortSignal fired.
+export class CuubAbortError extends CuubError {
+  constructor() {
+    super("Request aborted");
+  }
+}
+
+// The API answered with a 4xx/5xx status, or with `{ success: false }`.
+export class CuubApiError extends CuubError {
+  constructor(
+    public readonly status: number,
+    public readonly apiMessage?: string
+  ) {
+    super(apiMessage ? `CUUB API error ${status}: ${apiMessage}` : `CUUB API error ${status}`);
+  }
+
+  get isClientError(): boolean {
+    return this.status >= 400 && this.status < 500;
+  }
+
+  get isServerError(): boolean {
+    return this.status >= 500;
+  }
+}
+
+// The response body was not JSON or did not match the expected schema.
+export class CuubPayloadError extends CuubError {
+  constructor(message: string, public readonly path?: string) {
+    super(path ? `Malformed payload at ${path}: ${message}` : `Malformed payload: ${message}`);
+  }
+}
+
+// Worth trying again later: the request may not have reached the API, or the
+// API said to come back (429) or failed on its side (5xx).
+export function isTransientError(err: unknown): boolean {
+  if (err instanceof CuubNetworkError || err instanceof CuubTimeoutError) return true;
+  if (err instanceof CuubApiError) return err.status === 429 || err.isServerError;
+  return false;
+}
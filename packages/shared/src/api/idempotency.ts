@@ -0,0 +1,18 @@
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Opaque keys only: the server stores them, so keep them short and inert.
+export function isValidIdempotencyKey(value: unknown): value is string {
+  return typeof value === "string" && KEY_PATTERN.test(value);
+}
+
+// React Native (Hermes) has no crypto.randomUUID, hence the fallback. The key
+// only has to be unique per scan session, not unguessable.
+export function createIdempotencyKey(): string {
+  const uuid = (globalThis as { crypto?: { randomUUID?: () => string } }).crypto?.randomUUID;
+  if (uuid) return uuid.call(globalThis.crypto);
+  let key = Date.now().toString(36);
+  while (key.length < 32) key += Math.random().toString(36).slice(2);
+  return key.slice(0, 32);
+}
@@ -1,70 +1,446 @@
 import type {
-  BatteryResponse,
+  BatteryData,
   MapboxTokenResponse,
-  StationsResponse,
+  NormalizedStation,
+  SizlConfigResponse,
 } from "../types";
+import {
+  applyStationsDiff,
+  diffStations,
+  isEmptyDiff,
+  type StationsDiff,
+  type StationsStreamEvent,
+} from "../live";
+import { DEFAULT_PRICING, parsePricing, type PricingModel } from "../pricing";
+import {
+  hasReportIssues,
+  normalizeStations,
+  type NormalizationReport,
+} from "../normalize";
+import {
+  CuubAbortError,
+  CuubApiError,
+  CuubError,
+  CuubNetworkError,
+  CuubPayloadError,
+  CuubTimeoutError,
+  isTransientError,
+} from "./errors";
+import { DEGRADED_HEADER } from "./degraded";
+import { IDEMPOTENCY_HEADER, createIdempotencyKey } from "./idempotency";
+import { parseBatteryData, parseEnvelope, parseStationList } from "./schema";
+
+export * from "./degraded";
+export * from "./errors";
+export * from "./idempotency";
+export * from "./schema";
 
 export interface CuubClientConfig {
   baseUrl?: string;
+  // EventSource implementation for live station updates. Defaults to the
+  // global one; pass null (or run where none exists, e.g. React Native) to
+  // fall back to polling /api/stations.
+  eventSource?: typeof EventSource | null;
+  fetch?: typeof fetch;
+  // Per attempt. Default 10s.
+  timeoutMs?: number;
+  // Extra attempts for GETs after a network error, timeout, 429 or 5xx.
+  // Non-idempotent POST/PATCH calls are never retried. Default 2.
+  retries?: number;
+  // Backoff before retry n is retryDelayMs * 2^(n-1). Default 300ms.
+  retryDelayMs?: number;
+  // Called when getStations dropped or cleaned up upstream records.
+  onStationsReport?: (report: NormalizationReport) => void;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+}
+
+export interface ScanRecordOptions extends RequestOptions {
+  // One key per scan session. Defaults to a key this client keeps per sticker,
+  // so repeat calls from the same page collapse into one record.
+  idempotencyKey?: string;
+}
+
+export interface SubscribeStationsOptions {
+  pollIntervalMs?: number;
+  onError?: (err: unknown) => void;
+}
+
+export type StationsListener = (
+  stations: NormalizedStation[],
+  diff: StationsDiff | null
+) => void;
+
+export type DegradedListener = (degraded: boolean) => void;
+
+const DEFAULT_POLL_INTERVAL_MS = 15000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 300;
+
+interface RawResponse {
+  status: number;
+  ok: boolean;
+  json: unknown;
+  degraded: boolean;
+}
+
+function envelopeError(json: unknown): string | undefined {
+  const error = (json as { error?: unknown } | null)?.error;
+  return typeof error === "string" ? error : undefined;
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new CuubAbortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CuubAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
 }
 
 export class CuubClient {
   private baseUrl: string;
+  private eventSource: typeof EventSource | null;
+  private fetchImpl: typeof fetch;
+  private timeoutMs: number;
+  private retries: number;
+  private retryDelayMs: number;
+  private onStationsReport?: (report: NormalizationReport) => void;
+  private scanKeys = new Map<string, string>();
+  private scanRecords = new Map<string, Promise<unknown>>();
+  private sizlPatches = new Map<string, Promise<unknown>>();
+  private degraded = false;
+  private degradedListeners = new Set<DegradedListener>();
 
   constructor(config: CuubClientConfig = {}) {
     this.baseUrl = (config.baseUrl ?? "").replace(/\/$/, "");
+    this.eventSource =
+      config.eventSource !== undefined
+        ? config.eventSource
+        : typeof EventSource !== "undefined"
+        ? EventSource
+        : null;
+    this.fetchImpl = config.fetch ?? ((input, init) => fetch(input, init));
+    this.timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.retries = config.retries ?? DEFAULT_RETRIES;
+    this.retryDelayMs = config.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+    this.onStationsReport = config.onStationsReport;
   }
 
   private url(path: string): string {
     return `${this.baseUrl}${path}`;
   }
 
-  async getMapboxToken(): Promise<string | null> {
-    const res = await fetch(this.url("/api/mapbox-token"));
-    const data = (await res.json()) as MapboxTokenResponse;
-    if ("token" in data && data.token) return data.token;
+  private batteryPath(stickerId: string): string {
+    return `/api/battery/${encodeURIComponent(stickerId)}`;
+  }
+
+  // One attempt: fetch + read + JSON parse, with the timeout and the caller's
+  // signal both able to abort it. Does not look at the status code.
+  private async send(path: string, init: RequestInit, signal?: AbortSignal): Promise<RawResponse> {
+    if (signal?.aborted) throw new CuubAbortError();
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      let text: string;
+      let res: Response;
+      try {
+        res = await this.fetchImpl(this.url(path), { ...init, signal: controller.signal });
+        text = await res.text();
+      } catch (err) {
+        if (timedOut) throw new CuubTimeoutError(this.timeoutMs);
+        if (signal?.aborted) throw new CuubAbortError();
+        throw new CuubNetworkError(err instanceof Error ? err.message : "Network request failed", {
+          cause: err,
+        });
+      }
+
+      let json: unknown = null;
+      if (text) {
+        try {
+          json = JSON.parse(text);
+        } catch {
+          if (!res.ok) throw new CuubApiError(res.status);
+          throw new CuubPayloadError("response is not valid JSON");
+        }
+      }
+      return {
+        status: res.status,
+        ok: res.ok,
+        json,
+        degraded: res.headers.get(DEGRADED_HEADER) === "1",
+      };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  // Sends the request, unwraps the ApiEnvelope and returns its `data`.
+  // GETs are retried with exponential backoff on transient failures.
+  private async request(
+    path: string,
+    init: RequestInit,
+    options: RequestOptions = {}
+  ): Promise<unknown> {
+    const method = (init.method ?? "GET").toUpperCase();
+    const attempts = method === "GET" ? this.retries + 1 : 1;
+    let lastError: unknown;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        await sleep(this.retryDelayMs * 2 ** (attempt - 2), options.signal);
+      }
+      try {
+        const raw = await this.send(path, init, options.signal);
+        // 429s come from our own rate limiter and say nothing about upstream.
+        if (raw.status !== 429) this.setDegraded(raw.degraded);
+        if (!raw.ok) throw new CuubApiError(raw.status, envelopeError(raw.json));
+        const envelope = parseEnvelope(raw.json);
+        if (!envelope.success) {
+          throw new CuubApiError(raw.status, envelope.error ?? undefined);
+        }
+        return envelope.data;
+      } catch (err) {
+        lastError = err;
+        if (err instanceof CuubNetworkError || err instanceof CuubTimeoutError) {
+          this.setDegraded(true);
+        }
+        if (!(err instanceof CuubError) || !isTransientError(err)) throw err;
+      }
+    }
+    throw lastError;
+  }
+
+  // True while the API says it is answering without live upstream data
+  // (X-Cuub-Degraded, or a stream status event), or can't be reached at all.
+  // Cleared by the next live response.
+  get isDegraded(): boolean {
+    return this.degraded;
+  }
+
+  onDegradedChange(listener: DegradedListener): () => void {
+    this.degradedListeners.add(listener);
+    return () => {
+      this.degradedListeners.delete(listener);
+    };
+  }
+
+  private setDegraded(degraded: boolean): void {
+    if (degraded === this.degraded) return;
+    this.degraded = degraded;
+    this.degradedListeners.forEach((listener) => listener(degraded));
+  }
+
+  async getMapboxToken(options: RequestOptions = {}): Promise<string | null> {
+    const raw = await this.send("/api/mapbox-token", { method: "GET" }, options.signal);
+    const data = raw.json as MapboxTokenResponse | null;
+    if (raw.ok && data && "token" in data && data.token) return data.token;
     return null;
   }
 
-  async getStations(): Promise<StationsResponse> {
-    const res = await fetch(this.url("/api/stations"));
-    return (await res.json()) as StationsResponse;
+  // The sizl partner URL (CUUB_SIZL_URL on the server); null turns the offer
+  // off, as does a server that doesn't answer with one.
+  async getSizlConfig(options: RequestOptions = {}): Promise<SizlConfigResponse> {
+    const raw = await this.send("/api/sizl-config", { method: "GET" }, options.signal);
+    const data = raw.json as Partial<SizlConfigResponse> | null;
+    return { url: raw.ok && typeof data?.url === "string" && data.url ? data.url : null };
+  }
+
+  // Pricing for the scan modal's cost estimate (CUUB_PRICING on the server),
+  // so every platform estimates from the same config. Defaults when the
+  // server doesn't answer with it.
+  async getPricing(options: RequestOptions = {}): Promise<PricingModel> {
+    const raw = await this.send("/api/pricing", { method: "GET" }, options.signal);
+    if (!raw.ok) return { ...DEFAULT_PRICING };
+    return parsePricing(raw.json as Partial<Record<keyof PricingModel, unknown>> | null);
   }
 
-  async getBattery(stickerId: string): Promise<BatteryResponse> {
-    const res = await fetch(this.url(`/api/battery/${encodeURIComponent(stickerId)}`));
-    return (await res.json()) as BatteryResponse;
+  async getStations(options: RequestOptions = {}): Promise<NormalizedStation[]> {
+    const data = await this.request("/api/stations", { method: "GET" }, options);
+    const { stations, report } = normalizeStations(parseStationList(data));
+    if (hasReportIssues(report)) this.onStationsReport?.(report);
+    return stations;
   }
 
-  async createScanRecord(
+  async getBattery(stickerId: string, options: RequestOptions = {}): Promise<BatteryData> {
+    const data = await this.request(this.batteryPath(stickerId), { method: "GET" }, options);
+    return parseBatteryData(data);
+  }
+
+  // Calls sharing an idempotency key share one request; a failed one is
+  // forgotten so the next call can try again. The server dedupes the same key
+  // across page loads.
+  createScanRecord(
     stickerId: string,
     manufactureId: string,
-    stickerType: string = "type one"
-  ): Promise<BatteryResponse> {
-    const res = await fetch(this.url(`/api/battery/${encodeURIComponent(stickerId)}`), {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        manufacture_id: manufactureId,
-        sticker_type: stickerType,
+    stickerType: string = "type one",
+    options: ScanRecordOptions = {}
+  ): Promise<unknown> {
+    const { idempotencyKey = this.scanKey(stickerId), ...requestOptions } = options;
+    const guardKey = `${stickerId}\n${idempotencyKey}`;
+    const existing = this.scanRecords.get(guardKey);
+    if (existing) return existing;
+
+    const pending = this.request(
+      this.batteryPath(stickerId),
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          manufacture_id: manufactureId,
+          sticker_type: stickerType,
+          [IDEMPOTENCY_HEADER]: idempotencyKey,
+        },
+        body: JSON.stringify({}),
       },
-      body: JSON.stringify({}),
+      requestOptions
+    );
+    this.scanRecords.set(guardKey, pending);
+    pending.catch(() => {
+      if (this.scanRecords.get(guardKey) === pending) this.scanRecords.delete(guardKey);
     });
-    return (await res.json()) as BatteryResponse;
+    return pending;
   }
 
-  async patchBatterySizl(
+  private scanKey(stickerId: string): string {
+    let key = this.scanKeys.get(stickerId);
+    if (!key) {
+      key = createIdempotencyKey();
+      this.scanKeys.set(stickerId, key);
+    }
+    return key;
+  }
+
+  // Marks the sticker as sent to the sizl partner. Only the first call per
+  // sticker and scan session reaches the API; later ones share its result
+  // unless it failed. Sends the scan-session key, so the server dedupes too.
+  patchBatterySizl(
     stickerId: string,
-    manufactureId: string
-  ): Promise<BatteryResponse> {
-    const res = await fetch(this.url(`/api/battery/${encodeURIComponent(stickerId)}`), {
-      method: "PATCH",
-      headers: {
-        "Content-Type": "application/json",
-        manufacture_id: manufactureId,
+    manufactureId: string,
+    options: ScanRecordOptions = {}
+  ): Promise<unknown> {
+    const { idempotencyKey = this.scanKey(stickerId), ...requestOptions } = options;
+    const guardKey = `${stickerId}\n${idempotencyKey}`;
+    const existing = this.sizlPatches.get(guardKey);
+    if (existing) return existing;
+
+    const pending = this.request(
+      this.batteryPath(stickerId),
+      {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          manufacture_id: manufactureId,
+          [IDEMPOTENCY_HEADER]: idempotencyKey,
+        },
+        body: JSON.stringify({ sizl: true }),
       },
-      body: JSON.stringify({ sizl: true }),
+      requestOptions
+    );
+    this.sizlPatches.set(guardKey, pending);
+    pending.catch(() => {
+      if (this.sizlPatches.get(guardKey) === pending) this.sizlPatches.delete(guardKey);
     });
-    return (await res.json()) as BatteryResponse;
+    return pending;
+  }
+
+  // Live station list. The listener gets the full list on every change, plus
+  // the diff that produced it (null for a full snapshot). Returns an
+  // unsubscribe function.
+  subscribeStations(
+    listener: StationsListener,
+    options: SubscribeStationsOptions = {}
+  ): () => void {
+    if (this.eventSource) return this.streamStations(this.eventSource, listener, options);
+    return this.pollStations(listener, options);
+  }
+
+  private streamStations(
+    EventSourceImpl: typeof EventSource,
+    listener: StationsListener,
+    { onError }: SubscribeStationsOptions
+  ): () => void {
+    let stations: NormalizedStation[] = [];
+    const source = new EventSourceImpl(this.url("/api/stations/stream"));
+    const onEvent = (event: MessageEvent) => {
+      let parsed: StationsStreamEvent;
+      try {
+        parsed = JSON.parse(event.data) as StationsStreamEvent;
+      } catch {
+        onError?.(new CuubPayloadError("stream event is not valid JSON"));
+        return;
+      }
+      // The server already normalizes; re-running it guards against a
+      // mismatched server version and is a no-op otherwise.
+      if (parsed.type === "snapshot") {
+        stations = normalizeStations(parsed.stations).stations;
+        listener(stations, null);
+      } else if (parsed.type === "status") {
+        this.setDegraded(parsed.degraded);
+      } else if (parsed.type === "diff") {
+        const diff = {
+          updated: normalizeStations(parsed.updated).stations,
+          removed: parsed.removed.map(String),
+        };
+        stations = applyStationsDiff(stations, diff);
+        listener(stations, diff);
+      }
+    };
+    source.addEventListener("snapshot", onEvent as EventListener);
+    source.addEventListener("diff", onEvent as EventListener);
+    source.addEventListener("status", onEvent as EventListener);
+    source.onerror = (err) => onError?.(err);
+    return () => source.close();
+  }
+
+  private pollStations(
+    listener: StationsListener,
+    { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, onError }: SubscribeStationsOptions
+  ): () => void {
+    let stations: NormalizedStation[] | null = null;
+    const controller = new AbortController();
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    const poll = async () => {
+      try {
+        const next = await this.getStations({ signal: controller.signal });
+        if (!stations) {
+          stations = next;
+          listener(stations, null);
+        } else {
+          const diff = diffStations(stations, next);
+          if (!isEmptyDiff(diff)) {
+            stations = next;
+            listener(stations, diff);
+          }
+        }
+      } catch (err) {
+        if (!(err instanceof CuubAbortError)) onError?.(err);
+      }
+      if (!controller.signal.aborted) timer = setTimeout(poll, pollIntervalMs);
+    };
+    poll();
+
+    return () => {
+      controller.abort();
+      if (timer) clearTimeout(timer);
+    };
   }
 }
@@ -0,0 +1,50 @@
+import type { ApiEnvelope, BatteryData } from "../types";
+import { CuubPayloadError } from "./errors";
+
+type Kind = "string" | "number" | "boolean" | "object" | "array" | "null";
+
+function kindOf(value: unknown): Kind | "undefined" | "other" {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  const t = typeof value;
+  if (t === "string" || t === "number" || t === "boolean" || t === "object" || t === "undefined") {
+    return t;
+  }
+  return "other";
+}
+
+function expect(value: unknown, path: string, kinds: Kind[], optional = false): void {
+  const kind = kindOf(value);
+  if (kind === "undefined" && optional) return;
+  if (!kinds.includes(kind as Kind)) {
+    throw new CuubPayloadError(`expected ${kinds.join(" | ")}, got ${kind}`, path);
+  }
+}
+
+function expectRecord(value: unknown, path: string): Record<string, unknown> {
+  expect(value, path, ["object"]);
+  return value as Record<string, unknown>;
+}
+
+export function parseEnvelope(value: unknown): ApiEnvelope<unknown> {
+  const record = expectRecord(value, "$");
+  expect(record.success, "$.success", ["boolean"]);
+  expect(record.error, "$.error", ["string", "null"], true);
+  return record as unknown as ApiEnvelope<unknown>;
+}
+
+// Individual station records are checked by normalizeStations, which drops
+// bad ones instead of failing the whole list.
+export function parseStationList(value: unknown, path = "$.data"): unknown[] {
+  expect(value, path, ["array"]);
+  return value as unknown[];
+}
+
+export function parseBatteryData(value: unknown, path = "$.data"): BatteryData {
+  const record = expectRecord(value, path);
+  expect(record.duration, `${path}.duration`, ["string", "null"], true);
+  expect(record.amountPaid, `${path}.amountPaid`, ["string", "number", "null"], true);
+  expect(record.manufacture_id, `${path}.manufacture_id`, ["string", "number", "null"], true);
+  expect(record.type, `${path}.type`, ["string", "null"], true);
+  return record as BatteryData;
+}
@@ -0,0 +1,165 @@
+import type { Coords, NormalizedStation } from "../types";
+import { STATION_FILTERS, type StationFilter } from "../filter";
+
+// postMessage protocol between the map (in an iframe) and the page embedding
+// it. Every message is an object with `source: "cuub"`, the protocol
+// `version` and a `type`. Commands may carry a `requestId`; replies and
+// errors for that command echo it back. public/cuub-embed.js is the parent
+// side and mirrors these types.
+export const EMBED_SOURCE = "cuub";
+export const EMBED_PROTOCOL_VERSION = 1;
+
+export const EMBED_COMMAND_TYPES = [
+  "ping",
+  "findNearest",
+  "requestLocation",
+  "selectStation",
+  "setFilter",
+  "setView",
+  "getStations",
+] as const;
+
+// Parent -> map.
+export type EmbedCommand =
+  | { type: "ping" }
+  // Opens the "CUUB near you?" prompt.
+  | { type: "findNearest" }
+  // Skips the prompt and asks for the location straight away.
+  | { type: "requestLocation" }
+  // Null clears the selection.
+  | { type: "selectStation"; stationId: string | null }
+  | { type: "setFilter"; filter: StationFilter }
+  | { type: "setView"; center?: Coords; zoom?: number }
+  | { type: "getStations" };
+
+export type EmbedCommandType = EmbedCommand["type"];
+
+export type EmbedErrorCode =
+  | "unsupportedVersion"
+  | "unknownCommand"
+  | "invalidCommand"
+  | "unknownStation";
+
+// "declined": the user said no to our prompt. "denied": the browser's
+// permission was refused. "unavailable"/"error": no position to be had.
+export type LocationDeniedReason = "declined" | "denied" | "unavailable" | "error";
+
+// Map -> parent.
+export type EmbedEvent =
+  | { type: "ready"; geolocation: boolean }
+  | { type: "pong" }
+  // Reply to getStations: the stations matching the current filter.
+  | { type: "stations"; stations: NormalizedStation[] }
+  | { type: "stationSelected"; station: NormalizedStation | null }
+  | { type: "locationGranted"; coords: Coords }
+  | { type: "locationDenied"; reason: LocationDeniedReason }
+  // After each pan/zoom settles.
+  | { type: "mapMoved"; center: Coords; zoom: number }
+  | { type: "error"; code: EmbedErrorCode; message: string };
+
+export type EmbedEventType = EmbedEvent["type"];
+
+export type EmbedMessage<T> = T & {
+  source: typeof EMBED_SOURCE;
+  version: number;
+  requestId?: string;
+};
+
+export type ParsedEmbedCommand =
+  | { ok: true; command: EmbedCommand; requestId?: string }
+  // Not addressed to us at all; ignore it.
+  | { ok: false; ignore: true }
+  // Ours but unusable; worth an error event.
+  | { ok: false; ignore: false; code: EmbedErrorCode; message: string; requestId?: string };
+
+const MAX_ZOOM = 22;
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function parseCoords(value: unknown): Coords | null {
+  const v = value as Partial<Coords> | null;
+  if (!v || typeof v !== "object") return null;
+  if (!isFiniteNumber(v.latitude) || Math.abs(v.latitude) > 90) return null;
+  if (!isFiniteNumber(v.longitude) || Math.abs(v.longitude) > 180) return null;
+  return { latitude: v.latitude, longitude: v.longitude };
+}
+
+function isStationFilter(value: unknown): value is StationFilter {
+  return STATION_FILTERS.some((option) => option.value === value);
+}
+
+// Messages from before the protocol was versioned had no `version`; they used
+// the same types (findNearest, requestLocation, ping), so they read as v1.
+export function parseEmbedCommand(data: unknown): ParsedEmbedCommand {
+  const msg = data as Record<string, unknown> | null;
+  if (!msg || typeof msg !== "object" || msg.source !== EMBED_SOURCE) {
+    return { ok: false, ignore: true };
+  }
+  const requestId = typeof msg.requestId === "string" ? msg.requestId : undefined;
+  const invalid = (code: EmbedErrorCode, message: string): ParsedEmbedCommand => ({
+    ok: false,
+    ignore: false,
+    code,
+    message,
+    requestId,
+  });
+
+  const version = msg.version ?? EMBED_PROTOCOL_VERSION;
+  if (version !== EMBED_PROTOCOL_VERSION) {
+    return invalid("unsupportedVersion", `Protocol version ${String(version)} is not supported`);
+  }
+  const type = msg.type;
+  if (!EMBED_COMMAND_TYPES.includes(type as EmbedCommandType)) {
+    return invalid("unknownCommand", `Unknown command ${JSON.stringify(type)}`);
+  }
+
+  let command: EmbedCommand;
+  switch (type as EmbedCommandType) {
+    case "selectStation": {
+      const id = msg.stationId;
+      if (id !== null && typeof id !== "string" && typeof id !== "number") {
+        return invalid("invalidCommand", "selectStation needs a stationId (or null)");
+      }
+      command = { type: "selectStation", stationId: id === null ? null : String(id) };
+      break;
+    }
+    case "setFilter":
+      if (!isStationFilter(msg.filter)) {
+        return invalid("invalidCommand", 'setFilter needs a filter of "all", "batteries" or "open"');
+      }
+      command = { type: "setFilter", filter: msg.filter };
+      break;
+    case "setView": {
+      const center = msg.center === undefined ? undefined : parseCoords(msg.center);
+      const zoom = msg.zoom;
+      if (center === null) {
+        return invalid("invalidCommand", "setView center needs a latitude and longitude");
+      }
+      if (zoom !== undefined && (!isFiniteNumber(zoom) || zoom < 0 || zoom > MAX_ZOOM)) {
+        return invalid("invalidCommand", `setView zoom must be between 0 and ${MAX_ZOOM}`);
+      }
+      if (center === undefined && zoom === undefined) {
+        return invalid("invalidCommand", "setView needs a center, a zoom or both");
+      }
+      command = { type: "setView", center, zoom };
+      break;
+    }
+    default:
+      command = { type } as EmbedCommand;
+  }
+  return { ok: true, command, requestId };
+}
+
+export function createEmbedMessage<T extends EmbedEvent | EmbedCommand>(
+  message: T,
+  requestId?: string
+): EmbedMessage<T> {
+  return {
+    source: EMBED_SOURCE,
+    version: EMBED_PROTOCOL_VERSION,
+    ...message,
+    ...(requestId === undefined ? {} : { requestId }),
+  };
+}
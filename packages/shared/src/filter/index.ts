@@ -0,0 +1,42 @@
+import type { NormalizedStation } from "../types";
+import { UNCLUSTERED_FILTER, type MapExpression } from "../geojson";
+
+// "batteries": at least one battery to rent. "open": at least one empty slot
+// to return to. Stations with an unknown count never match either.
+export type StationFilter = "all" | "batteries" | "open";
+
+export const STATION_FILTERS: ReadonlyArray<{ value: StationFilter; label: string }> = [
+  { value: "all", label: "All" },
+  { value: "batteries", label: "Has batteries" },
+  { value: "open", label: "Has open slots" },
+];
+
+// Reads the ?filter= query param; anything unrecognised shows every station.
+export function parseStationFilter(value: string | null | undefined): StationFilter {
+  const v = (value ?? "").trim().toLowerCase();
+  return v === "batteries" || v === "open" ? v : "all";
+}
+
+export function matchesStationFilter(station: NormalizedStation, filter: StationFilter): boolean {
+  if (filter === "batteries") return (station.filled_slots ?? 0) > 0;
+  if (filter === "open") return (station.open_slots ?? 0) > 0;
+  return true;
+}
+
+// Clusters are computed from the source data, so this is what keeps cluster
+// counts in line with the filter; the layer filter alone would only hide
+// single points.
+export function filterStations(
+  stations: NormalizedStation[],
+  filter: StationFilter
+): NormalizedStation[] {
+  if (filter === "all") return stations;
+  return stations.filter((station) => matchesStationFilter(station, filter));
+}
+
+// Filter for the unclustered-point layer.
+export function stationFilterExpression(filter: StationFilter): MapExpression {
+  if (filter === "all") return UNCLUSTERED_FILTER;
+  const field = filter === "batteries" ? "filled_slots" : "open_slots";
+  return ["all", UNCLUSTERED_FILTER, [">", ["coalesce", ["get", field], 0], 0]];
+}
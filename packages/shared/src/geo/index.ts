@@ -1,4 +1,4 @@
-import type { Coords, Station } from "../types";
+import type { Coords, NormalizedStation } from "../types";
 
 const EARTH_RADIUS_METERS = 6371000;
 
@@ -6,18 +6,12 @@ function toRadians(degrees: number): number {
   return (degrees * Math.PI) / 180;
 }
 
-function toNumber(value: unknown): number | null {
-  const n = typeof value === "number" ? value : parseFloat(String(value));
-  return Number.isFinite(n) ? n : null;
-}
-
+// Coordinates are numbers by the time they get here (see normalizeStations);
+// anything non-finite gives NaN.
 export function haversineMeters(a: Coords, b: Coords): number {
   if (!a || !b) return NaN;
-  const lat1 = toNumber(a.latitude);
-  const lon1 = toNumber(a.longitude);
-  const lat2 = toNumber(b.latitude);
-  const lon2 = toNumber(b.longitude);
-  if (lat1 === null || lon1 === null || lat2 === null || lon2 === null) return NaN;
+  const { latitude: lat1, longitude: lon1 } = a;
+  const { latitude: lat2, longitude: lon2 } = b;
 
   const dLat = toRadians(lat2 - lat1);
   const dLon = toRadians(lon2 - lon1);
@@ -29,26 +23,22 @@ export function haversineMeters(a: Coords, b: Coords): number {
   return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
 }
 
-export interface NearestResult {
-  station: Station;
+export interface NearestResult<T extends Coords = NormalizedStation> {
+  station: T;
   distanceMeters: number;
 }
 
-export function nearestStation(
+export function nearestStation<T extends Coords = NormalizedStation>(
   userCoords: Coords,
-  stations: Station[]
-): NearestResult | null {
+  stations: T[]
+): NearestResult<T> | null {
   if (!userCoords || !Array.isArray(stations) || stations.length === 0) return null;
 
-  let best: Station | null = null;
+  let best: T | null = null;
   let bestDist = Infinity;
   for (const s of stations) {
     if (!s) continue;
-    const lat = toNumber(s.latitude);
-    const lon = toNumber(s.longitude);
-    if (lat === null || lon === null) continue;
-
-    const d = haversineMeters(userCoords, { latitude: lat, longitude: lon });
+    const d = haversineMeters(userCoords, s);
     if (!Number.isFinite(d)) continue;
     if (d < bestDist) {
       bestDist = d;
@@ -0,0 +1,116 @@
+import type { NormalizedStation } from "../types";
+
+// Marker icons are station-icon-0 .. station-icon-6, one per filled slot.
+// Stations with six or more batteries, or an unknown count, use the full icon.
+export const STATION_ICON_COUNT = 7;
+
+export const STATION_ICON_IDS: readonly string[] = Array.from(
+  { length: STATION_ICON_COUNT },
+  (_, i) => `station-icon-${i}`
+);
+
+export function stationIconId(filledSlots: number | null): string {
+  const max = STATION_ICON_COUNT - 1;
+  if (filledSlots === null || !Number.isFinite(filledSlots)) return STATION_ICON_IDS[max];
+  const index = Math.min(max, Math.max(0, Math.floor(filledSlots)));
+  return STATION_ICON_IDS[index];
+}
+
+export interface StationFeatureProps {
+  id: string;
+  title: string | null;
+  filled_slots: number | null;
+  open_slots: number | null;
+  latitude: number;
+  longitude: number;
+  selected: boolean;
+  icon: string;
+}
+
+export interface StationFeature {
+  type: "Feature";
+  id: string;
+  geometry: { type: "Point"; coordinates: [number, number] };
+  properties: StationFeatureProps;
+}
+
+export interface StationsGeoJSON {
+  type: "FeatureCollection";
+  features: StationFeature[];
+}
+
+export function stationToFeature(
+  station: NormalizedStation,
+  selectedId: string | null = null
+): StationFeature {
+  return {
+    type: "Feature",
+    id: station.id,
+    geometry: {
+      type: "Point",
+      coordinates: [station.longitude, station.latitude],
+    },
+    properties: {
+      id: station.id,
+      title: station.title,
+      filled_slots: station.filled_slots,
+      open_slots: station.open_slots,
+      latitude: station.latitude,
+      longitude: station.longitude,
+      selected: station.id === selectedId,
+      icon: stationIconId(station.filled_slots),
+    },
+  };
+}
+
+export function stationsToGeoJSON(
+  stations: NormalizedStation[],
+  selectedId: string | null = null
+): StationsGeoJSON {
+  return {
+    type: "FeatureCollection",
+    features: stations.map((station) => stationToFeature(station, selectedId)),
+  };
+}
+
+// Mapbox style expressions shared by the web (mapbox-gl) and mobile
+// (@rnmapbox/maps) layers. Plain arrays so either SDK can take them.
+export type MapExpression = [string, ...unknown[]];
+
+export const STATION_CLUSTER_RADIUS = 25;
+export const STATION_CLUSTER_MAX_ZOOM = 22;
+
+// Totals carried on every cluster feature alongside point_count, as
+// [reduce operator, per-point value].
+export const STATION_CLUSTER_PROPERTIES: Record<string, [string, MapExpression]> = {
+  filled_slots: ["+", ["coalesce", ["get", "filled_slots"], 0]],
+  open_slots: ["+", ["coalesce", ["get", "open_slots"], 0]],
+};
+
+export const CLUSTER_FILTER: MapExpression = ["has", "point_count"];
+export const UNCLUSTERED_FILTER: MapExpression = ["!", ["has", "point_count"]];
+
+export const CLUSTER_CIRCLE_RADIUS: MapExpression = [
+  "step",
+  ["get", "point_count"],
+  15,
+  3,
+  20,
+  5,
+  25,
+];
+
+export const CLUSTER_TEXT_SIZE: MapExpression = [
+  "step",
+  ["get", "point_count"],
+  14,
+  10,
+  16,
+  30,
+  18,
+];
+
+export const STATION_ICON_IMAGE: MapExpression = ["get", "icon"];
+
+// Selected stations are drawn 20% larger.
+export const SELECTED_ICON_SIZE: MapExpression = ["case", ["get", "selected"], 1.2, 1];
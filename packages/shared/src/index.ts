@@ -1,5 +1,20 @@
 export * from "./types";
+export * from "./normalize";
 export * from "./geo";
 export * from "./nearest";
+export * from "./spatial";
+export * from "./search";
+export * from "./links";
 export * from "./api";
+export * from "./outbox";
 export * from "./directions";
+export * from "./live";
+export * from "./geojson";
+export * from "./filter";
+export * from "./rental";
+export * from "./scan";
+export * from "./pricing";
+export * from "./sizl";
+export * from "./sticker";
+export * from "./origins";
+export * from "./embed";
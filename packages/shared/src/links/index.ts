@@ -0,0 +1,28 @@
+import type { NormalizedStation } from "../types";
+import { UNTITLED_STATION } from "../search";
+
+// Web: https://<host>/station/<id>. Mobile: cuub://station/<id>.
+export function stationPath(id: string): string {
+  return `/station/${encodeURIComponent(id)}`;
+}
+
+export function findStation<T extends { id: string }>(stations: T[], id: string): T | null {
+  return stations.find((s) => s.id === id) ?? null;
+}
+
+function countText(count: number | null, one: string, many: string, unknown: string): string {
+  if (count === null) return unknown;
+  return `${count} ${count === 1 ? one : many}`;
+}
+
+// Used for link previews, so it has to read well without the map around it.
+export function stationAvailabilityText(station: NormalizedStation): string {
+  return [
+    countText(station.filled_slots, "battery available", "batteries available", "Batteries unknown"),
+    countText(station.open_slots, "open slot", "open slots", "open slots unknown"),
+  ].join(" · ");
+}
+
+export function stationShareTitle(station: NormalizedStation): string {
+  return `${station.title ?? UNTITLED_STATION} · CUUB`;
+}
@@ -0,0 +1,94 @@
+import type { NormalizedStation } from "../types";
+import { matchesStationFilter, type StationFilter } from "../filter";
+import { stationToFeature, type StationsGeoJSON } from "../geojson";
+
+export interface StationsDiff {
+  updated: NormalizedStation[];
+  removed: string[];
+}
+
+export type StationsStreamEvent =
+  | { type: "snapshot"; stations: NormalizedStation[] }
+  | ({ type: "diff" } & StationsDiff)
+  // Upstream started or stopped failing; while degraded, the stations are
+  // the server's last known list.
+  | { type: "status"; degraded: boolean };
+
+const COMPARED_FIELDS = [
+  "title",
+  "latitude",
+  "longitude",
+  "filled_slots",
+  "open_slots",
+] as const;
+
+function stationChanged(a: NormalizedStation, b: NormalizedStation): boolean {
+  return COMPARED_FIELDS.some((field) => a[field] !== b[field]);
+}
+
+export function diffStations(
+  prev: NormalizedStation[],
+  next: NormalizedStation[]
+): StationsDiff {
+  const prevById = new Map(prev.map((s) => [s.id, s]));
+  const nextIds = new Set<string>();
+  const updated: NormalizedStation[] = [];
+  for (const station of next) {
+    nextIds.add(station.id);
+    const before = prevById.get(station.id);
+    if (!before || stationChanged(before, station)) updated.push(station);
+  }
+  const removed = prev.filter((s) => !nextIds.has(s.id)).map((s) => s.id);
+  return { updated, removed };
+}
+
+export function isEmptyDiff(diff: StationsDiff): boolean {
+  return diff.updated.length === 0 && diff.removed.length === 0;
+}
+
+// Updated stations replace their previous entry in place; new ones are appended.
+export function applyStationsDiff(
+  stations: NormalizedStation[],
+  diff: StationsDiff
+): NormalizedStation[] {
+  if (isEmptyDiff(diff)) return stations;
+  const removed = new Set(diff.removed);
+  const updates = new Map(diff.updated.map((s) => [s.id, s]));
+  const result: NormalizedStation[] = [];
+  for (const station of stations) {
+    if (removed.has(station.id)) continue;
+    result.push(updates.get(station.id) ?? station);
+    updates.delete(station.id);
+  }
+  return result.concat(Array.from(updates.values()));
+}
+
+// The map source's data after a diff: features for removed stations, and for
+// updated ones the filter now hides, are dropped; updated ones it shows are
+// rebuilt in place (new ones appended). Every other feature is reused as is,
+// so a tick that changes one station touches one feature.
+export function applyStationsDiffToGeoJSON(
+  geojson: StationsGeoJSON,
+  diff: StationsDiff,
+  filter: StationFilter,
+  selectedId: string | null = null
+): StationsGeoJSON {
+  if (isEmptyDiff(diff)) return geojson;
+  const removed = new Set(diff.removed);
+  const updates = new Map(diff.updated.map((s) => [s.id, s]));
+  const features: StationsGeoJSON["features"] = [];
+  for (const feature of geojson.features) {
+    if (removed.has(feature.id)) continue;
+    const station = updates.get(feature.id);
+    if (!station) {
+      features.push(feature);
+      continue;
+    }
+    updates.delete(feature.id);
+    if (matchesStationFilter(station, filter)) features.push(stationToFeature(station, selectedId));
+  }
+  for (const station of updates.values()) {
+    if (matchesStationFilter(station, filter)) features.push(stationToFeature(station, selectedId));
+  }
+  return { type: "FeatureCollection", features };
+}
@@ -1,20 +1,20 @@
-import type { Station, Coords } from "../types";
-import { nearestStation, formatDistance, type NearestResult } from "../geo";
+import type { Coords, NormalizedStation } from "../types";
+import { formatDistance, haversineMeters, nearestStation, type NearestResult } from "../geo";
 
 export const FAR_STATION_METERS = 50000;
 
-export interface NearestStationView {
-  station: Station;
+export interface NearestStationView<T extends Coords = NormalizedStation> {
+  station: T;
   distanceMeters: number;
   distanceText: string;
   isFar: boolean;
 }
 
-export function pickNearestStation(
+export function pickNearestStation<T extends Coords = NormalizedStation>(
   user: Coords,
-  stations: Station[]
-): NearestStationView | null {
-  const result: NearestResult | null = nearestStation(user, stations);
+  stations: T[]
+): NearestStationView<T> | null {
+  const result: NearestResult<T> | null = nearestStation(user, stations);
   if (!result) return null;
   return {
     station: result.station,
@@ -23,3 +23,77 @@ export function pickNearestStation(
     isFar: Number.isFinite(result.distanceMeters) && result.distanceMeters > FAR_STATION_METERS,
   };
 }
+
+// "rent": the user needs a battery, so the station needs filled slots.
+// "return": the user has one, so it needs an open slot.
+export type StationIntent = "rent" | "return";
+
+// Stations with no reported count are "unknown": ranked after the ones known
+// to work but ahead of the ones known not to.
+export type StationAvailability = "available" | "unknown" | "unavailable";
+
+export interface RankedStationView<T extends NormalizedStation = NormalizedStation>
+  extends NearestStationView<T> {
+  availability: StationAvailability;
+}
+
+export interface RankedNearest<T extends NormalizedStation = NormalizedStation> {
+  intent: StationIntent;
+  // Closest usable stations first, padded with fallbacks up to the limit.
+  ranked: RankedStationView<T>[];
+  // True when not even the first entry is known to be usable for the intent.
+  fallback: boolean;
+}
+
+export interface RankNearestOptions {
+  limit?: number;
+}
+
+const AVAILABILITY_ORDER: Record<StationAvailability, number> = {
+  available: 0,
+  unknown: 1,
+  unavailable: 2,
+};
+
+export function stationIntent(activeRental: boolean): StationIntent {
+  return activeRental ? "return" : "rent";
+}
+
+export function stationAvailability(
+  station: NormalizedStation,
+  intent: StationIntent
+): StationAvailability {
+  const slots = intent === "rent" ? station.filled_slots : station.open_slots;
+  if (slots === null) return "unknown";
+  return slots > 0 ? "available" : "unavailable";
+}
+
+export function rankNearestStations<T extends NormalizedStation = NormalizedStation>(
+  user: Coords,
+  stations: T[],
+  intent: StationIntent,
+  { limit = 3 }: RankNearestOptions = {}
+): RankedNearest<T> | null {
+  if (!user || limit < 1) return null;
+  const ranked: RankedStationView<T>[] = [];
+  for (const station of stations) {
+    const distanceMeters = haversineMeters(user, station);
+    if (!Number.isFinite(distanceMeters)) continue;
+    ranked.push({
+      station,
+      distanceMeters,
+      distanceText: formatDistance(distanceMeters),
+      isFar: distanceMeters > FAR_STATION_METERS,
+      availability: stationAvailability(station, intent),
+    });
+  }
+  if (ranked.length === 0) return null;
+
+  ranked.sort(
+    (a, b) =>
+      AVAILABILITY_ORDER[a.availability] - AVAILABILITY_ORDER[b.availability] ||
+      a.distanceMeters - b.distanceMeters
+  );
+  const top = ranked.slice(0, limit);
+  return { intent, ranked: top, fallback: top[0].availability !== "available" };
+}
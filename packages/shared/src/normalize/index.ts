@@ -0,0 +1,131 @@
+import type { NormalizedStation } from "../types";
+
+export type DropReason =
+  | "not_an_object"
+  | "missing_id"
+  | "duplicate_id"
+  | "invalid_coordinates";
+
+export interface DroppedStation {
+  index: number;
+  id: string | null;
+  reason: DropReason;
+}
+
+// A field that was present but unusable, so it was normalized to null.
+export interface InvalidStationField {
+  index: number;
+  id: string;
+  field: "title" | "filled_slots" | "open_slots";
+  value: unknown;
+}
+
+export interface NormalizationReport {
+  received: number;
+  kept: number;
+  dropped: DroppedStation[];
+  invalidFields: InvalidStationField[];
+}
+
+export interface NormalizationResult {
+  stations: NormalizedStation[];
+  report: NormalizationReport;
+}
+
+function toFiniteNumber(value: unknown): number | null {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toId(value: unknown): string | null {
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  if (typeof value === "string" && value.trim() !== "") return value.trim();
+  return null;
+}
+
+// Missing slot counts stay null ("unknown"); present-but-garbage ones are
+// reported. Counts are whole, non-negative numbers.
+function toSlotCount(value: unknown): { value: number | null; invalid: boolean } {
+  if (value === null || value === undefined || value === "") {
+    return { value: null, invalid: false };
+  }
+  const n = toFiniteNumber(value);
+  if (n === null || n < 0) return { value: null, invalid: true };
+  return { value: Math.floor(n), invalid: false };
+}
+
+// Turns the loosely typed upstream station list into NormalizedStations.
+// Records without a usable id or coordinates, and repeats of an id already
+// seen, are dropped and listed in the report rather than failing the list.
+export function normalizeStations(raw: unknown[]): NormalizationResult {
+  const stations: NormalizedStation[] = [];
+  const dropped: DroppedStation[] = [];
+  const invalidFields: InvalidStationField[] = [];
+  const seen = new Set<string>();
+
+  raw.forEach((item, index) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      dropped.push({ index, id: null, reason: "not_an_object" });
+      return;
+    }
+    const record = item as Record<string, unknown>;
+    const id = toId(record.id);
+    if (id === null) {
+      dropped.push({ index, id: null, reason: "missing_id" });
+      return;
+    }
+    if (seen.has(id)) {
+      dropped.push({ index, id, reason: "duplicate_id" });
+      return;
+    }
+
+    const latitude = toFiniteNumber(record.latitude);
+    const longitude = toFiniteNumber(record.longitude);
+    if (
+      latitude === null ||
+      longitude === null ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      dropped.push({ index, id, reason: "invalid_coordinates" });
+      return;
+    }
+
+    let title: string | null = null;
+    if (typeof record.title === "string") {
+      title = record.title.trim() || null;
+    } else if (record.title !== null && record.title !== undefined) {
+      invalidFields.push({ index, id, field: "title", value: record.title });
+    }
+
+    const filled = toSlotCount(record.filled_slots);
+    if (filled.invalid) {
+      invalidFields.push({ index, id, field: "filled_slots", value: record.filled_slots });
+    }
+    const open = toSlotCount(record.open_slots);
+    if (open.invalid) {
+      invalidFields.push({ index, id, field: "open_slots", value: record.open_slots });
+    }
+
+    seen.add(id);
+    stations.push({
+      id,
+      title,
+      latitude,
+      longitude,
+      filled_slots: filled.value,
+      open_slots: open.value,
+    });
+  });
+
+  return {
+    stations,
+    report: { received: raw.length, kept: stations.length, dropped, invalidFields },
+  };
+}
+
+export function hasReportIssues(report: NormalizationReport): boolean {
+  return report.dropped.length > 0 || report.invalidFields.length > 0;
+}
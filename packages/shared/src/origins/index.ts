@@ -0,0 +1,68 @@
+// Origins allowed to frame the map and to call the API cross-origin.
+// Entries are exact origins ("https://map.cuub.tech"), subdomain wildcards
+// ("https://*.framer.app", which doesn't match the bare domain) or "*" for
+// anyone.
+export const DEFAULT_ALLOWED_ORIGINS = [
+  "https://cuub.tech",
+  "https://*.cuub.tech",
+  "https://framer.com",
+  "https://*.framer.com",
+  "https://*.framer.app",
+  "https://*.framer.website",
+];
+
+interface OriginPattern {
+  protocol: string;
+  host: string;
+  wildcard: boolean;
+  port: string;
+}
+
+const ENTRY_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?$/;
+const DEFAULT_PORTS: Record<string, string> = { http: "80", https: "443" };
+
+function parseEntry(entry: string): OriginPattern | null {
+  const match = ENTRY_PATTERN.exec(entry);
+  if (!match) return null;
+  const [, protocol, wildcard, host, port] = match;
+  return { protocol, host, wildcard: !!wildcard, port: port ?? DEFAULT_PORTS[protocol] };
+}
+
+// Comma- or space-separated, as in an env var. Unset or empty falls back to
+// `defaults`; entries that aren't origins are dropped.
+export function parseOriginAllowlist(
+  value: string | null | undefined,
+  defaults: readonly string[] = DEFAULT_ALLOWED_ORIGINS
+): string[] {
+  const entries = (value ?? "")
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim().toLowerCase().replace(/\/+$/, ""))
+    .filter(Boolean);
+  if (entries.length === 0) return [...defaults];
+  return entries.filter((entry) => entry === "*" || parseEntry(entry) !== null);
+}
+
+export function isOriginAllowed(origin: string | null | undefined, allowlist: readonly string[]): boolean {
+  if (!origin) return false;
+  if (allowlist.includes("*")) return true;
+  let url: URL;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+  const protocol = url.protocol.replace(/:$/, "");
+  const port = url.port || DEFAULT_PORTS[protocol];
+  const host = url.hostname.toLowerCase();
+  return allowlist.some((entry) => {
+    const pattern = parseEntry(entry);
+    if (!pattern || pattern.protocol !== protocol || pattern.port !== port) return false;
+    return pattern.wildcard ? host.endsWith(`.${pattern.host}`) : host === pattern.host;
+  });
+}
+
+// The CSP directive for who may frame our pages. Our own origin always may.
+export function frameAncestorsDirective(allowlist: readonly string[]): string {
+  if (allowlist.includes("*")) return "frame-ancestors *";
+  return ["frame-ancestors", "'self'", ...allowlist].join(" ");
+}
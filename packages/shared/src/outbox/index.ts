@@ -0,0 +1,237 @@
+import { createIdempotencyKey, isTransientError } from "../api";
+
+export interface QueuedScan {
+  // Also the Idempotency-Key, so a replay of a POST that did reach the API
+  // the first time doesn't create a second record.
+  id: string;
+  stickerId: string;
+  manufactureId: string;
+  stickerType: string;
+  createdAt: number;
+  attempts: number;
+  nextAttemptAt: number;
+}
+
+export interface NewScan {
+  id?: string;
+  stickerId: string;
+  manufactureId: string;
+  stickerType: string;
+}
+
+// Platform persistence: IndexedDB on web, AsyncStorage on mobile. The whole
+// queue is read and written at once; it only ever holds a handful of scans.
+// Storage that several outboxes share (IndexedDB across tabs) should also
+// implement update(), reading and writing in one transaction so another
+// outbox can't write in between.
+export interface OutboxStorage {
+  load(): Promise<QueuedScan[]>;
+  save(scans: QueuedScan[]): Promise<void>;
+  update?(fn: (scans: QueuedScan[]) => QueuedScan[]): Promise<QueuedScan[]>;
+}
+
+export class MemoryOutboxStorage implements OutboxStorage {
+  private scans: QueuedScan[] = [];
+
+  async load(): Promise<QueuedScan[]> {
+    return this.scans.map((scan) => ({ ...scan }));
+  }
+
+  async save(scans: QueuedScan[]): Promise<void> {
+    this.scans = scans.map((scan) => ({ ...scan }));
+  }
+}
+
+export interface ScanOutboxOptions {
+  storage: OutboxStorage;
+  send: (scan: QueuedScan) => Promise<unknown>;
+  // Backoff before attempt n+1 is baseDelayMs * 2^(n-1), capped at maxDelayMs.
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+  // Scans older than this are dropped instead of retried.
+  maxAgeMs?: number;
+  // Which failures are worth retrying. Defaults to isTransientError; anything
+  // else (e.g. a 4xx) drops the scan.
+  isRetryable?: (err: unknown) => boolean;
+  now?: () => number;
+}
+
+export interface FlushResult {
+  sent: number;
+  dropped: number;
+  pending: number;
+}
+
+const DEFAULT_BASE_DELAY_MS = 5_000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isQueuedScan(value: unknown): value is QueuedScan {
+  const v = value as Partial<QueuedScan> | null;
+  return (
+    !!v &&
+    typeof v.id === "string" &&
+    typeof v.stickerId === "string" &&
+    typeof v.manufactureId === "string" &&
+    typeof v.stickerType === "string" &&
+    typeof v.createdAt === "number" &&
+    typeof v.attempts === "number" &&
+    typeof v.nextAttemptAt === "number"
+  );
+}
+
+// Durable queue for scan-record POSTs. Scans are persisted before the first
+// attempt, so closing the page mid-request doesn't lose them, and removed
+// once the API accepts them. flush() sends whatever is due, one at a time;
+// start() keeps flushing on the backoff schedule, and platforms call flush()
+// again when connectivity comes back.
+export class ScanOutbox {
+  private readonly storage: OutboxStorage;
+  private readonly send: (scan: QueuedScan) => Promise<unknown>;
+  private readonly baseDelayMs: number;
+  private readonly maxDelayMs: number;
+  private readonly maxAgeMs: number;
+  private readonly isRetryable: (err: unknown) => boolean;
+  private readonly now: () => number;
+  // The queue as this outbox last read or wrote it, for scheduling. Storage
+  // stays the source of truth: other tabs may share it.
+  private scans: QueuedScan[] | null = null;
+  private tail: Promise<unknown> = Promise.resolve();
+  private flushing: Promise<unknown> = Promise.resolve();
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private running = false;
+
+  constructor(options: ScanOutboxOptions) {
+    this.storage = options.storage;
+    this.send = options.send;
+    this.baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+    this.maxAgeMs = options.maxAgeMs ?? DEFAULT_MAX_AGE_MS;
+    this.isRetryable = options.isRetryable ?? isTransientError;
+    this.now = options.now ?? Date.now;
+  }
+
+  // Queues the scan and tries to send it right away. A scan whose id is
+  // already queued is not added twice.
+  async submit(scan: NewScan): Promise<FlushResult> {
+    await this.enqueue(scan);
+    return this.flush();
+  }
+
+  enqueue({ id = createIdempotencyKey(), ...rest }: NewScan): Promise<void> {
+    return this.update((scans) => {
+      if (scans.some((s) => s.id === id)) return scans;
+      const now = this.now();
+      return [...scans, { id, ...rest, createdAt: now, attempts: 0, nextAttemptAt: now }];
+    });
+  }
+
+  async pending(): Promise<QueuedScan[]> {
+    return (await this.read()).map((scan) => ({ ...scan }));
+  }
+
+  // Flushes run one after another, so a scan queued during a flush is picked
+  // up by the next one instead of racing it.
+  flush(): Promise<FlushResult> {
+    const run = this.flushing.then(() => this.flushDue());
+    this.flushing = run.catch(() => {}).finally(() => this.schedule());
+    return run;
+  }
+
+  start(): () => void {
+    this.running = true;
+    this.flush().catch(() => {});
+    return () => this.stop();
+  }
+
+  stop(): void {
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  private async flushDue(): Promise<FlushResult> {
+    let sent = 0;
+    let dropped = 0;
+    const expired = (scan: QueuedScan) => this.now() - scan.createdAt > this.maxAgeMs;
+
+    const due = (await this.read()).filter((scan) => scan.nextAttemptAt <= this.now());
+    for (const scan of due) {
+      if (expired(scan)) {
+        await this.remove(scan.id);
+        dropped++;
+        continue;
+      }
+      try {
+        await this.send(scan);
+        await this.remove(scan.id);
+        sent++;
+      } catch (err) {
+        if (!this.isRetryable(err)) {
+          await this.remove(scan.id);
+          dropped++;
+          continue;
+        }
+        const attempts = scan.attempts + 1;
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+        await this.update((scans) =>
+          scans.map((s) => (s.id === scan.id ? { ...s, attempts, nextAttemptAt: this.now() + delay } : s))
+        );
+      }
+    }
+    return { sent, dropped, pending: (await this.read()).length };
+  }
+
+  private schedule(): void {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.running || !this.scans || this.scans.length === 0) return;
+    const next = Math.min(...this.scans.map((s) => s.nextAttemptAt));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(() => {});
+    }, Math.max(0, next - this.now()));
+  }
+
+  private remove(id: string): Promise<void> {
+    return this.update((scans) => scans.filter((s) => s.id !== id));
+  }
+
+  private async read(): Promise<QueuedScan[]> {
+    await this.tail;
+    return this.load();
+  }
+
+  // Writes are chained so concurrent enqueue/flush calls can't overwrite each
+  // other's changes, and each one starts from what is stored now rather than
+  // what this outbox last saw, so scans queued by another outbox on the same
+  // storage survive.
+  private update(fn: (scans: QueuedScan[]) => QueuedScan[]): Promise<void> {
+    const run = this.tail.then(async () => {
+      if (this.storage.update) {
+        this.scans = await this.storage.update((stored) => fn(this.valid(stored)));
+        return;
+      }
+      const next = fn(await this.load());
+      this.scans = next;
+      await this.storage.save(next);
+    });
+    this.tail = run.catch(() => {});
+    return run;
+  }
+
+  // Unreadable storage falls back to the queue as last seen (empty at first)
+  // rather than blocking scans.
+  private async load(): Promise<QueuedScan[]> {
+    try {
+      this.scans = this.valid(await this.storage.load());
+    } catch {
+      this.scans = this.scans ?? [];
+    }
+    return this.scans;
+  }
+
+  private valid(stored: unknown): QueuedScan[] {
+    return Array.isArray(stored) ? stored.filter(isQueuedScan) : [];
+  }
+}
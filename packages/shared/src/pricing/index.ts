@@ -0,0 +1,154 @@
+import { formatDurationSeconds } from "../rental";
+import { formatAmountPaid } from "../scan";
+
+// Dollar amounts. The base fee covers the first period; each period started
+// after that adds periodRate. A day's charges never exceed dailyCap, and the
+// whole rental never exceeds maxCharge, at which point the battery counts as
+// bought (lost-battery threshold).
+export interface PricingModel {
+  baseFee: number;
+  periodMinutes: number;
+  periodRate: number;
+  dailyCap: number;
+  maxCharge: number;
+}
+
+export const DEFAULT_PRICING: PricingModel = {
+  baseFee: 4,
+  periodMinutes: 60,
+  periodRate: 2,
+  dailyCap: 20,
+  maxCharge: 40,
+};
+
+export interface CostProjection {
+  // What the rental costs at `elapsedSeconds`.
+  current: number;
+  // The next increase: the amount it goes up to, and the elapsed time after
+  // which it applies. Null once maxCharge is reached.
+  next: { amount: number; atSeconds: number } | null;
+  // "daily": today's charges hit dailyCap, so the next one waits for the
+  // next day. "max": the lost-battery threshold is reached.
+  capped: "daily" | "max" | null;
+}
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Overrides from JSON config (e.g. an env var). Fields that are missing or
+// not non-negative numbers keep their defaults; a period must be positive.
+export function parsePricing(
+  value: string | Partial<Record<keyof PricingModel, unknown>> | null | undefined,
+  defaults: PricingModel = DEFAULT_PRICING
+): PricingModel {
+  let raw: unknown = value;
+  if (typeof value === "string") {
+    try {
+      raw = JSON.parse(value);
+    } catch {
+      return { ...defaults };
+    }
+  }
+  const pricing = { ...defaults };
+  if (!raw || typeof raw !== "object") return pricing;
+  for (const key of Object.keys(defaults) as Array<keyof PricingModel>) {
+    const n = (raw as Record<string, unknown>)[key];
+    if (typeof n === "number" && Number.isFinite(n) && n >= 0) pricing[key] = n;
+  }
+  if (pricing.periodMinutes <= 0) pricing.periodMinutes = defaults.periodMinutes;
+  return pricing;
+}
+
+// Cents internally so tier sums don't pick up floating-point noise.
+function toCents(dollars: number): number {
+  return Math.round(dollars * 100);
+}
+
+interface CostBreakdown {
+  total: number;
+  // Charged so far on the current (24h from pickup) day.
+  today: number;
+}
+
+function breakdown(elapsedSeconds: number, pricing: PricingModel): CostBreakdown {
+  const period = pricing.periodMinutes * 60;
+  const rate = toCents(pricing.periodRate);
+  const cap = toCents(pricing.dailyCap);
+  const dayCost = (seconds: number, firstDay: boolean) => {
+    const periods = Math.ceil(seconds / period);
+    const raw = firstDay
+      ? toCents(pricing.baseFee) + Math.max(0, periods - 1) * rate
+      : periods * rate;
+    return Math.min(cap, raw);
+  };
+
+  const elapsed = Math.max(0, Math.floor(elapsedSeconds));
+  const fullDays = Math.floor(elapsed / DAY_SECONDS);
+  const today = dayCost(elapsed - fullDays * DAY_SECONDS, fullDays === 0);
+  let total = today;
+  if (fullDays > 0) {
+    total += dayCost(DAY_SECONDS, true) + (fullDays - 1) * dayCost(DAY_SECONDS, false);
+  }
+  return { total: Math.min(toCents(pricing.maxCharge), total), today };
+}
+
+function costCents(elapsedSeconds: number, pricing: PricingModel): number {
+  return breakdown(elapsedSeconds, pricing).total;
+}
+
+export function rentalCost(elapsedSeconds: number, pricing: PricingModel = DEFAULT_PRICING): number {
+  return costCents(elapsedSeconds, pricing) / 100;
+}
+
+// Charges only change right after a period boundary, so the next increase is
+// found by walking boundaries; two days' worth always gets past a daily cap.
+export function projectRentalCost(
+  elapsedSeconds: number,
+  pricing: PricingModel = DEFAULT_PRICING
+): CostProjection {
+  const elapsed = Math.max(0, Math.floor(elapsedSeconds));
+  const { total: current, today } = breakdown(elapsed, pricing);
+  if (current >= toCents(pricing.maxCharge)) {
+    return { current: current / 100, next: null, capped: "max" };
+  }
+
+  const period = pricing.periodMinutes * 60;
+  const first = Math.max(1, Math.ceil(elapsed / period)) * period;
+  const limit = elapsed + 2 * DAY_SECONDS + period;
+  let next: CostProjection["next"] = null;
+  for (let boundary = first; boundary <= limit; boundary += period) {
+    const after = costCents(boundary + 1, pricing);
+    if (after > current) {
+      next = { amount: after / 100, atSeconds: boundary };
+      break;
+    }
+  }
+
+  const capped = today >= toCents(pricing.dailyCap) ? "daily" : null;
+  return { current: current / 100, next, capped };
+}
+
+export interface RentalCostLines {
+  soFar: string;
+  nextCharge: string | null;
+  note: string | null;
+}
+
+// The scan modal's estimate, worded the same on web and mobile.
+export function rentalCostLines(
+  elapsedSeconds: number,
+  pricing: PricingModel = DEFAULT_PRICING
+): RentalCostLines {
+  const { current, next, capped } = projectRentalCost(elapsedSeconds, pricing);
+  return {
+    soFar: formatAmountPaid(current),
+    nextCharge: next
+      ? `${formatAmountPaid(next.amount)} at ${formatDurationSeconds(next.atSeconds)}`
+      : null,
+    note:
+      capped === "max"
+        ? `Max charge of ${formatAmountPaid(pricing.maxCharge)} reached. The battery is yours to keep.`
+        : capped === "daily"
+        ? `Daily cap of ${formatAmountPaid(pricing.dailyCap)} reached.`
+        : null,
+  };
+}
@@ -0,0 +1,96 @@
+import type { BatteryData } from "../types";
+
+const RETURNED_DURATION = "battery returned";
+
+// Upstream reports a returned battery through the duration field.
+export function isBatteryReturned(battery: BatteryData | null): boolean {
+  return !!battery?.duration && String(battery.duration).toLowerCase() === RETURNED_DURATION;
+}
+
+// A sticker whose battery is out and not yet returned.
+export function isRentalActive(battery: BatteryData | null): boolean {
+  return !!battery && !isBatteryReturned(battery);
+}
+
+export const RENTAL_RESYNC_MS = 30_000;
+
+// "HH:MM:SS" as upstream sends it; hours may run past 24.
+export function parseDurationSeconds(duration: string): number | null {
+  const match = /^\s*(\d+):([0-5]?\d):([0-5]?\d)\s*$/.exec(duration);
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+export function formatDurationSeconds(totalSeconds: number): string {
+  const s = Math.max(0, Math.floor(totalSeconds));
+  const pad = (n: number) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+}
+
+// The timer is anchored to when the rental started rather than counting
+// ticks, so a backgrounded tab or app (where intervals are throttled or
+// paused) shows the right time as soon as it renders again.
+export function rentalStartedAt(duration: string, receivedAt: number): number {
+  return receivedAt - (parseDurationSeconds(duration) ?? 0) * 1000;
+}
+
+export function rentalElapsedText(startedAt: number, now: number): string {
+  return formatDurationSeconds((now - startedAt) / 1000);
+}
+
+export interface RentalSyncOptions {
+  fetchBattery: () => Promise<BatteryData>;
+  onBattery: (battery: BatteryData) => void;
+  onError?: (err: unknown) => void;
+  intervalMs?: number;
+}
+
+// Re-reads the battery while a rental is running so the timer re-anchors to
+// the server's duration and notices the return. Platforms also call resync()
+// when the page or app comes back to the foreground.
+export class RentalSync {
+  private readonly fetchBattery: () => Promise<BatteryData>;
+  private readonly onBattery: (battery: BatteryData) => void;
+  private readonly onError?: (err: unknown) => void;
+  private readonly intervalMs: number;
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private inflight: Promise<void> | null = null;
+
+  constructor(options: RentalSyncOptions) {
+    this.fetchBattery = options.fetchBattery;
+    this.onBattery = options.onBattery;
+    this.onError = options.onError;
+    this.intervalMs = options.intervalMs ?? RENTAL_RESYNC_MS;
+  }
+
+  start(): () => void {
+    this.stop();
+    this.timer = setInterval(() => void this.resync(), this.intervalMs);
+    return () => this.stop();
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Overlapping calls share one request. Results that land after stop() are
+  // dropped.
+  resync(): Promise<void> {
+    if (!this.inflight) {
+      this.inflight = this.fetchBattery()
+        .then(
+          (battery) => {
+            if (this.timer) this.onBattery(battery);
+          },
+          (err) => {
+            if (this.timer) this.onError?.(err);
+          }
+        )
+        .finally(() => {
+          this.inflight = null;
+        });
+    }
+    return this.inflight;
+  }
+}
@@ -0,0 +1,104 @@
+import type { BatteryData } from "../types";
+import { CuubApiError } from "../api/errors";
+import { isBatteryReturned } from "../rental";
+
+// What the sticker page's scan modal shows. Web and mobile render the same
+// state with the same copy, so neither invents a charge it doesn't know.
+export type ScanViewState =
+  | { status: "loading" }
+  // Battery is out; the timer counts up from `duration`.
+  | { status: "active"; battery: BatteryData; duration: string; amountPaid: number }
+  | { status: "returned"; battery: BatteryData; amountPaid: number }
+  // Upstream knows the battery but reports no charge (0 or missing). Showing
+  // "$0" (or a made-up amount) next to a running timer would mislead.
+  | { status: "zero-charge"; battery: BatteryData; duration: string | null; returned: boolean }
+  // The API rejected the sticker id.
+  | { status: "unknown-sticker" }
+  // Network failure, timeout, 5xx or a malformed response; worth a retry.
+  | { status: "error" };
+
+export type ScanViewEvent =
+  | { type: "load" }
+  | { type: "loaded"; battery: BatteryData }
+  | { type: "failed"; error: unknown }
+  // A background re-read while the modal is showing a battery (RentalSync).
+  | { type: "synced"; battery: BatteryData };
+
+export const INITIAL_SCAN_VIEW: ScanViewState = { status: "loading" };
+
+export const SCAN_VIEW_COPY = {
+  loading: "Checking your battery…",
+  returned: "Battery returned",
+  zeroCharge: "No charge yet",
+  unknownStickerTitle: "Sticker not recognized",
+  unknownStickerDetail: "This sticker isn't linked to a CUUB battery. You can still find a station on the map.",
+  errorTitle: "Couldn't load your battery",
+  errorDetail: "Check your connection and try again.",
+  retry: "Try again",
+} as const;
+
+const DEFAULT_DURATION = "00:00:00";
+
+function paidAmount(battery: BatteryData): number | null {
+  const raw = battery.amountPaid;
+  if (raw === null || raw === undefined || raw === "") return null;
+  const n = typeof raw === "number" ? raw : Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function scanViewFromBattery(battery: BatteryData): ScanViewState {
+  const returned = isBatteryReturned(battery);
+  const duration = returned ? null : String(battery.duration || DEFAULT_DURATION);
+  const amountPaid = paidAmount(battery);
+  if (amountPaid === null) return { status: "zero-charge", battery, duration, returned };
+  if (returned) return { status: "returned", battery, amountPaid };
+  return { status: "active", battery, duration: duration ?? DEFAULT_DURATION, amountPaid };
+}
+
+// 4xx (other than 429) and `success: false` answers mean the API looked at
+// the sticker and said no; anything else might work on a retry.
+export function scanViewFromError(error: unknown): ScanViewState {
+  if (error instanceof CuubApiError && error.status !== 429 && !error.isServerError) {
+    return { status: "unknown-sticker" };
+  }
+  return { status: "error" };
+}
+
+// Load results only land while loading, so a late response from a previous
+// load can't overwrite a newer state. Syncs only refresh a shown battery.
+export function scanViewReducer(state: ScanViewState, event: ScanViewEvent): ScanViewState {
+  switch (event.type) {
+    case "load":
+      return INITIAL_SCAN_VIEW;
+    case "loaded":
+      return state.status === "loading" ? scanViewFromBattery(event.battery) : state;
+    case "failed":
+      return state.status === "loading" ? scanViewFromError(event.error) : state;
+    case "synced":
+      return state.status === "active" ||
+        state.status === "returned" ||
+        state.status === "zero-charge"
+        ? scanViewFromBattery(event.battery)
+        : state;
+  }
+}
+
+// The user has the battery: drives the nearest-station intent.
+export function isScanRentalActive(state: ScanViewState): boolean {
+  return state.status === "active" || (state.status === "zero-charge" && !state.returned);
+}
+
+// The duration the modal's timer should count up from, if it should run.
+export function scanViewDuration(state: ScanViewState): string | null {
+  return state.status === "active" || state.status === "zero-charge" ? state.duration : null;
+}
+
+// Only a charged, running rental gets the "so far / next charge" estimate.
+// Zero-charge keeps its timer but would put a price next to "No charge yet".
+export function scanViewHasEstimate(state: ScanViewState): boolean {
+  return state.status === "active";
+}
+
+export function formatAmountPaid(amount: number): string {
+  return Number.isInteger(amount) ? `$${amount}` : `$${amount.toFixed(2)}`;
+}
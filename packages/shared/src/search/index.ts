@@ -0,0 +1,85 @@
+import type { Coords, NormalizedStation } from "../types";
+import { formatDistance, haversineMeters } from "../geo";
+
+export type StationSort = "distance" | "name" | "batteries" | "open";
+
+export const STATION_SORTS: ReadonlyArray<{ value: StationSort; label: string }> = [
+  { value: "distance", label: "Nearest" },
+  { value: "name", label: "Name" },
+  { value: "batteries", label: "Most batteries" },
+  { value: "open", label: "Most open slots" },
+];
+
+export const UNTITLED_STATION = "CUUB Station";
+
+export interface StationListItem<T extends NormalizedStation = NormalizedStation> {
+  station: T;
+  title: string;
+  distanceMeters: number | null;
+  distanceText: string | null;
+}
+
+export interface SearchStationsOptions {
+  query?: string;
+  // Defaults to "distance"; without `user` that falls back to "name".
+  sort?: StationSort;
+  user?: Coords | null;
+}
+
+// Lower-cased with accents stripped, so "cafe" finds "Café".
+function fold(text: string): string {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function byName(a: StationListItem, b: StationListItem): number {
+  return a.title.localeCompare(b.title, undefined, { sensitivity: "base", numeric: true });
+}
+
+function byDistance(a: StationListItem, b: StationListItem): number {
+  if (a.distanceMeters === null || b.distanceMeters === null) {
+    return a.distanceMeters === null ? (b.distanceMeters === null ? 0 : 1) : -1;
+  }
+  return a.distanceMeters - b.distanceMeters;
+}
+
+// Stations with an unknown count go last.
+function bySlots(field: "filled_slots" | "open_slots") {
+  return (a: StationListItem, b: StationListItem) =>
+    (b.station[field] ?? -1) - (a.station[field] ?? -1);
+}
+
+// Every whitespace-separated word of the query has to appear in the title.
+// Ties in the chosen sort fall back to name so the order is stable.
+export function searchStations<T extends NormalizedStation = NormalizedStation>(
+  stations: T[],
+  { query = "", sort, user = null }: SearchStationsOptions = {}
+): StationListItem<T>[] {
+  const terms = fold(query).split(/\s+/).filter(Boolean);
+  const wanted = sort ?? "distance";
+  const effectiveSort = wanted === "distance" && !user ? "name" : wanted;
+
+  const items: StationListItem<T>[] = [];
+  for (const station of stations) {
+    const title = station.title ?? UNTITLED_STATION;
+    const haystack = fold(title);
+    if (!terms.every((term) => haystack.includes(term))) continue;
+    const distance = user ? haversineMeters(user, station) : NaN;
+    const known = Number.isFinite(distance);
+    items.push({
+      station,
+      title,
+      distanceMeters: known ? distance : null,
+      distanceText: known ? formatDistance(distance) : null,
+    });
+  }
+
+  const primary =
+    effectiveSort === "distance"
+      ? byDistance
+      : effectiveSort === "batteries"
+      ? bySlots("filled_slots")
+      : effectiveSort === "open"
+      ? bySlots("open_slots")
+      : null;
+  return items.sort((a, b) => (primary ? primary(a, b) : 0) || byName(a, b));
+}
@@ -0,0 +1,56 @@
+import type { BatteryData } from "../types";
+import type { CuubClient } from "../api";
+
+// The sizl partner campaign. Upstream marks a battery's sticker with
+// `sizl_campaign`; once the user has been sent to the partner, PATCH
+// /api/battery/:sticker_id sets `sizl: true` and the offer isn't shown again.
+export type SizlOfferStatus = "none" | "offer" | "redirected";
+
+export const SIZL_COPY = {
+  title: "A little something from sizl",
+  detail: "Our partner sizl has an offer for CUUB renters.",
+  accept: "See the offer",
+  dismiss: "No thanks",
+  accepting: "Opening sizl…",
+} as const;
+
+function flag(value: unknown): boolean {
+  return value === true || value === 1 || value === "true" || value === "1";
+}
+
+export function sizlOfferStatus(battery: BatteryData | null | undefined): SizlOfferStatus {
+  if (!battery || !flag(battery.sizl_campaign)) return "none";
+  return flag(battery.sizl) ? "redirected" : "offer";
+}
+
+// The partner URL with the sticker id attached for attribution. Null when the
+// URL isn't configured or isn't http(s), which turns the flow off.
+export function buildSizlUrl(
+  baseUrl: string | null | undefined,
+  stickerId: string
+): string | null {
+  if (!baseUrl) return null;
+  let url: URL;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+  url.searchParams.set("sticker_id", stickerId);
+  return url.toString();
+}
+
+// Records the redirect for the offer's battery under the scan session's
+// Idempotency-Key (the one the scan outbox uses), so a PATCH repeated after a
+// refresh or app restart is dropped by the server instead of sent again.
+export function recordSizlRedirect(
+  client: Pick<CuubClient, "patchBatterySizl">,
+  stickerId: string,
+  battery: BatteryData,
+  idempotencyKey: string
+): Promise<unknown> {
+  return client.patchBatterySizl(stickerId, String(battery.manufacture_id ?? ""), {
+    idempotencyKey,
+  });
+}
@@ -0,0 +1,232 @@
+import type { Coords, NormalizedStation } from "../types";
+import { haversineMeters } from "../geo";
+
+const EARTH_RADIUS_METERS = 6371000;
+
+export interface LatLngBounds {
+  west: number;
+  south: number;
+  east: number;
+  north: number;
+}
+
+export interface SpatialHit<T> {
+  station: T;
+  distanceMeters: number;
+}
+
+interface Box {
+  min: [number, number, number];
+  max: [number, number, number];
+}
+
+function toRadians(degrees: number): number {
+  return (degrees * Math.PI) / 180;
+}
+
+function toUnitVector(latitude: number, longitude: number): [number, number, number] {
+  const lat = toRadians(latitude);
+  const lng = toRadians(longitude);
+  const cosLat = Math.cos(lat);
+  return [cosLat * Math.cos(lng), cosLat * Math.sin(lng), Math.sin(lat)];
+}
+
+// Straight-line distance through the unit sphere grows monotonically with
+// great-circle distance, so ordering by it matches ordering by haversine.
+function chordForMeters(meters: number): number {
+  const angle = Math.min(Math.PI, Math.max(0, meters / EARTH_RADIUS_METERS));
+  return 2 * Math.sin(angle / 2);
+}
+
+function isValidCoords(c: Coords): boolean {
+  return Number.isFinite(c.latitude) && Number.isFinite(c.longitude);
+}
+
+function lngInRange(lng: number, west: number, east: number): boolean {
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+}
+
+// Range of cos/sin over a longitude interval (radians, possibly wrapping).
+function trigRange(
+  fn: (x: number) => number,
+  west: number,
+  east: number,
+  peak: number,
+  trough: number
+): [number, number] {
+  const span = east >= west ? east - west : east - west + 2 * Math.PI;
+  const contains = (angle: number) => {
+    const offset = (((angle - west) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    return offset <= span;
+  };
+  const a = fn(west);
+  const b = fn(west + span);
+  return [contains(trough) ? -1 : Math.min(a, b), contains(peak) ? 1 : Math.max(a, b)];
+}
+
+// A 3D box that contains every unit vector inside the lat/lng bounds. It is
+// only used to prune the tree; points are still checked against the bounds.
+function boundsToBox({ west, south, east, north }: LatLngBounds): Box {
+  const s = toRadians(Math.max(-90, south));
+  const n = toRadians(Math.min(90, north));
+  const w = toRadians(west);
+  const e = toRadians(east);
+  const cosLatMin = Math.min(Math.cos(s), Math.cos(n));
+  const cosLatMax = s <= 0 && n >= 0 ? 1 : Math.max(Math.cos(s), Math.cos(n));
+  const [cosLngMin, cosLngMax] = trigRange(Math.cos, w, e, 0, Math.PI);
+  const [sinLngMin, sinLngMax] = trigRange(Math.sin, w, e, Math.PI / 2, -Math.PI / 2);
+  const scale = (lo: number, hi: number): [number, number] => [
+    Math.min(cosLatMin * lo, cosLatMax * lo),
+    Math.max(cosLatMin * hi, cosLatMax * hi),
+  ];
+  const [xMin, xMax] = scale(cosLngMin, cosLngMax);
+  const [yMin, yMax] = scale(sinLngMin, sinLngMax);
+  const eps = 1e-12;
+  return {
+    min: [xMin - eps, yMin - eps, Math.sin(s) - eps],
+    max: [xMax + eps, yMax + eps, Math.sin(n) + eps],
+  };
+}
+
+// Static KD-tree over station positions on the unit sphere. Built once per
+// station list; queries return the same stations as a haversine scan.
+// Stations with non-finite coordinates are left out, as nearestStation skips
+// them too.
+export class StationIndex<T extends Coords = NormalizedStation> {
+  private readonly items: T[];
+  // xyz per item, in tree order: the median of each range is its node.
+  private readonly coords: Float64Array;
+
+  constructor(stations: T[]) {
+    const items = stations.filter((s) => s && isValidCoords(s));
+    const vectors = items.map((s) => toUnitVector(s.latitude, s.longitude));
+    const order = items.map((_, i) => i);
+    this.build(order, vectors, 0, order.length - 1, 0);
+
+    this.items = order.map((i) => items[i]);
+    this.coords = new Float64Array(order.length * 3);
+    order.forEach((i, pos) => this.coords.set(vectors[i], pos * 3));
+  }
+
+  get size(): number {
+    return this.items.length;
+  }
+
+  private build(
+    order: number[],
+    vectors: [number, number, number][],
+    lo: number,
+    hi: number,
+    axis: number
+  ): void {
+    if (hi <= lo) return;
+    const mid = (lo + hi) >> 1;
+    const sorted = order
+      .slice(lo, hi + 1)
+      .sort((a, b) => vectors[a][axis] - vectors[b][axis]);
+    for (let i = 0; i < sorted.length; i++) order[lo + i] = sorted[i];
+    const next = (axis + 1) % 3;
+    this.build(order, vectors, lo, mid - 1, next);
+    this.build(order, vectors, mid + 1, hi, next);
+  }
+
+  private chord2(pos: number, q: [number, number, number]): number {
+    const dx = this.coords[pos * 3] - q[0];
+    const dy = this.coords[pos * 3 + 1] - q[1];
+    const dz = this.coords[pos * 3 + 2] - q[2];
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  private hit(pos: number, point: Coords): SpatialHit<T> {
+    const station = this.items[pos];
+    return { station, distanceMeters: haversineMeters(point, station) };
+  }
+
+  nearest(point: Coords): SpatialHit<T> | null {
+    return this.nearestK(point, 1)[0] ?? null;
+  }
+
+  // Up to k closest stations, closest first.
+  nearestK(point: Coords, k: number): SpatialHit<T>[] {
+    if (k < 1 || this.size === 0 || !isValidCoords(point)) return [];
+    const q = toUnitVector(point.latitude, point.longitude);
+    const best: Array<{ pos: number; d2: number }> = [];
+
+    const visit = (lo: number, hi: number, axis: number) => {
+      if (hi < lo) return;
+      const mid = (lo + hi) >> 1;
+      const d2 = this.chord2(mid, q);
+      if (best.length < k || d2 < best[best.length - 1].d2) {
+        let i = best.length;
+        while (i > 0 && best[i - 1].d2 > d2) i--;
+        best.splice(i, 0, { pos: mid, d2 });
+        if (best.length > k) best.pop();
+      }
+      const diff = q[axis] - this.coords[mid * 3 + axis];
+      const next = (axis + 1) % 3;
+      const [near, far] = diff <= 0 ? [[lo, mid - 1], [mid + 1, hi]] : [[mid + 1, hi], [lo, mid - 1]];
+      visit(near[0], near[1], next);
+      if (best.length < k || diff * diff <= best[best.length - 1].d2) {
+        visit(far[0], far[1], next);
+      }
+    };
+    visit(0, this.size - 1, 0);
+
+    return best.map(({ pos }) => this.hit(pos, point));
+  }
+
+  // Every station within `meters` of the point, closest first.
+  withinRadius(point: Coords, meters: number): SpatialHit<T>[] {
+    if (!(meters >= 0) || this.size === 0 || !isValidCoords(point)) return [];
+    const q = toUnitVector(point.latitude, point.longitude);
+    // Slightly generous so rounding never drops a station on the edge; the
+    // haversine check below has the final say.
+    const limit = chordForMeters(meters) * (1 + 1e-9) + 1e-12;
+    const limit2 = limit * limit;
+    const hits: SpatialHit<T>[] = [];
+
+    const visit = (lo: number, hi: number, axis: number) => {
+      if (hi < lo) return;
+      const mid = (lo + hi) >> 1;
+      if (this.chord2(mid, q) <= limit2) {
+        const hit = this.hit(mid, point);
+        if (hit.distanceMeters <= meters) hits.push(hit);
+      }
+      const diff = q[axis] - this.coords[mid * 3 + axis];
+      const next = (axis + 1) % 3;
+      if (diff <= limit) visit(lo, mid - 1, next);
+      if (diff >= -limit) visit(mid + 1, hi, next);
+    };
+    visit(0, this.size - 1, 0);
+
+    return hits.sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  // Stations inside a lat/lng box. west > east means the box crosses the
+  // antimeridian. Returned in no particular order.
+  withinBounds(bounds: LatLngBounds): T[] {
+    if (this.size === 0 || bounds.south > bounds.north) return [];
+    const box = boundsToBox(bounds);
+    const result: T[] = [];
+
+    const visit = (lo: number, hi: number, axis: number) => {
+      if (hi < lo) return;
+      const mid = (lo + hi) >> 1;
+      const station = this.items[mid];
+      if (
+        station.latitude >= bounds.south &&
+        station.latitude <= bounds.north &&
+        lngInRange(station.longitude, bounds.west, bounds.east)
+      ) {
+        result.push(station);
+      }
+      const split = this.coords[mid * 3 + axis];
+      const next = (axis + 1) % 3;
+      if (box.min[axis] <= split) visit(lo, mid - 1, next);
+      if (box.max[axis] >= split) visit(mid + 1, hi, next);
+    };
+    visit(0, this.size - 1, 0);
+
+    return result;
+  }
+}
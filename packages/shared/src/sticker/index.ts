@@ -0,0 +1,23 @@
+// CUUB sticker ids are "CUBT" followed by 12 digits, e.g. CUBT062510000005.
+// The format has no check digit, so validation catches malformed ids (typos
+// in the shape, junk paths) rather than every mistyped digit.
+export const STICKER_ID_PATTERN = /^CUBT\d{12}$/;
+
+// The canonical form of a sticker id, or null if it isn't one. Surrounding
+// whitespace and lowercase (hand-typed URLs) are tolerated.
+export function normalizeStickerId(raw: string | null | undefined): string | null {
+  if (typeof raw !== "string") return null;
+  const id = raw.trim().toUpperCase();
+  return STICKER_ID_PATTERN.test(id) ? id : null;
+}
+
+export function isValidStickerId(raw: string | null | undefined): boolean {
+  return normalizeStickerId(raw) !== null;
+}
+
+export const UNKNOWN_STICKER_COPY = {
+  title: "We couldn't find that battery",
+  detail: "Check the number on your battery's sticker, or text us and we'll sort it out.",
+  map: "Find a station on the map",
+  support: "Text support",
+} as const;
@@ -7,16 +7,27 @@ export interface Station {
   open_slots?: number | string | null;
 }
 
+// A Station after normalizeStations: numeric coordinates, whole-number slot
+// counts (null when upstream didn't report them) and a string id.
+export interface NormalizedStation {
+  id: string;
+  title: string | null;
+  latitude: number;
+  longitude: number;
+  filled_slots: number | null;
+  open_slots: number | null;
+}
+
 export interface Coords {
   latitude: number;
   longitude: number;
 }
 
 export interface BatteryData {
-  duration?: string;
-  amountPaid?: number | string;
-  manufacture_id?: string;
-  type?: string;
+  duration?: string | null;
+  amountPaid?: number | string | null;
+  manufacture_id?: string | number | null;
+  type?: string | null;
   [key: string]: unknown;
 }
 
@@ -29,3 +40,4 @@ export interface ApiEnvelope<T> {
 export type StationsResponse = ApiEnvelope<Station[]>;
 export type BatteryResponse = ApiEnvelope<BatteryData>;
 export type MapboxTokenResponse = { token: string } | { error: string };
+export type SizlConfigResponse = { url: string | null };
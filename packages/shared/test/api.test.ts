@@ -0,0 +1,260 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CuubAbortError,
+  CuubApiError,
+  CuubClient,
+  CuubNetworkError,
+  CuubPayloadError,
+  CuubTimeoutError,
+  isValidIdempotencyKey,
+} from "../src/api";
+import { DEFAULT_PRICING } from "../src/pricing";
+
+type Reply =
+  | { status?: number; body?: unknown; raw?: string; headers?: Record<string, string> }
+  | Error
+  | "hang";
+
+// Fake fetch that plays back `replies` in order and records every call.
+function fakeFetch(replies: Reply[]) {
+  const calls: Array<{ url: string; init?: RequestInit }> = [];
+  const impl = (async (input: RequestInfo | URL, init?: RequestInit) => {
+    calls.push({ url: String(input), init });
+    const reply = replies.length > 1 ? replies.shift()! : replies[0];
+    if (reply instanceof Error) throw reply;
+    if (reply === "hang") {
+      return new Promise<Response>((_, reject) => {
+        init?.signal?.addEventListener("abort", () =>
+          reject(new DOMException("aborted", "AbortError"))
+        );
+      });
+    }
+    const text = reply.raw ?? JSON.stringify(reply.body);
+    return new Response(text, { status: reply.status ?? 200, headers: reply.headers });
+  }) as typeof fetch;
+  return { impl, calls };
+}
+
+function client(replies: Reply[], extra: Record<string, unknown> = {}) {
+  const fake = fakeFetch(replies);
+  const c = new CuubClient({
+    baseUrl: "https://cuub.test/",
+    fetch: fake.impl,
+    retryDelayMs: 1,
+    eventSource: null,
+    ...extra,
+  });
+  return { client: c, calls: fake.calls };
+}
+
+const STATION = { id: 1, title: "A", latitude: "41.9", longitude: -87.6, filled_slots: 2 };
+const NORMALIZED = {
+  id: "1",
+  title: "A",
+  latitude: 41.9,
+  longitude: -87.6,
+  filled_slots: 2,
+  open_slots: null,
+};
+
+test("getStations: unwraps the envelope and normalizes stations", async () => {
+  const { client: c, calls } = client([{ body: { success: true, data: [STATION] } }]);
+  assert.deepEqual(await c.getStations(), [NORMALIZED]);
+  assert.equal(calls[0].url, "https://cuub.test/api/stations");
+});
+
+test("getStations: drops bad records and reports them", async () => {
+  const reports: unknown[] = [];
+  const { client: c } = client(
+    [{ body: { success: true, data: [STATION, { id: 2, latitude: true, longitude: 1 }] } }],
+    { onStationsReport: (report: unknown) => reports.push(report) }
+  );
+  assert.deepEqual(await c.getStations(), [NORMALIZED]);
+  assert.equal(reports.length, 1);
+});
+
+test("getStations: a non-array data field is a payload error", async () => {
+  const { client: c } = client([{ body: { success: true, data: { id: 1 } } }]);
+  await assert.rejects(c.getStations(), (err: unknown) => {
+    assert.ok(err instanceof CuubPayloadError);
+    assert.equal(err.path, "$.data");
+    return true;
+  });
+});
+
+test("getBattery: malformed JSON is a payload error and is not retried", async () => {
+  const { client: c, calls } = client([{ raw: "<html>oops</html>" }]);
+  await assert.rejects(c.getBattery("CUBT1"), CuubPayloadError);
+  assert.equal(calls.length, 1);
+});
+
+test("getBattery: 4xx surfaces the upstream message without retrying", async () => {
+  const { client: c, calls } = client([
+    { status: 404, body: { success: false, error: "Battery not found" } },
+  ]);
+  await assert.rejects(c.getBattery("nope"), (err: unknown) => {
+    assert.ok(err instanceof CuubApiError);
+    assert.equal(err.status, 404);
+    assert.equal(err.isClientError, true);
+    assert.equal(err.apiMessage, "Battery not found");
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test("getBattery: success:false on a 200 is an API error", async () => {
+  const { client: c } = client([{ body: { success: false, error: "nope" } }]);
+  await assert.rejects(c.getBattery("x"), CuubApiError);
+});
+
+test("GETs retry 5xx and network errors, then succeed", async () => {
+  const { client: c, calls } = client([
+    { status: 503, body: { success: false } },
+    new TypeError("fetch failed"),
+    { body: { success: true, data: { duration: "00:01:00", amountPaid: 3 } } },
+  ]);
+  const battery = await c.getBattery("CUBT1");
+  assert.equal(battery.amountPaid, 3);
+  assert.equal(calls.length, 3);
+});
+
+test("GETs give up after the configured retries", async () => {
+  const { client: c, calls } = client([new TypeError("fetch failed")], { retries: 1 });
+  await assert.rejects(c.getStations(), CuubNetworkError);
+  assert.equal(calls.length, 2);
+});
+
+test("POSTs are never retried", async () => {
+  const { client: c, calls } = client([{ status: 502, body: { success: false } }]);
+  await assert.rejects(c.createScanRecord("CUBT1", "m1"), (err: unknown) => {
+    assert.ok(err instanceof CuubApiError);
+    assert.equal(err.isServerError, true);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].init?.method, "POST");
+  assert.equal((calls[0].init?.headers as Record<string, string>).manufacture_id, "m1");
+});
+
+test("createScanRecord: repeat calls for a sticker collapse into one POST", async () => {
+  const { client: c, calls } = client([{ body: { success: true, data: { id: "scan-1" } } }]);
+  const [a, b] = await Promise.all([
+    c.createScanRecord("CUBT1", "m1"),
+    c.createScanRecord("CUBT1", "m1"),
+  ]);
+  const later = await c.createScanRecord("CUBT1", "m1");
+  assert.deepEqual([a, b, later], [{ id: "scan-1" }, { id: "scan-1" }, { id: "scan-1" }]);
+  assert.equal(calls.length, 1);
+  const key = (calls[0].init?.headers as Record<string, string>)["Idempotency-Key"];
+  assert.ok(isValidIdempotencyKey(key));
+
+  await c.createScanRecord("CUBT2", "m2");
+  assert.equal(calls.length, 2);
+  assert.notEqual((calls[1].init?.headers as Record<string, string>)["Idempotency-Key"], key);
+});
+
+test("createScanRecord: sends the caller's key and retries after a failure", async () => {
+  const { client: c, calls } = client([
+    { status: 502, body: { success: false } },
+    { body: { success: true, data: null } },
+  ]);
+  await assert.rejects(c.createScanRecord("CUBT1", "m1", "type one", { idempotencyKey: "session-1" }));
+  await c.createScanRecord("CUBT1", "m1", "type one", { idempotencyKey: "session-1" });
+  await c.createScanRecord("CUBT1", "m1", "type one", { idempotencyKey: "session-1" });
+  assert.equal(calls.length, 2);
+  for (const call of calls) {
+    assert.equal((call.init?.headers as Record<string, string>)["Idempotency-Key"], "session-1");
+  }
+});
+
+test("patchBatterySizl: sends one PATCH per sticker and session, again only after a failure", async () => {
+  const { client: c, calls } = client([
+    { status: 503, body: { success: false } },
+    { body: { success: true, data: { sizl: true } } },
+  ]);
+  await assert.rejects(c.patchBatterySizl("CUBT1", "m1"));
+  const [a, b] = await Promise.all([
+    c.patchBatterySizl("CUBT1", "m1"),
+    c.patchBatterySizl("CUBT1", "m1"),
+  ]);
+  await c.patchBatterySizl("CUBT1", "m1");
+  assert.deepEqual([a, b], [{ sizl: true }, { sizl: true }]);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].init?.method, "PATCH");
+  assert.equal(calls[1].init?.body, JSON.stringify({ sizl: true }));
+  // The same scan-session key a scan record for the sticker would carry.
+  const key = (calls[1].init?.headers as Record<string, string>)["Idempotency-Key"];
+  assert.ok(key);
+  assert.equal((calls[0].init?.headers as Record<string, string>)["Idempotency-Key"], key);
+});
+
+test("times out slow requests", async () => {
+  const { client: c } = client(["hang"], { timeoutMs: 10, retries: 0 });
+  await assert.rejects(c.getStations(), (err: unknown) => {
+    assert.ok(err instanceof CuubTimeoutError);
+    assert.equal(err.timeoutMs, 10);
+    return true;
+  });
+});
+
+test("honours the caller's AbortSignal", async () => {
+  const { client: c } = client(["hang"]);
+  const controller = new AbortController();
+  const pending = c.getStations({ signal: controller.signal });
+  controller.abort();
+  await assert.rejects(pending, CuubAbortError);
+});
+
+test("getMapboxToken: returns null when the token is not configured", async () => {
+  const { client: c } = client([{ status: 503, body: { error: "MAPBOX_ACCESS_TOKEN is not set" } }]);
+  assert.equal(await c.getMapboxToken(), null);
+});
+
+test("getSizlConfig: the partner URL, or null when it's off", async () => {
+  const { client: c, calls } = client([
+    { body: { url: "https://sizl.example/offer" } },
+    { body: { url: null } },
+    { status: 404, body: { error: "Not found" } },
+  ]);
+  assert.deepEqual(await c.getSizlConfig(), { url: "https://sizl.example/offer" });
+  assert.deepEqual(await c.getSizlConfig(), { url: null });
+  assert.deepEqual(await c.getSizlConfig(), { url: null });
+  assert.equal(calls[0].url, "https://cuub.test/api/sizl-config");
+});
+
+test("getPricing: the server's pricing, defaults for what it leaves out", async () => {
+  const { client: c, calls } = client([
+    { body: { baseFee: 3, periodRate: 1.5 } },
+    { status: 404, body: { error: "Not found" } },
+  ]);
+  assert.deepEqual(await c.getPricing(), { ...DEFAULT_PRICING, baseFee: 3, periodRate: 1.5 });
+  assert.deepEqual(await c.getPricing(), DEFAULT_PRICING);
+  assert.equal(calls[0].url, "https://cuub.test/api/pricing");
+});
+
+test("isDegraded: follows X-Cuub-Degraded and unreachable APIs", async () => {
+  const { client: c } = client(
+    [
+      { body: { success: true, data: [STATION] }, headers: { "X-Cuub-Degraded": "1" } },
+      new TypeError("fetch failed"),
+      { body: { success: true, data: [STATION] } },
+    ],
+    { retries: 0 }
+  );
+  const changes: boolean[] = [];
+  const unsubscribe = c.onDegradedChange((degraded) => changes.push(degraded));
+  assert.equal(c.isDegraded, false);
+
+  await c.getStations();
+  assert.equal(c.isDegraded, true);
+  await assert.rejects(c.getStations(), CuubNetworkError);
+  assert.equal(c.isDegraded, true);
+  await c.getStations();
+  assert.equal(c.isDegraded, false);
+  assert.deepEqual(changes, [true, false]);
+
+  unsubscribe();
+  await c.getStations();
+  assert.equal(changes.length, 2);
+});
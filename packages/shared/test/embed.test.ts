@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EMBED_PROTOCOL_VERSION, createEmbedMessage, parseEmbedCommand } from "../src/embed";
+
+const cmd = (fields: Record<string, unknown>) => ({ source: "cuub", version: 1, ...fields });
+
+test("parseEmbedCommand: ignores messages that aren't ours", () => {
+  for (const data of [null, "findNearest", 42, {}, { type: "ping" }, { source: "other", type: "ping" }]) {
+    assert.deepEqual(parseEmbedCommand(data), { ok: false, ignore: true });
+  }
+});
+
+test("parseEmbedCommand: unversioned messages read as v1", () => {
+  assert.deepEqual(parseEmbedCommand({ source: "cuub", type: "findNearest" }), {
+    ok: true,
+    command: { type: "findNearest" },
+    requestId: undefined,
+  });
+});
+
+test("parseEmbedCommand: rejects other versions and unknown types", () => {
+  assert.deepEqual(parseEmbedCommand(cmd({ version: 2, type: "ping", requestId: "r1" })), {
+    ok: false,
+    ignore: false,
+    code: "unsupportedVersion",
+    message: "Protocol version 2 is not supported",
+    requestId: "r1",
+  });
+  const unknown = parseEmbedCommand(cmd({ type: "launchRockets" }));
+  assert.equal(unknown.ok, false);
+  assert.equal(!unknown.ok && !unknown.ignore && unknown.code, "unknownCommand");
+});
+
+test("parseEmbedCommand: selectStation takes a string or numeric id, or null", () => {
+  const parsed = parseEmbedCommand(cmd({ type: "selectStation", stationId: 12, requestId: "r2" }));
+  assert.deepEqual(parsed, {
+    ok: true,
+    command: { type: "selectStation", stationId: "12" },
+    requestId: "r2",
+  });
+  assert.deepEqual(
+    parseEmbedCommand(cmd({ type: "selectStation", stationId: null })),
+    { ok: true, command: { type: "selectStation", stationId: null }, requestId: undefined }
+  );
+  const bad = parseEmbedCommand(cmd({ type: "selectStation" }));
+  assert.equal(!bad.ok && !bad.ignore && bad.code, "invalidCommand");
+});
+
+test("parseEmbedCommand: setFilter only takes known filters", () => {
+  const ok = parseEmbedCommand(cmd({ type: "setFilter", filter: "open" }));
+  assert.deepEqual(ok.ok && ok.command, { type: "setFilter", filter: "open" });
+  const bad = parseEmbedCommand(cmd({ type: "setFilter", filter: "cheap" }));
+  assert.equal(!bad.ok && !bad.ignore && bad.code, "invalidCommand");
+});
+
+test("parseEmbedCommand: setView validates center and zoom", () => {
+  const ok = parseEmbedCommand(
+    cmd({ type: "setView", center: { latitude: 41.9, longitude: -87.6 }, zoom: 14 })
+  );
+  assert.deepEqual(ok.ok && ok.command, {
+    type: "setView",
+    center: { latitude: 41.9, longitude: -87.6 },
+    zoom: 14,
+  });
+  const zoomOnly = parseEmbedCommand(cmd({ type: "setView", zoom: 3 }));
+  assert.deepEqual(zoomOnly.ok && zoomOnly.command, { type: "setView", center: undefined, zoom: 3 });
+
+  for (const fields of [
+    { center: { latitude: 91, longitude: 0 } },
+    { center: { latitude: "41.9", longitude: -87.6 } },
+    { zoom: 30 },
+    {},
+  ]) {
+    const bad = parseEmbedCommand(cmd({ type: "setView", ...fields }));
+    assert.equal(!bad.ok && !bad.ignore && bad.code, "invalidCommand", JSON.stringify(fields));
+  }
+});
+
+test("createEmbedMessage: wraps events in the envelope", () => {
+  assert.deepEqual(createEmbedMessage({ type: "pong" }, "r1"), {
+    source: "cuub",
+    version: EMBED_PROTOCOL_VERSION,
+    type: "pong",
+    requestId: "r1",
+  });
+  assert.deepEqual(createEmbedMessage({ type: "ready", geolocation: true }), {
+    source: "cuub",
+    version: EMBED_PROTOCOL_VERSION,
+    type: "ready",
+    geolocation: true,
+  });
+});
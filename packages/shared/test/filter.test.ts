@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  filterStations,
+  parseStationFilter,
+  stationFilterExpression,
+} from "../src/filter";
+import { UNCLUSTERED_FILTER } from "../src/geojson";
+import type { NormalizedStation } from "../src/types";
+
+const station = (
+  id: string,
+  filled_slots: number | null,
+  open_slots: number | null
+): NormalizedStation => ({ id, title: null, latitude: 0, longitude: 0, filled_slots, open_slots });
+
+const STATIONS = [station("full", 6, 0), station("empty", 0, 6), station("both", 3, 3), station("unknown", null, null)];
+
+test("parseStationFilter: known values, case-insensitive, default all", () => {
+  assert.equal(parseStationFilter("batteries"), "batteries");
+  assert.equal(parseStationFilter(" OPEN "), "open");
+  assert.equal(parseStationFilter("all"), "all");
+  assert.equal(parseStationFilter("nope"), "all");
+  assert.equal(parseStationFilter(null), "all");
+});
+
+test("filterStations: keeps stations that match the filter", () => {
+  const ids = (filter: Parameters<typeof filterStations>[1]) =>
+    filterStations(STATIONS, filter).map((s) => s.id);
+  assert.deepEqual(ids("all"), ["full", "empty", "both", "unknown"]);
+  assert.deepEqual(ids("batteries"), ["full", "both"]);
+  assert.deepEqual(ids("open"), ["empty", "both"]);
+});
+
+test("stationFilterExpression: unclustered-only for all, slot check otherwise", () => {
+  assert.deepEqual(stationFilterExpression("all"), UNCLUSTERED_FILTER);
+  assert.deepEqual(stationFilterExpression("open"), [
+    "all",
+    UNCLUSTERED_FILTER,
+    [">", ["coalesce", ["get", "open_slots"], 0], 0],
+  ]);
+});
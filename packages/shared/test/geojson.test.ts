@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STATION_ICON_IDS, stationIconId, stationsToGeoJSON } from "../src/geojson";
+import type { NormalizedStation } from "../src/types";
+
+const station = (id: string, filled_slots: number | null): NormalizedStation => ({
+  id,
+  title: `Station ${id}`,
+  latitude: 41.9,
+  longitude: -87.6,
+  filled_slots,
+  open_slots: null,
+});
+
+test("stationIconId: one icon per filled slot, capped at six", () => {
+  assert.equal(stationIconId(0), "station-icon-0");
+  assert.equal(stationIconId(3), "station-icon-3");
+  assert.equal(stationIconId(6), "station-icon-6");
+  assert.equal(stationIconId(11), "station-icon-6");
+});
+
+test("stationIconId: unknown counts use the full icon", () => {
+  assert.equal(stationIconId(null), "station-icon-6");
+  assert.equal(stationIconId(NaN), "station-icon-6");
+});
+
+test("stationIconId: every id it returns is a registered icon", () => {
+  for (let n = -2; n < 10; n++) assert.ok(STATION_ICON_IDS.includes(stationIconId(n)));
+  assert.equal(STATION_ICON_IDS.length, 7);
+});
+
+test("stationsToGeoJSON: lng/lat point features with icon and selected flag", () => {
+  const geojson = stationsToGeoJSON([station("a", 2), station("b", null)], "b");
+  assert.equal(geojson.type, "FeatureCollection");
+  const [a, b] = geojson.features;
+  assert.equal(a.id, "a");
+  assert.deepEqual(a.geometry, { type: "Point", coordinates: [-87.6, 41.9] });
+  assert.equal(a.properties.icon, "station-icon-2");
+  assert.equal(a.properties.selected, false);
+  assert.equal(b.properties.icon, "station-icon-6");
+  assert.equal(b.properties.selected, true);
+});
+
+test("stationsToGeoJSON: nothing is selected by default", () => {
+  const geojson = stationsToGeoJSON([station("a", 1)]);
+  assert.equal(geojson.features[0].properties.selected, false);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findStation,
+  stationAvailabilityText,
+  stationPath,
+  stationShareTitle,
+} from "../src/links";
+import type { NormalizedStation } from "../src/types";
+
+const station = (
+  id: string,
+  title: string | null,
+  filled_slots: number | null,
+  open_slots: number | null
+): NormalizedStation => ({ id, title, latitude: 41.9, longitude: -87.65, filled_slots, open_slots });
+
+test("stationPath: encodes the id", () => {
+  assert.equal(stationPath("42"), "/station/42");
+  assert.equal(stationPath("a/b c"), "/station/a%2Fb%20c");
+});
+
+test("findStation: matches by id or returns null", () => {
+  const stations = [station("1", "A", 1, 1), station("2", "B", 1, 1)];
+  assert.equal(findStation(stations, "2")?.title, "B");
+  assert.equal(findStation(stations, "3"), null);
+});
+
+test("stationAvailabilityText: pluralizes and handles unknown counts", () => {
+  assert.equal(
+    stationAvailabilityText(station("1", "A", 1, 5)),
+    "1 battery available · 5 open slots"
+  );
+  assert.equal(
+    stationAvailabilityText(station("1", "A", 0, 1)),
+    "0 batteries available · 1 open slot"
+  );
+  assert.equal(
+    stationAvailabilityText(station("1", "A", null, null)),
+    "Batteries unknown · open slots unknown"
+  );
+});
+
+test("stationShareTitle: falls back to the default station name", () => {
+  assert.equal(stationShareTitle(station("1", "Wrigley Field", 1, 1)), "Wrigley Field · CUUB");
+  assert.equal(stationShareTitle(station("1", null, 1, 1)), "CUUB Station · CUUB");
+});
@@ -0,0 +1,111 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyStationsDiff,
+  applyStationsDiffToGeoJSON,
+  diffStations,
+  isEmptyDiff,
+} from "../src/live";
+import { filterStations, type StationFilter } from "../src/filter";
+import { stationsToGeoJSON } from "../src/geojson";
+import { CuubClient } from "../src/api";
+import type { NormalizedStation } from "../src/types";
+
+const A = { id: "1", title: "A", latitude: 41.9, longitude: -87.6, filled_slots: 3, open_slots: 3 };
+const B = { id: "2", title: "B", latitude: 41.8, longitude: -87.7, filled_slots: 0, open_slots: 6 };
+const C = { id: "3", title: null, latitude: 42, longitude: -87, filled_slots: null, open_slots: null };
+
+test("diffStations: reports changed, added and removed stations", () => {
+  const diff = diffStations([A, B], [{ ...A, filled_slots: 2 }, C]);
+  assert.deepEqual(diff.updated.map((s) => s.id), ["1", "3"]);
+  assert.deepEqual(diff.removed, ["2"]);
+});
+
+test("applyStationsDiffToGeoJSON: the same features as a rebuild, reusing untouched ones", () => {
+  const before = [A, B, C];
+  const after = [{ ...A, filled_slots: 0 }, C, { ...B, id: "4", filled_slots: 2 }];
+  const diff = diffStations(before, after);
+  for (const filter of ["all", "batteries", "open"] as StationFilter[]) {
+    const geojson = stationsToGeoJSON(filterStations(before, filter), "3");
+    const patched = applyStationsDiffToGeoJSON(geojson, diff, filter, "3");
+    assert.deepEqual(
+      [...patched.features].sort((x, y) => x.id.localeCompare(y.id)),
+      stationsToGeoJSON(filterStations(after, filter), "3").features,
+      filter
+    );
+    const untouched = geojson.features.find((f) => f.id === "3");
+    if (untouched) assert.equal(patched.features.find((f) => f.id === "3"), untouched);
+  }
+  const geojson = stationsToGeoJSON(before);
+  assert.equal(applyStationsDiffToGeoJSON(geojson, { updated: [], removed: [] }, "all"), geojson);
+});
+
+test("diffStations: unchanged stations produce an empty diff", () => {
+  const diff = diffStations([A, B], [{ ...B }, { ...A }]);
+  assert.equal(isEmptyDiff(diff), true);
+});
+
+test("applyStationsDiff: round-trips a diff", () => {
+  const next = [{ ...A, open_slots: 4 }, C];
+  const applied = applyStationsDiff([A, B], diffStations([A, B], next));
+  assert.deepEqual(applied, next);
+});
+
+class FakeEventSource {
+  static last: FakeEventSource | null = null;
+  listeners = new Map<string, (e: { data: string }) => void>();
+  onerror: ((e: unknown) => void) | null = null;
+  closed = false;
+  constructor(public url: string) {
+    FakeEventSource.last = this;
+  }
+  addEventListener(type: string, fn: (e: { data: string }) => void) {
+    this.listeners.set(type, fn);
+  }
+  emit(type: string, payload: unknown) {
+    this.listeners.get(type)?.({ data: JSON.stringify(payload) });
+  }
+  close() {
+    this.closed = true;
+  }
+}
+
+test("subscribeStations: applies stream snapshots and diffs", () => {
+  const client = new CuubClient({
+    baseUrl: "https://example.test",
+    eventSource: FakeEventSource as unknown as typeof EventSource,
+  });
+  const seen: NormalizedStation[][] = [];
+  const unsubscribe = client.subscribeStations((stations) => seen.push(stations));
+  const source = FakeEventSource.last!;
+  assert.equal(source.url, "https://example.test/api/stations/stream");
+
+  source.emit("snapshot", { type: "snapshot", stations: [A, B] });
+  source.emit("diff", { type: "diff", updated: [{ ...B, filled_slots: 1 }], removed: ["1"] });
+  assert.equal(seen.length, 2);
+  assert.deepEqual(seen[1], [{ ...B, filled_slots: 1 }]);
+
+  unsubscribe();
+  assert.equal(source.closed, true);
+});
+
+test("subscribeStations: polls and only notifies on changes without EventSource", async () => {
+  const responses = [[A], [A], [{ ...A, filled_slots: 0 }]];
+  const fetchMock = mock.method(globalThis, "fetch", async () => {
+    const data = responses.length > 1 ? responses.shift() : responses[0];
+    return new Response(JSON.stringify({ success: true, data }));
+  });
+  const client = new CuubClient({ eventSource: null });
+  const calls: Array<{ stations: NormalizedStation[]; diff: unknown }> = [];
+  const unsubscribe = client.subscribeStations(
+    (stations, diff) => calls.push({ stations, diff }),
+    { pollIntervalMs: 5 }
+  );
+  await new Promise((r) => setTimeout(r, 60));
+  unsubscribe();
+  fetchMock.mock.restore();
+
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].diff, null);
+  assert.deepEqual(calls[1].stations, [{ ...A, filled_slots: 0 }]);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rankNearestStations, stationIntent } from "../src/nearest";
+import type { NormalizedStation } from "../src/types";
+
+const USER = { latitude: 41.9, longitude: -87.65 };
+
+// Stations due north of the user, `km` kilometres away.
+const station = (
+  id: string,
+  km: number,
+  filled_slots: number | null,
+  open_slots: number | null
+): NormalizedStation => ({
+  id,
+  title: null,
+  latitude: USER.latitude + km / 111.2,
+  longitude: USER.longitude,
+  filled_slots,
+  open_slots,
+});
+
+const STATIONS = [
+  station("empty-close", 0.2, 0, 6),
+  station("full-mid", 0.5, 6, 0),
+  station("unknown", 0.4, null, null),
+  station("both-far", 2, 3, 3),
+];
+
+test("stationIntent: return while a rental is active, rent otherwise", () => {
+  assert.equal(stationIntent(true), "return");
+  assert.equal(stationIntent(false), "rent");
+});
+
+test("rankNearestStations: rent skips empty stations", () => {
+  const result = rankNearestStations(USER, STATIONS, "rent", { limit: 4 });
+  assert.ok(result);
+  assert.equal(result.fallback, false);
+  assert.deepEqual(
+    result.ranked.map((r) => [r.station.id, r.availability]),
+    [
+      ["full-mid", "available"],
+      ["both-far", "available"],
+      ["unknown", "unknown"],
+      ["empty-close", "unavailable"],
+    ]
+  );
+});
+
+test("rankNearestStations: return prefers open slots and respects the limit", () => {
+  const result = rankNearestStations(USER, STATIONS, "return", { limit: 2 });
+  assert.deepEqual(result?.ranked.map((r) => r.station.id), ["empty-close", "both-far"]);
+  assert.match(result!.ranked[0].distanceText, /\bm$/);
+});
+
+test("rankNearestStations: falls back to the nearest when none are usable", () => {
+  const result = rankNearestStations(
+    USER,
+    [station("a", 1, 0, 6), station("b", 0.3, 0, 6)],
+    "rent"
+  );
+  assert.equal(result?.fallback, true);
+  assert.equal(result?.ranked[0].station.id, "b");
+  assert.equal(result?.ranked[0].availability, "unavailable");
+});
+
+test("rankNearestStations: null when there is nothing to rank", () => {
+  assert.equal(rankNearestStations(USER, [], "rent"), null);
+  assert.equal(rankNearestStations(USER, STATIONS, "rent", { limit: 0 }), null);
+});
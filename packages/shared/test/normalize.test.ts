@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hasReportIssues, normalizeStations } from "../src/normalize";
+
+test("normalizeStations: coerces numeric strings and string ids", () => {
+  const { stations, report } = normalizeStations([
+    { id: 7, title: "  Wrigley ", latitude: "41.9484", longitude: "-87.6553", filled_slots: "4", open_slots: 2.9 },
+  ]);
+  assert.deepEqual(stations, [
+    {
+      id: "7",
+      title: "Wrigley",
+      latitude: 41.9484,
+      longitude: -87.6553,
+      filled_slots: 4,
+      open_slots: 2,
+    },
+  ]);
+  assert.equal(hasReportIssues(report), false);
+});
+
+test("normalizeStations: missing optional fields become null without being reported", () => {
+  const { stations, report } = normalizeStations([{ id: "a", latitude: 0, longitude: 0, title: "" }]);
+  assert.deepEqual(stations[0], {
+    id: "a",
+    title: null,
+    latitude: 0,
+    longitude: 0,
+    filled_slots: null,
+    open_slots: null,
+  });
+  assert.equal(hasReportIssues(report), false);
+});
+
+test("normalizeStations: drops unusable records and says why", () => {
+  const { stations, report } = normalizeStations([
+    null,
+    { latitude: 1, longitude: 1 },
+    { id: "a", latitude: 1, longitude: 1 },
+    { id: "a", latitude: 2, longitude: 2 },
+    { id: "b", latitude: "abc", longitude: 1 },
+    { id: "c", latitude: 91, longitude: 1 },
+    { id: "d", latitude: 1, longitude: -181 },
+  ]);
+  assert.deepEqual(stations.map((s) => s.id), ["a"]);
+  assert.deepEqual(report.dropped, [
+    { index: 0, id: null, reason: "not_an_object" },
+    { index: 1, id: null, reason: "missing_id" },
+    { index: 3, id: "a", reason: "duplicate_id" },
+    { index: 4, id: "b", reason: "invalid_coordinates" },
+    { index: 5, id: "c", reason: "invalid_coordinates" },
+    { index: 6, id: "d", reason: "invalid_coordinates" },
+  ]);
+  assert.equal(report.received, 7);
+  assert.equal(report.kept, 1);
+});
+
+test("normalizeStations: keeps the station but reports garbage fields", () => {
+  const { stations, report } = normalizeStations([
+    { id: "a", title: 5, latitude: 1, longitude: 1, filled_slots: "lots", open_slots: -1 },
+  ]);
+  assert.equal(stations[0].title, null);
+  assert.equal(stations[0].filled_slots, null);
+  assert.equal(stations[0].open_slots, null);
+  assert.deepEqual(
+    report.invalidFields.map((f) => f.field),
+    ["title", "filled_slots", "open_slots"]
+  );
+  assert.equal(hasReportIssues(report), true);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_ALLOWED_ORIGINS,
+  frameAncestorsDirective,
+  isOriginAllowed,
+  parseOriginAllowlist,
+} from "../src/origins";
+
+const LIST = ["https://map.cuub.tech", "https://*.framer.app", "http://localhost:3000"];
+
+test("parseOriginAllowlist: splits, normalizes and drops junk", () => {
+  assert.deepEqual(
+    parseOriginAllowlist(" https://Map.cuub.tech/, https://*.framer.app  http://localhost:3000 ftp://x.com nope"),
+    LIST
+  );
+  assert.deepEqual(parseOriginAllowlist("*"), ["*"]);
+  assert.deepEqual(parseOriginAllowlist(undefined), DEFAULT_ALLOWED_ORIGINS);
+  assert.deepEqual(parseOriginAllowlist("  "), DEFAULT_ALLOWED_ORIGINS);
+});
+
+test("isOriginAllowed: exact origins", () => {
+  assert.equal(isOriginAllowed("https://map.cuub.tech", LIST), true);
+  assert.equal(isOriginAllowed("https://MAP.cuub.tech:443", LIST), true);
+  assert.equal(isOriginAllowed("http://map.cuub.tech", LIST), false);
+  assert.equal(isOriginAllowed("https://map.cuub.tech:8443", LIST), false);
+  assert.equal(isOriginAllowed("http://localhost:3000", LIST), true);
+  assert.equal(isOriginAllowed("http://localhost:3001", LIST), false);
+});
+
+test("isOriginAllowed: wildcards match subdomains only", () => {
+  assert.equal(isOriginAllowed("https://site.framer.app", LIST), true);
+  assert.equal(isOriginAllowed("https://a.b.framer.app", LIST), true);
+  assert.equal(isOriginAllowed("https://framer.app", LIST), false);
+  assert.equal(isOriginAllowed("https://evilframer.app", LIST), false);
+  assert.equal(isOriginAllowed("https://framer.app.evil.com", LIST), false);
+});
+
+test("isOriginAllowed: denies missing and opaque origins unless everything is allowed", () => {
+  assert.equal(isOriginAllowed(null, LIST), false);
+  assert.equal(isOriginAllowed("null", LIST), false);
+  assert.equal(isOriginAllowed("https://evil.com", LIST), false);
+  assert.equal(isOriginAllowed("https://evil.com", ["*"]), true);
+});
+
+test("frameAncestorsDirective", () => {
+  assert.equal(
+    frameAncestorsDirective(LIST),
+    "frame-ancestors 'self' https://map.cuub.tech https://*.framer.app http://localhost:3000"
+  );
+  assert.equal(frameAncestorsDirective(["*"]), "frame-ancestors *");
+});
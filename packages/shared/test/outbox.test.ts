@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CuubApiError, CuubNetworkError } from "../src/api";
+import { MemoryOutboxStorage, ScanOutbox, type QueuedScan } from "../src/outbox";
+
+const SCAN = { stickerId: "CUBT1", manufactureId: "m1", stickerType: "type one" };
+
+// `results` are played back in order: "ok" resolves, an Error rejects.
+function setup(results: Array<"ok" | Error>, storage = new MemoryOutboxStorage()) {
+  const clock = { t: 1000 };
+  const sent: QueuedScan[] = [];
+  const outbox = new ScanOutbox({
+    storage,
+    baseDelayMs: 100,
+    maxDelayMs: 250,
+    maxAgeMs: 10_000,
+    now: () => clock.t,
+    send: async (scan) => {
+      sent.push(scan);
+      const result = results.length > 1 ? results.shift()! : results[0];
+      if (result instanceof Error) throw result;
+    },
+  });
+  return { outbox, clock, sent, storage };
+}
+
+test("ScanOutbox: sends right away and empties the queue", async () => {
+  const { outbox, sent, storage } = setup(["ok"]);
+  assert.deepEqual(await outbox.submit({ id: "scan-key-1", ...SCAN }), {
+    sent: 1,
+    dropped: 0,
+    pending: 0,
+  });
+  assert.equal(sent[0].id, "scan-key-1");
+  assert.deepEqual(await storage.load(), []);
+});
+
+test("ScanOutbox: keeps failed scans and retries them with backoff", async () => {
+  const offline = new CuubNetworkError("offline");
+  const { outbox, clock, sent } = setup([offline, offline, offline, "ok"]);
+  await outbox.submit({ id: "scan-key-1", ...SCAN });
+  let [queued] = await outbox.pending();
+  assert.equal(queued.attempts, 1);
+  assert.equal(queued.nextAttemptAt, 1100);
+
+  // Not due yet: nothing is sent.
+  clock.t = 1050;
+  assert.deepEqual(await outbox.flush(), { sent: 0, dropped: 0, pending: 1 });
+  assert.equal(sent.length, 1);
+
+  clock.t = 1100;
+  await outbox.flush();
+  [queued] = await outbox.pending();
+  assert.equal(queued.nextAttemptAt, 1300);
+
+  clock.t = 1300;
+  await outbox.flush();
+  [queued] = await outbox.pending();
+  assert.equal(queued.nextAttemptAt, 1550, "capped at maxDelayMs");
+
+  clock.t = 1550;
+  assert.deepEqual(await outbox.flush(), { sent: 1, dropped: 0, pending: 0 });
+  assert.deepEqual(
+    sent.map((s) => s.id),
+    ["scan-key-1", "scan-key-1", "scan-key-1", "scan-key-1"]
+  );
+});
+
+test("ScanOutbox: survives a restart through its storage", async () => {
+  const storage = new MemoryOutboxStorage();
+  const first = setup([new CuubApiError(503)], storage);
+  await first.outbox.submit({ id: "scan-key-1", ...SCAN });
+
+  const second = setup(["ok"], storage);
+  second.clock.t = 5000;
+  assert.deepEqual(await second.outbox.flush(), { sent: 1, dropped: 0, pending: 0 });
+  assert.deepEqual(second.sent[0], {
+    id: "scan-key-1",
+    ...SCAN,
+    createdAt: 1000,
+    attempts: 1,
+    nextAttemptAt: 1100,
+  });
+});
+
+test("ScanOutbox: two outboxes on one storage keep each other's scans", async () => {
+  const storage = new MemoryOutboxStorage();
+  const offline = new CuubNetworkError("offline");
+  const tabA = setup([offline], storage);
+  const tabB = setup(["ok"], storage);
+  // Both have read the (empty) queue before either writes.
+  assert.deepEqual(await tabA.outbox.pending(), []);
+  assert.deepEqual(await tabB.outbox.pending(), []);
+
+  await tabA.outbox.submit({ id: "scan-key-a", ...SCAN });
+  await tabB.outbox.enqueue({ id: "scan-key-b", ...SCAN });
+  assert.deepEqual((await storage.load()).map((s) => s.id), ["scan-key-a", "scan-key-b"]);
+
+  // A's retry bookkeeping doesn't drop B's scan, and B can send A's.
+  tabB.clock.t = 5000;
+  assert.deepEqual(await tabB.outbox.flush(), { sent: 2, dropped: 0, pending: 0 });
+  assert.deepEqual(await tabA.outbox.pending(), []);
+});
+
+// Like IndexedDB: reads and writes in one step that other outboxes can't
+// interleave with.
+class TransactionalOutboxStorage extends MemoryOutboxStorage {
+  saves = 0;
+  private lock: Promise<unknown> = Promise.resolve();
+
+  async save(scans: QueuedScan[]): Promise<void> {
+    this.saves++;
+    await super.save(scans);
+  }
+
+  update(fn: (scans: QueuedScan[]) => QueuedScan[]): Promise<QueuedScan[]> {
+    const run = this.lock.then(async () => {
+      const next = fn(await this.load());
+      await super.save(next);
+      return next;
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+test("ScanOutbox: writes through storage.update() when the storage has one", async () => {
+  const storage = new TransactionalOutboxStorage();
+  const tabA = setup(["ok"], storage);
+  const tabB = setup(["ok"], storage);
+  await Promise.all([
+    tabA.outbox.enqueue({ id: "scan-key-a", ...SCAN }),
+    tabB.outbox.enqueue({ id: "scan-key-b", ...SCAN }),
+  ]);
+  assert.deepEqual((await storage.load()).map((s) => s.id).sort(), ["scan-key-a", "scan-key-b"]);
+  assert.equal(storage.saves, 0);
+});
+
+test("ScanOutbox: drops rejected and expired scans, and ignores duplicate ids", async () => {
+  const { outbox, clock } = setup([new CuubApiError(400, "bad sticker")]);
+  await outbox.enqueue({ id: "scan-key-1", ...SCAN });
+  await outbox.enqueue({ id: "scan-key-1", ...SCAN });
+  assert.equal((await outbox.pending()).length, 1);
+  assert.deepEqual(await outbox.flush(), { sent: 0, dropped: 1, pending: 0 });
+
+  await outbox.enqueue({ id: "scan-key-2", ...SCAN });
+  clock.t = 20_000;
+  assert.deepEqual(await outbox.flush(), { sent: 0, dropped: 1, pending: 0 });
+});
+
+test("ScanOutbox: ignores malformed stored entries", async () => {
+  const storage = new MemoryOutboxStorage();
+  await storage.save([{ id: 1 } as unknown as QueuedScan]);
+  const { outbox } = setup(["ok"], storage);
+  assert.deepEqual(await outbox.pending(), []);
+});
+
+test("ScanOutbox: start() retries on the backoff schedule until sent", async () => {
+  const sent: string[] = [];
+  let failures = 2;
+  const outbox = new ScanOutbox({
+    storage: new MemoryOutboxStorage(),
+    baseDelayMs: 5,
+    send: async (scan) => {
+      sent.push(scan.id);
+      if (failures-- > 0) throw new CuubNetworkError("offline");
+    },
+  });
+  await outbox.enqueue({ id: "scan-key-1", ...SCAN });
+  const stop = outbox.start();
+  try {
+    for (let i = 0; i < 100 && (await outbox.pending()).length > 0; i++) {
+      await new Promise((r) => setTimeout(r, 5));
+    }
+    assert.deepEqual(await outbox.pending(), []);
+    assert.equal(sent.length, 3);
+  } finally {
+    stop();
+  }
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PRICING,
+  parsePricing,
+  projectRentalCost,
+  rentalCost,
+  rentalCostLines,
+  type PricingModel,
+} from "../src/pricing";
+
+// $4 covers the first hour, then $2 per started hour, $20/day, $40 max.
+const PRICING: PricingModel = {
+  baseFee: 4,
+  periodMinutes: 60,
+  periodRate: 2,
+  dailyCap: 20,
+  maxCharge: 40,
+};
+
+const H = 3600;
+const DAY = 24 * H;
+
+test("rentalCost: the base fee covers the first period", () => {
+  assert.equal(rentalCost(0, PRICING), 4);
+  assert.equal(rentalCost(H, PRICING), 4);
+  assert.equal(rentalCost(H + 1, PRICING), 6);
+  assert.equal(rentalCost(2 * H, PRICING), 6);
+  assert.equal(rentalCost(2 * H + 1, PRICING), 8);
+});
+
+test("rentalCost: the daily cap holds until the next day starts", () => {
+  // $4 + 8 * $2 = $20 after 9 hours; the 10th hour would be $22.
+  assert.equal(rentalCost(9 * H, PRICING), 20);
+  assert.equal(rentalCost(9 * H + 1, PRICING), 20);
+  assert.equal(rentalCost(DAY, PRICING), 20);
+  assert.equal(rentalCost(DAY + 1, PRICING), 22);
+  assert.equal(rentalCost(DAY + 10 * H, PRICING), 40);
+});
+
+test("rentalCost: never exceeds the max charge", () => {
+  assert.equal(rentalCost(3 * DAY, PRICING), 40);
+  assert.equal(rentalCost(30 * DAY, PRICING), 40);
+});
+
+test("projectRentalCost: next charge is the upcoming period boundary", () => {
+  assert.deepEqual(projectRentalCost(0, PRICING), {
+    current: 4,
+    next: { amount: 6, atSeconds: H },
+    capped: null,
+  });
+  assert.deepEqual(projectRentalCost(H - 1, PRICING).next, { amount: 6, atSeconds: H });
+  // Exactly on a boundary the current period is paid for; the next one
+  // starts right after it.
+  assert.deepEqual(projectRentalCost(H, PRICING).next, { amount: 6, atSeconds: H });
+  assert.deepEqual(projectRentalCost(H + 1, PRICING).next, { amount: 8, atSeconds: 2 * H });
+});
+
+test("projectRentalCost: under the daily cap the next charge waits for the next day", () => {
+  assert.deepEqual(projectRentalCost(10 * H, PRICING), {
+    current: 20,
+    next: { amount: 22, atSeconds: DAY },
+    capped: "daily",
+  });
+  assert.equal(projectRentalCost(DAY + 1, PRICING).capped, null);
+});
+
+test("projectRentalCost: stops projecting at the max charge", () => {
+  assert.deepEqual(projectRentalCost(DAY + 10 * H, PRICING), {
+    current: 40,
+    next: null,
+    capped: "max",
+  });
+});
+
+test("projectRentalCost: handles cents without rounding noise", () => {
+  const pricing = { ...PRICING, baseFee: 1.1, periodRate: 0.1, periodMinutes: 15 };
+  assert.equal(rentalCost(45 * 60 + 1, pricing), 1.4);
+  assert.deepEqual(projectRentalCost(45 * 60 + 1, pricing).next, {
+    amount: 1.5,
+    atSeconds: 60 * 60,
+  });
+});
+
+test("rentalCostLines: formats the modal's figures", () => {
+  assert.deepEqual(rentalCostLines(90 * 60, PRICING), {
+    soFar: "$6",
+    nextCharge: "$8 at 02:00:00",
+    note: null,
+  });
+  assert.equal(rentalCostLines(10 * H, PRICING).note, "Daily cap of $20 reached.");
+  assert.deepEqual(rentalCostLines(3 * DAY, PRICING), {
+    soFar: "$40",
+    nextCharge: null,
+    note: "Max charge of $40 reached. The battery is yours to keep.",
+  });
+});
+
+test("parsePricing: merges valid overrides onto the defaults", () => {
+  assert.deepEqual(parsePricing(undefined), DEFAULT_PRICING);
+  assert.deepEqual(parsePricing("not json"), DEFAULT_PRICING);
+  assert.deepEqual(parsePricing('{"baseFee": 3, "dailyCap": "lots", "maxCharge": -1}'), {
+    ...DEFAULT_PRICING,
+    baseFee: 3,
+  });
+  assert.equal(parsePricing({ periodMinutes: 0 }).periodMinutes, DEFAULT_PRICING.periodMinutes);
+});
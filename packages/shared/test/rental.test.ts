@@ -0,0 +1,109 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import type { BatteryData } from "../src/types";
+import {
+  RentalSync,
+  formatDurationSeconds,
+  isBatteryReturned,
+  isRentalActive,
+  parseDurationSeconds,
+  rentalElapsedText,
+  rentalStartedAt,
+} from "../src/rental";
+
+test("isRentalActive: a loaded battery that has not been returned", () => {
+  assert.equal(isRentalActive({ duration: "00:12:00", amountPaid: 4 }), true);
+  assert.equal(isRentalActive({ duration: "Battery Returned" }), false);
+  assert.equal(isRentalActive(null), false);
+});
+
+test("isBatteryReturned: case-insensitive on the duration field", () => {
+  assert.equal(isBatteryReturned({ duration: "battery returned" }), true);
+  assert.equal(isBatteryReturned({ duration: null }), false);
+});
+
+test("parseDurationSeconds / formatDurationSeconds: round-trip HH:MM:SS", () => {
+  assert.equal(parseDurationSeconds("01:02:03"), 3723);
+  assert.equal(parseDurationSeconds("26:00:00"), 93600);
+  assert.equal(parseDurationSeconds("battery returned"), null);
+  assert.equal(parseDurationSeconds("1:99:00"), null);
+  assert.equal(formatDurationSeconds(3723), "01:02:03");
+  assert.equal(formatDurationSeconds(-5), "00:00:00");
+});
+
+test("rental timer: anchored to the start, so a paused tab catches up", () => {
+  // Only the clock moves: no interval ticks are delivered while "backgrounded".
+  mock.timers.enable({ apis: ["Date"], now: 1_000_000 });
+  try {
+    const startedAt = rentalStartedAt("00:10:00", Date.now());
+    assert.equal(rentalElapsedText(startedAt, Date.now()), "00:10:00");
+    mock.timers.tick(1000);
+    assert.equal(rentalElapsedText(startedAt, Date.now()), "00:10:01");
+    mock.timers.tick(5 * 60 * 1000);
+    assert.equal(rentalElapsedText(startedAt, Date.now()), "00:15:01");
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("RentalSync: re-reads the battery on its interval and on demand", async () => {
+  mock.timers.enable({ apis: ["setInterval"] });
+  const replies: BatteryData[] = [
+    { duration: "00:10:30", amountPaid: 4 },
+    { duration: "battery returned", amountPaid: 4 },
+  ];
+  const seen: BatteryData[] = [];
+  let fetches = 0;
+  const sync = new RentalSync({
+    intervalMs: 30_000,
+    fetchBattery: async () => replies[Math.min(fetches++, replies.length - 1)],
+    onBattery: (battery) => seen.push(battery),
+  });
+  try {
+    const stop = sync.start();
+    mock.timers.tick(29_999);
+    assert.equal(fetches, 0);
+    mock.timers.tick(1);
+    await sync.resync();
+    assert.equal(fetches, 1, "overlapping resync shares the interval's request");
+    assert.deepEqual(seen, [replies[0]]);
+
+    await sync.resync();
+    assert.deepEqual(seen, [replies[0], replies[1]]);
+
+    stop();
+    mock.timers.tick(60_000);
+    await sync.resync();
+    assert.equal(seen.length, 2, "results after stop() are dropped");
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("RentalSync: reports failures and keeps going", async () => {
+  mock.timers.enable({ apis: ["setInterval"] });
+  const errors: unknown[] = [];
+  let fail = true;
+  const seen: BatteryData[] = [];
+  const sync = new RentalSync({
+    intervalMs: 1000,
+    fetchBattery: async () => {
+      if (fail) throw new Error("offline");
+      return { duration: "00:00:05" };
+    },
+    onBattery: (battery) => seen.push(battery),
+    onError: (err) => errors.push(err),
+  });
+  try {
+    sync.start();
+    await sync.resync();
+    fail = false;
+    mock.timers.tick(1000);
+    await sync.resync();
+    assert.equal(errors.length, 1);
+    assert.deepEqual(seen, [{ duration: "00:00:05" }]);
+  } finally {
+    sync.stop();
+    mock.timers.reset();
+  }
+});
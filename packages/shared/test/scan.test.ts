@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CuubApiError, CuubNetworkError, CuubPayloadError } from "../src/api";
+import {
+  INITIAL_SCAN_VIEW,
+  formatAmountPaid,
+  isScanRentalActive,
+  scanViewDuration,
+  scanViewHasEstimate,
+  scanViewReducer,
+  type ScanViewEvent,
+  type ScanViewState,
+} from "../src/scan";
+
+const run = (...events: ScanViewEvent[]): ScanViewState =>
+  events.reduce(scanViewReducer, INITIAL_SCAN_VIEW);
+
+const loaded = (battery: Record<string, unknown>): ScanViewEvent => ({ type: "loaded", battery });
+const failed = (error: unknown): ScanViewEvent => ({ type: "failed", error });
+
+test("scanViewReducer: starts loading", () => {
+  assert.deepEqual(INITIAL_SCAN_VIEW, { status: "loading" });
+  assert.equal(isScanRentalActive(INITIAL_SCAN_VIEW), false);
+});
+
+test("scanViewReducer: an active rental counts up from the upstream duration", () => {
+  const battery = { duration: "00:12:30", amountPaid: "4" };
+  const state = run(loaded(battery));
+  assert.deepEqual(state, { status: "active", battery, duration: "00:12:30", amountPaid: 4 });
+  assert.equal(isScanRentalActive(state), true);
+  assert.equal(scanViewDuration(state), "00:12:30");
+  assert.equal(scanViewHasEstimate(state), true);
+
+  const noDuration = run(loaded({ amountPaid: 4 }));
+  assert.equal(scanViewDuration(noDuration), "00:00:00");
+});
+
+test("scanViewReducer: returned batteries stop the timer", () => {
+  const battery = { duration: "Battery Returned", amountPaid: 4.5 };
+  const state = run(loaded(battery));
+  assert.deepEqual(state, { status: "returned", battery, amountPaid: 4.5 });
+  assert.equal(isScanRentalActive(state), false);
+  assert.equal(scanViewHasEstimate(state), false);
+  assert.equal(scanViewDuration(state), null);
+});
+
+test("scanViewReducer: zero or missing charges never show an amount", () => {
+  for (const amountPaid of [0, "0", null, undefined, "", "abc", -1]) {
+    const state = run(loaded({ duration: "00:01:00", amountPaid }));
+    assert.equal(state.status, "zero-charge", `amountPaid ${String(amountPaid)}`);
+    assert.ok(!("amountPaid" in state));
+    assert.equal(isScanRentalActive(state), true);
+    // The timer keeps running, but no priced estimate next to "No charge yet".
+    assert.equal(scanViewDuration(state), "00:01:00");
+    assert.equal(scanViewHasEstimate(state), false);
+  }
+  const returned = run(loaded({ duration: "battery returned", amountPaid: 0 }));
+  assert.deepEqual(returned, {
+    status: "zero-charge",
+    battery: { duration: "battery returned", amountPaid: 0 },
+    duration: null,
+    returned: true,
+  });
+  assert.equal(isScanRentalActive(returned), false);
+});
+
+test("scanViewReducer: API rejections mean an unknown sticker", () => {
+  assert.deepEqual(run(failed(new CuubApiError(404))), { status: "unknown-sticker" });
+  assert.deepEqual(run(failed(new CuubApiError(200, "Battery not found"))), {
+    status: "unknown-sticker",
+  });
+});
+
+test("scanViewReducer: transient and malformed failures are errors, and retry reloads", () => {
+  for (const error of [
+    new CuubNetworkError("offline"),
+    new CuubApiError(502),
+    new CuubApiError(429),
+    new CuubPayloadError("bad", "$.data"),
+    new Error("boom"),
+  ]) {
+    assert.deepEqual(run(failed(error)), { status: "error" });
+  }
+  assert.deepEqual(run(failed(new CuubApiError(502)), { type: "load" }), { status: "loading" });
+  assert.equal(
+    run(failed(new CuubApiError(502)), { type: "load" }, loaded({ amountPaid: 4 })).status,
+    "active"
+  );
+});
+
+test("scanViewReducer: ignores results that arrive after the view settled", () => {
+  const settled = run(loaded({ amountPaid: 4, duration: "00:00:10" }));
+  assert.equal(scanViewReducer(settled, failed(new CuubNetworkError("late"))), settled);
+  const errored = run(failed(new CuubNetworkError("offline")));
+  assert.equal(scanViewReducer(errored, loaded({ amountPaid: 4 })), errored);
+});
+
+test("formatAmountPaid: whole dollars stay short, cents get two digits", () => {
+  assert.equal(formatAmountPaid(4), "$4");
+  assert.equal(formatAmountPaid(4.5), "$4.50");
+});
+
+test("scanViewReducer: a sync flips a running rental to returned", () => {
+  const active = run(loaded({ amountPaid: 4, duration: "00:10:00" }));
+  const synced = scanViewReducer(active, {
+    type: "synced",
+    battery: { amountPaid: 4, duration: "battery returned" },
+  });
+  assert.equal(synced.status, "returned");
+  assert.equal(isScanRentalActive(synced), false);
+
+  const retimed = scanViewReducer(active, {
+    type: "synced",
+    battery: { amountPaid: 4, duration: "00:12:00" },
+  });
+  assert.equal(scanViewDuration(retimed), "00:12:00");
+
+  const errored = run(failed(new CuubNetworkError("offline")));
+  assert.equal(scanViewReducer(errored, { type: "synced", battery: { amountPaid: 4 } }), errored);
+});
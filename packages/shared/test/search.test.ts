@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { searchStations } from "../src/search";
+import type { NormalizedStation } from "../src/types";
+
+const station = (
+  id: string,
+  title: string | null,
+  latitude: number,
+  filled_slots: number | null = 1,
+  open_slots: number | null = 1
+): NormalizedStation => ({ id, title, latitude, longitude: -87.65, filled_slots, open_slots });
+
+const STATIONS = [
+  station("1", "Wrigley Field", 41.948, 4, 2),
+  station("2", "Café Lula", 41.92, 0, 6),
+  station("3", "Field Museum", 41.866, null, null),
+  station("4", null, 41.93, 6, 0),
+];
+
+test("searchStations: matches every word, ignoring case and accents", () => {
+  assert.deepEqual(
+    searchStations(STATIONS, { query: "FIELD" }).map((i) => i.station.id),
+    ["3", "1"]
+  );
+  assert.deepEqual(
+    searchStations(STATIONS, { query: "cafe lu" }).map((i) => i.title),
+    ["Café Lula"]
+  );
+  assert.deepEqual(searchStations(STATIONS, { query: "field zoo" }), []);
+});
+
+test("searchStations: untitled stations get the default title", () => {
+  const [item] = searchStations(STATIONS, { query: "cuub" });
+  assert.equal(item.station.id, "4");
+  assert.equal(item.title, "CUUB Station");
+});
+
+test("searchStations: sorts by distance when the user is known", () => {
+  const items = searchStations(STATIONS, { user: { latitude: 41.95, longitude: -87.65 } });
+  assert.deepEqual(items.map((i) => i.station.id), ["1", "4", "2", "3"]);
+  assert.match(items[0].distanceText!, /\bm$/);
+});
+
+test("searchStations: falls back to name without a location", () => {
+  const items = searchStations(STATIONS, { sort: "distance" });
+  assert.deepEqual(
+    items.map((i) => i.title),
+    ["Café Lula", "CUUB Station", "Field Museum", "Wrigley Field"]
+  );
+  assert.equal(items[0].distanceMeters, null);
+});
+
+test("searchStations: slot sorts put unknown counts last", () => {
+  assert.deepEqual(
+    searchStations(STATIONS, { sort: "batteries" }).map((i) => i.station.id),
+    ["4", "1", "2", "3"]
+  );
+  assert.deepEqual(
+    searchStations(STATIONS, { sort: "open" }).map((i) => i.station.id),
+    ["2", "1", "4", "3"]
+  );
+});
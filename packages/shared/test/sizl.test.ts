@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CuubClient } from "../src/api";
+import { buildSizlUrl, recordSizlRedirect, sizlOfferStatus } from "../src/sizl";
+
+test("sizlOfferStatus: offers only on campaign stickers not yet redirected", () => {
+  assert.equal(sizlOfferStatus(null), "none");
+  assert.equal(sizlOfferStatus({ duration: "00:01:00" }), "none");
+  assert.equal(sizlOfferStatus({ sizl_campaign: false }), "none");
+  assert.equal(sizlOfferStatus({ sizl_campaign: true }), "offer");
+  assert.equal(sizlOfferStatus({ sizl_campaign: "true", sizl: false }), "offer");
+  assert.equal(sizlOfferStatus({ sizl_campaign: 1, sizl: true }), "redirected");
+  // `sizl` alone (legacy PATCHes) doesn't start a campaign.
+  assert.equal(sizlOfferStatus({ sizl: true }), "none");
+});
+
+test("buildSizlUrl: attaches the sticker id to the partner URL", () => {
+  assert.equal(
+    buildSizlUrl("https://sizl.example/offer?src=cuub", "CUBT1"),
+    "https://sizl.example/offer?src=cuub&sticker_id=CUBT1"
+  );
+  assert.equal(buildSizlUrl("https://sizl.example", "a b"), "https://sizl.example/?sticker_id=a+b");
+});
+
+test("buildSizlUrl: unset or unsafe URLs turn the flow off", () => {
+  assert.equal(buildSizlUrl("", "CUBT1"), null);
+  assert.equal(buildSizlUrl(undefined, "CUBT1"), null);
+  assert.equal(buildSizlUrl("not a url", "CUBT1"), null);
+  assert.equal(buildSizlUrl("javascript:alert(1)", "CUBT1"), null);
+});
+
+test("recordSizlRedirect: a reloaded page sends the scan session's key, not a new one", async () => {
+  const headers: Headers[] = [];
+  const fetch = (async (_input: RequestInfo | URL, init?: RequestInit) => {
+    headers.push(new Headers(init?.headers));
+    return new Response(JSON.stringify({ success: true, data: { sizl: true } }));
+  }) as typeof globalThis.fetch;
+  const battery = { manufacture_id: "m1", sizl_campaign: true };
+
+  // Each client stands in for one page load; only the session key carries over.
+  for (let load = 0; load < 2; load++) {
+    const client = new CuubClient({ baseUrl: "https://cuub.test", fetch, eventSource: null });
+    await recordSizlRedirect(client, "CUBT1", battery, "session-key-1");
+  }
+  assert.deepEqual(
+    headers.map((h) => [h.get("Idempotency-Key"), h.get("manufacture_id")]),
+    [
+      ["session-key-1", "m1"],
+      ["session-key-1", "m1"],
+    ]
+  );
+});
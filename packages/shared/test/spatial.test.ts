@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { haversineMeters, nearestStation } from "../src/geo";
+import { StationIndex, type LatLngBounds } from "../src/spatial";
+import type { Coords } from "../src/types";
+
+// Small seeded PRNG (mulberry32) so failures are reproducible.
+function random(seed: number): () => number {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+type Point = Coords & { id: number };
+
+// Mix of worldwide points and a dense "city" cluster near the antimeridian
+// and a pole, where lat/lng math usually breaks.
+function points(rand: () => number, n: number): Point[] {
+  return Array.from({ length: n }, (_, id) => {
+    const kind = rand();
+    if (kind < 0.4) {
+      return {
+        id,
+        latitude: 41.9 + (rand() - 0.5) * 0.2,
+        longitude: -87.65 + (rand() - 0.5) * 0.2,
+      };
+    }
+    if (kind < 0.5) {
+      const lng = 180 + (rand() - 0.5) * 10;
+      return { id, latitude: (rand() - 0.5) * 10, longitude: lng > 180 ? lng - 360 : lng };
+    }
+    if (kind < 0.55) return { id, latitude: 85 + rand() * 5, longitude: rand() * 360 - 180 };
+    return { id, latitude: rand() * 180 - 90, longitude: rand() * 360 - 180 };
+  });
+}
+
+function query(rand: () => number, stations: Point[]): Coords {
+  if (rand() < 0.5) {
+    const s = stations[Math.floor(rand() * stations.length)];
+    const latitude = Math.max(-90, Math.min(90, s.latitude + (rand() - 0.5) * 0.01));
+    return { latitude, longitude: s.longitude };
+  }
+  return { latitude: rand() * 180 - 90, longitude: rand() * 360 - 180 };
+}
+
+const close = (a: number, b: number) => Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a));
+
+function bruteForce(stations: Point[], q: Coords) {
+  return stations
+    .map((station) => ({ station, distanceMeters: haversineMeters(q, station) }))
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+}
+
+test("StationIndex.nearest matches nearestStation", () => {
+  const rand = random(1);
+  const stations = points(rand, 600);
+  const index = new StationIndex(stations);
+  for (let i = 0; i < 300; i++) {
+    const q = query(rand, stations);
+    const expected = nearestStation(q, stations)!;
+    const actual = index.nearest(q)!;
+    assert.ok(close(actual.distanceMeters, expected.distanceMeters), `query ${i}`);
+  }
+});
+
+test("StationIndex.nearestK matches the first k of a sorted scan", () => {
+  const rand = random(2);
+  const stations = points(rand, 400);
+  const index = new StationIndex(stations);
+  for (let i = 0; i < 150; i++) {
+    const q = query(rand, stations);
+    const k = 1 + Math.floor(rand() * 12);
+    const expected = bruteForce(stations, q).slice(0, k).map((h) => h.distanceMeters);
+    const actual = index.nearestK(q, k).map((h) => h.distanceMeters);
+    assert.equal(actual.length, k);
+    actual.forEach((d, j) => assert.ok(close(d, expected[j]), `query ${i}, rank ${j}`));
+  }
+});
+
+test("StationIndex.withinRadius returns exactly the stations a scan finds", () => {
+  const rand = random(3);
+  const stations = points(rand, 400);
+  const index = new StationIndex(stations);
+  for (let i = 0; i < 150; i++) {
+    const q = query(rand, stations);
+    const meters = rand() < 0.5 ? rand() * 5000 : rand() * 3_000_000;
+    const expected = bruteForce(stations, q)
+      .filter((h) => h.distanceMeters <= meters)
+      .map((h) => h.station.id)
+      .sort((a, b) => a - b);
+    const actual = index.withinRadius(q, meters);
+    const ids = actual.map((h) => h.station.id).sort((a, b) => a - b);
+    assert.deepEqual(ids, expected, `query ${i}`);
+    for (let j = 1; j < actual.length; j++) {
+      assert.ok(actual[j - 1].distanceMeters <= actual[j].distanceMeters);
+    }
+  }
+});
+
+test("StationIndex.withinBounds matches a lat/lng filter, across the antimeridian too", () => {
+  const rand = random(4);
+  const stations = points(rand, 400);
+  const index = new StationIndex(stations);
+  const inBounds = (s: Point, b: LatLngBounds) =>
+    s.latitude >= b.south &&
+    s.latitude <= b.north &&
+    (b.west <= b.east
+      ? s.longitude >= b.west && s.longitude <= b.east
+      : s.longitude >= b.west || s.longitude <= b.east);
+  for (let i = 0; i < 200; i++) {
+    const lat = rand() * 180 - 90;
+    const lng = rand() * 360 - 180;
+    const h = rand() * (i % 2 ? 1 : 60);
+    const w = rand() * (i % 2 ? 1 : 120);
+    const west = lng - w < -180 ? lng - w + 360 : lng - w;
+    const east = lng + w > 180 ? lng + w - 360 : lng + w;
+    const bounds = { west, east, south: Math.max(-90, lat - h), north: Math.min(90, lat + h) };
+    const expected = stations
+      .filter((s) => inBounds(s, bounds))
+      .map((s) => s.id)
+      .sort((a, b) => a - b);
+    const actual = index.withinBounds(bounds).map((s) => s.id).sort((a, b) => a - b);
+    assert.deepEqual(actual, expected, `bounds ${JSON.stringify(bounds)}`);
+  }
+});
+
+test("StationIndex: skips invalid coordinates and handles empty input", () => {
+  const index = new StationIndex([
+    { latitude: NaN, longitude: 0 },
+    { latitude: 1, longitude: 1 },
+  ]);
+  assert.equal(index.size, 1);
+  assert.equal(new StationIndex([]).nearest({ latitude: 0, longitude: 0 }), null);
+  assert.deepEqual(index.nearestK({ latitude: 0, longitude: 0 }, 0), []);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isValidStickerId, normalizeStickerId } from "../src/sticker";
+
+test("normalizeStickerId: accepts the CUBT + 12 digit format", () => {
+  assert.equal(normalizeStickerId("CUBT062510000005"), "CUBT062510000005");
+  assert.equal(normalizeStickerId(" cubt062510000005 "), "CUBT062510000005");
+});
+
+test("normalizeStickerId: rejects anything else", () => {
+  for (const raw of [
+    "",
+    "CUBT",
+    "CUBT1",
+    "CUBT06251000000",
+    "CUBT0625100000055",
+    "CUBX062510000005",
+    "CUBT06251000000O",
+    "CUBT062510000005/x",
+    "favicon.ico",
+    "map",
+  ]) {
+    assert.equal(normalizeStickerId(raw), null, raw);
+  }
+  assert.equal(normalizeStickerId(null), null);
+  assert.equal(normalizeStickerId(undefined), null);
+});
+
+test("isValidStickerId", () => {
+  assert.equal(isValidStickerId("CUBT062510000005"), true);
+  assert.equal(isValidStickerId("CUBT-0625-1000-0005"), false);
+});
@@ -24,7 +24,9 @@ function formatSecondsToDuration(totalSeconds) {
     return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
 }
 
-// Start duration count-up timer
+// Start duration count-up timer. Anchored to when the duration arrived and
+// recomputed from the clock on each tick, so a backgrounded tab (where
+// intervals are throttled) doesn't drift.
 function startDurationTimer(initialDuration) {
     // Clear any existing timer
     if (durationTimer) {
@@ -34,17 +36,13 @@ function startDurationTimer(initialDuration) {
     const durationElement = document.getElementById('batteryDuration');
     if (!durationElement) return;
     
-    // Parse initial duration to seconds
-    let totalSeconds = parseDurationToSeconds(initialDuration);
+    const startedAt = Date.now() - parseDurationToSeconds(initialDuration) * 1000;
+    const update = () => {
+        durationElement.textContent = formatSecondsToDuration(Math.floor((Date.now() - startedAt) / 1000));
+    };
     
-    // Update immediately
-    durationElement.textContent = formatSecondsToDuration(totalSeconds);
-    
-    // Increment every second
-    durationTimer = setInterval(() => {
-        totalSeconds++;
-        durationElement.textContent = formatSecondsToDuration(totalSeconds);
-    }, 1000);
+    update();
+    durationTimer = setInterval(update, 1000);
 }
 
 // Stop duration timer
@@ -56,15 +54,21 @@ function stopDurationTimer() {
 }
 
 // Get sticker_id from URL path
+// "CUBT" + 12 digits. Mirrors normalizeStickerId in @cuub/shared/sticker.
+const STICKER_ID_PATTERN = /^CUBT\d{12}$/;
+
 function getStickerIdFromPath() {
     const path = window.location.pathname;
     // Remove leading slash and get the sticker_id
-    const stickerId = path.replace(/^\//, '');
-    // If it's empty or matches known routes, return null
-    if (!stickerId || stickerId === 'map' || stickerId === 'api') {
+    let stickerId = path.replace(/^\//, '');
+    try {
+        stickerId = decodeURIComponent(stickerId);
+    } catch (error) {
         return null;
     }
-    return stickerId;
+    // Known routes and junk paths aren't stickers; the map still shows.
+    stickerId = stickerId.trim().toUpperCase();
+    return STICKER_ID_PATTERN.test(stickerId) ? stickerId : null;
 }
 
 // Fetch battery data from CUUB API
@@ -85,6 +89,25 @@ async function fetchBatteryData(stickerId) {
     }
 }
 
+// One Idempotency-Key per sticker per tab. sessionStorage survives refreshes
+// and back/forward, so the server treats those as the same scan.
+function getScanSessionKey(stickerId) {
+    const storageKey = `cuub:scan-key:${stickerId}`;
+    const newKey = () => (window.crypto && window.crypto.randomUUID
+        ? window.crypto.randomUUID()
+        : Date.now().toString(36) + Math.random().toString(36).slice(2, 14));
+    try {
+        let key = sessionStorage.getItem(storageKey);
+        if (!key) {
+            key = newKey();
+            sessionStorage.setItem(storageKey, key);
+        }
+        return key;
+    } catch (error) {
+        return newKey();
+    }
+}
+
 // Create scan record
 async function createScanRecord(stickerId, manufactureId, stickerType) {
     try {
@@ -93,7 +116,8 @@ async function createScanRecord(stickerId, manufactureId, stickerType) {
             headers: {
                 'Content-Type': 'application/json',
                 'manufacture_id': manufactureId,
-                'sticker_type': stickerType || 'type one'
+                'sticker_type': stickerType || 'type one',
+                'Idempotency-Key': getScanSessionKey(stickerId)
             },
             body: JSON.stringify({})
         });
@@ -161,6 +185,45 @@ function hideBatteryModal() {
     }
 }
 
+// Re-read the battery while a rental is running, every RESYNC_MS and when the
+// tab becomes visible, so the timer re-anchors to the server's duration and
+// flips to "Battery returned" on its own. Mirrors RentalSync in
+// packages/shared/src/rental.
+const RESYNC_MS = 30000;
+let resyncTimer = null;
+let resyncStickerId = null;
+
+function isReturnedData(batteryData) {
+    return !!(batteryData && batteryData.duration && String(batteryData.duration).toLowerCase() === 'battery returned');
+}
+
+function resyncBattery() {
+    if (!resyncStickerId) return;
+    fetchBatteryData(resyncStickerId).then(batteryData => {
+        if (!batteryData || !resyncTimer) return;
+        showBatteryModal(batteryData);
+        if (isReturnedData(batteryData)) stopRentalResync();
+    });
+}
+
+function onVisibilityChange() {
+    if (document.visibilityState === 'visible') resyncBattery();
+}
+
+function startRentalResync(stickerId) {
+    if (resyncTimer) return;
+    resyncStickerId = stickerId;
+    resyncTimer = setInterval(resyncBattery, RESYNC_MS);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+}
+
+function stopRentalResync() {
+    if (resyncTimer) clearInterval(resyncTimer);
+    resyncTimer = null;
+    resyncStickerId = null;
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+}
+
 // Initialize scan service
 function initScanService() {
     const stickerId = getStickerIdFromPath();
@@ -170,6 +233,7 @@ function initScanService() {
         // showBatteryModal handles the "no real data" case itself by
         // leaving the modal closed, so we don't need a separate fallback.
         showBatteryModal(batteryData);
+        if (batteryData && !isReturnedData(batteryData)) startRentalResync(stickerId);
 
         // Always create the scan record when we have a manufacture_id,
         // regardless of whether the modal opened. sticker_type comes from
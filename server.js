@@ -1,13 +1,61 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const app = express();
+// ETags only where a route sets one (/api/stations), as in the Next app.
+app.set('etag', false);
+
+// Origins allowed to frame the map (CUUB_FRAME_ANCESTORS) and to call the API
+// cross-origin (CUUB_CORS_ORIGINS): exact origins, "https://*.example.com"
+// for subdomains, or "*". Mirrors @cuub/shared/origins and
+// apps/web/src/middleware.ts.
+const DEFAULT_ALLOWED_ORIGINS = [
+    'https://cuub.tech',
+    'https://*.cuub.tech',
+    'https://framer.com',
+    'https://*.framer.com',
+    'https://*.framer.app',
+    'https://*.framer.website'
+];
+const ORIGIN_ENTRY_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?$/;
+const DEFAULT_PORTS = { http: '80', https: '443' };
+
+function parseOriginAllowlist(value) {
+    const entries = String(value || '')
+        .split(/[\s,]+/)
+        .map((entry) => entry.trim().toLowerCase().replace(/\/+$/, ''))
+        .filter(Boolean);
+    if (entries.length === 0) return DEFAULT_ALLOWED_ORIGINS.slice();
+    return entries.filter((entry) => entry === '*' || ORIGIN_ENTRY_PATTERN.test(entry));
+}
+
+function isOriginAllowed(origin, allowlist) {
+    if (!origin) return false;
+    if (allowlist.includes('*')) return true;
+    let url;
+    try {
+        url = new URL(origin);
+    } catch (error) {
+        return false;
+    }
+    const protocol = url.protocol.replace(/:$/, '');
+    const port = url.port || DEFAULT_PORTS[protocol];
+    const host = url.hostname.toLowerCase();
+    return allowlist.some((entry) => {
+        const match = ORIGIN_ENTRY_PATTERN.exec(entry);
+        if (!match || match[1] !== protocol || (match[4] || DEFAULT_PORTS[match[1]]) !== port) return false;
+        return match[2] ? host.endsWith(`.${match[3]}`) : host === match[3];
+    });
+}
 
-// Allow embedding in iframes (e.g. Framer at framer.com, map.cuub.tech)
 app.use((req, res, next) => {
-    // Permit any parent origin to frame this app (replaces restrictive X-Frame-Options)
-    res.setHeader('Content-Security-Policy', 'frame-ancestors *');
+    const ancestors = parseOriginAllowlist(process.env.CUUB_FRAME_ANCESTORS);
+    res.setHeader('Content-Security-Policy', ancestors.includes('*')
+        ? 'frame-ancestors *'
+        : ['frame-ancestors', "'self'"].concat(ancestors).join(' '));
     res.removeHeader('X-Frame-Options');
     // Allow geolocation inside cross-origin iframes. The parent page MUST still
     // include allow="geolocation" on the <iframe> tag for browsers to delegate it.
@@ -15,11 +63,163 @@ app.use((req, res, next) => {
     next();
 });
 
-// Enable CORS for API endpoints
+// Structured logs, request ids and Prometheus metrics for the API proxy.
+// Mirrors apps/web/src/lib/logger.ts, metrics.ts and instrumentRoute.ts.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+const STICKER_ID_IN_TEXT = /CUBT\d{12}/gi;
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function hashStickerId(stickerId) {
+    const key = process.env.CUUB_LOG_HASH_KEY || 'cuub-log';
+    return crypto.createHmac('sha256', key).update(String(stickerId).trim().toUpperCase()).digest('hex').slice(0, 16);
+}
+
+function redactStickerIds(text) {
+    return String(text).replace(STICKER_ID_IN_TEXT, (id) => `sticker:${hashStickerId(id)}`);
+}
+
+function log(severity, message, fields = {}) {
+    const entry = { severity, message, time: new Date().toISOString(), ...fields };
+    if (entry.err instanceof Error) {
+        entry.err = { name: entry.err.name, message: redactStickerIds(entry.err.message), stack: entry.err.stack };
+    }
+    const line = JSON.stringify(entry);
+    if (severity === 'ERROR') console.error(line);
+    else if (severity === 'WARNING') console.warn(line);
+    else console.log(line);
+}
+
+// name -> { help, type, labelNames, series: Map(key -> { labels, value | counts/sum/count }) }
+const metrics = new Map();
+
+function defineMetric(name, type, help, labelNames) {
+    metrics.set(name, { help, type, labelNames, series: new Map() });
+}
+
+function metricSeries(name, labels, create) {
+    const metric = metrics.get(name);
+    const picked = {};
+    metric.labelNames.forEach((label) => { picked[label] = labels[label] || ''; });
+    const key = JSON.stringify(metric.labelNames.map((label) => picked[label]));
+    if (!metric.series.has(key)) metric.series.set(key, { labels: picked, ...create() });
+    return metric.series.get(key);
+}
+
+function incCounter(name, labels) {
+    metricSeries(name, labels, () => ({ value: 0 })).value += 1;
+}
+
+function observeHistogram(name, labels, value) {
+    const series = metricSeries(name, labels, () => ({ counts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 }));
+    LATENCY_BUCKETS.forEach((bound, i) => {
+        if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([k, v]) =>
+        `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function renderMetrics() {
+    const blocks = [];
+    for (const [name, metric] of metrics) {
+        const lines = [`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`];
+        for (const series of metric.series.values()) {
+            if (metric.type === 'counter') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: String(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        blocks.push(lines.join('\n'));
+    }
+    return blocks.join('\n\n') + '\n';
+}
+
+defineMetric('cuub_http_requests_total', 'counter', 'API requests handled, by route, method and response status.', ['route', 'method', 'status']);
+defineMetric('cuub_http_request_errors_total', 'counter', 'API requests answered with a 5xx.', ['route', 'method']);
+defineMetric('cuub_http_request_duration_seconds', 'histogram', 'Time until the API response finishes, by route and method.', ['route', 'method']);
+defineMetric('cuub_upstream_requests_total', 'counter', 'Calls to the CUUB API, by upstream route, method and status.', ['route', 'method', 'status']);
+defineMetric('cuub_upstream_errors_total', 'counter', 'Calls to the CUUB API that failed or got a 5xx.', ['route', 'method']);
+defineMetric('cuub_upstream_request_duration_seconds', 'histogram', 'CUUB API latency, by upstream route and method.', ['route', 'method']);
+
+const UNLOGGED_API_PATHS = new Set(['/metrics', '/healthz', '/readyz']);
+
 app.use('/api', (req, res, next) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    const incoming = req.headers['x-request-id'];
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.locals.requestId = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    // Scrapes and probes are frequent and say nothing about traffic.
+    if (UNLOGGED_API_PATHS.has(req.path)) return next();
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        // The matched route's template, so sticker ids never become labels.
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { route, method: req.method };
+        incCounter('cuub_http_requests_total', { ...labels, status: String(res.statusCode) });
+        observeHistogram('cuub_http_request_duration_seconds', labels, seconds);
+        if (res.statusCode >= 500) incCounter('cuub_http_request_errors_total', labels);
+        log(res.statusCode >= 500 ? 'ERROR' : 'INFO', 'API request', {
+            requestId,
+            route,
+            ...(res.locals.stickerId ? { sticker: hashStickerId(res.locals.stickerId) } : {}),
+            method: req.method,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000)
+        });
+    });
+    next();
+});
+
+// Prometheus scrape target; behind a bearer token when CUUB_METRICS_TOKEN is set.
+app.get('/api/metrics', (req, res) => {
+    const token = process.env.CUUB_METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(renderMetrics());
+});
+
+// CORS for allowlisted origins only, including the OPTIONS preflight. The
+// header values mirror apps/web/src/middleware.ts; the contract suite checks
+// that both servers send the same ones.
+const CORS_ALLOW_METHODS = 'GET, POST, PATCH, OPTIONS';
+const CORS_ALLOW_HEADERS = 'Content-Type, manufacture_id, sticker_type, Idempotency-Key';
+const CORS_EXPOSE_HEADERS = 'Idempotent-Replayed, Retry-After, ETag, X-Cuub-Cache, X-Cuub-Degraded, X-Request-Id';
+const CORS_MAX_AGE_SECONDS = '600';
+
+function setCorsHeaders(res, origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
+}
+
+app.use('/api', (req, res, next) => {
+    const origin = req.headers.origin;
+    const allowed = isOriginAllowed(origin, parseOriginAllowlist(process.env.CUUB_CORS_ORIGINS));
+    res.setHeader('Vary', 'Origin');
+    if (req.method === 'OPTIONS' && origin && req.headers['access-control-request-method']) {
+        if (!allowed) return res.status(403).end();
+        setCorsHeaders(res, origin);
+        res.setHeader('Access-Control-Allow-Methods', CORS_ALLOW_METHODS);
+        res.setHeader('Access-Control-Allow-Headers', CORS_ALLOW_HEADERS);
+        res.setHeader('Access-Control-Max-Age', CORS_MAX_AGE_SECONDS);
+        return res.status(204).end();
+    }
+    if (origin && allowed) setCorsHeaders(res, origin);
     next();
 });
 
@@ -32,172 +232,463 @@ app.get('/api/mapbox-token', (req, res) => {
     res.json({ token });
 });
 
-// Proxy endpoint for CUUB stations API
-app.get('/api/stations', (req, res) => {
-    const options = {
-        hostname: 'api.cuub.tech',
-        path: '/stations',
-        method: 'GET',
-        headers: {
-            'Accept': 'application/json'
-        }
-    };
+// Upstream CUUB API. Overridable so the proxy can be pointed at a local stub.
+const CUUB_API_BASE = (process.env.CUUB_API_BASE || 'https://api.cuub.tech').replace(/\/$/, '');
 
-    const request = https.request(options, (apiResponse) => {
-        let data = '';
+// Answers that stand in for live data while the CUUB API is failing carry
+// X-Cuub-Degraded: 1. Mirrors DEGRADED_HEADER and DEGRADED_COPY in
+// @cuub/shared/api.
+const DEGRADED_HEADER = 'X-Cuub-Degraded';
+const UNAVAILABLE_TEXT = JSON.stringify({ success: false, error: 'Live data temporarily unavailable' });
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 8000;
+
+function readCount(value, fallback) {
+    const n = value ? Number(value) : NaN;
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+}
 
-        apiResponse.on('data', (chunk) => {
-            data += chunk;
+// Forward a request to the CUUB API. Resolves with the upstream status code
+// and raw body text. Network errors and calls that take longer than
+// CUUB_UPSTREAM_TIMEOUT_MS resolve as a 503 "unavailable" envelope, as in
+// apps/web/src/lib/cuubApi.ts (which also has a circuit breaker; this does
+// not). Every call is timed, logged and counted, and carries the caller's
+// request id (or one of its own).
+function requestCuub({ method, path: apiPath, headers = {}, body, requestId = crypto.randomUUID() }) {
+    const labels = { route: apiPath.split('?')[0].replace(/^\/battery\/[^/]+/, '/battery/:sticker_id'), method };
+    const started = process.hrtime.bigint();
+    const record = (status, level, message, extra) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        incCounter('cuub_upstream_requests_total', { ...labels, status });
+        observeHistogram('cuub_upstream_request_duration_seconds', labels, seconds);
+        if (status === 'error' || Number(status) >= 500) incCounter('cuub_upstream_errors_total', labels);
+        log(level, message, {
+            requestId,
+            upstream: { method, path: redactStickerIds(apiPath), ...extra, durationMs: Math.round(seconds * 1000) }
+        });
+    };
+    return new Promise((resolve) => {
+        const fail = (error) => {
+            record('error', 'ERROR', 'CUUB API request failed', { error: redactStickerIds(error.message) });
+            resolve({ status: 503, text: UNAVAILABLE_TEXT });
+        };
+        let url;
+        try {
+            url = new URL(`${CUUB_API_BASE}${apiPath}`);
+        } catch (error) {
+            return fail(error);
+        }
+        const transport = url.protocol === 'http:' ? http : https;
+        const requestHeaders = { 'Accept': 'application/json', 'X-Request-Id': requestId, ...headers };
+        if (body !== undefined) requestHeaders['Content-Length'] = Buffer.byteLength(body);
+        const timeoutMs = readCount(process.env.CUUB_UPSTREAM_TIMEOUT_MS, DEFAULT_UPSTREAM_TIMEOUT_MS);
+
+        const request = transport.request(url, { method, headers: requestHeaders }, (apiResponse) => {
+            let data = '';
+
+            apiResponse.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            apiResponse.on('end', () => {
+                const status = apiResponse.statusCode;
+                record(String(status), status >= 500 ? 'WARNING' : 'INFO', 'CUUB API response', { status });
+                resolve({ status, text: data });
+            });
         });
 
-        apiResponse.on('end', () => {
-            try {
-                const jsonData = JSON.parse(data);
-                res.json(jsonData);
-            } catch (error) {
-                console.error('Error parsing API response:', error);
-                res.status(500).json({ success: false, error: 'Failed to parse API response' });
-            }
+        request.setTimeout(timeoutMs, () => {
+            request.destroy(new Error(`No answer within ${timeoutMs}ms`));
         });
+        request.on('error', fail);
+        if (body !== undefined) request.write(body);
+        request.end();
     });
+}
 
-    request.on('error', (error) => {
-        console.error('Error fetching stations:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch stations' });
-    });
+// Relay a CUUB response: upstream's status and JSON body, flagged as degraded
+// when upstream failed or sent something unparseable.
+function relayCuub(res, upstream) {
+    let payload;
+    try {
+        payload = upstream.text ? JSON.parse(upstream.text) : null;
+    } catch (error) {
+        log('ERROR', 'Error parsing API response', { requestId: res.locals.requestId, err: error });
+        res.setHeader(DEGRADED_HEADER, '1');
+        return res.status(500).json({ success: false, error: 'Failed to parse API response' });
+    }
+    if (upstream.status >= 500) res.setHeader(DEGRADED_HEADER, '1');
+    res.status(upstream.status).json(payload);
+}
 
-    request.end();
-});
+async function proxyCuub(res, options) {
+    relayCuub(res, await requestCuub({ ...options, requestId: res.locals.requestId }));
+}
 
-// Proxy endpoint for CUUB battery API (GET)
-app.get('/api/battery/:sticker_id', (req, res) => {
-    const stickerId = req.params.sticker_id;
-    
-    const options = {
-        hostname: 'api.cuub.tech',
-        path: `/battery/${stickerId}`,
-        method: 'GET',
-        headers: {
-            'Accept': 'application/json'
-        }
+// Health and readiness reports. Mirrors apps/web/src/lib/health.ts.
+const PACKAGE_VERSION = require('./package.json').version;
+const READY_PROBE_TIMEOUT_MS = 2000;
+
+function healthReport(checks) {
+    const failed = Object.values(checks).some((check) => check.status === 'fail');
+    return {
+        status: failed ? 'fail' : 'ok',
+        version: process.env.CUUB_BUILD_VERSION || PACKAGE_VERSION,
+        commit: process.env.CUUB_BUILD_SHA || null,
+        uptimeSeconds: Math.floor(process.uptime()),
+        checks
     };
+}
 
-    const request = https.request(options, (apiResponse) => {
-        let data = '';
-
-        apiResponse.on('data', (chunk) => {
-            data += chunk;
-        });
+function checkCuubApiBase() {
+    try {
+        const { protocol } = new URL(CUUB_API_BASE);
+        if (protocol === 'http:' || protocol === 'https:') return { status: 'ok' };
+    } catch (error) {
+        // reported below
+    }
+    return { status: 'fail', detail: 'CUUB_API_BASE is not an http(s) URL' };
+}
 
-        apiResponse.on('end', () => {
-            try {
-                const jsonData = JSON.parse(data);
-                res.json(jsonData);
-            } catch (error) {
-                console.error('Error parsing API response:', error);
-                res.status(500).json({ success: false, error: 'Failed to parse API response' });
-            }
+// Straight to upstream, past requestCuub's logs and metrics. Any answer below
+// 500 means upstream is reachable.
+function probeUpstream() {
+    const timeoutMs = readCount(process.env.CUUB_READY_PROBE_TIMEOUT_MS, READY_PROBE_TIMEOUT_MS);
+    const started = Date.now();
+    return new Promise((resolve) => {
+        const done = (check) => resolve({ ...check, durationMs: Date.now() - started });
+        let request;
+        try {
+            const url = new URL(`${CUUB_API_BASE}/stations`);
+            const transport = url.protocol === 'http:' ? http : https;
+            request = transport.request(url, { method: 'GET', headers: { 'Accept': 'application/json' } }, (apiResponse) => {
+                apiResponse.resume();
+                const status = apiResponse.statusCode;
+                done(status < 500 ? { status: 'ok' } : { status: 'fail', detail: `HTTP ${status}` });
+            });
+        } catch (error) {
+            return done({ status: 'fail', detail: 'Unreachable' });
+        }
+        request.setTimeout(timeoutMs, () => {
+            request.destroy();
+            done({ status: 'fail', detail: `No answer within ${timeoutMs}ms` });
         });
+        request.on('error', () => done({ status: 'fail', detail: 'Unreachable' }));
+        request.end();
     });
+}
 
-    request.on('error', (error) => {
-        console.error('Error fetching battery data:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch battery data' });
-    });
+app.get('/api/healthz', (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(healthReport({ process: { status: 'ok' } }));
+});
 
-    request.end();
+// ?probe=upstream also checks that the CUUB API answers.
+app.get('/api/readyz', async (req, res) => {
+    const report = healthReport({
+        MAPBOX_ACCESS_TOKEN: process.env.MAPBOX_ACCESS_TOKEN
+            ? { status: 'ok' }
+            : { status: 'fail', detail: 'MAPBOX_ACCESS_TOKEN is not set' },
+        CUUB_API_BASE: checkCuubApiBase(),
+        upstream: req.query.probe === 'upstream' ? await probeUpstream() : { status: 'skipped' }
+    });
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
 });
 
-// Proxy endpoint for CUUB battery API (POST - create scan record)
-app.post('/api/battery/:sticker_id', express.json(), (req, res) => {
-    const stickerId = req.params.sticker_id;
-    const manufactureId = req.headers['manufacture_id'];
-    const stickerType = req.headers['sticker_type'] || 'type one';
-    
-    const postData = JSON.stringify({});
-    
-    const options = {
-        hostname: 'api.cuub.tech',
-        path: `/battery/${stickerId}`,
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(postData),
-            'manufacture_id': manufactureId || '',
-            'sticker_type': stickerType
-        }
-    };
+// Stations cache. Within the TTL responses come from memory; past it the
+// stale copy is served while a refresh runs in the background, and it keeps
+// being served when the upstream fails, until STALE_MS past the TTL.
+// Mirrors apps/web/src/lib/stationsCache.ts.
+function readMs(value, fallback) {
+    const n = value ? Number(value) : NaN;
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
 
-    const request = https.request(options, (apiResponse) => {
-        let data = '';
+const STATIONS_TTL_MS = readMs(process.env.CUUB_STATIONS_TTL_MS, 30000);
+const STATIONS_STALE_MS = readMs(process.env.CUUB_STATIONS_STALE_MS, 60 * 60 * 1000);
 
-        apiResponse.on('data', (chunk) => {
-            data += chunk;
-        });
+let stationsEntry = null; // { payload, etag, fetchedAt }
+let stationsInflight = null;
+let stationsUpstreamFailing = false; // last fetch failed: responses are X-Cuub-Degraded
+
+function usableStationsEntry() {
+    if (!stationsEntry) return null;
+    if (Date.now() - stationsEntry.fetchedAt >= STATIONS_TTL_MS + STATIONS_STALE_MS) return null;
+    return stationsEntry;
+}
+
+function fetchStationsUpstream() {
+    return requestCuub({ method: 'GET', path: '/stations' }).then((upstream) => {
+        try {
+            return { status: upstream.status, payload: upstream.text ? JSON.parse(upstream.text) : null };
+        } catch (error) {
+            log('ERROR', 'Error parsing API response', { err: error });
+            return { status: 500, payload: { success: false, error: 'Failed to parse API response' } };
+        }
+    });
+}
 
-        apiResponse.on('end', () => {
-            try {
-                const jsonData = JSON.parse(data);
-                res.json(jsonData);
-            } catch (error) {
-                console.error('Error parsing API response:', error);
-                res.status(500).json({ success: false, error: 'Failed to parse API response' });
+function revalidateStations() {
+    if (stationsInflight) return stationsInflight;
+    stationsInflight = fetchStationsUpstream()
+        .then((result) => {
+            const { status, payload } = result;
+            stationsUpstreamFailing = !(status === 200 && payload && typeof payload === 'object' && payload.success !== false);
+            if (!stationsUpstreamFailing) {
+                const hash = crypto.createHash('sha1').update(JSON.stringify(payload)).digest('base64url');
+                stationsEntry = { payload, etag: `W/"${hash}"`, fetchedAt: Date.now() };
+                return result;
             }
+            const stale = usableStationsEntry();
+            return stale
+                ? { status: 200, payload: stale.payload, degraded: true }
+                : { ...result, degraded: true };
+        })
+        .finally(() => {
+            stationsInflight = null;
         });
+    return stationsInflight;
+}
+
+function cachedStations(entry, cacheStatus) {
+    return {
+        status: 200,
+        payload: entry.payload,
+        etag: entry.etag,
+        cacheStatus,
+        ageSeconds: Math.max(0, Math.floor((Date.now() - entry.fetchedAt) / 1000)),
+        degraded: stationsUpstreamFailing
+    };
+}
+
+async function getStations() {
+    const entry = usableStationsEntry();
+    if (entry) {
+        if (Date.now() - entry.fetchedAt < STATIONS_TTL_MS) return cachedStations(entry, 'HIT');
+        revalidateStations().catch((error) => log('ERROR', 'Error revalidating stations cache', { err: error }));
+        return cachedStations(entry, 'STALE');
+    }
+    const result = await revalidateStations();
+    if (stationsEntry && stationsEntry.payload === result.payload) return cachedStations(stationsEntry, 'MISS');
+    return { ...result, etag: null, cacheStatus: 'MISS', ageSeconds: 0, degraded: stationsUpstreamFailing };
+}
+
+function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+    const bare = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some((tag) => tag.trim() === '*' || bare(tag) === bare(etag));
+}
+
+// Proxy endpoint for CUUB stations API (cached, see getStations)
+app.get('/api/stations', async (req, res) => {
+    let result;
+    try {
+        result = await getStations();
+    } catch (error) {
+        log('ERROR', 'Error fetching stations', { requestId: res.locals.requestId, err: error });
+        return res.status(500).json({ success: false, error: 'Failed to fetch stations' });
+    }
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Cuub-Cache', result.cacheStatus);
+    res.setHeader('Age', String(result.ageSeconds));
+    if (result.degraded) res.setHeader(DEGRADED_HEADER, '1');
+    if (result.etag) res.setHeader('ETag', result.etag);
+    if (etagMatches(req.headers['if-none-match'], result.etag)) {
+        return res.status(304).end();
+    }
+    res.status(result.status).json(result.payload);
+});
+
+// Sticker ids are "CUBT" + 12 digits; anything else is rejected before it
+// reaches upstream. Mirrors normalizeStickerId in @cuub/shared/sticker.
+const STICKER_ID_PATTERN = /^CUBT\d{12}$/;
+
+function requireStickerId(req, res, next) {
+    const stickerId = String(req.params.sticker_id || '').trim().toUpperCase();
+    if (!STICKER_ID_PATTERN.test(stickerId)) {
+        return res.status(400).json({ success: false, error: 'Invalid sticker id' });
+    }
+    res.locals.stickerId = stickerId;
+    next();
+}
+
+// Fixed-window limits on /api/battery/:sticker_id, per client address and per
+// sticker, counted in memory. Mirrors
+// apps/web/src/lib/rateLimit.ts (without its Redis store).
+const RATE_LIMIT_WINDOW_MS = readCount(process.env.CUUB_RATE_LIMIT_WINDOW_MS, 60 * 1000);
+const BATTERY_RATE_LIMITS = [
+    { name: 'battery-ip', limit: readCount(process.env.CUUB_RATE_LIMIT_PER_IP, 60), key: (ip) => ip },
+    { name: 'battery-sticker', limit: readCount(process.env.CUUB_RATE_LIMIT_PER_STICKER, 120), key: (ip, stickerId) => stickerId }
+];
+const TRUSTED_PROXY_HOPS = readCount(process.env.CUUB_TRUSTED_PROXY_HOPS, 1);
+const rateLimitWindows = new Map(); // key -> { count, resetAt }
+
+// X-Forwarded-For counted from the right, skipping the entries our own
+// proxies append.
+function clientIp(req) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean);
+    return forwarded[Math.max(0, forwarded.length - TRUSTED_PROXY_HOPS)]
+        || req.headers['x-real-ip'] || req.socket.remoteAddress || 'unknown';
+}
+
+// Windows are kept in the order they started, which with one window length
+// is the order they end, so pruning stops at the first live one: O(1)
+// amortized per request, however many keys an enumeration leaves behind.
+function pruneRateLimitWindows(now) {
+    for (const [key, entry] of rateLimitWindows) {
+        if (entry.resetAt > now) return;
+        rateLimitWindows.delete(key);
+    }
+}
+
+function limitBatteryRequest(req, res, next) {
+    const now = Date.now();
+    pruneRateLimitWindows(now);
+    const ip = clientIp(req);
+    let retryAfterMs = 0;
+    for (const rule of BATTERY_RATE_LIMITS) {
+        const key = `${rule.name}:${rule.key(ip, res.locals.stickerId)}`;
+        let entry = rateLimitWindows.get(key);
+        if (!entry) {
+            entry = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+            rateLimitWindows.set(key, entry);
+        }
+        entry.count += 1;
+        if (entry.count > rule.limit) retryAfterMs = Math.max(retryAfterMs, entry.resetAt - now);
+    }
+    if (!retryAfterMs) return next();
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+    res.status(429).json({ success: false, error: 'Too many requests' });
+}
+
+// manufacture_id for writes comes from upstream's own battery record, never
+// from the caller. Resolves { manufactureId }, or { upstream } to relay
+// instead: upstream's failure, or a 404 for a sticker with no battery.
+// Mirrors lookupManufactureId in apps/web/src/lib/cuubApi.ts.
+async function lookupManufactureId(stickerId, requestId) {
+    const upstream = await requestCuub({ method: 'GET', path: `/battery/${stickerId}`, requestId });
+    if (upstream.status >= 500) return { upstream };
+    let envelope;
+    try {
+        envelope = upstream.text ? JSON.parse(upstream.text) : null;
+    } catch (error) {
+        return { upstream };
+    }
+    const manufactureId = envelope && envelope.data && envelope.data.manufacture_id;
+    if (upstream.status >= 400 || (envelope && envelope.success === false) || !manufactureId) {
+        return { upstream: { status: 404, text: JSON.stringify({ success: false, error: 'Unknown sticker' }) } };
+    }
+    return { manufactureId: String(manufactureId) };
+}
+
+// Proxy endpoint for CUUB battery API (GET)
+app.get('/api/battery/:sticker_id', requireStickerId, limitBatteryRequest, (req, res) => {
+    const stickerId = res.locals.stickerId;
+    proxyCuub(res, {
+        method: 'GET',
+        path: `/battery/${stickerId}`
     });
+});
 
-    request.on('error', (error) => {
-        console.error('Error creating scan record:', error);
-        res.status(500).json({ success: false, error: 'Failed to create scan record' });
+// Scan record and sizl dedupe. A repeated Idempotency-Key for the same
+// sticker within the window gets the first response instead of a second
+// upstream POST or PATCH. Mirrors apps/web/src/lib/idempotencyStore.ts.
+const SCAN_DEDUPE_WINDOW_MS = readMs(process.env.CUUB_SCAN_DEDUPE_WINDOW_MS, 10 * 60 * 1000);
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+// key -> { result: Promise<{ status, text }>, storedAt }. Separate maps
+// because clients send the same scan-session key with both.
+const scanRecords = new Map();
+const sizlPatches = new Map();
+
+function runIdempotent(store, key, fn) {
+    const cutoff = Date.now() - SCAN_DEDUPE_WINDOW_MS;
+    for (const [k, entry] of store) {
+        if (entry.storedAt <= cutoff) store.delete(k);
+    }
+    const existing = store.get(key);
+    if (existing) return existing.result.then((result) => ({ ...result, replayed: true }));
+
+    const entry = { result: fn(), storedAt: Date.now() };
+    store.set(key, entry);
+    const forget = () => {
+        if (store.get(key) === entry) store.delete(key);
+    };
+    return entry.result.then((result) => {
+        if (result.status >= 500) forget();
+        return { ...result, replayed: false };
+    }, (error) => {
+        forget();
+        throw error;
     });
+}
 
-    request.write(postData);
-    request.end();
-});
+// Proxy endpoint for CUUB battery API (POST - create scan record)
+app.post('/api/battery/:sticker_id', requireStickerId, limitBatteryRequest, express.json(), async (req, res) => {
+    const stickerId = res.locals.stickerId;
+    const stickerType = req.headers['sticker_type'] || 'type one';
+    const idempotencyKey = req.headers['idempotency-key'];
 
-// Proxy endpoint for CUUB battery API (PATCH - update sizl redirect status)
-app.patch('/api/battery/:sticker_id', express.json(), (req, res) => {
-    const stickerId = req.params.sticker_id;
-    const manufactureId = req.headers['manufacture_id'];
-    
-    const patchData = JSON.stringify({ sizl: true });
-    
     const options = {
-        hostname: 'api.cuub.tech',
+        method: 'POST',
         path: `/battery/${stickerId}`,
-        method: 'PATCH',
         headers: {
             'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(patchData),
-            'manufacture_id': manufactureId || ''
-        }
+            'sticker_type': stickerType
+        },
+        body: JSON.stringify({}),
+        requestId: res.locals.requestId
     };
+    const create = async () => {
+        const lookup = await lookupManufactureId(stickerId, res.locals.requestId);
+        if (lookup.upstream) return lookup.upstream;
+        options.headers['manufacture_id'] = lookup.manufactureId;
+        return requestCuub(options);
+    };
+    if (idempotencyKey === undefined) {
+        return relayCuub(res, await create());
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        return res.status(400).json({ success: false, error: 'Invalid Idempotency-Key header' });
+    }
+    options.headers['Idempotency-Key'] = idempotencyKey;
 
-    const request = https.request(options, (apiResponse) => {
-        let data = '';
-
-        apiResponse.on('data', (chunk) => {
-            data += chunk;
-        });
+    const upstream = await runIdempotent(scanRecords, `${stickerId}\n${idempotencyKey}`, create);
+    res.setHeader('Idempotent-Replayed', String(upstream.replayed));
+    relayCuub(res, upstream);
+});
 
-        apiResponse.on('end', () => {
-            try {
-                const jsonData = JSON.parse(data);
-                res.json(jsonData);
-            } catch (error) {
-                console.error('Error parsing API response:', error);
-                res.status(500).json({ success: false, error: 'Failed to parse API response' });
-            }
-        });
-    });
+// Proxy endpoint for CUUB battery API (PATCH - update sizl redirect status)
+app.patch('/api/battery/:sticker_id', requireStickerId, limitBatteryRequest, express.json(), async (req, res) => {
+    const stickerId = res.locals.stickerId;
+    const idempotencyKey = req.headers['idempotency-key'];
 
-    request.on('error', (error) => {
-        console.error('Error updating sizl status:', error);
-        res.status(500).json({ success: false, error: 'Failed to update sizl status' });
-    });
+    const options = {
+        method: 'PATCH',
+        path: `/battery/${stickerId}`,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sizl: true }),
+        requestId: res.locals.requestId
+    };
+    const update = async () => {
+        const lookup = await lookupManufactureId(stickerId, res.locals.requestId);
+        if (lookup.upstream) return lookup.upstream;
+        options.headers['manufacture_id'] = lookup.manufactureId;
+        return requestCuub(options);
+    };
+    if (idempotencyKey === undefined) {
+        return relayCuub(res, await update());
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        return res.status(400).json({ success: false, error: 'Invalid Idempotency-Key header' });
+    }
+    options.headers['Idempotency-Key'] = idempotencyKey;
 
-    request.write(patchData);
-    request.end();
+    const upstream = await runIdempotent(sizlPatches, `${stickerId}\n${idempotencyKey}`, update);
+    res.setHeader('Idempotent-Replayed', String(upstream.replayed));
+    relayCuub(res, upstream);
 });
 
 // Serve map view as default
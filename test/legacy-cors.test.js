@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    process.env.CUUB_CORS_ORIGINS = 'https://map.cuub.tech, https://*.partner.example';
+    process.env.CUUB_FRAME_ANCESTORS = 'https://*.framer.app';
+    process.env.MAPBOX_ACCESS_TOKEN = 'pk.test';
+    const app = require('../server.js');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+function preflight(origin) {
+    return fetch(`${baseUrl}/api/battery/CUBT062510000001`, {
+        method: 'OPTIONS',
+        headers: { Origin: origin, 'Access-Control-Request-Method': 'POST' }
+    });
+}
+
+test('legacy CORS: allowlisted origins get CORS headers', async () => {
+    const res = await fetch(`${baseUrl}/api/mapbox-token`, { headers: { Origin: 'https://shop.partner.example' } });
+    assert.equal(res.headers.get('access-control-allow-origin'), 'https://shop.partner.example');
+    assert.equal(res.headers.get('vary'), 'Origin');
+});
+
+test('legacy CORS: other origins get none', async () => {
+    const res = await fetch(`${baseUrl}/api/mapbox-token`, { headers: { Origin: 'https://partner.example' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+});
+
+test('legacy CORS: preflight is answered for allowlisted origins only', async () => {
+    const allowed = await preflight('https://map.cuub.tech');
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://map.cuub.tech');
+    assert.match(allowed.headers.get('access-control-allow-headers'), /Idempotency-Key/);
+
+    const denied = await preflight('https://evil.example');
+    assert.equal(denied.status, 403);
+    assert.equal(denied.headers.get('access-control-allow-origin'), null);
+});
+
+test('legacy pages: frame-ancestors comes from the embedding allowlist', async () => {
+    const res = await fetch(`${baseUrl}/map`);
+    assert.equal(res.headers.get('content-security-policy'), "frame-ancestors 'self' https://*.framer.app");
+});
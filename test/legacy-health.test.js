@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+let upstream;
+let server;
+let baseUrl;
+let upstreamStatus = 200;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        res.writeHead(upstreamStatus, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: upstreamStatus === 200, data: [] }));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    process.env.CUUB_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+    process.env.CUUB_BUILD_SHA = 'abc1234';
+    delete process.env.MAPBOX_ACCESS_TOKEN;
+
+    const app = require('../server.js');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+test('legacy /api/healthz: reports liveness with the build info', async () => {
+    const res = await fetch(`${baseUrl}/api/healthz`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.status, 'ok');
+    assert.equal(body.version, require('../package.json').version);
+    assert.equal(body.commit, 'abc1234');
+    assert.deepEqual(body.checks, { process: { status: 'ok' } });
+});
+
+test('legacy /api/readyz: reports each check, probing upstream on request', async () => {
+    const missing = await fetch(`${baseUrl}/api/readyz`);
+    assert.equal(missing.status, 503);
+    const body = await missing.json();
+    assert.equal(body.checks.MAPBOX_ACCESS_TOKEN.status, 'fail');
+    assert.equal(body.checks.upstream.status, 'skipped');
+
+    process.env.MAPBOX_ACCESS_TOKEN = 'pk.test';
+    const ready = await (await fetch(`${baseUrl}/api/readyz?probe=upstream`)).json();
+    assert.equal(ready.status, 'ok');
+    assert.equal(ready.checks.upstream.status, 'ok');
+
+    upstreamStatus = 502;
+    const down = await fetch(`${baseUrl}/api/readyz?probe=upstream`);
+    assert.equal(down.status, 503);
+    assert.equal((await down.json()).checks.upstream.detail, 'HTTP 502');
+});
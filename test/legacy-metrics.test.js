@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+let upstream;
+let server;
+let baseUrl;
+let upstreamRequestIds = [];
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequestIds.push(req.headers['x-request-id']);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, data: {} }));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    process.env.CUUB_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+
+    const app = require('../server.js');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+test('legacy API: request ids are echoed and forwarded upstream', async () => {
+    const res = await fetch(`${baseUrl}/api/battery/CUBT062510000001`, {
+        headers: { 'X-Request-Id': 'trace-abc-123' }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-request-id'), 'trace-abc-123');
+    assert.deepEqual(upstreamRequestIds, ['trace-abc-123']);
+});
+
+test('legacy GET /api/metrics: counts by route template, without sticker ids', async () => {
+    await fetch(`${baseUrl}/api/battery/CUBT062510000002`);
+    const res = await fetch(`${baseUrl}/api/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const body = await res.text();
+    assert.match(body, /cuub_http_requests_total\{route="\/api\/battery\/:sticker_id",method="GET",status="200"\} 2/);
+    assert.match(body, /cuub_upstream_request_duration_seconds_count\{route="\/battery\/:sticker_id",method="GET"\} 2/);
+    assert.ok(!body.includes('CUBT'));
+});
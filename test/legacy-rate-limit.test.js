@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+let upstream;
+let server;
+let baseUrl;
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, data: { manufacture_id: 'DTA10001' } }));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    process.env.CUUB_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+    process.env.CUUB_RATE_LIMIT_PER_IP = '5';
+    process.env.CUUB_RATE_LIMIT_PER_STICKER = '8';
+
+    const app = require('../server.js');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+function getBattery(stickerId, ip) {
+    return fetch(`${baseUrl}/api/battery/${stickerId}`, { headers: { 'X-Forwarded-For': ip } });
+}
+
+test('legacy /api/battery: 429s in the envelope once an address is over its limit', async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await getBattery(`CUBT06251000000${i}`, '1.1.1.1')).status, 200);
+    }
+    const res = await getBattery('CUBT062510000009', '1.1.1.1');
+    assert.equal(res.status, 429);
+    assert.deepEqual(await res.json(), { success: false, error: 'Too many requests' });
+    assert.equal(res.headers.get('retry-after'), '60');
+
+    assert.equal((await getBattery('CUBT062510000009', '2.2.2.2')).status, 200);
+});
+
+test("legacy /api/battery: one address can't use up a sticker for everyone else", async () => {
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await getBattery('CUBT062510000007', '6.6.6.6')).status, 200);
+    }
+    assert.equal((await getBattery('CUBT062510000007', '6.6.6.6')).status, 429);
+    assert.equal((await getBattery('CUBT062510000007', '3.3.3.3')).status, 200);
+});
+
+test('legacy /api/battery: a sticker is limited however many addresses ask for it', async () => {
+    for (let i = 0; i < 8; i++) {
+        assert.equal((await getBattery('CUBT062510000005', `10.0.0.${i}`)).status, 200);
+    }
+    assert.equal((await getBattery('CUBT062510000005', '4.4.4.4')).status, 429);
+    assert.equal((await getBattery('CUBT062510000006', '4.4.4.4')).status, 200);
+});
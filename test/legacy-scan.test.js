@@ -0,0 +1,113 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+let upstream;
+let server;
+let baseUrl;
+let scanPosts = [];
+let writtenManufactureIds = [];
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        if (req.url === '/battery/CUBT099999999999') {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'Battery not found' }));
+            return;
+        }
+        if (req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: { manufacture_id: 'DTA10001' } }));
+            return;
+        }
+        if (req.method === 'POST') scanPosts.push(req.headers['idempotency-key']);
+        writtenManufactureIds.push(req.headers['manufacture_id']);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, data: { scan: scanPosts.length } }));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    process.env.CUUB_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+
+    const app = require('../server.js');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+beforeEach(() => {
+    scanPosts = [];
+    writtenManufactureIds = [];
+});
+
+function postScan(stickerId, key) {
+    const headers = { 'Content-Type': 'application/json', manufacture_id: 'm1' };
+    if (key !== undefined) headers['Idempotency-Key'] = key;
+    return fetch(`${baseUrl}/api/battery/${stickerId}`, { method: 'POST', headers, body: '{}' });
+}
+
+test('legacy POST /api/battery: duplicate submissions collapse into one upstream call', async () => {
+    const responses = await Promise.all([postScan('CUBT062510000001', 'session-key-1'), postScan('CUBT062510000001', 'session-key-1')]);
+    responses.push(await postScan('CUBT062510000001', 'session-key-1'));
+
+    assert.deepEqual(scanPosts, ['session-key-1']);
+    for (const res of responses) {
+        assert.deepEqual(await res.json(), { success: true, data: { scan: 1 } });
+    }
+    assert.deepEqual(
+        responses.map((res) => res.headers.get('idempotent-replayed')).sort(),
+        ['false', 'true', 'true']
+    );
+
+    await postScan('CUBT062510000002', 'session-key-1');
+    await postScan('CUBT062510000001');
+    assert.equal(scanPosts.length, 3);
+});
+
+test('legacy /api/battery: rejects malformed sticker ids before proxying', async () => {
+    const res = await postScan('CUBT1', 'session-key-1');
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { success: false, error: 'Invalid sticker id' });
+    const get = await fetch(`${baseUrl}/api/battery/not-a-sticker`);
+    assert.equal(get.status, 400);
+    assert.equal(scanPosts.length, 0);
+});
+
+test('legacy POST /api/battery: rejects malformed keys', async () => {
+    const res = await postScan('CUBT062510000001', 'not a key!');
+    assert.equal(res.status, 400);
+    assert.equal(scanPosts.length, 0);
+});
+
+test('legacy POST and PATCH /api/battery: manufacture_id comes from the battery lookup', async () => {
+    await postScan('CUBT062510000001');
+    await fetch(`${baseUrl}/api/battery/CUBT062510000001`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', manufacture_id: 'm1' },
+        body: JSON.stringify({ sizl: true })
+    });
+    assert.deepEqual(writtenManufactureIds, ['DTA10001', 'DTA10001']);
+
+    const unknown = await postScan('CUBT099999999999', 'session-key-2');
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(await unknown.json(), { success: false, error: 'Unknown sticker' });
+    assert.equal(scanPosts.length, 1);
+});
+
+test('legacy PATCH /api/battery: repeats are replayed per scan session', async () => {
+    const patchSizl = (key) => fetch(`${baseUrl}/api/battery/CUBT062510000001`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+        body: JSON.stringify({ sizl: true })
+    });
+    const replayed = [];
+    for (const key of ['session-key-3', 'session-key-3', 'session-key-4']) {
+        replayed.push((await patchSizl(key)).headers.get('idempotent-replayed'));
+    }
+    assert.deepEqual(replayed, ['false', 'true', 'false']);
+    assert.equal(writtenManufactureIds.length, 2);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const STATIONS = { success: true, data: [{ id: 1, latitude: 41.9, longitude: -87.6 }] };
+
+let upstream;
+let server;
+let baseUrl;
+let upstreamHits = 0;
+let upstreamMode = 'ok';
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamHits += 1;
+        if (upstreamMode === 'error') {
+            res.writeHead(502, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: false, error: 'bad gateway' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(STATIONS));
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    process.env.CUUB_API_BASE = `http://127.0.0.1:${upstream.address().port}`;
+    process.env.CUUB_STATIONS_TTL_MS = '0';
+
+    const app = require('../server.js');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+test('legacy /api/stations: caches, tags freshness and honours If-None-Match', async () => {
+    const first = await fetch(`${baseUrl}/api/stations`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-cuub-cache'), 'MISS');
+    assert.deepEqual(await first.json(), STATIONS);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    // TTL is 0, so the next request is served stale while revalidating.
+    const second = await fetch(`${baseUrl}/api/stations`, { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+    assert.equal(second.headers.get('x-cuub-cache'), 'STALE');
+});
+
+test('legacy /api/stations: serves the last good copy when upstream fails', async () => {
+    upstreamMode = 'error';
+    const hitsBefore = upstreamHits;
+    const res = await fetch(`${baseUrl}/api/stations`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-cuub-cache'), 'STALE');
+    assert.deepEqual(await res.json(), STATIONS);
+    await new Promise((r) => setTimeout(r, 50));
+    assert.ok(upstreamHits > hitsBefore);
+    upstreamMode = 'ok';
+});